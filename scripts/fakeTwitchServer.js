@@ -0,0 +1,103 @@
+/**
+ * Локальный заменитель Twitch чата для офлайн запуска бота
+ *
+ * Запуск:
+ *   npm run fake-twitch                              - интерактивно: строки "зритель: текст" уходят в чат
+ *   npm run fake-twitch -- scripts/fake_chat_example.json  - проиграть сценарий и проверить ответы бота
+ *
+ * Бот подключается к серверу, если в .env указано TWITCH_IRC_SERVER=127.0.0.1 (порт - TWITCH_IRC_PORT)
+ */
+import fs from 'fs/promises';
+import readline from 'readline';
+import { config } from '../src/config.js';
+import { FakeTwitchServer } from '../src/dev/fakeTwitchServer.js';
+
+async function main() {
+  const scenarioPath = process.argv[2] || null;
+  const scenario = scenarioPath ? JSON.parse(await fs.readFile(scenarioPath, 'utf-8')) : null;
+
+  const server = new FakeTwitchServer({
+    port: config.twitch.ircPort,
+    channel: scenario?.channel || config.twitch.channels[0] || 'fakechannel',
+    rateLimit: scenario?.rateLimit,
+    verbose: true,
+  });
+  await server.start();
+
+  console.log(`\n🧪 Заменитель Twitch слушает ws://127.0.0.1:${server.port}`);
+  console.log(`   Запустите бота с TWITCH_IRC_SERVER=127.0.0.1 TWITCH_IRC_PORT=${server.port}\n`);
+
+  if (!scenario) {
+    runInteractive(server);
+    return;
+  }
+
+  // Ждем, пока бот зайдет в канал
+  console.log(`⏳ Ожидание подключения бота к ${server.defaultChannel}...`);
+  await new Promise(resolve => {
+    server.on('join', ({ channel }) => {
+      if (channel === server.defaultChannel) {
+        resolve();
+      }
+    });
+  });
+
+  const startedAt = Date.now();
+  await server.replay(scenario.steps || []);
+
+  // Проверяем ожидания по сообщениям бота
+  const failures = [];
+  for (const expectation of scenario.expect || []) {
+    const match = { type: expectation.type || 'message', text: new RegExp(expectation.match, 'i') };
+    if (expectation.replyTo) {
+      match.replyParentMsgId = expectation.replyTo;
+    }
+    try {
+      const message = await server.waitForBotMessage(match, { timeout: expectation.timeout ?? 60000, since: startedAt });
+      console.log(`✅ ${expectation.description || expectation.match}: "${message.text}"`);
+    } catch (error) {
+      console.log(`❌ ${expectation.description || expectation.match}: ${error.message}`);
+      failures.push(expectation);
+    }
+  }
+
+  for (const expectation of scenario.expectNone || []) {
+    const found = server.getBotMessages({ text: new RegExp(expectation.match, 'i') })
+      .filter(message => message.timestamp >= startedAt);
+    if (found.length > 0) {
+      console.log(`❌ ${expectation.description || expectation.match}: бот отправил "${found[0].text}"`);
+      failures.push(expectation);
+    } else {
+      console.log(`✅ ${expectation.description || expectation.match}: сообщений нет`);
+    }
+  }
+
+  console.log(`\n📋 Сообщений бота: ${server.botMessages.length}, проверок провалено: ${failures.length}`);
+  await server.stop();
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+/**
+ * Интерактивный режим: строки из терминала уходят в чат от имени зрителя
+ */
+function runInteractive(server) {
+  console.log('💡 Введите "зритель: текст" чтобы написать в чат (Ctrl+C - выход)\n');
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  rl.on('line', (line) => {
+    const match = line.match(/^\s*([a-zA-Z0-9_]+)\s*:\s*(.+)$/);
+    if (!match) {
+      console.log('💡 Формат: зритель: текст');
+      return;
+    }
+    server.chat(match[1], match[2]);
+  });
+  rl.on('close', () => {
+    server.stop().then(() => process.exit(0));
+  });
+}
+
+main().catch((error) => {
+  console.error('❌ Ошибка заменителя Twitch:', error);
+  process.exit(1);
+});
@@ -0,0 +1,127 @@
+/**
+ * Проигрывание записанной сессии через текущий код бота (без браузера и Twitch)
+ *
+ * Запуск:
+ *   npm run replay -- data/channels/<канал>/training_data/session_123.json  - проиграть сессию
+ *   npm run replay -- data/channels/<канал>/training_data                   - последняя сессия в папке
+ *
+ * Параметры:
+ *   --speed N       - в N раз быстрее реального времени (по умолчанию как можно быстрее)
+ *   --channel name  - канал (данные канала и уровень активности), по умолчанию из пути к сессии
+ *   --level name    - уровень активности: lurk | quiet | normal | chatty
+ *   --reanalyze     - заново анализировать скриншоты моделью вместо записанного анализа
+ *   --recorded file.json - сообщения не генерировать, а брать из результата прошлого проигрывания (--out)
+ *   --stub          - сообщения-заглушки вместо модели (проверка пауз, лимитов и времени отправки)
+ *   --out file.json - сохранить сообщения и журнал решений
+ */
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config.js';
+import { SessionReplay, RecordedGenerator, StubGenerator } from '../src/dev/sessionReplay.js';
+
+const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = { input: null, speed: 0, channel: null, level: null, reanalyze: false, recorded: null, stub: false, out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--speed') {
+      args.speed = parseFloat(argv[++i]) || 0;
+    } else if (arg === '--channel') {
+      args.channel = argv[++i];
+    } else if (arg === '--level') {
+      args.level = argv[++i];
+    } else if (arg === '--reanalyze') {
+      args.reanalyze = true;
+    } else if (arg === '--recorded') {
+      args.recorded = argv[++i];
+    } else if (arg === '--stub') {
+      args.stub = true;
+    } else if (arg === '--out') {
+      args.out = argv[++i];
+    } else if (!args.input) {
+      args.input = arg;
+    }
+  }
+  return args;
+}
+
+/**
+ * Файл сессии: сам файл или последняя session_*.json в папке
+ */
+async function resolveSessionPath(input) {
+  const stats = await fs.stat(input);
+  if (!stats.isDirectory()) {
+    return input;
+  }
+  const sessions = (await fs.readdir(input)).filter(file => /^session_.*\.json$/.test(file)).sort();
+  if (sessions.length === 0) {
+    throw new Error(`В папке ${input} нет файлов session_*.json`);
+  }
+  return path.join(input, sessions[sessions.length - 1]);
+}
+
+function formatOffset(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.input) {
+    console.log('Использование: npm run replay -- <session.json | папка с сессиями> [--speed N] [--channel name] [--level name] [--reanalyze] [--recorded file.json | --stub] [--out file.json]');
+    process.exit(1);
+  }
+
+  const sessionPath = await resolveSessionPath(args.input);
+  // Сессии лежат в data/channels/<канал>/training_data
+  const channel = args.channel || path.basename(path.dirname(path.dirname(path.resolve(sessionPath))));
+  // Данные канала - там же, где их ищет ChannelRuntime
+  const dataRoot = path.isAbsolute(config.channels.dataRoot)
+    ? config.channels.dataRoot
+    : path.join(projectRoot, config.channels.dataRoot);
+  const dataDir = path.join(dataRoot, channel);
+
+  const generator = args.recorded ? await RecordedGenerator.fromFile(args.recorded) : args.stub ? new StubGenerator() : null;
+  if (!generator && !config.proxyapi.enabled) {
+    console.warn('⚠️  ProxyAPI выключен - генерация сообщений недоступна, в журнале будут только пропуски');
+  }
+
+  const replay = new SessionReplay({
+    sessionPath,
+    channel,
+    dataDir,
+    speed: args.speed,
+    level: args.level,
+    reanalyze: args.reanalyze,
+    generator,
+    imageAnalyzerConfig: {
+      ...config.openai,
+      useProxyAPI: config.proxyapi.enabled,
+      proxyAPIKey: config.proxyapi.apiKey,
+      proxyAPIBaseUrl: config.proxyapi.baseUrl,
+      proxyAPIProvider: config.proxyapi.provider,
+      proxyAPIVisionModel: config.proxyapi.visionModel,
+    },
+    onMessage: ({ offset, message }) => console.log(`[+${formatOffset(offset)}] 💬 ${message}`),
+  });
+
+  console.log(`\n📼 Проигрывание ${sessionPath} (канал ${channel}, ${args.speed > 0 ? `скорость ×${args.speed}` : 'максимальная скорость'})\n`);
+  const result = await replay.run();
+
+  console.log(`\n📊 Итог: ${result.messages.length} сообщений за ${formatOffset(result.duration)}`);
+  for (const [outcome, count] of Object.entries(result.decisions)) {
+    console.log(`   ${outcome}: ${count}`);
+  }
+
+  if (args.out) {
+    await fs.writeFile(args.out, JSON.stringify(result, null, 2), 'utf-8');
+    console.log(`💾 Результат сохранен в ${args.out}`);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Ошибка проигрывания сессии:', error);
+  process.exit(1);
+});
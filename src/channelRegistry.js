@@ -0,0 +1,92 @@
+import { ChannelRuntime } from './channelRuntime.js';
+
+/**
+ * Реестр запущенных каналов
+ * Каналы можно добавлять и удалять на лету, не перезапуская процесс
+ */
+export class ChannelRegistry {
+  constructor(shared = {}) {
+    this.shared = shared; // Общие ресурсы, передаются каждому каналу
+    this.channels = new Map(); // channel -> ChannelRuntime
+  }
+
+  /**
+   * Нормализация имени канала (без # и в нижнем регистре)
+   */
+  static normalize(channel) {
+    return String(channel || '').trim().replace(/^#/, '').toLowerCase();
+  }
+
+  /**
+   * Добавить и запустить канал
+   * @param {string} channel - Имя канала
+   * @param {Object} options - { streamerName, isPrimary }
+   * @returns {Promise<ChannelRuntime>}
+   */
+  async add(channel, options = {}) {
+    const name = ChannelRegistry.normalize(channel);
+    if (!name) {
+      throw new Error('Не указано имя канала');
+    }
+    if (this.channels.has(name)) {
+      throw new Error(`Канал ${name} уже запущен`);
+    }
+
+    const runtime = new ChannelRuntime(name, this.shared, options);
+    // Регистрируем сразу, чтобы повторное добавление во время запуска не создало дубликат
+    this.channels.set(name, runtime);
+
+    try {
+      await runtime.init();
+      await runtime.start();
+    } catch (error) {
+      this.channels.delete(name);
+      await runtime.stop().catch(() => {});
+      throw error;
+    }
+
+    return runtime;
+  }
+
+  /**
+   * Остановить и удалить канал
+   * @returns {Promise<boolean>} false если канал не найден
+   */
+  async remove(channel) {
+    const name = ChannelRegistry.normalize(channel);
+    const runtime = this.channels.get(name);
+    if (!runtime) {
+      return false;
+    }
+
+    this.channels.delete(name);
+    await runtime.stop();
+    return true;
+  }
+
+  get(channel) {
+    return this.channels.get(ChannelRegistry.normalize(channel)) || null;
+  }
+
+  has(channel) {
+    return this.channels.has(ChannelRegistry.normalize(channel));
+  }
+
+  /**
+   * Список имен запущенных каналов
+   */
+  list() {
+    return Array.from(this.channels.keys());
+  }
+
+  /**
+   * Остановить все каналы (ошибка одного канала не мешает остановке остальных)
+   */
+  async stopAll() {
+    const runtimes = Array.from(this.channels.values());
+    this.channels.clear();
+    await Promise.all(runtimes.map(runtime => runtime.stop().catch(error => {
+      console.error(`${runtime.logPrefix} Ошибка остановки канала:`, error);
+    })));
+  }
+}
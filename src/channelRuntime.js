@@ -0,0 +1,1320 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { VirtualBrowser } from './modules/browser.js';
+import { ImageAnalyzer } from './modules/imageAnalyzer.js';
+import { SpeechRecognizer } from './modules/speechRecognizer.js';
+import { LocalVoiceIdentifier } from './modules/localVoiceIdentifier.js';
+import { Coordinator } from './modules/coordinator.js';
+import { TwitchClient } from './twitchClient.js';
+import { DataCollector } from './modules/dataCollector.js';
+import { BrainCoordinator } from './modules/brainCoordinator.js';
+import { BrainTrainer } from './modules/brainTrainer.js';
+import { SessionHistory } from './modules/sessionHistory.js';
+import { CommandRouter } from './modules/commandRouter.js';
+import { EmoteRegistry } from './modules/emoteRegistry.js';
+import { ChatterProfiles } from './modules/chatterProfiles.js';
+import { ContentSafety } from './modules/contentSafety.js';
+import { PromptGuard } from './modules/promptGuard.js';
+import { ChatFilter } from './modules/chatFilter.js';
+import { CadencePolicy, CADENCE_LEVELS } from './modules/cadencePolicy.js';
+import { DecisionTrace } from './modules/decisionTrace.js';
+import { SendScheduler } from './modules/sendScheduler.js';
+import { LiveWatcher } from './modules/liveWatcher.js';
+import { SCENE_LABELS } from './modules/sceneDetector.js';
+import { USAGE_LEVELS } from './modules/usageLedger.js';
+import { realClock } from './modules/clock.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+// Файлы данных, которые раньше лежали в общих папках (до мультиканального режима)
+const LEGACY_DATA_FILES = [
+  ['data/session_history.json', 'session_history.json'],
+  ['data/voices.json', 'voices.json'],
+  ['data/streamer_info.json', 'streamer_info.json'],
+  ['data/chat_messages.json', 'chat_messages.json'],
+  ['resources/brain_memory.json', 'brain_memory.json'],
+];
+
+/**
+ * Один канал Twitch со своим состоянием
+ * Свой браузер и захват аудио, координатор, история сессии, память и база голосов в своем каталоге
+ * Общие клиенты API (распознавание речи) передаются снаружи
+ */
+export class ChannelRuntime {
+  constructor(channel, shared = {}, options = {}) {
+    this.channel = channel;
+    this.shared = shared; // Общие ресурсы всех каналов (бэкенд распознавания речи и т.д.)
+    this.streamerName = options.streamerName || channel;
+    this.isPrimary = options.isPrimary || false; // Основной канал забирает данные из старых общих путей
+    this.clock = options.clock || realClock; // Часы и таймеры канала (общие для всех модулей)
+
+    const dataRoot = path.isAbsolute(config.channels.dataRoot)
+      ? config.channels.dataRoot
+      : path.join(projectRoot, config.channels.dataRoot);
+    this.dataDir = path.join(dataRoot, channel);
+
+    this.modules = {
+      browser: null,
+      imageAnalyzer: null,
+      speechRecognizer: null,
+      voiceIdentifier: null,
+      dataCollector: null,
+      brainCoordinator: null, // Мозг - личность, управляет органами
+      brainTrainer: null, // Модуль обучения мозга
+      sessionHistory: null, // История сессии
+      emoteRegistry: null, // Смайлики канала
+      chatterProfiles: null, // Профили зрителей
+      contentSafety: null, // Фильтр исходящих сообщений
+      promptGuard: null, // Защита промптов от команд из чата
+      chatFilter: null, // Фильтр входящего чата
+      cadencePolicy: null, // Частота сообщений: уровень активности, лимиты, тихие часы
+      decisionTrace: null, // Журнал решений цикла генерации
+      sendScheduler: null, // Время отправки: задержка стрима у зрителей и время набора
+      liveWatcher: null, // Ожидание эфира (только в режиме демона)
+      usageLedger: shared.usageLedger || null, // Учет расходов на API и бюджеты (общий для всех каналов)
+      clock: this.clock, // Часы и таймеры
+    };
+    this.coordinator = null;
+    this.twitchClient = null;
+    this.commandRouter = null; // Команды !bot из терминала и чата
+    this.isStarted = false; // Канал запущен (в режиме демона - ждет эфира или обрабатывает стрим)
+    this.isRunning = false; // Идет обработка стрима: браузер, захват и циклы генерации
+    this.isStreamStarted = false; // Обработку стрима запускали (есть что останавливать)
+    this.lifecycleTask = Promise.resolve(); // Запуск и остановка обработки по статусу эфира - строго по очереди
+    this.onStreamOnline = null; // Подписки на статус эфира (режим демона)
+    this.onStreamOffline = null;
+    this.messageGenerationInterval = null; // Интервал генерации сообщений
+    this.isGenerating = false; // Идет генерация фонового сообщения
+    this.onChatHype = null; // Подписка на всплески активности чата
+    this.onStreamerAddress = null; // Подписка на обращения стримера к чату и к боту
+    this.onCadenceChange = null; // Подписка на смену уровня активности (меняет интервал цикла генерации)
+    this.onSceneChange = null; // Подписка на рекламу и заставки (сообщение о возвращении стримера)
+    this.onUsageLevel = null; // Подписка на режим экономии бюджета API (меняет интервал цикла генерации)
+    this.streamStartedAt = null; // Начало обработки стрима и счетчики на тот момент - для итогов эфира
+    this.streamBaseline = null;
+    this.audioCaptureInterval = null; // Интервал захвата аудио
+    this.screenshotInterval = null; // Интервал скриншотов
+  }
+
+  /**
+   * Префикс для логов канала
+   */
+  get logPrefix() {
+    return `[#${this.channel}]`;
+  }
+
+  async init() {
+    console.log(`${this.logPrefix} 📦 Инициализация модулей канала...`);
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    if (this.isPrimary) {
+      await this.migrateLegacyData();
+    }
+
+    this.modules.imageAnalyzer = new ImageAnalyzer({
+      ...this.shared.imageAnalyzerConfig,
+      usageLedger: this.modules.usageLedger,
+      channel: this.channel,
+      clock: this.clock,
+    });
+
+    // Распознаватель речи свой у канала (свой буфер текста), но клиенты API общие
+    this.modules.speechRecognizer = new SpeechRecognizer({
+      ...this.shared.speechRecognizerConfig,
+      ...this.shared.speechBackend,
+      usageLedger: this.modules.usageLedger,
+      channel: this.channel,
+      clock: this.clock,
+    });
+
+    // Инициализация модулей мозга
+    const brainMode = config.coordinator.brainMode || 'normal';
+    this.modules.brainCoordinator = new BrainCoordinator({
+      mode: brainMode, // Режим работы: 'normal' или 'training'
+      dataDir: this.dataDir,
+      memoryDir: this.dataDir,
+      clock: this.clock,
+    });
+
+    // Инициализация модуля обучения (только в режиме обучения)
+    if (brainMode === 'training') {
+      this.modules.brainTrainer = new BrainTrainer({ dataDir: this.dataDir });
+      await this.modules.brainTrainer.init();
+
+      // Связываем brainTrainer с brainCoordinator для доступа к памяти
+      this.modules.brainTrainer.brainCoordinator = this.modules.brainCoordinator;
+    }
+
+    await this.modules.imageAnalyzer.init();
+    await this.modules.speechRecognizer.init();
+    await this.modules.brainCoordinator.init();
+
+    // Смайлики канала (7TV/BTTV/FFZ/Twitch) - для промптов и фильтров сообщений
+    if (config.emotes.enabled) {
+      this.modules.emoteRegistry = new EmoteRegistry({
+        ...config.emotes,
+        channel: this.channel,
+        dataDir: this.dataDir,
+        clock: this.clock,
+      });
+      await this.modules.emoteRegistry.init();
+      this.modules.imageAnalyzer.emoteRegistry = this.modules.emoteRegistry;
+      this.modules.brainCoordinator.emoteRegistry = this.modules.emoteRegistry;
+    }
+
+    // Профили зрителей - рядом с памятью мозга
+    this.modules.chatterProfiles = new ChatterProfiles({ dataDir: this.dataDir, clock: this.clock });
+    await this.modules.chatterProfiles.init();
+
+    // Фильтр входящего чата: известные боты, твинки, игнорируемые зрители, спам
+    this.modules.chatFilter = new ChatFilter({
+      ...config.chatFilter,
+      botAccounts: [...config.chatFilter.botAccounts, config.twitch.username].filter(Boolean),
+      dataDir: this.dataDir,
+      clock: this.clock,
+    });
+    await this.modules.chatFilter.init();
+
+    // Защита промптов: чат и речь попадают в промпты как данные, попытки командовать ботом - в профиль зрителя
+    this.modules.promptGuard = new PromptGuard({
+      ...config.promptGuard,
+      chatterProfiles: this.modules.chatterProfiles,
+      clock: this.clock,
+    });
+    this.modules.imageAnalyzer.promptGuard = this.modules.promptGuard;
+    this.modules.brainCoordinator.promptGuard = this.modules.promptGuard;
+
+    // Частота сообщений канала: все паузы, кулдауны и лимиты решает одна политика
+    this.modules.cadencePolicy = new CadencePolicy({
+      ...config.cadence,
+      level: config.cadence.channelLevels[this.channel] || config.cadence.level,
+      clock: this.clock,
+    });
+    this.modules.brainCoordinator.cadence = this.modules.cadencePolicy;
+
+    // Журнал решений: почему бот написал или промолчал на каждом цикле генерации
+    this.modules.decisionTrace = new DecisionTrace({
+      ...config.decisionTrace,
+      dataDir: this.dataDir,
+      clock: this.clock,
+    });
+
+    // Сообщения уходят, когда момент дошел до зрителей и человек успел бы набрать ответ
+    this.modules.sendScheduler = new SendScheduler({
+      ...config.sendTiming,
+      clock: this.clock,
+    });
+
+    // Фильтр исходящих сообщений: общий блоклист и блоклист канала
+    const sharedBlocklist = path.isAbsolute(config.safety.blocklistFile)
+      ? config.safety.blocklistFile
+      : path.join(projectRoot, config.safety.blocklistFile);
+    this.modules.contentSafety = new ContentSafety({
+      ...config.safety,
+      dataDir: this.dataDir,
+      blocklistFiles: [sharedBlocklist, path.join(this.dataDir, 'blocklist.txt')],
+      clock: this.clock,
+    });
+    await this.modules.contentSafety.init();
+
+    // Инициализация браузера ПЕРЕД связыванием с brainCoordinator
+    this.modules.browser = new VirtualBrowser({
+      headless: config.browser.headless,
+      channel: this.channel,
+      screenshotInterval: config.browser.screenshotInterval,
+      screenshotsDir: path.join(projectRoot, 'screenshots', this.channel),
+      clock: this.clock,
+    });
+
+    // Режим демона: обработка стрима запускается, когда канал выходит в эфир, и останавливается после его конца
+    if (config.lifecycle.enabled) {
+      this.modules.liveWatcher = new LiveWatcher({
+        ...config.lifecycle,
+        channel: this.channel,
+        findYtDlpCommand: () => this.modules.browser.findYtDlpCommand(),
+        clock: this.clock,
+      });
+    }
+
+    // Инициализация идентификатора голосов (мозг для распознавания голосов)
+    this.modules.voiceIdentifier = new LocalVoiceIdentifier({
+      streamerName: this.streamerName,
+      dataDir: this.dataDir,
+    });
+    await this.modules.voiceIdentifier.init();
+
+    // Связываем brainCoordinator с модулями для оптимизации промптов
+    this.modules.imageAnalyzer.brainCoordinator = this.modules.brainCoordinator;
+
+    // Связываем brainCoordinator с модулями для запроса скриншотов (ПОСЛЕ создания browser)
+    this.modules.brainCoordinator.setBrowser(this.modules.browser);
+    this.modules.brainCoordinator.setImageAnalyzer(this.modules.imageAnalyzer);
+    this.modules.brainCoordinator.setCoordinator(this.coordinator);
+    // Связываем brainCoordinator с coordinator для доступа к текущему тексту речи
+    this.modules.brainCoordinator.setCoordinatorForSpeech(this.coordinator);
+
+    // Инициализация сборщика данных для обучения
+    this.modules.dataCollector = new DataCollector({
+      enabled: process.env.ENABLE_DATA_COLLECTION !== 'false', // По умолчанию включен
+      dataDir: path.join(this.dataDir, 'training_data'),
+      clock: this.clock,
+    });
+    await this.modules.dataCollector.init();
+
+    // Инициализация истории сессии (до координатора, чтобы он мог использовать)
+    this.modules.sessionHistory = new SessionHistory({ dataDir: this.dataDir, clock: this.clock });
+    await this.modules.sessionHistory.init();
+
+    // Инициализация координатора
+    this.coordinator = new Coordinator({
+      ...config.coordinator,
+      twitch: { ...config.twitch, channel: this.channel }, // Передаем конфигурацию Twitch для доступа к имени бота
+      replies: config.replies, // Лимиты ответов на обращения зрителей
+      streamEvents: config.streamEvents, // Реакции на подписки, рейды, гифты и битсы
+      chatActivity: config.chatActivity, // Всплески, волны смайликов и флуд в чате
+      voteMute: config.voteMute, // Голосование чата за тишину бота
+      candidates: config.candidates, // Несколько вариантов фонового сообщения
+      streamerAddress: config.streamerAddress, // Обращения стримера к чату и к боту
+      feedback: config.feedback, // Отклик чата и стримера на сообщения бота
+    }, this.modules);
+
+    // Команды управления каналом (терминал и чат)
+    this.commandRouter = new CommandRouter({ ...config.chatCommands, clock: this.clock });
+    this.registerCommands();
+
+    // Инициализация Twitch клиента (передаем dataCollector и brainTrainer)
+    this.twitchClient = new TwitchClient(
+      this.coordinator,
+      this.modules.dataCollector,
+      this.modules.brainTrainer, // Передаем модуль обучения
+      {
+        channel: this.channel,
+        commandRouter: this.commandRouter,
+        emoteRegistry: this.modules.emoteRegistry,
+        chatterProfiles: this.modules.chatterProfiles,
+        contentSafety: this.modules.contentSafety,
+        chatFilter: this.modules.chatFilter,
+        cadencePolicy: this.modules.cadencePolicy,
+        clock: this.clock,
+      }
+    );
+
+    console.log(`${this.logPrefix} ✅ Модули канала инициализированы (данные: ${this.dataDir})`);
+  }
+
+  /**
+   * Регистрация команд !bot
+   * Уровень доступа - минимальные права в чате (из терминала доступны все команды)
+   */
+  registerCommands() {
+    const router = this.commandRouter;
+
+    router.register('help', {
+      level: 'moderator',
+      description: 'список команд',
+      handler: async (args, context) => [`Команды: ${router.getAvailableCommands(context.userLevel, context.source).join(', ')}`],
+    });
+
+    router.register('silence', {
+      level: 'moderator',
+      description: 'включить режим молчания',
+      handler: async () => {
+        this.coordinator.setSilenceMode(true);
+        return ['✅ Режим молчания включен'];
+      },
+    });
+
+    router.register('unsilence', {
+      level: 'moderator',
+      description: 'выключить режим молчания (и тишину по голосованию чата)',
+      handler: async (args, context) => {
+        this.coordinator.voteMute.cancel(context.username || 'терминал');
+        this.coordinator.setSilenceMode(false);
+        return ['✅ Режим молчания выключен'];
+      },
+    });
+
+    router.register('votemute', {
+      level: 'moderator',
+      description: 'голосование чата за тишину: votemute [cancel | on | off]',
+      handler: async (args, context) => this.handleVoteMuteCommand(args, context),
+    });
+
+    router.register('cadence', {
+      level: 'broadcaster',
+      terminalOnly: true,
+      description: `частота сообщений: cadence [${Object.keys(CADENCE_LEVELS).join(' | ')}]`,
+      handler: async (args) => this.handleCadenceCommand(args),
+    });
+
+    router.register('why', {
+      level: 'moderator',
+      description: 'почему бот написал или промолчал: why [количество]',
+      handler: async (args, context) => this.handleWhyCommand(args, context),
+    });
+
+    router.register('stats', {
+      level: 'moderator',
+      description: 'показать статистику',
+      handler: async (args, context) => {
+        const stats = this.coordinator.getStats();
+        const queueStats = this.twitchClient ? this.twitchClient.getQueueStats() : null;
+
+        // В чат - коротко, одной строкой
+        if (context.source === 'chat') {
+          return [
+            `📊 Сообщений: ${stats.totalMessages}, ответов: ${stats.totalReplies}, ` +
+            `реакций на события: ${stats.totalEventReactions}, пропущено: ${stats.skippedMessages}, ` +
+            `чат: ${stats.chatActivity.messagesPerMinute} сообщ/мин, ` +
+            `молчание: ${stats.silenceMode ? 'ВКЛ' : 'ВЫКЛ'}` +
+            (stats.voteMute.level ? ` (голосование: ${stats.voteMute.level})` : '') +
+            (queueStats ? `, в очереди: ${queueStats.pending}` : '') +
+            (stats.usage ? `, расходы за эфир: ${this.modules.usageLedger.format(stats.usage.spend.stream)}` : ''),
+          ];
+        }
+
+        const lines = [
+          `\n📊 СТАТИСТИКА БОТА (#${this.channel}):`,
+          `  Всего сообщений: ${stats.totalMessages}`,
+          `  Ответов зрителям: ${stats.totalReplies}`,
+          `  Реакций на события: ${stats.totalEventReactions}`,
+          `  Ответов стримеру: ${stats.totalStreamerReplies} (обращений: ${stats.streamerAddress.detected})`,
+          `  Отклик на сообщения: ${stats.feedback.engaged}/${stats.feedback.scored} с откликом, средняя оценка: ${stats.feedback.averageScore}`,
+          `  Подхвачено волн смайликов: ${stats.totalWaveJoins}`,
+          `  Скорость чата: ${stats.chatActivity.messagesPerMinute} сообщ/мин, зрителей: ${stats.chatActivity.uniqueChatters}` +
+            (stats.chatActivity.baseline !== null ? `, обычно: ${stats.chatActivity.baseline}` : ''),
+          `  Пропущено: ${stats.skippedMessages}`,
+          `  Режим молчания: ${stats.silenceMode ? 'ВКЛ' : 'ВЫКЛ'}`,
+          `  Голосование за тишину: ${stats.voteMute.level
+            ? `${stats.voteMute.level === 'mute' ? 'бот молчит' : 'бот пишет реже'} до ${new Date(stats.voteMute.until).toLocaleTimeString('ru-RU')}`
+            : `голосов ${stats.voteMute.votes}/${stats.voteMute.muteVotes}`}${stats.voteMute.enabled ? '' : ' (выключено)'}`,
+          `  Размер контекста:`,
+          `    - Анализы изображений: ${stats.contextBufferSize?.imageAnalysis || 0}`,
+          `    - Распознанная речь: ${stats.contextBufferSize?.speechText || 0}`,
+          `    - История чата: ${stats.contextBufferSize?.chatHistory || 0}`,
+        ];
+        lines.push(
+          `  Частота: ${stats.cadence.effectiveLevel}${stats.cadence.isQuietHours ? ' (тихие часы)' : ''}, ` +
+          `за 10 мин: ${stats.cadence.last10Min}/${CadencePolicy.formatLimit(stats.cadence.maxPer10Min)}, за час: ${stats.cadence.lastHour}/${CadencePolicy.formatLimit(stats.cadence.maxPerHour)}`
+        );
+        const timingStats = this.modules.sendScheduler?.getStats();
+        if (timingStats?.enabled) {
+          lines.push(
+            `  Задержка зрителей: ${(timingStats.latency.viewer / 1000).toFixed(1)} с${timingStats.latency.source === 'default' ? ' (не замерена)' : ''}, ` +
+            `ожидание перед отправкой: ${(timingStats.averageDelay / 1000).toFixed(1)} с, отменено: ${timingStats.cancelled}`
+          );
+        }
+        if (stats.scene.enabled) {
+          lines.push(
+            `  Сцена: ${SCENE_LABELS[stats.scene.state]}${stats.scene.paused ? ` с ${new Date(stats.scene.since).toLocaleTimeString('ru-RU')} (${stats.scene.reason})` : ''}, ` +
+            `пауз: ${stats.scene.pauses}, кадров без анализа: ${stats.scene.pausedFrames}, фрагментов рекламы в звуке: ${stats.scene.skippedAudio}`
+          );
+        }
+        if (stats.usage) {
+          const { spend, budgets, budget, stream, skipped } = stats.usage;
+          const ledger = this.modules.usageLedger;
+          const part = (name) => `${ledger.format(spend[name])}${budgets[name] > 0 ? ` из ${ledger.format(budgets[name])}` : ''}`;
+          lines.push(
+            `  Расходы на API: за час ${part('hour')}, за эфир ${part('stream')}, за день ${part('day')}`,
+            `    - Режим: ${USAGE_LEVELS[budget.level]}${budget.level !== 'normal' ? ` (${budget.reason})` : ''}` +
+              (skipped.frames + skipped.audio + skipped.ambient > 0
+                ? `, пропущено кадров: ${skipped.frames}, фрагментов речи: ${skipped.audio}, фоновых сообщений: ${skipped.ambient}`
+                : ''),
+            ...(stream ? ledger.describe(stream).map(line => `    - ${line}`) : [])
+          );
+        }
+        const liveStats = this.modules.liveWatcher?.getStats();
+        if (liveStats) {
+          const status = liveStats.offlineSince
+            ? `эфир пропал в ${new Date(liveStats.offlineSince).toLocaleTimeString('ru-RU')}, ждем возвращения`
+            : liveStats.live ? `в эфире с ${new Date(liveStats.liveSince).toLocaleTimeString('ru-RU')}` : 'ждем эфира';
+          lines.push(`  Эфир (режим демона): ${status}, стримов: ${liveStats.streams}, проверок: ${liveStats.checks} (ошибок: ${liveStats.failures})`);
+        }
+        const filterStats = this.modules.chatFilter?.getStats();
+        if (filterStats) {
+          lines.push(`  Отфильтровано сообщений чата (боты, спам, !команды): ${filterStats.filtered}`);
+        }
+        const guardStats = this.modules.promptGuard?.getStats();
+        if (guardStats) {
+          lines.push(`  Попыток командовать ботом: ${guardStats.dropped + guardStats.suspicious}, проигнорировано сообщений: ${guardStats.ignored}`);
+        }
+        if (queueStats) {
+          lines.push(
+            `  Очередь сообщений:`,
+            `    - В ожидании: ${queueStats.pending}`,
+            `    - Отправлено: ${queueStats.sent}, отброшено: ${queueStats.dropped}, повторов: ${queueStats.retried}`,
+            `    - Лимит: ${queueStats.elevated ? 'модератор/VIP' : 'обычный'}`
+          );
+        }
+        return lines;
+      },
+    });
+
+    router.register('mode', {
+      level: 'moderator',
+      description: 'показать режим работы мозга',
+      handler: async () => {
+        const currentMode = this.modules.brainCoordinator?.mode || 'normal';
+        return [`🧠 Текущий режим: ${currentMode === 'training' ? 'ОБУЧЕНИЕ' : 'ОСНОВНОЙ'}`];
+      },
+    });
+
+    router.register('training', {
+      level: 'broadcaster',
+      description: 'включить режим обучения',
+      handler: async () => {
+        if (!this.modules.brainCoordinator) {
+          return [];
+        }
+        this.modules.brainCoordinator.setMode('training');
+        return ['✅ Режим обучения включен'];
+      },
+    });
+
+    router.register('normal', {
+      level: 'broadcaster',
+      description: 'включить основной режим',
+      handler: async () => {
+        if (!this.modules.brainCoordinator) {
+          return [];
+        }
+        this.modules.brainCoordinator.setMode('normal');
+        return ['✅ Основной режим включен'];
+      },
+    });
+
+    router.register('memory', {
+      level: 'moderator',
+      description: 'показать статистику памяти',
+      handler: async (args, context) => {
+        if (!this.modules.brainCoordinator || !this.modules.brainCoordinator.memory) {
+          return ['⚠️ Память не инициализирована'];
+        }
+        const memoryStats = this.modules.brainCoordinator.memory.getStats();
+        if (context.source === 'chat') {
+          return [`💾 Записей: ${memoryStats.totalEntries}, важных: ${memoryStats.importantEntries}, категорий: ${memoryStats.categories.length}`];
+        }
+        const lines = [
+          '\n💾 СТАТИСТИКА ПАМЯТИ:',
+          `  Всего записей: ${memoryStats.totalEntries}`,
+          `  Важных записей: ${memoryStats.importantEntries}`,
+          `  Категорий: ${memoryStats.categories.length}`,
+        ];
+        if (memoryStats.categories.length > 0) {
+          lines.push(`  Категории: ${memoryStats.categories.join(', ')}`);
+        }
+        return lines;
+      },
+    });
+
+    router.register('forget', {
+      level: 'broadcaster',
+      description: 'очистить память',
+      handler: async () => {
+        if (!this.modules.brainCoordinator || !this.modules.brainCoordinator.memory) {
+          return ['⚠️ Память не инициализирована'];
+        }
+        this.modules.brainCoordinator.memory.clear();
+        return ['✅ Память очищена'];
+      },
+    });
+
+    router.register('profile', {
+      level: 'broadcaster',
+      terminalOnly: true, // Профили - личные заметки о зрителях, в чат их не выводим
+      description: 'профиль зрителя: profile <ник> [note <текст> | unnote <номер> | nickname <имя|-> | forgive | delete]',
+      handler: async (args) => this.handleProfileCommand(args),
+    });
+
+    router.register('ignore', {
+      level: 'moderator',
+      description: 'не учитывать зрителя в контексте: ignore [ник] (без ника - список) | unignore <ник>',
+      handler: async (args) => this.handleIgnoreCommand('ignore', args),
+    });
+
+    router.register('unignore', {
+      level: 'moderator',
+      description: 'снова учитывать зрителя в контексте',
+      handler: async (args) => this.handleIgnoreCommand('unignore', args),
+    });
+
+    router.register('blocked', {
+      level: 'broadcaster',
+      description: 'отклоненные фильтром сообщения: blocked [количество] | blocked reload',
+      handler: async (args, context) => this.handleBlockedCommand(args, context),
+    });
+
+    router.register('screenshot', {
+      level: 'moderator',
+      description: 'запросить скриншот от мозга',
+      handler: async () => {
+        if (!this.modules.brainCoordinator) {
+          return [];
+        }
+        const context = {
+          recentImageAnalysis: this.coordinator.contextBuffer.recentImageAnalysis,
+          speechText: this.coordinator.contextBuffer.recentSpeechText[this.coordinator.contextBuffer.recentSpeechText.length - 1],
+          chatHistory: this.coordinator.contextBuffer.chatHistory,
+          time: this.clock.now(),
+        };
+        const result = await this.modules.brainCoordinator.requestScreenshot(context);
+        if (result) {
+          return [`✅ Скриншот получен и проанализирован: ${result.description?.substring(0, 100)}...`];
+        }
+        return ['⏳ Запрос скриншота отклонен (слишком частый или не нужен)'];
+      },
+    });
+  }
+
+  /**
+   * Просмотр и редактирование профиля зрителя
+   */
+  handleProfileCommand(args) {
+    const profiles = this.modules.chatterProfiles;
+    if (!profiles) {
+      return ['⚠️ Профили зрителей не инициализированы'];
+    }
+
+    const [username, action, ...rest] = args;
+    if (!username) {
+      const stats = profiles.getStats();
+      return [`👥 Профилей зрителей: ${stats.total}, постоянных: ${stats.regulars}`, '💡 Использование: !bot profile <ник>'];
+    }
+
+    const value = rest.join(' ').trim();
+    switch ((action || '').toLowerCase()) {
+      case '': {
+        const profile = profiles.get(username);
+        if (!profile) {
+          return [`❓ Профиль ${username} не найден`];
+        }
+        const lines = [
+          `\n👤 ПРОФИЛЬ ${profile.displayName}:`,
+          `  Впервые в чате: ${new Date(profile.firstSeen).toLocaleString('ru-RU')}`,
+          `  Последний раз: ${new Date(profile.lastSeen).toLocaleString('ru-RU')}`,
+          `  Сообщений: ${profile.messageCount}, дней в чате: ${profile.daysSeen}${profiles.isRegular(profile) ? ' (постоянный)' : ''}`,
+          `  Бейджи: ${Object.keys(profile.badges).join(', ') || 'нет'}`,
+          `  Подписка: ${profile.subMonths > 0 ? `${profile.subMonths} мес.` : 'нет'}`,
+        ];
+        if (profile.nickname) {
+          lines.push(`  Обращаться: ${profile.nickname}`);
+        }
+        if (profile.recentTopics.length > 0) {
+          lines.push(`  Темы: ${profile.recentTopics.join(', ')}`);
+        }
+        profile.facts.forEach((fact, index) => {
+          lines.push(`  ${index + 1}. ${fact.text}${fact.source === 'manual' ? '' : ' (авто)'}`);
+        });
+        if (profile.injectionAttempts > 0) {
+          const ignored = this.modules.promptGuard?.isIgnored(profile.username) ? ', игнорируется' : '';
+          lines.push(`  Попыток командовать ботом: ${profile.injectionAttempts}${ignored}`);
+          (profile.injections || []).forEach(attempt => {
+            lines.push(`    [${new Date(attempt.at).toLocaleString('ru-RU')}] "${attempt.text}"`);
+          });
+        }
+        return lines;
+      }
+      case 'note':
+        if (!value) {
+          return ['💡 Использование: !bot profile <ник> note <текст>'];
+        }
+        profiles.addFact(username, value, 'manual');
+        return [`✅ Заметка о ${username} сохранена`];
+      case 'unnote': {
+        const index = parseInt(value, 10) - 1;
+        return profiles.removeFact(username, index)
+          ? [`✅ Заметка ${index + 1} о ${username} удалена`]
+          : ['❓ Нет заметки с таким номером'];
+      }
+      case 'nickname':
+        profiles.setNickname(username, value === '-' ? null : value);
+        return [value && value !== '-' ? `✅ ${username} теперь "${value}"` : `✅ Обращение к ${username} сброшено`];
+      case 'forgive':
+        return profiles.clearInjections(username)
+          ? [`✅ Попытки ${username} командовать ботом забыты`]
+          : [`❓ Профиль ${username} не найден`];
+      case 'delete':
+        return profiles.delete(username) ? [`✅ Профиль ${username} удален`] : [`❓ Профиль ${username} не найден`];
+      default:
+        return [`❓ Неизвестное действие: ${action}`, '💡 note <текст> | unnote <номер> | nickname <имя|-> | forgive | delete'];
+    }
+  }
+
+  /**
+   * Объяснение последних решений цикла генерации
+   */
+  handleWhyCommand(args, context) {
+    const trace = this.modules.decisionTrace;
+    // В чат - только последнее решение одной строкой
+    if (context.source === 'chat') {
+      const [last] = trace.explain(1);
+      return [last ? `🔎 ${last}` : '🔎 Решений еще не было'];
+    }
+
+    const limit = Math.min(Math.max(parseInt(args[0], 10) || 10, 1), 50);
+    const lines = trace.explain(limit, { details: true });
+    if (lines.length === 0) {
+      return ['🔎 Решений еще не было'];
+    }
+    const { byOutcome } = trace.getStats();
+    return [
+      `\n🔎 ПОСЛЕДНИЕ РЕШЕНИЯ (#${this.channel}):`,
+      ...lines.map(line => `  ${line}`),
+      `  За последние ${trace.recent.length} циклов: ${Object.entries(byOutcome).map(([outcome, count]) => `${outcome} ${count}`).join(', ')}`,
+    ];
+  }
+
+  /**
+   * Частота сообщений: статус, лимиты и последние решения политики или смена уровня
+   */
+  handleCadenceCommand(args) {
+    const cadence = this.modules.cadencePolicy;
+    const level = (args[0] || '').toLowerCase();
+    if (level) {
+      return cadence.setLevel(level)
+        ? [`✅ Уровень активности: ${level}`]
+        : [`❓ Неизвестный уровень: ${level}`, `💡 Уровни: ${Object.keys(CADENCE_LEVELS).join(', ')}`];
+    }
+
+    const stats = cadence.getStats();
+    const settings = cadence.getSettings();
+    const lines = [
+      `\n⏱️ ЧАСТОТА СООБЩЕНИЙ (#${this.channel}):`,
+      `  Уровень: ${stats.level}` + (stats.effectiveLevel !== stats.level ? `, сейчас: ${stats.effectiveLevel}` : ''),
+      `  Тихие часы: ${stats.quietHours ? `${stats.quietHours} → ${cadence.quietLevel}${stats.isQuietHours ? ' (сейчас)' : ''}` : 'нет'}`,
+      `  Пауза: ${settings.minPause / 1000}-${settings.idlePause / 1000} сек, пишет в любом случае через ${settings.forceAfter / 1000} сек`,
+      `  За 10 минут: ${stats.last10Min}/${CadencePolicy.formatLimit(stats.maxPer10Min)}, за час: ${stats.lastHour}/${CadencePolicy.formatLimit(stats.maxPerHour)} ` +
+        `(фоновых: ${stats.ambientLastHour}, ответов и реакций: ${stats.reactiveLastHour})`,
+      `  Подряд: не больше ${CadencePolicy.formatLimit(settings.burst)}, фоновым - ${Math.round(cadence.ambientShare * 100)}% лимитов`,
+      `  Решений: разрешено ${stats.allowed}, отказано ${stats.denied}` +
+        (Object.keys(stats.byGate).length > 0
+          ? ` (${Object.entries(stats.byGate).map(([gate, count]) => `${gate}: ${count}`).join(', ')})`
+          : ''),
+    ];
+    const decisions = cadence.getRecentDecisions(10);
+    if (decisions.length > 0) {
+      lines.push('  Последние решения:');
+      for (const decision of decisions) {
+        const time = new Date(decision.timestamp).toLocaleTimeString('ru-RU');
+        const wait = decision.waitMs > 0 ? ` (еще ${Math.ceil(decision.waitMs / 1000)} сек)` : '';
+        lines.push(`    ${time} ${decision.allowed ? '✅' : '⏸️'} ${decision.kind}/${decision.gate}: ${decision.reason}${wait}`);
+      }
+    }
+    return lines;
+  }
+
+  /**
+   * Голосование чата за тишину бота: статус, отмена модератором, включение/выключение голосования
+   */
+  handleVoteMuteCommand(args, context) {
+    const voteMute = this.coordinator.voteMute;
+    const action = (args[0] || '').toLowerCase();
+    switch (action) {
+      case 'cancel':
+        return voteMute.cancel(context.username || 'терминал')
+          ? ['✅ Тишина по голосованию снята']
+          : ['ℹ️ Бот сейчас не заглушен голосованием'];
+      case 'on':
+      case 'off':
+        voteMute.enabled = action === 'on';
+        if (!voteMute.enabled) {
+          voteMute.cancel(context.username || 'терминал');
+        }
+        return [`✅ Голосование за тишину ${voteMute.enabled ? 'включено' : 'выключено'}`];
+      case '': {
+        const stats = voteMute.getStats();
+        if (stats.level) {
+          return [`🤫 ${stats.level === 'mute' ? 'Бот молчит' : 'Бот пишет реже'} по голосованию до ${new Date(stats.until).toLocaleTimeString('ru-RU')}`];
+        }
+        return [`🗳️ Голосование ${stats.enabled ? 'включено' : 'выключено'}, голосов: ${stats.votes} (реже: ${stats.quietVotes}, тишина: ${stats.muteVotes})`];
+      }
+      default:
+        return [`❓ Неизвестное действие: ${action}`, '💡 votemute [cancel | on | off]'];
+    }
+  }
+
+  /**
+   * Список игнорируемых зрителей (боты, спамеры) - их сообщения не попадают в контекст
+   */
+  handleIgnoreCommand(command, args) {
+    const filter = this.modules.chatFilter;
+    if (!filter) {
+      return ['⚠️ Фильтр чата не инициализирован'];
+    }
+
+    const username = ChatFilter.normalize(args[0]);
+    if (!username) {
+      if (command === 'unignore') {
+        return ['💡 Использование: !bot unignore <ник>'];
+      }
+      const stats = filter.getStats();
+      const reasons = Object.entries(stats.byReason).map(([reason, count]) => `${reason} (${count})`).join(', ');
+      return [
+        `🙈 Игнорируются: ${Array.from(filter.ignoredUsers).join(', ') || 'никто'}`,
+        `🧹 Отфильтровано сообщений: ${stats.filtered} из ${stats.checked}${reasons ? ` - ${reasons}` : ''}`,
+      ];
+    }
+
+    if (command === 'ignore') {
+      filter.ignore(username);
+      return [`✅ Сообщения ${username} больше не попадают в контекст`];
+    }
+    return filter.unignore(username)
+      ? [`✅ ${username} снова учитывается`]
+      : [`❓ ${username} не в списке игнорируемых${filter.isIgnored(username) ? ' (задан в CHAT_FILTER_IGNORED_USERS)' : ''}`];
+  }
+
+  /**
+   * Журнал фильтра исходящих сообщений
+   * В чат выводится только статистика по правилам - сами заблокированные тексты туда не попадают
+   */
+  async handleBlockedCommand(args, context) {
+    const safety = this.modules.contentSafety;
+    if (!safety) {
+      return ['⚠️ Фильтр сообщений не инициализирован'];
+    }
+
+    if ((args[0] || '').toLowerCase() === 'reload') {
+      await safety.reload();
+      return [`✅ Блоклисты перезагружены, правил: ${safety.getStats().rules}`];
+    }
+
+    const stats = safety.getStats();
+
+    // В чат - только категории: имя правила содержит само запрещенное слово
+    if (context.source === 'chat') {
+      const byCategory = {};
+      Object.entries(stats.byRule).forEach(([rule, count]) => {
+        const category = rule.split(':')[0];
+        byCategory[category] = (byCategory[category] || 0) + count;
+      });
+      const categories = Object.entries(byCategory).map(([category, count]) => `${category} (${count})`);
+      return [`🛡️ Проверено: ${stats.checked}, заблокировано: ${stats.blocked}${categories.length > 0 ? `, категории: ${categories.join(', ')}` : ''}`];
+    }
+
+    const limit = parseInt(args[0], 10) || 10;
+    const lines = [
+      `\n🛡️ ФИЛЬТР СООБЩЕНИЙ (#${this.channel}):`,
+      `  Правил: ${stats.rules}, проверено: ${stats.checked}, заблокировано: ${stats.blocked}`,
+    ];
+    const rejected = safety.getRejected(limit);
+    if (rejected.length === 0) {
+      lines.push('  Отклоненных сообщений нет');
+    }
+    rejected.forEach(entry => {
+      lines.push(`  [${new Date(entry.timestamp).toLocaleString('ru-RU')}] ${entry.rule} (${entry.source || '?'}): "${entry.text}"`);
+    });
+    return lines;
+  }
+
+  /**
+   * Перенос данных из старых общих путей (data/, resources/) в каталог основного канала
+   * Файлы копируются только если в каталоге канала их еще нет
+   */
+  async migrateLegacyData() {
+    for (const [legacyPath, fileName] of LEGACY_DATA_FILES) {
+      const source = path.join(projectRoot, legacyPath);
+      const target = path.join(this.dataDir, fileName);
+      try {
+        await fs.access(target);
+        continue; // У канала уже есть свой файл
+      } catch {
+        // Файла нет - пробуем перенести
+      }
+      try {
+        await fs.copyFile(source, target);
+        console.log(`${this.logPrefix} 📁 Перенесены данные: ${legacyPath} → ${target}`);
+      } catch {
+        // Старого файла нет - ничего не переносим
+      }
+    }
+  }
+
+  /**
+   * Запуск канала: сразу или, в режиме демона, по выходу канала в эфир
+   */
+  async start() {
+    if (this.isStarted) {
+      console.log(`${this.logPrefix} ⚠️ Канал уже запущен`);
+      return;
+    }
+    this.isStarted = true;
+
+    const watcher = this.modules.liveWatcher;
+    if (!watcher) {
+      await this.startStream();
+      return;
+    }
+
+    this.onStreamOnline = () => {
+      this.runLifecycle(async () => {
+        try {
+          await this.startStream();
+        } catch (error) {
+          console.error(`${this.logPrefix} ❌ Не удалось запустить обработку стрима:`, error.message);
+          await this.stopStream().catch(() => {});
+          watcher.reset(); // Следующая проверка эфира попробует снова
+        }
+      });
+    };
+    this.onStreamOffline = ({ duration }) => {
+      console.log(`${this.logPrefix} ⚫ Эфир закончился (${Math.round(duration / 60000)} мин) - останавливаем обработку стрима`);
+      this.runLifecycle(() => this.stopStream());
+    };
+    watcher.on('online', this.onStreamOnline);
+    watcher.on('offline', this.onStreamOffline);
+    watcher.start();
+    console.log(`${this.logPrefix} 📡 Канал ждет эфира`);
+  }
+
+  /**
+   * Запуск и остановка по статусу эфира выполняются по очереди (конец эфира во время запуска ждет его окончания)
+   */
+  runLifecycle(task) {
+    this.lifecycleTask = this.lifecycleTask.then(task).catch(error => {
+      console.error(`${this.logPrefix} Ошибка запуска/остановки по статусу эфира:`, error);
+    });
+    return this.lifecycleTask;
+  }
+
+  /**
+   * Запуск обработки стрима: чат, браузер, захват аудио, сессия сбора данных и циклы генерации
+   */
+  async startStream() {
+    if (this.isRunning) {
+      console.log(`${this.logPrefix} ⚠️ Обработка стрима уже запущена`);
+      return;
+    }
+    this.isStreamStarted = true;
+
+    // Новый эфир - новая сессия данных и контекст без прошлого стрима
+    if (this.modules.dataCollector) {
+      await this.modules.dataCollector.startSession();
+    }
+    if (this.modules.liveWatcher) {
+      this.coordinator.resetStreamContext();
+    }
+    const { totalMessages, totalReplies, totalEventReactions, totalStreamerReplies } = this.coordinator.state;
+    this.streamStartedAt = this.clock.now();
+    this.streamBaseline = { totalMessages, totalReplies, totalEventReactions, totalStreamerReplies };
+    this.modules.usageLedger?.startStream(this.channel);
+
+    // Подключаемся к Twitch чату
+    console.log(`${this.logPrefix} 🔌 Подключение к Twitch чату...`);
+    await this.twitchClient.connect();
+
+    // Инициализируем браузер
+    console.log(`${this.logPrefix} 🌐 Запуск виртуального браузера...`);
+    await this.modules.browser.init();
+
+    // Запускаем цикл скриншотов
+    console.log(`${this.logPrefix} 📸 Запуск цикла анализа стрима...`);
+    this.isRunning = true;
+
+    // Запускаем два независимых цикла:
+    // 1. Цикл обработки изображений (каждые 5 секунд)
+    // 2. Цикл генерации сообщений (использует уже обработанные данные)
+
+    // ЦИКЛ 1: Обработка скриншотов (каждые 5 секунд)
+    // Ждем немного, чтобы браузер полностью инициализировался
+    await this.clock.sleep(2000);
+
+    // Цикл обработки скриншотов запущен
+    this.screenshotInterval = await this.modules.browser.startScreenshotLoop(async (screenshot) => {
+      if (!this.isRunning) return;
+
+      // Обрабатываем только изображение (параллельно, не блокируя)
+      this.coordinator.processImageOnly(screenshot).catch(error => {
+        console.error(`${this.logPrefix} Ошибка обработки изображения:`, error);
+      });
+
+      // Сбор данных для обучения (асинхронно)
+      this.collectDataForTraining(screenshot).catch(error => {
+        console.error(`${this.logPrefix} Ошибка сбора данных:`, error);
+      });
+    });
+
+    // ЦИКЛ 2: Обработка голоса/аудио (каждые 3 секунды для ускорения)
+    // Цикл обработки голоса запущен
+    this.audioCaptureInterval = await this.modules.browser.startAudioCaptureLoop(async (audioBuffer, capture) => {
+      if (!this.isRunning) return;
+
+      // Тайминг захвата - для оценки задержки стрима
+      this.modules.sendScheduler.recordCapture(capture);
+
+      // Обрабатываем голос (параллельно, не блокируя)
+      this.coordinator.processAudioOnly(audioBuffer, capture).catch(error => {
+        console.error(`${this.logPrefix} Ошибка обработки голоса:`, error);
+      });
+    }, 3000);
+
+    // Ждем 15 секунд после подключения к стриму и захвата аудио, чтобы процессы успели запуститься
+    console.log(`${this.logPrefix} ⏳ Ожидание 15 секунд для инициализации процессов...`);
+    await this.clock.sleep(15000);
+    if (!this.isRunning) {
+      return; // Канал удалили во время ожидания
+    }
+    console.log(`${this.logPrefix} ✅ Процессы инициализированы, начинаем генерацию сообщений`);
+
+    // ЦИКЛ 3: Генерация сообщений (использует уже обработанные данные)
+    // Интервал проверки задает уровень активности - при смене уровня цикл перезапускается
+    this.startGenerationLoop();
+    this.onCadenceChange = ({ level, previous }) => {
+      console.log(`${this.logPrefix} ⏱️ Частота сообщений: ${previous} → ${level}`);
+      if (this.isRunning) {
+        this.startGenerationLoop();
+      }
+    };
+    this.modules.cadencePolicy.on('change', this.onCadenceChange);
+
+    // Расход приближается к бюджету API - цикл генерации перезапускается с более длинным интервалом
+    if (this.modules.usageLedger) {
+      this.onUsageLevel = ({ channel }) => {
+        if (channel === this.channel && this.isRunning) {
+          this.startGenerationLoop();
+        }
+      };
+      this.modules.usageLedger.on('level', this.onUsageLevel);
+    }
+
+    // Всплеск или волна в чате - не ждем следующего тика
+    this.onChatHype = () => {
+      if (this.isRunning) {
+        this.runGenerationTick('hype');
+      }
+    };
+    this.coordinator.chatActivity.on('hype', this.onChatHype);
+
+    // Стример обратился к чату или к боту - отвечаем сразу
+    this.onStreamerAddress = () => {
+      if (this.isRunning) {
+        this.runAddressReply();
+      }
+    };
+    this.coordinator.addressDetector.on('address', this.onStreamerAddress);
+
+    // Стример вернулся после заставки или стрим начался - одно сообщение, как реакция на событие стрима
+    this.onSceneChange = ({ state, previous, duration }) => {
+      if (this.isRunning && state === 'live' && (previous === 'brb' || previous === 'starting') && duration >= config.scene.returnAfter) {
+        this.twitchClient.handleStreamEvent({ type: 'return', pause: previous, duration });
+      }
+    };
+    this.coordinator.sceneDetector.on('change', this.onSceneChange);
+
+    console.log(`${this.logPrefix} ✅ Обработка стрима запущена`);
+  }
+
+  /**
+   * Запуск (перезапуск) цикла генерации с интервалом текущего уровня активности
+   * (в режиме экономии бюджета API - в intervalFactor раз длиннее)
+   */
+  startGenerationLoop() {
+    if (this.messageGenerationInterval) {
+      this.clock.clearInterval(this.messageGenerationInterval);
+    }
+    this.messageGenerationInterval = this.clock.setInterval(() => {
+      if (!this.isRunning) {
+        this.clock.clearInterval(this.messageGenerationInterval);
+        return;
+      }
+      this.runGenerationTick();
+    }, this.modules.cadencePolicy.getTickInterval() * (this.coordinator.getUsageBudget()?.intervalFactor || 1));
+  }
+
+  /**
+   * Один цикл генерации фонового сообщения (по таймеру или по всплеску активности чата)
+   * Каждый цикл записывается в журнал решений
+   * @param {string} trigger - timer | hype
+   */
+  async runGenerationTick(trigger = 'timer') {
+    const trace = this.modules.decisionTrace.begin(trigger);
+    if (trace.blocks('busy', this.isGenerating, 'предыдущая генерация еще не закончилась')) {
+      return;
+    }
+    this.isGenerating = true;
+
+    try {
+      const message = await this.coordinator.generateMessageFromContext(trace);
+      if (message) {
+        const timing = await this.waitForSendTime(message, trace);
+        if (!timing) {
+          return;
+        }
+        // Фоновый комментарий - обычный приоритет, ответы на упоминания идут раньше
+        const sent = await this.twitchClient.sendMessage(message, { priority: 'normal', source: 'generation', trace, maxAge: timing.maxAge });
+        if (!sent) {
+          trace.finish('not_sent', 'очередь не отправила сообщение', message);
+          return;
+        }
+        trace.finish('sent', null, message);
+        this.coordinator.recordSentMessage(message, { waveJoin: trace.steps.includes('wave_join') });
+        // Сохраняем сообщение в историю сессии
+        if (this.modules.sessionHistory) {
+          this.modules.sessionHistory.addBotMessage(message, this.clock.now()).catch(() => {});
+        }
+        // Обновляем время последнего сообщения в мозге
+        if (this.modules.brainCoordinator) {
+          this.modules.brainCoordinator.setLastMessageTime(this.clock.now());
+        }
+      }
+      // Причину пропуска обычно уже записал координатор - это запасной итог
+      trace.finish('skipped', 'нет сообщения');
+    } catch (error) {
+      console.error(`${this.logPrefix} Ошибка генерации сообщения:`, error);
+      trace.finish('error', error.message);
+    } finally {
+      this.isGenerating = false;
+    }
+  }
+
+  /**
+   * Ответ на обращение стримера к чату или к боту (с высоким приоритетом, по лимитам ответов)
+   */
+  async runAddressReply() {
+    const trace = this.modules.decisionTrace.begin('address');
+    try {
+      const message = await this.coordinator.generateStreamerReply(trace);
+      if (!message) {
+        trace.finish('skipped', 'нет сообщения');
+        return;
+      }
+      const timing = await this.waitForSendTime(message, trace);
+      if (!timing) {
+        return;
+      }
+      const sent = await this.twitchClient.sendMessage(message, { priority: 'high', source: 'reply', persona: 'streamer', trace, maxAge: timing.maxAge });
+      if (!sent) {
+        trace.finish('not_sent', 'очередь не отправила сообщение', message);
+        return;
+      }
+      trace.finish('sent', null, message);
+      if (this.modules.sessionHistory) {
+        this.modules.sessionHistory.addBotMessage(message, this.clock.now()).catch(() => {});
+      }
+      if (this.modules.brainCoordinator) {
+        this.modules.brainCoordinator.setLastMessageTime(this.clock.now());
+      }
+    } catch (error) {
+      console.error(`${this.logPrefix} Ошибка ответа стримеру:`, error);
+      trace.finish('error', error.message);
+    }
+  }
+
+  /**
+   * Ожидание времени отправки: момент сообщения должен дойти до зрителей, а сообщение - успеть "набраться"
+   * Если зрители видели момент слишком давно или бот замолчал, пока ждал, - цикл завершается
+   * @returns {Promise<Object|null>} План отправки (maxAge для очереди) или null, если сообщение отменено
+   */
+  async waitForSendTime(message, trace) {
+    // Без момента стрима сообщение отвечает на то, что было в начале цикла
+    const moment = trace.inputs.moment || { kind: 'chat', at: trace.startedAt };
+    const timing = await this.modules.sendScheduler.schedule(message, moment);
+    trace.input({ sendDelay: timing.delay, viewerLatency: this.modules.sendScheduler.getLatency().viewer });
+    if (trace.blocks('timing', !!timing.cancelled, timing.cancelled, { outcome: 'cancelled', message })) {
+      return null;
+    }
+    const state = this.coordinator.state;
+    if (trace.blocks('typing', !this.isRunning || !state.isActive || state.silenceMode, 'бот замолчал, пока набирал сообщение', { outcome: 'cancelled', message })) {
+      return null;
+    }
+    return timing;
+  }
+
+  /**
+   * Сбор данных для обучения (параллельно с обработкой, не блокируя)
+   */
+  async collectDataForTraining(screenshot) {
+    if (!this.modules.dataCollector || !this.modules.dataCollector.enabled) {
+      return;
+    }
+
+    // Запускаем сбор данных асинхронно, не блокируя основной цикл
+    // Используем setTimeout для полной асинхронности
+    setImmediate(async () => {
+      try {
+        // Ждем немного, чтобы анализ изображения успел завершиться
+        await this.clock.sleep(1000);
+
+        // Получаем текущий контекст
+        const imageAnalysis = this.coordinator.contextBuffer.recentImageAnalysis[
+          this.coordinator.contextBuffer.recentImageAnalysis.length - 1
+        ] || null;
+
+        const speechText = this.coordinator.contextBuffer.recentSpeechText[
+          this.coordinator.contextBuffer.recentSpeechText.length - 1
+        ] || null;
+
+        const chatMessages = this.coordinator.contextBuffer.chatHistory.slice(-10) || [];
+
+        // Сохраняем данные (не блокируя основной цикл)
+        await this.modules.dataCollector.saveScreenshot(
+          screenshot,
+          imageAnalysis,
+          speechText,
+          chatMessages
+        );
+
+        // Сохраняем речь если есть
+        if (speechText) {
+          await this.modules.dataCollector.saveSpeech(speechText);
+        }
+      } catch (error) {
+        console.error(`${this.logPrefix} Ошибка сбора данных:`, error);
+      }
+    });
+  }
+
+  async stop() {
+    console.log(`${this.logPrefix} 🛑 Остановка канала...`);
+    this.isStarted = false;
+
+    if (this.modules.liveWatcher) {
+      this.modules.liveWatcher.stop();
+      this.modules.liveWatcher.off('online', this.onStreamOnline);
+      this.modules.liveWatcher.off('offline', this.onStreamOffline);
+      this.onStreamOnline = null;
+      this.onStreamOffline = null;
+    }
+    // Дожидаемся запуска или остановки по статусу эфира, если они уже идут
+    await this.lifecycleTask;
+    await this.stopStream();
+
+    console.log(`${this.logPrefix} ✅ Канал остановлен`);
+  }
+
+  /**
+   * Остановка обработки стрима с сохранением данных (канал в режиме демона дальше ждет эфира)
+   */
+  async stopStream() {
+    if (!this.isStreamStarted) {
+      return;
+    }
+    this.isStreamStarted = false;
+    this.isRunning = false;
+
+    // Останавливаем циклы захвата и генерации сообщений
+    if (this.screenshotInterval) {
+      this.clock.clearInterval(this.screenshotInterval);
+      this.screenshotInterval = null;
+    }
+    if (this.audioCaptureInterval) {
+      this.clock.clearInterval(this.audioCaptureInterval);
+      this.audioCaptureInterval = null;
+    }
+    if (this.messageGenerationInterval) {
+      this.clock.clearInterval(this.messageGenerationInterval);
+      this.messageGenerationInterval = null;
+    }
+    if (this.coordinator) {
+      this.coordinator.voteMute.stop();
+    }
+    this.modules.sendScheduler?.cancelAll('канал остановлен');
+    if (this.onChatHype && this.coordinator) {
+      this.coordinator.chatActivity.off('hype', this.onChatHype);
+      this.onChatHype = null;
+    }
+    if (this.onStreamerAddress && this.coordinator) {
+      this.coordinator.addressDetector.off('address', this.onStreamerAddress);
+      this.onStreamerAddress = null;
+    }
+    if (this.onSceneChange && this.coordinator) {
+      this.coordinator.sceneDetector.off('change', this.onSceneChange);
+      this.onSceneChange = null;
+    }
+    if (this.onCadenceChange && this.modules.cadencePolicy) {
+      this.modules.cadencePolicy.off('change', this.onCadenceChange);
+      this.onCadenceChange = null;
+    }
+    if (this.onUsageLevel && this.modules.usageLedger) {
+      this.modules.usageLedger.off('level', this.onUsageLevel);
+      this.onUsageLevel = null;
+    }
+
+    // Сообщения, которые еще ждут отклика, оцениваются сразу - оценки сохраняются в памяти мозга
+    if (this.coordinator) {
+      await this.coordinator.feedbackTracker.flush();
+    }
+
+    // Сохраняем данные перед остановкой
+    if (this.modules.dataCollector && this.modules.dataCollector.enabled) {
+      console.log('[DataCollector] Сохранение сессии...');
+      await this.modules.dataCollector.endSession();
+    }
+
+    // Сохраняем историю сессии перед остановкой
+    if (this.modules.sessionHistory) {
+      await this.modules.sessionHistory.save();
+      console.log('[SessionHistory] 💾 История сессии сохранена');
+    }
+
+    if (this.modules.emoteRegistry) {
+      await this.modules.emoteRegistry.save();
+    }
+
+    if (this.modules.chatterProfiles) {
+      await this.modules.chatterProfiles.save();
+    }
+
+    if (this.modules.decisionTrace) {
+      await this.modules.decisionTrace.flush();
+    }
+
+    if (this.modules.browser) {
+      await this.modules.browser.stop();
+    }
+
+    if (this.twitchClient) {
+      await this.twitchClient.disconnect();
+    }
+
+    await this.reportStream().catch(error => {
+      console.error(`${this.logPrefix} Ошибка сохранения итогов эфира:`, error.message);
+    });
+
+    console.log(`${this.logPrefix} ⏹️ Обработка стрима остановлена`);
+  }
+
+  /**
+   * Итоги эфира: длительность, сообщения бота и расходы на API - в консоль
+   * и в data/channels/<канал>/stream_reports.jsonl
+   */
+  async reportStream() {
+    if (!this.streamStartedAt || !this.coordinator) {
+      return;
+    }
+    const endedAt = this.clock.now();
+    const state = this.coordinator.state;
+    const baseline = this.streamBaseline;
+    const report = {
+      startedAt: this.streamStartedAt,
+      endedAt,
+      messages: state.totalMessages - baseline.totalMessages,
+      replies: state.totalReplies - baseline.totalReplies,
+      eventReactions: state.totalEventReactions - baseline.totalEventReactions,
+      streamerReplies: state.totalStreamerReplies - baseline.totalStreamerReplies,
+      usage: this.modules.usageLedger?.endStream(this.channel) || null,
+    };
+    this.streamStartedAt = null;
+    this.streamBaseline = null;
+
+    const lines = [
+      `${this.logPrefix} 📊 Итоги эфира: ${Math.round((endedAt - report.startedAt) / 60000)} мин, ` +
+        `сообщений: ${report.messages}, ответов зрителям: ${report.replies}, стримеру: ${report.streamerReplies}, реакций на события: ${report.eventReactions}`,
+    ];
+    if (report.usage) {
+      const ledger = this.modules.usageLedger;
+      lines.push(
+        `${this.logPrefix} 💸 Расходы на API: ${ledger.format(report.usage.cost)} (запросов: ${report.usage.calls})` +
+          (report.usage.peakLevel !== 'normal' ? `, режим экономии: ${USAGE_LEVELS[report.usage.peakLevel]}` : ''),
+        ...ledger.describe(report.usage).map(line => `${this.logPrefix}    - ${line}`)
+      );
+    }
+    lines.forEach(line => console.log(line));
+
+    await fs.appendFile(path.join(this.dataDir, 'stream_reports.jsonl'), `${JSON.stringify(report)}\n`, 'utf-8');
+  }
+}
@@ -7,7 +7,28 @@ export const config = {
     username: process.env.TWITCH_USERNAME || '',
     oauthToken: process.env.TWITCH_OAUTH_TOKEN || '',
     channel: process.env.TWITCH_CHANNEL || '',
+    // Несколько каналов через запятую (TWITCH_CHANNELS=chan1,chan2), по умолчанию только TWITCH_CHANNEL
+    channels: (process.env.TWITCH_CHANNELS || process.env.TWITCH_CHANNEL || '')
+      .split(',')
+      .map(channel => channel.trim().toLowerCase().replace(/^#/, ''))
+      .filter(Boolean),
     streamerName: process.env.STREAMER_NAME || process.env.TWITCH_CHANNEL || 'стример',
+    // Свой IRC сервер вместо Twitch (локальный заменитель для офлайн запуска: npm run fake-twitch)
+    ircServer: process.env.TWITCH_IRC_SERVER || '',
+    ircPort: parseInt(process.env.TWITCH_IRC_PORT || '6680', 10),
+  },
+  channels: {
+    // Каталог с данными каналов: у каждого канала своя папка (история, память, голоса)
+    dataRoot: process.env.CHANNELS_DATA_DIR || 'data/channels',
+  },
+  lifecycle: {
+    // Режим демона (npm run daemon): канал ждет эфира, обработка стрима запускается и останавливается сама
+    enabled: process.env.DAEMON_MODE === 'true' || process.argv.includes('--daemon'),
+    method: process.env.LIVE_CHECK_METHOD || 'auto', // page (страница канала), ytdlp (проба yt-dlp), auto (страница, при ошибке - yt-dlp)
+    pollInterval: parseInt(process.env.LIVE_CHECK_INTERVAL || '60000', 10), // Проверка, пока канал не в эфире
+    livePollInterval: parseInt(process.env.LIVE_CHECK_LIVE_INTERVAL || '60000', 10), // Проверка во время эфира
+    offlineGrace: parseInt(process.env.LIVE_OFFLINE_GRACE || '300000', 10), // Сколько ждать возвращения эфира (5 минут)
+    requestTimeout: parseInt(process.env.LIVE_CHECK_TIMEOUT || '10000', 10),
   },
   browser: {
     headless: process.env.HEADLESS !== 'false',
@@ -34,6 +55,250 @@ export const config = {
     // Режим работы мозга: 'normal' (основной) или 'training' (обучение)
     brainMode: process.env.BRAIN_MODE || 'normal',
   },
+  replies: {
+    // Ответы зрителям, которые упомянули бота или ответили на его сообщение
+    enabled: process.env.REPLIES_ENABLED !== 'false',
+    userCooldown: parseInt(process.env.REPLY_USER_COOLDOWN || '60000', 10), // Пауза между ответами одному зрителю
+    maxPerUser: parseInt(process.env.REPLY_MAX_PER_USER || '3', 10), // Максимум ответов одному зрителю за окно
+    userWindow: parseInt(process.env.REPLY_USER_WINDOW || '600000', 10), // Окно подсчета (10 минут)
+  },
+  chatCommands: {
+    // Команды !bot из чата Twitch (стример, модераторы, VIP) - из терминала работают всегда
+    enabled: process.env.CHAT_COMMANDS_ENABLED !== 'false',
+    cooldown: parseInt(process.env.CHAT_COMMANDS_COOLDOWN || '5000', 10), // Кулдаун каждой команды
+    replyMode: process.env.CHAT_COMMANDS_REPLY_MODE || 'chat', // chat (ответ веткой) или whisper (шепот)
+    // Уровни доступа: CHAT_COMMANDS_ACL=stats:everyone,silence:vip (everyone, vip, moderator, broadcaster)
+    acl: Object.fromEntries((process.env.CHAT_COMMANDS_ACL || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim().toLowerCase()))
+      .filter(([command, level]) => command && level)),
+  },
+  streamEvents: {
+    // Реакции на события стрима (подписки, гифты, рейды, битсы) - событие всегда попадает в историю сессии
+    enabled: process.env.STREAM_EVENTS_ENABLED !== 'false',
+    sub: {
+      enabled: process.env.STREAM_EVENT_SUB_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_SUB_COOLDOWN || '120000', 10),
+    },
+    resub: {
+      enabled: process.env.STREAM_EVENT_RESUB_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_RESUB_COOLDOWN || '120000', 10),
+    },
+    subgift: {
+      enabled: process.env.STREAM_EVENT_SUBGIFT_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_SUBGIFT_COOLDOWN || '120000', 10),
+    },
+    submysterygift: {
+      enabled: process.env.STREAM_EVENT_MYSTERYGIFT_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_MYSTERYGIFT_COOLDOWN || '60000', 10),
+      minAmount: parseInt(process.env.STREAM_EVENT_MYSTERYGIFT_MIN_COUNT || '1', 10), // Минимум подарочных подписок
+    },
+    raid: {
+      enabled: process.env.STREAM_EVENT_RAID_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_RAID_COOLDOWN || '60000', 10),
+      minAmount: parseInt(process.env.STREAM_EVENT_RAID_MIN_VIEWERS || '1', 10), // Минимум зрителей в рейде
+    },
+    cheer: {
+      enabled: process.env.STREAM_EVENT_CHEER_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_CHEER_COOLDOWN || '60000', 10),
+      minAmount: parseInt(process.env.STREAM_EVENT_CHEER_MIN_BITS || '100', 10), // Реагируем только на крупные донаты битсами
+    },
+    return: {
+      // Стример вернулся после заставки "отошел" или стрим начался после "скоро начнем"
+      enabled: process.env.STREAM_EVENT_RETURN_ENABLED !== 'false',
+      cooldown: parseInt(process.env.STREAM_EVENT_RETURN_COOLDOWN || '600000', 10),
+    },
+  },
+  emotes: {
+    // Смайлики 7TV/BTTV/FFZ/Twitch канала: список для промптов и фильтр выдуманных смайликов
+    enabled: process.env.EMOTES_ENABLED !== 'false',
+    providers: (process.env.EMOTES_PROVIDERS || '7tv,bttv,ffz')
+      .split(',')
+      .map(provider => provider.trim().toLowerCase())
+      .filter(Boolean),
+    refreshInterval: parseInt(process.env.EMOTES_REFRESH_INTERVAL || '21600000', 10), // Обновление наборов (6 часов)
+    promptLimit: parseInt(process.env.EMOTES_PROMPT_LIMIT || '30', 10), // Сколько смайликов показывать модели
+  },
+  chatActivity: {
+    // Анализ активности чата: всплески ускоряют реакцию бота, во время флуда бот молчит
+    enabled: process.env.CHAT_ACTIVITY_ENABLED !== 'false',
+    spikeFactor: parseFloat(process.env.CHAT_ACTIVITY_SPIKE_FACTOR || '2.5'), // Во сколько раз чат быстрее обычного
+    floodThreshold: parseInt(process.env.CHAT_ACTIVITY_FLOOD_THRESHOLD || '90', 10), // Сообщений в минуту - флуд
+    waveMinUsers: parseInt(process.env.CHAT_ACTIVITY_WAVE_MIN_USERS || '3', 10), // Зрителей в волне смайликов
+    joinWaves: process.env.CHAT_ACTIVITY_JOIN_WAVES !== 'false', // Подхватывать волны смайликов
+  },
+  streamerAddress: {
+    // Стример обращается к чату ("чат, как думаете") или к боту по имени - бот отвечает сразу, без фоновых кулдаунов
+    enabled: process.env.STREAMER_ADDRESS_ENABLED !== 'false',
+    // Как стример называет бота (через запятую), кроме ника - части ника от 4 букв и их запись кириллицей узнаются сами
+    botNames: (process.env.STREAMER_ADDRESS_BOT_NAMES || '')
+      .split(',')
+      .map(name => name.trim())
+      .filter(Boolean),
+    cooldown: parseInt(process.env.STREAMER_ADDRESS_COOLDOWN || '30000', 10), // Не чаще одного ответа стримеру
+    ttl: parseInt(process.env.STREAMER_ADDRESS_TTL || '20000', 10), // Обращение устаревает, если ответ не успел
+  },
+  scene: {
+    // Реклама и заставки ("отошел", "скоро начнем"): скриншоты не уходят в модель, фоновых сообщений нет
+    enabled: process.env.SCENE_DETECTION_ENABLED !== 'false',
+    staticDuration: parseInt(process.env.SCENE_STATIC_DURATION || '45000', 10), // Кадр не меняется столько - заставка
+    quietStaticDuration: parseInt(process.env.SCENE_QUIET_STATIC_DURATION || '20000', 10), // То же в тишине
+    silenceDb: parseFloat(process.env.SCENE_SILENCE_DB || '-50'), // Средняя громкость ниже - тишина
+    staticThreshold: parseFloat(process.env.SCENE_STATIC_THRESHOLD || '3'), // Разница кадров (0-255) - кадр стоит
+    changeThreshold: parseFloat(process.env.SCENE_CHANGE_THRESHOLD || '12'), // Разница кадров - заставку сняли
+    returnAfter: parseInt(process.env.SCENE_RETURN_AFTER || '60000', 10), // Написать о возвращении после паузы дольше
+  },
+  feedback: {
+    // Отклик на сообщения бота (ответы, цитаты, стример прочитал, смайлики, удаление модератором):
+    // оценки хранятся в памяти мозга, удачные и неудачные примеры подсказывают стиль в промптах
+    enabled: process.env.FEEDBACK_ENABLED !== 'false',
+    window: parseInt(process.env.FEEDBACK_WINDOW || '90000', 10), // Сколько мс после сообщения собираются отклики
+    emoteWindow: parseInt(process.env.FEEDBACK_EMOTE_WINDOW || '20000', 10), // Смайлики - только сразу после сообщения
+    guidanceSize: parseInt(process.env.FEEDBACK_GUIDANCE_SIZE || '3', 10), // Удачных примеров роли в промпте
+  },
+  sendTiming: {
+    // Сообщение уходит не сразу после генерации, а когда момент стрима дошел до зрителей и его успели бы набрать
+    enabled: process.env.SEND_TIMING_ENABLED !== 'false',
+    // Задержка стрима у зрителей вручную (мс); без значения - по меткам времени плейлиста HLS плюс буфер плеера
+    viewerLatency: process.env.SEND_TIMING_VIEWER_LATENCY ? parseInt(process.env.SEND_TIMING_VIEWER_LATENCY, 10) : null,
+    playerBuffer: parseInt(process.env.SEND_TIMING_PLAYER_BUFFER || '4000', 10), // Насколько плеер держится позади края HLS
+    typing: {
+      baseDelay: parseInt(process.env.SEND_TIMING_TYPING_BASE || '1200', 10), // Заметить момент и начать печатать
+      perChar: parseInt(process.env.SEND_TIMING_TYPING_PER_CHAR || '150', 10), // Мс на символ
+      jitter: parseFloat(process.env.SEND_TIMING_TYPING_JITTER || '0.3'), // Случайный разброс (0.3 = ±30%)
+      maxDelay: parseInt(process.env.SEND_TIMING_TYPING_MAX || '12000', 10),
+    },
+    maxLateness: parseInt(process.env.SEND_TIMING_MAX_LATENESS || '15000', 10), // Момент прошел - сообщение отменяется
+  },
+  candidates: {
+    // Варианты фонового сообщения за один запрос к модели: отправляется лучший (1 - как раньше, один вариант)
+    count: parseInt(process.env.CANDIDATES_COUNT || '3', 10),
+    topUp: process.env.CANDIDATES_TOP_UP !== 'false', // Добирать варианты отдельными запросами, если модель вернула меньше
+    weights: {
+      novelty: parseFloat(process.env.CANDIDATES_WEIGHT_NOVELTY || '0.4'), // Непохожесть на недавние сообщения бота
+      relevance: parseFloat(process.env.CANDIDATES_WEIGHT_RELEVANCE || '0.3'), // Связь с последней фразой стримера
+      style: parseFloat(process.env.CANDIDATES_WEIGHT_STYLE || '0.3'), // Длина, русский язык, без постоянных вопросов
+    },
+  },
+  decisionTrace: {
+    // Журнал решений цикла генерации: data/channels/<канал>/traces/decisions.jsonl (для !bot why в памяти ведется всегда)
+    enabled: process.env.DECISION_TRACE_ENABLED !== 'false',
+    maxFileSize: parseInt(process.env.DECISION_TRACE_MAX_FILE_SIZE || '5242880', 10), // Ротация после 5 МБ
+    maxFiles: parseInt(process.env.DECISION_TRACE_MAX_FILES || '3', 10), // Сколько старых файлов хранить
+  },
+  usage: {
+    // Учет расходов на API: каждый запрос к ProxyAPI/OpenAI с токенами, секундами аудио и оценкой стоимости
+    // пишется в data/usage/usage-YYYY-MM-DD.jsonl (в памяти учет ведется всегда)
+    enabled: process.env.USAGE_LOG_ENABLED !== 'false',
+    dir: process.env.USAGE_DATA_DIR || 'data/usage',
+    keepDays: parseInt(process.env.USAGE_KEEP_DAYS || '30', 10), // Сколько дней хранить файлы расходов
+    currency: process.env.USAGE_CURRENCY || '₽', // Валюта цен и бюджетов
+    // Цены моделей поверх встроенных: USAGE_TOKEN_PRICES=модель:вход/выход (за 1 млн токенов),
+    // USAGE_AUDIO_PRICES=модель:цена (за минуту аудио), через запятую
+    prices: Object.fromEntries([
+      ...(process.env.USAGE_TOKEN_PRICES || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([model, price]) => model && price)
+        .map(([model, price]) => {
+          const [input, output] = price.split('/').map(value => parseFloat(value) || 0);
+          return [model, { input, output: output ?? input }];
+        }),
+      ...(process.env.USAGE_AUDIO_PRICES || '')
+        .split(',')
+        .map(entry => entry.split(':').map(part => part.trim()))
+        .filter(([model, price]) => model && price)
+        .map(([model, price]) => [model, { audioMinute: parseFloat(price) || 0 }]),
+    ]),
+    // Бюджеты (0 - без лимита): час - скользящий, эфир - у каждого канала свой, день - по времени сервера
+    hourlyBudget: parseFloat(process.env.USAGE_HOURLY_BUDGET || '0'),
+    streamBudget: parseFloat(process.env.USAGE_STREAM_BUDGET || '0'),
+    dailyBudget: parseFloat(process.env.USAGE_DAILY_BUDGET || '0'),
+    // Экономия по доле бюджета: интервалы длиннее -> без анализа скриншотов -> (100%) речь только локально
+    slowAt: parseFloat(process.env.USAGE_SLOW_AT || '0.7'),
+    noVisionAt: parseFloat(process.env.USAGE_NO_VISION_AT || '0.9'),
+    slowFactor: parseFloat(process.env.USAGE_SLOW_FACTOR || '2'), // Во сколько раз реже генерация и анализ скриншотов
+  },
+  voteMute: {
+    // Голосование чата за тишину бота: фраза от N разных зрителей за окно
+    enabled: process.env.VOTE_MUTE_ENABLED !== 'false',
+    phrases: (process.env.VOTE_MUTE_PHRASES || 'бот молчи,бот замолчи')
+      .split(',')
+      .map(phrase => phrase.trim())
+      .filter(Boolean),
+    quietVotes: parseInt(process.env.VOTE_MUTE_QUIET_VOTES || '3', 10), // Голосов, чтобы бот писал реже (0 - выкл)
+    muteVotes: parseInt(process.env.VOTE_MUTE_VOTES || '5', 10), // Голосов, чтобы бот замолчал
+    window: parseInt(process.env.VOTE_MUTE_WINDOW || '120000', 10), // Окно подсчета голосов
+    duration: parseInt(process.env.VOTE_MUTE_DURATION || '900000', 10), // Сколько длится тишина (15 минут)
+    quietInterval: parseInt(process.env.VOTE_MUTE_QUIET_INTERVAL || '60000', 10), // "Реже" - не чаще раза в минуту
+  },
+  cadence: {
+    // Частота сообщений: уровень активности (lurk, quiet, normal, chatty), лимиты и тихие часы
+    level: process.env.CADENCE_LEVEL || 'normal',
+    // Свой уровень для канала: CADENCE_CHANNEL_LEVELS=channel1:quiet,channel2:chatty
+    channelLevels: Object.fromEntries((process.env.CADENCE_CHANNEL_LEVELS || '')
+      .split(',')
+      .map(entry => entry.split(':').map(part => part.trim().toLowerCase()))
+      .filter(([channel, level]) => channel && level)),
+    quietHours: process.env.CADENCE_QUIET_HOURS || '', // Например 01:00-08:00 (по времени сервера)
+    quietLevel: process.env.CADENCE_QUIET_LEVEL || 'lurk', // Уровень в тихие часы (off - не писать)
+    ambientShare: parseFloat(process.env.CADENCE_AMBIENT_SHARE || '0.7'), // Доля лимитов для фоновых сообщений
+    // Переопределение лимитов уровня (пусто - как в уровне)
+    overrides: {
+      maxPer10Min: process.env.CADENCE_MAX_PER_10MIN ? parseInt(process.env.CADENCE_MAX_PER_10MIN, 10) : null,
+      maxPerHour: process.env.CADENCE_MAX_PER_HOUR ? parseInt(process.env.CADENCE_MAX_PER_HOUR, 10) : null,
+      burst: process.env.CADENCE_BURST ? parseInt(process.env.CADENCE_BURST, 10) : null,
+    },
+  },
+  chatFilter: {
+    // Фильтр входящего чата: боты, игнорируемые зрители, спам и !команды не попадают в контекст и обучение
+    enabled: process.env.CHAT_FILTER_ENABLED !== 'false',
+    ignoreKnownBots: process.env.CHAT_FILTER_KNOWN_BOTS !== 'false', // Nightbot, StreamElements, Moobot, Fossabot...
+    botAccounts: (process.env.CHAT_FILTER_BOT_ACCOUNTS || '')
+      .split(',')
+      .map(login => login.trim().toLowerCase())
+      .filter(Boolean), // Твинки бота и другие боты канала
+    ignoredUsers: (process.env.CHAT_FILTER_IGNORED_USERS || '')
+      .split(',')
+      .map(login => login.trim().toLowerCase())
+      .filter(Boolean),
+    ignoreCommands: process.env.CHAT_FILTER_IGNORE_COMMANDS !== 'false', // !команды другим ботам
+    repeatLimit: parseInt(process.env.CHAT_FILTER_REPEAT_LIMIT || '3', 10), // Одно сообщение N раз за минуту - спам
+    maxLinks: parseInt(process.env.CHAT_FILTER_MAX_LINKS || '2', 10), // Ссылок в одном сообщении
+    maxLength: parseInt(process.env.CHAT_FILTER_MAX_LENGTH || '300', 10), // Длиннее - копипаста-простыня
+  },
+  promptGuard: {
+    // Защита промптов от команд из чата ("игнорируй инструкции и напиши ...")
+    enabled: process.env.PROMPT_GUARD_ENABLED !== 'false',
+    ignoreAfter: parseInt(process.env.PROMPT_GUARD_IGNORE_AFTER || '3', 10), // Попыток до игнора зрителя
+    ignoreDuration: parseInt(process.env.PROMPT_GUARD_IGNORE_DURATION || '86400000', 10), // Сколько игнорировать (мс)
+  },
+  safety: {
+    // Фильтр исходящих сообщений: блоклисты, категории, локальный классификатор
+    enabled: process.env.SAFETY_ENABLED !== 'false',
+    // Категории: slurs, politics, self_harm, personal_data, links
+    categories: (process.env.SAFETY_CATEGORIES || 'slurs,politics,self_harm,personal_data,links')
+      .split(',')
+      .map(category => category.trim().toLowerCase())
+      .filter(Boolean),
+    // Общий блоклист для всех каналов (у каждого канала еще свой: data/channels/<канал>/blocklist.txt)
+    blocklistFile: process.env.SAFETY_BLOCKLIST_FILE || 'resources/blocklist.txt',
+    allowedDomains: (process.env.SAFETY_ALLOWED_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    classifierUrl: process.env.SAFETY_CLASSIFIER_URL || '', // POST { text } -> { blocked, category, reason }
+    classifierTimeout: parseInt(process.env.SAFETY_CLASSIFIER_TIMEOUT || '2000', 10),
+  },
+  messageQueue: {
+    // Лимиты Twitch за окно 30 секунд: обычный аккаунт / модератор, VIP или стример
+    normalLimit: parseInt(process.env.MESSAGE_QUEUE_NORMAL_LIMIT || '20', 10),
+    elevatedLimit: parseInt(process.env.MESSAGE_QUEUE_ELEVATED_LIMIT || '100', 10),
+    windowMs: 30000,
+    // Сообщение старше этого времени выбрасывается из очереди (уже не в контексте)
+    maxAge: parseInt(process.env.MESSAGE_QUEUE_MAX_AGE || '20000', 10),
+    maxRetries: parseInt(process.env.MESSAGE_QUEUE_MAX_RETRIES || '3', 10),
+  },
   debug: {
     consoleOnly: process.env.CONSOLE_ONLY === 'true', // Только консоль, не отправлять в чат
   },
@@ -0,0 +1,641 @@
+import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+
+// Префикс сервера Twitch в сообщениях IRC
+const SERVER_PREFIX = 'tmi.twitch.tv';
+
+// Состояние комнаты по умолчанию (как после входа в обычный канал)
+const DEFAULT_ROOM_STATE = {
+  'emote-only': false,
+  'followers-only': -1,
+  r9k: false,
+  slow: 0,
+  'subs-only': false,
+};
+
+// Методы, доступные из сценариев replay()
+const SCRIPT_ACTIONS = new Set([
+  'chat', 'cheer', 'userNotice', 'sub', 'resub', 'subGift', 'mysteryGift', 'raid',
+  'deleteMessage', 'timeout', 'ban', 'unban', 'clearChat', 'setRoomState', 'setBotBadges', 'sendNotice',
+]);
+
+/**
+ * Экранирование значения тега IRCv3
+ */
+function escapeTagValue(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\:')
+    .replace(/ /g, '\\s')
+    .replace(/\r/g, '\\r')
+    .replace(/\n/g, '\\n');
+}
+
+/**
+ * Сериализация тегов IRCv3: { key: value } -> "@key=value;..."
+ */
+function formatTags(tags) {
+  const entries = Object.entries(tags).filter(([, value]) => value !== undefined);
+  if (entries.length === 0) {
+    return '';
+  }
+  return '@' + entries.map(([key, value]) => {
+    if (value === true) return `${key}=1`;
+    if (value === false) return `${key}=0`;
+    if (value === null) return `${key}=`;
+    return `${key}=${escapeTagValue(value)}`;
+  }).join(';') + ' ';
+}
+
+/**
+ * Бейджи объектом -> строка Twitch ("moderator/1,subscriber/12")
+ */
+function formatBadges(badges = {}) {
+  return Object.entries(badges).map(([name, version]) => `${name}/${version}`).join(',');
+}
+
+/**
+ * Разбор строки, пришедшей от клиента: [@tags] COMMAND params [:trailing]
+ */
+function parseClientLine(line) {
+  let rest = line;
+  const tags = {};
+
+  if (rest.startsWith('@')) {
+    const spaceIndex = rest.indexOf(' ');
+    rest.substring(1, spaceIndex).split(';').forEach(pair => {
+      const [key, value = ''] = pair.split('=');
+      tags[key] = value;
+    });
+    rest = rest.substring(spaceIndex + 1);
+  }
+
+  const trailingIndex = rest.indexOf(' :');
+  const trailing = trailingIndex >= 0 ? rest.substring(trailingIndex + 2) : null;
+  const head = trailingIndex >= 0 ? rest.substring(0, trailingIndex) : rest;
+  const [command, ...params] = head.trim().split(/\s+/);
+
+  if (trailing !== null) {
+    params.push(trailing);
+  }
+
+  return { tags, command: (command || '').toUpperCase(), params };
+}
+
+/**
+ * Локальный заменитель IRC сервера Twitch для офлайн запуска бота
+ * Говорит на диалекте Twitch IRCv3 (CAP, теги, PRIVMSG, USERNOTICE, CLEARCHAT, CLEARMSG, ROOMSTATE, NOTICE)
+ * в объеме, достаточном для tmi.js. Позволяет проигрывать трафик чата и проверять, что отправил бот
+ *
+ * События: 'listening' (port), 'connection', 'join' ({ channel, login }), 'botMessage' (message)
+ */
+export class FakeTwitchServer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.host = config.host || '127.0.0.1';
+    this.port = config.port ?? 0; // 0 - свободный порт
+    this.defaultChannel = FakeTwitchServer.normalizeChannel(config.channel || 'fakechannel');
+    this.verbose = config.verbose || false;
+
+    // Лимиты сообщений бота как у Twitch: N сообщений за окно
+    this.rateLimit = {
+      windowMs: config.rateLimit?.windowMs || 30000,
+      normal: config.rateLimit?.normal || 20,
+      elevated: config.rateLimit?.elevated || 100,
+    };
+
+    this.wss = null;
+    this.clients = new Set(); // { socket, login, channels: Set }
+    this.rooms = new Map(); // channel -> состояние комнаты
+    this.botMessages = []; // Все сообщения, отправленные ботом (для проверок)
+    this.nextUserId = 1000;
+  }
+
+  static normalizeChannel(channel) {
+    return `#${String(channel || '').trim().replace(/^#/, '').toLowerCase()}`;
+  }
+
+  /**
+   * Запуск сервера
+   * @returns {Promise<number>} Порт, на котором слушает сервер
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.wss = new WebSocketServer({ host: this.host, port: this.port });
+      this.wss.once('error', reject);
+      this.wss.once('listening', () => {
+        this.port = this.wss.address().port;
+        this.log(`Сервер запущен на ws://${this.host}:${this.port}`);
+        this.emit('listening', this.port);
+        resolve(this.port);
+      });
+      this.wss.on('connection', socket => this.handleConnection(socket));
+    });
+  }
+
+  /**
+   * Остановка сервера (закрывает все подключения)
+   */
+  async stop() {
+    if (!this.wss) {
+      return;
+    }
+    for (const client of this.clients) {
+      client.socket.terminate();
+    }
+    this.clients.clear();
+    await new Promise(resolve => this.wss.close(() => resolve()));
+    this.wss = null;
+  }
+
+  log(message) {
+    if (this.verbose) {
+      console.log(`[FakeTwitch] ${message}`);
+    }
+  }
+
+  /**
+   * Состояние комнаты (создается при первом обращении)
+   */
+  getRoom(channel = this.defaultChannel) {
+    const name = FakeTwitchServer.normalizeChannel(channel);
+    if (!this.rooms.has(name)) {
+      this.rooms.set(name, {
+        name,
+        roomId: String(this.nextUserId++),
+        state: { ...DEFAULT_ROOM_STATE },
+        botBadges: {}, // Бейджи бота в этом канале (moderator, vip, subscriber)
+        punishments: new Map(), // login -> время окончания таймаута (Infinity для бана)
+        sentTimestamps: [], // Время сообщений бота для rate limit
+        lastBotMessageAt: 0,
+      });
+    }
+    return this.rooms.get(name);
+  }
+
+  // ==================== Протокол (клиент -> сервер) ====================
+
+  handleConnection(socket) {
+    const client = { socket, login: null, channels: new Set() };
+    this.clients.add(client);
+    this.emit('connection');
+
+    socket.on('message', data => {
+      String(data).split('\r\n').filter(Boolean).forEach(line => this.handleClientLine(client, line));
+    });
+    socket.on('close', () => this.clients.delete(client));
+  }
+
+  handleClientLine(client, line) {
+    const { tags, command, params } = parseClientLine(line);
+
+    switch (command) {
+      case 'CAP':
+        this.sendRaw(client, `:${SERVER_PREFIX} CAP * ACK :${params[params.length - 1]}`);
+        break;
+      case 'PASS':
+        break; // Любой токен подходит
+      case 'NICK':
+        client.login = (params[0] || 'justinfan0').toLowerCase();
+        this.sendWelcome(client);
+        break;
+      case 'PING':
+        // tmi.js понимает только PONG без префикса
+        this.sendRaw(client, `PONG :${params[0] || SERVER_PREFIX}`);
+        break;
+      case 'PONG':
+        break;
+      case 'JOIN':
+        (params[0] || '').split(',').filter(Boolean).forEach(channel => this.handleJoin(client, channel));
+        break;
+      case 'PART':
+        (params[0] || '').split(',').filter(Boolean).forEach(channel => {
+          const name = FakeTwitchServer.normalizeChannel(channel);
+          client.channels.delete(name);
+          this.sendRaw(client, `:${client.login}!${client.login}@${client.login}.tmi.twitch.tv PART ${name}`);
+        });
+        break;
+      case 'PRIVMSG':
+        this.handleBotPrivmsg(client, params[0], params[1] || '', tags);
+        break;
+      default:
+        this.log(`Неизвестная команда от клиента: ${line}`);
+    }
+  }
+
+  sendWelcome(client) {
+    const login = client.login;
+    [
+      `:${SERVER_PREFIX} 001 ${login} :Welcome, GLHF!`,
+      `:${SERVER_PREFIX} 002 ${login} :Your host is ${SERVER_PREFIX}`,
+      `:${SERVER_PREFIX} 003 ${login} :This server is rather new`,
+      `:${SERVER_PREFIX} 004 ${login} :-`,
+      `:${SERVER_PREFIX} 375 ${login} :-`,
+      `:${SERVER_PREFIX} 372 ${login} :You are in a maze of twisty passages, all alike.`,
+      `:${SERVER_PREFIX} 376 ${login} :>`,
+      `${formatTags({ 'badge-info': null, badges: null, color: null, 'display-name': login, 'emote-sets': '0', 'user-id': '1', 'user-type': null })}:${SERVER_PREFIX} GLOBALUSERSTATE`,
+    ].forEach(line => this.sendRaw(client, line));
+  }
+
+  handleJoin(client, channel) {
+    const room = this.getRoom(channel);
+    client.channels.add(room.name);
+
+    this.sendRaw(client, `:${client.login}!${client.login}@${client.login}.tmi.twitch.tv JOIN ${room.name}`);
+    this.sendUserState(client, room);
+    this.sendRaw(client, `${formatTags({ ...room.state, 'room-id': room.roomId })}:${SERVER_PREFIX} ROOMSTATE ${room.name}`);
+
+    this.log(`${client.login} зашел в ${room.name}`);
+    this.emit('join', { channel: room.name, login: client.login });
+  }
+
+  sendUserState(client, room) {
+    const badges = room.botBadges;
+    const isMod = !!badges.moderator || !!badges.broadcaster;
+    this.sendRaw(client, `${formatTags({
+      'badge-info': null,
+      badges: formatBadges(badges) || null,
+      color: null,
+      'display-name': client.login,
+      'emote-sets': '0',
+      mod: isMod,
+      subscriber: !!badges.subscriber,
+      'user-type': isMod ? 'mod' : null,
+    })}:${SERVER_PREFIX} USERSTATE ${room.name}`);
+  }
+
+  /**
+   * Сообщение от бота: проверяем ограничения как Twitch и записываем отправленное
+   */
+  handleBotPrivmsg(client, target, text, tags) {
+    // tmi.js отправляет шепот как PRIVMSG #tmijs :/w user text
+    const whisper = text.match(/^\/w\s+(\S+)\s+([\s\S]*)$/);
+    if (whisper) {
+      this.recordBotMessage({ type: 'whisper', channel: null, to: whisper[1].toLowerCase(), text: whisper[2], login: client.login });
+      return;
+    }
+
+    const room = this.getRoom(target);
+    const rejection = this.checkBotMessage(client, room);
+    if (rejection) {
+      this.log(`Сообщение бота отклонено (${rejection.msgId}): ${text}`);
+      this.sendNotice(room.name, rejection.msgId, rejection.text, client);
+      return;
+    }
+
+    const now = Date.now();
+    room.sentTimestamps.push(now);
+    room.lastBotMessageAt = now;
+
+    this.recordBotMessage({
+      type: 'message',
+      channel: room.name,
+      text,
+      login: client.login,
+      replyParentMsgId: tags['reply-parent-msg-id'] || null,
+    });
+
+    // Twitch отвечает USERSTATE на каждое сообщение
+    this.sendUserState(client, room);
+  }
+
+  /**
+   * Проверка ограничений Twitch для сообщения бота
+   * @returns {Object|null} { msgId, text } если сообщение отклонено
+   */
+  checkBotMessage(client, room) {
+    const now = Date.now();
+    const badges = room.botBadges;
+    const isMod = !!badges.moderator || !!badges.broadcaster;
+    const isElevated = isMod || !!badges.vip;
+
+    const punishedUntil = room.punishments.get(client.login);
+    if (punishedUntil === Infinity) {
+      return { msgId: 'msg_banned', text: `You are permanently banned from talking in ${room.name.substring(1)}.` };
+    }
+    if (punishedUntil && punishedUntil > now) {
+      return { msgId: 'msg_timedout', text: `You are timed out for ${Math.ceil((punishedUntil - now) / 1000)} more seconds.` };
+    }
+    if (room.state['emote-only'] && !isMod) {
+      return { msgId: 'msg_emoteonly', text: 'This room is in emote-only mode.' };
+    }
+    if (room.state['subs-only'] && !isElevated && !badges.subscriber) {
+      return { msgId: 'msg_subsonly', text: 'This room is in subscribers-only mode.' };
+    }
+    if (room.state.slow > 0 && !isElevated && now - room.lastBotMessageAt < room.state.slow * 1000) {
+      return { msgId: 'msg_slowmode', text: `This room is in slow mode and you are sending messages too quickly.` };
+    }
+
+    room.sentTimestamps = room.sentTimestamps.filter(timestamp => now - timestamp < this.rateLimit.windowMs);
+    const limit = isElevated ? this.rateLimit.elevated : this.rateLimit.normal;
+    if (room.sentTimestamps.length >= limit) {
+      return { msgId: 'msg_ratelimit', text: 'Your message was not sent because you are sending messages too quickly.' };
+    }
+
+    return null;
+  }
+
+  recordBotMessage(message) {
+    const record = { ...message, timestamp: Date.now() };
+    this.botMessages.push(record);
+    this.log(`🤖 ${record.type === 'whisper' ? `шепот ${record.to}` : record.channel}: ${record.text}`);
+    this.emit('botMessage', record);
+  }
+
+  // ==================== Отправка клиентам (сервер -> клиент) ====================
+
+  sendRaw(client, line) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(`${line}\r\n`);
+    }
+  }
+
+  /**
+   * Отправить строку всем клиентам, которые зашли в канал
+   */
+  broadcast(channel, line) {
+    const name = FakeTwitchServer.normalizeChannel(channel);
+    for (const client of this.clients) {
+      if (client.channels.has(name)) {
+        this.sendRaw(client, line);
+      }
+    }
+  }
+
+  sendNotice(channel, msgId, text, client = null) {
+    const line = `${formatTags({ 'msg-id': msgId })}:${SERVER_PREFIX} NOTICE ${FakeTwitchServer.normalizeChannel(channel)} :${text}`;
+    if (client) {
+      this.sendRaw(client, line);
+    } else {
+      this.broadcast(channel, line);
+    }
+  }
+
+  // ==================== Сценарий (действия зрителей и модераторов) ====================
+
+  /**
+   * Теги зрителя для PRIVMSG/USERNOTICE
+   */
+  buildUserTags(room, login, options = {}) {
+    const badges = options.badges || {};
+    const isMod = !!badges.moderator || !!badges.broadcaster;
+    return {
+      'badge-info': null,
+      badges: formatBadges(badges) || null,
+      color: null,
+      'display-name': options.displayName || login,
+      emotes: null,
+      id: options.id || randomUUID(),
+      mod: isMod,
+      'room-id': room.roomId,
+      subscriber: !!badges.subscriber,
+      'tmi-sent-ts': String(Date.now()),
+      'user-id': options.userId || String(this.nextUserId++),
+      'user-type': isMod ? 'mod' : null,
+      ...(options.tags || {}),
+    };
+  }
+
+  /**
+   * Сообщение зрителя в чат
+   * @param {string} username - Логин зрителя
+   * @param {string} text - Текст сообщения
+   * @param {Object} options - { channel, badges, displayName, id, replyTo: { id, login, text }, tags }
+   * @returns {string} id сообщения
+   */
+  chat(username, text, options = {}) {
+    const room = this.getRoom(options.channel);
+    const login = username.toLowerCase();
+    const tags = this.buildUserTags(room, login, options);
+
+    if (options.replyTo) {
+      Object.assign(tags, {
+        'reply-parent-msg-id': options.replyTo.id,
+        'reply-parent-user-login': options.replyTo.login,
+        'reply-parent-display-name': options.replyTo.login,
+        'reply-parent-msg-body': options.replyTo.text || '',
+      });
+    }
+
+    this.broadcast(room.name, `${formatTags(tags)}:${login}!${login}@${login}.tmi.twitch.tv PRIVMSG ${room.name} :${text}`);
+    return tags.id;
+  }
+
+  /**
+   * Сообщение с битсами (tmi.js отдает его событием cheer)
+   */
+  cheer(username, bits, text = '', options = {}) {
+    return this.chat(username, `Cheer${bits} ${text}`.trim(), { ...options, tags: { ...(options.tags || {}), bits: String(bits) } });
+  }
+
+  /**
+   * USERNOTICE (подписки, гифты, рейды)
+   */
+  userNotice(msgId, username, params = {}, options = {}) {
+    const room = this.getRoom(options.channel);
+    const login = username.toLowerCase();
+    const tags = {
+      ...this.buildUserTags(room, login, options),
+      login,
+      'msg-id': msgId,
+      'system-msg': options.systemMessage || msgId,
+    };
+    Object.entries(params).forEach(([key, value]) => {
+      tags[`msg-param-${key}`] = value;
+    });
+
+    const text = options.message ? ` :${options.message}` : '';
+    this.broadcast(room.name, `${formatTags(tags)}:${SERVER_PREFIX} USERNOTICE ${room.name}${text}`);
+    return tags.id;
+  }
+
+  sub(username, options = {}) {
+    return this.userNotice('sub', username, {
+      'cumulative-months': 1,
+      'sub-plan': options.prime ? 'Prime' : '1000',
+      'sub-plan-name': 'Channel Subscription',
+    }, options);
+  }
+
+  resub(username, months, options = {}) {
+    return this.userNotice('resub', username, {
+      'cumulative-months': months,
+      'streak-months': months,
+      'sub-plan': '1000',
+      'sub-plan-name': 'Channel Subscription',
+    }, options);
+  }
+
+  subGift(username, recipient, options = {}) {
+    return this.userNotice('subgift', username, {
+      'recipient-display-name': recipient,
+      'recipient-user-name': recipient.toLowerCase(),
+      'sub-plan': '1000',
+      'community-gift-id': options.communityGiftId,
+    }, options);
+  }
+
+  mysteryGift(username, count, options = {}) {
+    return this.userNotice('submysterygift', username, {
+      'mass-gift-count': count,
+      'sub-plan': '1000',
+    }, options);
+  }
+
+  raid(username, viewers, options = {}) {
+    return this.userNotice('raid', username, {
+      displayName: options.displayName || username,
+      login: username.toLowerCase(),
+      viewerCount: viewers,
+    }, options);
+  }
+
+  /**
+   * Модератор удалил сообщение
+   */
+  deleteMessage(msgId, username, text = '', options = {}) {
+    const room = this.getRoom(options.channel);
+    const tags = { login: username.toLowerCase(), 'room-id': room.roomId, 'target-msg-id': msgId, 'tmi-sent-ts': String(Date.now()) };
+    this.broadcast(room.name, `${formatTags(tags)}:${SERVER_PREFIX} CLEARMSG ${room.name} :${text}`);
+  }
+
+  /**
+   * Таймаут зрителя (или бота)
+   */
+  timeout(username, seconds, options = {}) {
+    const room = this.getRoom(options.channel);
+    const login = username.toLowerCase();
+    room.punishments.set(login, Date.now() + seconds * 1000);
+    const tags = { 'ban-duration': String(seconds), 'room-id': room.roomId, 'tmi-sent-ts': String(Date.now()) };
+    this.broadcast(room.name, `${formatTags(tags)}:${SERVER_PREFIX} CLEARCHAT ${room.name} :${login}`);
+  }
+
+  /**
+   * Бан зрителя (или бота)
+   */
+  ban(username, options = {}) {
+    const room = this.getRoom(options.channel);
+    const login = username.toLowerCase();
+    room.punishments.set(login, Infinity);
+    const tags = { 'room-id': room.roomId, 'tmi-sent-ts': String(Date.now()) };
+    this.broadcast(room.name, `${formatTags(tags)}:${SERVER_PREFIX} CLEARCHAT ${room.name} :${login}`);
+  }
+
+  /**
+   * Снять таймаут или бан
+   */
+  unban(username, options = {}) {
+    this.getRoom(options.channel).punishments.delete(username.toLowerCase());
+  }
+
+  /**
+   * Модератор очистил чат
+   */
+  clearChat(options = {}) {
+    const room = this.getRoom(options.channel);
+    this.broadcast(room.name, `${formatTags({ 'room-id': room.roomId, 'tmi-sent-ts': String(Date.now()) })}:${SERVER_PREFIX} CLEARCHAT ${room.name}`);
+  }
+
+  /**
+   * Изменить режимы чата (приходит только измененная настройка, как у Twitch)
+   * @param {Object} changes - { slow, 'emote-only', 'subs-only', 'followers-only', r9k }
+   */
+  setRoomState(changes, options = {}) {
+    const room = this.getRoom(options.channel);
+    Object.assign(room.state, changes);
+    this.broadcast(room.name, `${formatTags({ ...changes, 'room-id': room.roomId })}:${SERVER_PREFIX} ROOMSTATE ${room.name}`);
+  }
+
+  /**
+   * Бейджи бота в канале (например, { moderator: 1 } или { vip: 1 })
+   */
+  setBotBadges(badges, options = {}) {
+    const room = this.getRoom(options.channel);
+    room.botBadges = { ...badges };
+    for (const client of this.clients) {
+      if (client.channels.has(room.name)) {
+        this.sendUserState(client, room);
+      }
+    }
+  }
+
+  /**
+   * Проигрывание сценария
+   * @param {Array} steps - [{ delay, action, args }] - action: имя метода сценария (chat, raid, timeout...)
+   */
+  async replay(steps = []) {
+    for (const step of steps) {
+      if (step.delay) {
+        await new Promise(resolve => setTimeout(resolve, step.delay));
+      }
+      if (!step.action) {
+        continue;
+      }
+      if (typeof this[step.action] !== 'function' || !SCRIPT_ACTIONS.has(step.action)) {
+        throw new Error(`Неизвестное действие сценария: ${step.action}`);
+      }
+      this[step.action](...(step.args || []));
+    }
+  }
+
+  // ==================== Проверки ====================
+
+  /**
+   * Сообщения бота (опционально - только подходящие под шаблон)
+   */
+  getBotMessages(match = null) {
+    return this.botMessages.filter(message => FakeTwitchServer.matches(message, match));
+  }
+
+  static matches(message, match) {
+    if (!match) return true;
+    if (match instanceof RegExp) return match.test(message.text);
+    if (typeof match === 'string') return message.text.includes(match);
+    if (typeof match === 'function') return match(message);
+    return Object.entries(match).every(([key, value]) => (
+      value instanceof RegExp ? value.test(String(message[key] ?? '')) : message[key] === value
+    ));
+  }
+
+  /**
+   * Дождаться сообщения бота
+   * @param {RegExp|string|Function|Object} match - Шаблон сообщения
+   * @param {Object} options - { timeout, since } - since: учитывать сообщения после этого времени
+   * @returns {Promise<Object>} Сообщение бота
+   */
+  waitForBotMessage(match = null, options = {}) {
+    const timeout = options.timeout ?? 10000;
+    const since = options.since ?? 0;
+
+    const existing = this.botMessages.find(message => message.timestamp >= since && FakeTwitchServer.matches(message, match));
+    if (existing) {
+      return Promise.resolve(existing);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onMessage = (message) => {
+        if (FakeTwitchServer.matches(message, match)) {
+          clearTimeout(timer);
+          this.off('botMessage', onMessage);
+          resolve(message);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.off('botMessage', onMessage);
+        reject(new Error(`Бот не отправил ожидаемое сообщение за ${timeout} мс (${match})`));
+      }, timeout);
+      this.on('botMessage', onMessage);
+    });
+  }
+
+  /**
+   * Проверить, что бот НЕ отправил подходящих сообщений
+   */
+  assertNoBotMessage(match = null) {
+    const found = this.getBotMessages(match);
+    if (found.length > 0) {
+      throw new Error(`Бот отправил неожиданное сообщение: "${found[0].text}"`);
+    }
+  }
+}
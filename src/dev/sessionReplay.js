@@ -0,0 +1,485 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config.js';
+import { Coordinator } from '../modules/coordinator.js';
+import { ImageAnalyzer } from '../modules/imageAnalyzer.js';
+import { BrainCoordinator } from '../modules/brainCoordinator.js';
+import { CadencePolicy } from '../modules/cadencePolicy.js';
+import { DecisionTrace } from '../modules/decisionTrace.js';
+import { ChatFilter } from '../modules/chatFilter.js';
+import { PromptGuard } from '../modules/promptGuard.js';
+import { ContentSafety } from '../modules/contentSafety.js';
+import { VirtualClock } from '../modules/clock.js';
+import { SendScheduler } from '../modules/sendScheduler.js';
+
+// Корень проекта - относительные пути конфига считаются от него, как в ChannelRuntime
+const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+// Аудио в сессии не сохраняется - координатору передается заглушка, а текст берется из записи
+const RECORDED_AUDIO = Buffer.alloc(1);
+
+// Как в ChannelRuntime: генерация начинается через 15 секунд после запуска
+const WARMUP = 15000;
+
+/**
+ * Распознавание речи по записи: возвращает сохраненный текст вместо обращения к Whisper
+ */
+class RecordedSpeech {
+  constructor(clock) {
+    this.clock = clock;
+    this.next = null;
+    this.fragments = [];
+  }
+
+  async recognizeFromStream() {
+    const speech = this.next;
+    this.next = null;
+    return speech;
+  }
+
+  updateRealtimeTextBuffer(text, timestamp) {
+    this.fragments.push({ text: text.trim(), timestamp: timestamp || this.clock.now() });
+    if (this.fragments.length > 20) {
+      this.fragments.shift();
+    }
+  }
+
+  getRecentFragments(count = 5) {
+    return this.fragments.slice(-count);
+  }
+
+  getCurrentText() {
+    return this.fragments.map(fragment => fragment.text).join(' ');
+  }
+}
+
+/**
+ * Идентификация голоса по записи: говорящий уже определен в сохраненных данных
+ */
+class RecordedVoices {
+  async identifySpeaker(speechText) {
+    const isStreamer = speechText.isStreamer !== false;
+    return {
+      speaker: speechText.speaker || (isStreamer ? 'streamer' : 'guest'),
+      name: speechText.speaker || (isStreamer ? 'стример' : 'гость'),
+      isStreamer,
+      type: isStreamer ? 'streamer' : 'guest',
+      shouldIgnore: false,
+      confidence: speechText.confidence ?? 0.8,
+    };
+  }
+}
+
+/**
+ * Генератор по записи: сообщения прошлого проигрывания (результат --out) по порядку, без обращения к модели
+ * Фоновые сообщения и ответы стримеру берутся каждые из своего списка
+ */
+export class RecordedGenerator {
+  constructor(messages = []) {
+    this.generation = messages.filter(record => record.trigger !== 'address').map(record => record.message);
+    this.reply = messages.filter(record => record.trigger === 'address').map(record => record.message);
+  }
+
+  static async fromFile(filePath) {
+    const result = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    return new RecordedGenerator(result.messages || []);
+  }
+
+  async generateChatMessageFromScreenshot() {
+    return this.generation.shift() ?? null;
+  }
+
+  async generateReplyToStreamer() {
+    return this.reply.shift() ?? null;
+  }
+}
+
+/**
+ * Генератор-заглушка: пронумерованные сообщения, чтобы проверить паузы, лимиты и время отправки без модели
+ */
+export class StubGenerator {
+  constructor(text = 'тестовое сообщение') {
+    this.text = text;
+    this.count = 0;
+  }
+
+  async generateChatMessageFromScreenshot() {
+    return `${this.text} ${++this.count}`;
+  }
+
+  async generateReplyToStreamer() {
+    return `${this.text} ${++this.count}`;
+  }
+}
+
+/**
+ * Проигрывание записанной сессии (DataCollector) через текущий код координатора
+ * без браузера и Twitch, на виртуальных часах
+ *
+ * Скриншоты, речь и чат подаются в processImageOnly, processAudioOnly и updateChatHistory в порядке записи,
+ * цикл генерации срабатывает с интервалом уровня активности, как в ChannelRuntime.
+ * Модули канала получают виртуальные часы, которые переводятся по времени записи
+ *
+ * options.onMessage({ timestamp, offset, message, trigger, traceId }) - сообщение, которое бот отправил бы в чат
+ * options.generator - генерация без модели (RecordedGenerator, StubGenerator или объект с теми же методами,
+ *   возвращающими текст или результат ImageAnalyzer) - проигрывание повторяется одинаково и не ходит в ProxyAPI
+ */
+export class SessionReplay {
+  constructor(options = {}) {
+    this.sessionPath = options.sessionPath;
+    this.channel = options.channel || config.twitch.channels[0] || 'replay';
+    this.dataDir = options.dataDir || null; // Данные канала (streamer_info.json) - только чтение
+    this.speed = options.speed ?? 0; // 0 - как можно быстрее, N - в N раз быстрее реального времени
+    this.reanalyze = options.reanalyze || false; // Заново анализировать скриншоты моделью вместо записанного анализа
+    this.level = options.level || null; // Уровень активности (по умолчанию - как у канала)
+    this.imageAnalyzerConfig = options.imageAnalyzerConfig || {};
+    this.onMessage = options.onMessage || null;
+    this.generator = options.generator || null;
+
+    this.clock = new VirtualClock();
+    this.timeline = [];
+    this.messages = [];
+    this.modules = null;
+    this.coordinator = null;
+    this.hypePending = false;
+    this.addressPending = false;
+  }
+
+  /**
+   * Загрузка сессии: скриншоты с метаданными, речь и чат в один упорядоченный по времени список
+   */
+  async load() {
+    const session = JSON.parse(await fs.readFile(this.sessionPath, 'utf-8'));
+    const sessionDir = path.dirname(this.sessionPath);
+    const events = [];
+    const seenChat = new Set();
+    const seenSpeech = new Set();
+
+    const addChat = (message) => {
+      const key = `${message.username}|${message.timestamp}|${message.message}`;
+      if (!message.username || !message.message || seenChat.has(key)) {
+        return;
+      }
+      seenChat.add(key);
+      events.push({ type: 'chat', timestamp: message.timestamp, message });
+    };
+    const addSpeech = (speech, timestamp) => {
+      // Одна и та же фраза попадает в метаданные нескольких скриншотов подряд
+      if (!speech?.text || seenSpeech.has(speech.text)) {
+        return;
+      }
+      seenSpeech.add(speech.text);
+      events.push({ type: 'speech', timestamp, speech });
+    };
+
+    for (const entry of session.screenshots || []) {
+      const metadataPath = await this.resolve(entry.metadataPath, path.join(sessionDir, 'metadata', `${entry.id}.json`));
+      if (!metadataPath) {
+        console.warn(`[Replay] ⚠️ Нет метаданных скриншота ${entry.id}, пропускаем`);
+        continue;
+      }
+      const metadata = JSON.parse(await fs.readFile(metadataPath, 'utf-8'));
+      const relativePath = metadata.screenshot?.relativePath;
+      const imagePath = await this.resolve(metadata.screenshot?.path, relativePath ? path.join(sessionDir, relativePath) : null);
+      if (!imagePath) {
+        console.warn(`[Replay] ⚠️ Нет файла скриншота ${entry.id} - модель не увидит картинку`);
+      }
+      events.push({
+        type: 'screenshot',
+        timestamp: metadata.timestamp,
+        imagePath,
+        imageAnalysis: metadata.imageAnalysis,
+      });
+      addSpeech(metadata.speech, metadata.timestamp);
+      (metadata.chatContext || []).forEach(addChat);
+    }
+    (session.speechSegments || []).forEach(segment => addSpeech(segment, segment.timestamp));
+    (session.chatMessages || []).forEach(addChat);
+
+    // При равном времени сначала то, что бот видит, потом чат
+    const order = { screenshot: 0, speech: 1, chat: 2 };
+    this.timeline = events
+      .filter(event => Number.isFinite(event.timestamp))
+      .sort((a, b) => a.timestamp - b.timestamp || order[a.type] - order[b.type]);
+    this.session = session;
+
+    const counts = this.timeline.reduce((acc, event) => ({ ...acc, [event.type]: (acc[event.type] || 0) + 1 }), {});
+    console.log(`[Replay] 📼 Сессия ${session.id}: скриншотов ${counts.screenshot || 0}, фраз ${counts.speech || 0}, сообщений чата ${counts.chat || 0}`);
+    return this.timeline;
+  }
+
+  /**
+   * Первый существующий файл (абсолютные пути в записи могли устареть после переноса данных)
+   */
+  async resolve(...candidates) {
+    for (const candidate of candidates) {
+      if (candidate && await fs.stat(candidate).then(stats => stats.isFile(), () => false)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Модули канала для проигрывания: то же, что в ChannelRuntime, но речь, голоса и анализ скриншотов - из записи
+   */
+  async createModules() {
+    // Память мозга канала копируется: проигрывание не должно менять настоящую память
+    const memoryDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-memory-'));
+    if (this.dataDir) {
+      await fs.copyFile(path.join(this.dataDir, 'brain_memory.json'), path.join(memoryDir, 'brain_memory.json')).catch(() => {});
+    }
+    const imageAnalyzer = new ImageAnalyzer({ ...this.imageAnalyzerConfig, clock: this.clock });
+    const brainCoordinator = new BrainCoordinator({
+      mode: 'normal',
+      dataDir: this.dataDir || undefined,
+      memoryDir,
+      clock: this.clock,
+    });
+    await brainCoordinator.init();
+
+    const cadencePolicy = new CadencePolicy({
+      ...config.cadence,
+      quietHours: null, // Запись идет по своему времени, тихие часы сервера к ней не относятся
+      level: this.level || config.cadence.channelLevels[this.channel] || config.cadence.level,
+      clock: this.clock,
+    });
+    brainCoordinator.cadence = cadencePolicy;
+
+    const promptGuard = new PromptGuard({ ...config.promptGuard, clock: this.clock });
+    imageAnalyzer.promptGuard = promptGuard;
+    imageAnalyzer.brainCoordinator = brainCoordinator;
+    brainCoordinator.promptGuard = promptGuard;
+    brainCoordinator.setImageAnalyzer(imageAnalyzer);
+
+    if (!this.reanalyze) {
+      // Анализ скриншота - из записи, модель вызывается только для генерации сообщений
+      imageAnalyzer.analyzeScreenshot = async () => ({ ...this.currentAnalysis, timestamp: this.clock.now() });
+    }
+
+    if (this.generator) {
+      // Сообщения от генератора по записи или заглушки - модель не вызывается
+      imageAnalyzer.useProxyAPI = true;
+      for (const method of ['generateChatMessageFromScreenshot', 'generateReplyToStreamer']) {
+        imageAnalyzer[method] = async (buffer, context) => this.toGenerationResult(await this.generator[method]?.(buffer, context));
+      }
+    }
+
+    const sharedBlocklist = path.isAbsolute(config.safety.blocklistFile)
+      ? config.safety.blocklistFile
+      : path.join(projectRoot, config.safety.blocklistFile);
+    const contentSafety = new ContentSafety({
+      ...config.safety,
+      blocklistFiles: [sharedBlocklist, ...(this.dataDir ? [path.join(this.dataDir, 'blocklist.txt')] : [])],
+      clock: this.clock,
+    });
+    await contentSafety.init();
+
+    // Игнорируемые зрители канала читаются из его данных (проигрывание их не меняет)
+    const chatFilter = new ChatFilter({
+      ...config.chatFilter,
+      dataDir: this.dataDir,
+      botAccounts: [...config.chatFilter.botAccounts, config.twitch.username].filter(Boolean),
+      clock: this.clock,
+    });
+    await chatFilter.init();
+
+    this.modules = {
+      imageAnalyzer,
+      brainCoordinator,
+      speechRecognizer: new RecordedSpeech(this.clock),
+      voiceIdentifier: new RecordedVoices(),
+      cadencePolicy,
+      promptGuard,
+      contentSafety,
+      chatFilter,
+      decisionTrace: new DecisionTrace({ enabled: false, keep: Infinity, clock: this.clock }),
+      // Время набора без случайного разброса - проигрывание повторяется одинаково
+      sendScheduler: new SendScheduler({ ...config.sendTiming, clock: this.clock, random: () => 0.5 }),
+      memoryDir,
+      clock: this.clock,
+    };
+
+    this.coordinator = new Coordinator({
+      ...config.coordinator,
+      twitch: { ...config.twitch, channel: this.channel },
+      replies: config.replies,
+      streamEvents: config.streamEvents,
+      chatActivity: config.chatActivity,
+      voteMute: config.voteMute,
+      candidates: config.candidates,
+      streamerAddress: config.streamerAddress,
+      feedback: config.feedback,
+    }, this.modules);
+    brainCoordinator.setCoordinator(this.coordinator);
+    brainCoordinator.setCoordinatorForSpeech(this.coordinator);
+    this.coordinator.chatActivity.on('hype', () => {
+      this.hypePending = true;
+    });
+    this.coordinator.addressDetector.on('address', () => {
+      this.addressPending = true;
+    });
+  }
+
+  /**
+   * Ответ генератора в формате ImageAnalyzer (генератор может вернуть просто текст)
+   */
+  toGenerationResult(result) {
+    if (!result) {
+      return null;
+    }
+    return typeof result === 'string'
+      ? { text: result, confidence: 0.9, timestamp: this.clock.now(), source: 'replay_generator' }
+      : result;
+  }
+
+  /**
+   * Проигрывание сессии
+   * @returns {Promise<Object>} { sessionId, duration, messages, decisions, traces }
+   */
+  async run() {
+    if (this.timeline.length === 0) {
+      await this.load();
+    }
+    if (this.timeline.length === 0) {
+      throw new Error('В сессии нет данных для проигрывания');
+    }
+
+    this.clock = new VirtualClock(this.timeline[0].timestamp);
+
+    try {
+      await this.createModules();
+      const start = this.clock.now();
+      const end = this.timeline[this.timeline.length - 1].timestamp;
+      let nextTick = start + WARMUP;
+
+      for (const event of this.timeline) {
+        while (nextTick <= event.timestamp) {
+          await this.advanceTo(nextTick);
+          await this.tick('timer');
+          nextTick += this.modules.cadencePolicy.getTickInterval();
+        }
+        await this.advanceTo(event.timestamp);
+        await this.apply(event);
+        if (this.addressPending) {
+          this.addressPending = false;
+          await this.tick('address');
+        }
+        if (this.hypePending) {
+          this.hypePending = false;
+          await this.tick('hype');
+        }
+      }
+      while (nextTick <= end) {
+        await this.advanceTo(nextTick);
+        await this.tick('timer');
+        nextTick += this.modules.cadencePolicy.getTickInterval();
+      }
+
+      const trace = this.modules.decisionTrace;
+      return {
+        sessionId: this.session.id,
+        duration: end - start,
+        messages: this.messages,
+        decisions: trace.getStats().byOutcome,
+        traces: trace.getRecent(trace.recent.length),
+      };
+    } finally {
+      this.coordinator?.voteMute.stop();
+      if (this.modules?.memoryDir) {
+        await fs.rm(this.modules.memoryDir, { recursive: true, force: true });
+      }
+    }
+  }
+
+  /**
+   * Перевод виртуальных часов; при speed > 0 проигрывание ждет реальное время (в speed раз быстрее)
+   */
+  async advanceTo(timestamp) {
+    if (timestamp <= this.clock.now()) {
+      return;
+    }
+    if (this.speed > 0) {
+      const wait = (timestamp - this.clock.now()) / this.speed;
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    await this.clock.advanceTo(timestamp);
+  }
+
+  async apply(event) {
+    switch (event.type) {
+      case 'screenshot': {
+        const buffer = event.imagePath ? await fs.readFile(event.imagePath) : null;
+        this.currentAnalysis = event.imageAnalysis || { description: '', confidence: 0 };
+        if (!buffer && this.reanalyze) {
+          return; // Без картинки анализировать нечего
+        }
+        await this.coordinator.processImageOnly({ buffer, timestamp: event.timestamp });
+        return;
+      }
+      case 'speech':
+        this.modules.speechRecognizer.next = { ...event.speech, timestamp: event.timestamp };
+        await this.coordinator.processAudioOnly(RECORDED_AUDIO);
+        return;
+      case 'chat': {
+        const chatMessage = {
+          id: null,
+          username: event.message.username,
+          displayName: event.message.username,
+          message: event.message.message,
+          timestamp: event.timestamp,
+        };
+        const filterReason = this.modules.chatFilter.check(chatMessage);
+        if (filterReason === 'bot' || filterReason === 'ignored') {
+          return;
+        }
+        this.coordinator.updateChatHistory(chatMessage);
+        return;
+      }
+      default:
+    }
+  }
+
+  /**
+   * Один цикл генерации - как ChannelRuntime.runGenerationTick (или runAddressReply для обращения стримера),
+   * но вместо отправки сообщение записывается со временем, когда бот отправил бы его (см. SendScheduler)
+   */
+  async tick(trigger) {
+    const trace = this.modules.decisionTrace.begin(trigger);
+    const source = trigger === 'address' ? 'reply' : 'generation';
+    const message = source === 'reply'
+      ? await this.coordinator.generateStreamerReply(trace)
+      : await this.coordinator.generateMessageFromContext(trace);
+    if (!message) {
+      trace.finish('skipped', 'нет сообщения');
+      return;
+    }
+
+    // Время отправки только рассчитывается: ожидание остановило бы перевод часов
+    const timing = this.modules.sendScheduler.plan(message, trace.inputs.moment || { kind: 'chat', at: trace.startedAt });
+    trace.input({ sendDelay: timing.delay, viewerLatency: this.modules.sendScheduler.getLatency().viewer });
+    if (trace.blocks('timing', !!timing.cancelled, timing.cancelled, { outcome: 'cancelled', message })) {
+      return;
+    }
+
+    const verdict = await this.modules.contentSafety.check(message, { source });
+    if (trace.blocks('content_safety', !verdict.allowed, `${verdict.category} (${verdict.stage})`, { outcome: 'not_sent', message })) {
+      return;
+    }
+
+    trace.finish('sent', null, message);
+    if (source === 'generation') {
+      this.coordinator.recordSentMessage(message, { waveJoin: trace.steps.includes('wave_join') });
+    }
+    this.modules.cadencePolicy.recordMessage(source);
+    this.modules.brainCoordinator.setLastMessageTime(this.clock.now());
+
+    const record = { timestamp: timing.sendAt, offset: timing.sendAt - this.timeline[0].timestamp, message, trigger, traceId: trace.id };
+    this.messages.push(record);
+    if (this.onMessage) {
+      this.onMessage(record);
+    }
+  }
+}
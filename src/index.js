@@ -1,33 +1,27 @@
 import { config } from './config.js';
 import readline from 'readline';
-import { VirtualBrowser } from './modules/browser.js';
-import { ImageAnalyzer } from './modules/imageAnalyzer.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import { SpeechRecognizer } from './modules/speechRecognizer.js';
-import { LocalVoiceIdentifier } from './modules/localVoiceIdentifier.js';
-import { Coordinator } from './modules/coordinator.js';
-import { TwitchClient } from './twitchClient.js';
-import { DataCollector } from './modules/dataCollector.js';
-import { BrainCoordinator } from './modules/brainCoordinator.js';
-import { BrainTrainer } from './modules/brainTrainer.js';
-import { SessionHistory } from './modules/sessionHistory.js';
+import { UsageLedger } from './modules/usageLedger.js';
+import { ChannelRegistry } from './channelRegistry.js';
+
+const projectRoot = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
 
 class TwitchNeuroBot {
   constructor() {
-    this.modules = {
-      browser: null,
-      imageAnalyzer: null,
-      speechRecognizer: null,
-      voiceIdentifier: null,
-      dataCollector: null,
-      brainCoordinator: null, // Мозг - личность, управляет органами
-      brainTrainer: null, // Модуль обучения мозга
-      sessionHistory: null, // История сессии
-    };
-    this.coordinator = null;
-    this.twitchClient = null;
+    this.registry = null; // Реестр каналов
+    this.activeChannel = null; // Канал, к которому применяются команды терминала
+    this.speechRecognizer = null; // Общий бэкенд распознавания речи
+    this.usageLedger = null; // Учет расходов на API и бюджеты (общий для всех каналов)
     this.isRunning = false;
-    this.messageGenerationInterval = null; // Интервал генерации сообщений
-    this.audioCaptureInterval = null; // Интервал захвата аудио
+  }
+
+  /**
+   * Текущий канал для команд терминала
+   */
+  get active() {
+    return this.registry?.get(this.activeChannel) || null;
   }
 
   async init() {
@@ -37,6 +31,7 @@ class TwitchNeuroBot {
     const missingTwitch = [];
     if (!config.twitch.username) missingTwitch.push('TWITCH_USERNAME');
     if (!config.twitch.oauthToken) missingTwitch.push('TWITCH_OAUTH_TOKEN');
+    if (config.twitch.channels.length === 0) missingTwitch.push('TWITCH_CHANNEL или TWITCH_CHANNELS');
     if (missingTwitch.length > 0) {
       throw new Error(`Не указаны Twitch credentials в .env файле: ${missingTwitch.join(', ')}\n` +
         `Убедитесь, что файл .env существует и содержит эти переменные.`);
@@ -47,8 +42,8 @@ class TwitchNeuroBot {
       throw new Error('Не указан API ключ в .env файле. Нужен либо OPENAI_API_KEY, либо PROXYAPI_KEY');
     }
 
-    // Инициализация модулей
-    console.log('📦 Инициализация модулей...');
+    // Инициализация общих модулей
+    console.log('📦 Инициализация общих модулей...');
     
     // Настройка использования локальных моделей и ProxyAPI
     const useLocalWhisper = config.local.useLocalWhisper;
@@ -62,16 +57,16 @@ class TwitchNeuroBot {
     console.log(`   LLM: ${llmMode}`);
     console.log(`   Vision: ${visionMode}\n`);
     
-    this.modules.imageAnalyzer = new ImageAnalyzer({
+    const imageAnalyzerConfig = {
       ...config.openai,
       useProxyAPI: useProxyAPI,
       proxyAPIKey: config.proxyapi.apiKey,
       proxyAPIBaseUrl: config.proxyapi.baseUrl,
       proxyAPIProvider: config.proxyapi.provider,
       proxyAPIVisionModel: config.proxyapi.visionModel,
-    });
+    };
     
-    this.modules.speechRecognizer = new SpeechRecognizer({
+    const speechRecognizerConfig = {
       ...config.openai,
       useLocal: useLocalWhisper,
       useProxyAPI: useProxyAPI,
@@ -83,77 +78,47 @@ class TwitchNeuroBot {
       localWhisperDevice: config.local.whisperDevice,
       localWhisperComputeType: config.local.whisperComputeType,
       localWhisperBeamSize: config.local.whisperBeamSize,
-    });
-    
-    // Инициализация модулей мозга
-    const brainMode = config.coordinator.brainMode || 'normal';
-    this.modules.brainCoordinator = new BrainCoordinator({
-      mode: brainMode, // Режим работы: 'normal' или 'training'
-    });
-    
-    // Инициализация модуля обучения (только в режиме обучения)
-    if (brainMode === 'training') {
-      this.modules.brainTrainer = new BrainTrainer({});
-      await this.modules.brainTrainer.init();
-      
-      // Связываем brainTrainer с brainCoordinator для доступа к памяти
-      if (this.modules.brainTrainer && this.modules.brainCoordinator) {
-        this.modules.brainTrainer.brainCoordinator = this.modules.brainCoordinator;
-      }
-    }
-    
-    // Инициализация локальных моделей
-    await this.modules.imageAnalyzer.init();
-    await this.modules.speechRecognizer.init();
-    await this.modules.brainCoordinator.init();
+    };
     
-    // Инициализация браузера ПЕРЕД связыванием с brainCoordinator
-    this.modules.browser = new VirtualBrowser({
-      headless: config.browser.headless,
-      channel: config.twitch.channel,
-      screenshotInterval: config.browser.screenshotInterval,
+    // Учет расходов на API: бюджеты на час и день общие для всех каналов
+    this.usageLedger = new UsageLedger({
+      ...config.usage,
+      dir: path.isAbsolute(config.usage.dir) ? config.usage.dir : path.join(projectRoot, config.usage.dir),
     });
+    await this.usageLedger.init();
+
+    // Бэкенд распознавания речи один на процесс (локальная модель загружается один раз)
+    this.speechRecognizer = new SpeechRecognizer(speechRecognizerConfig);
+    await this.speechRecognizer.init();
     
-    // Инициализация идентификатора голосов (мозг для распознавания голосов)
-    this.modules.voiceIdentifier = new LocalVoiceIdentifier({
-      streamerName: config.twitch.streamerName,
+    this.registry = new ChannelRegistry({
+      imageAnalyzerConfig,
+      speechRecognizerConfig,
+      speechBackend: this.speechRecognizer.getSharedBackend(),
+      usageLedger: this.usageLedger,
     });
-    await this.modules.voiceIdentifier.init();
-    
-    // Связываем brainCoordinator с модулями для оптимизации промптов
-    this.modules.imageAnalyzer.brainCoordinator = this.modules.brainCoordinator;
-    
-    // Связываем brainCoordinator с модулями для запроса скриншотов (ПОСЛЕ создания browser)
-    this.modules.brainCoordinator.setBrowser(this.modules.browser);
-    this.modules.brainCoordinator.setImageAnalyzer(this.modules.imageAnalyzer);
-    this.modules.brainCoordinator.setCoordinator(this.coordinator);
-    // Связываем brainCoordinator с coordinator для доступа к текущему тексту речи
-    this.modules.brainCoordinator.setCoordinatorForSpeech(this.coordinator);
-
-    // Инициализация сборщика данных для обучения
-    this.modules.dataCollector = new DataCollector({
-      enabled: process.env.ENABLE_DATA_COLLECTION !== 'false', // По умолчанию включен
+
+    console.log('✅ Общие модули инициализированы\n');
+  }
+
+  /**
+   * Добавить канал в реестр и запустить его
+   */
+  async addChannel(channel) {
+    const name = ChannelRegistry.normalize(channel);
+    // Основной канал (TWITCH_CHANNEL или первый из списка) - стример из STREAMER_NAME и старые данные
+    const primaryChannel = config.twitch.channel || config.twitch.channels[0];
+    const isPrimary = name === ChannelRegistry.normalize(primaryChannel);
+
+    const runtime = await this.registry.add(name, {
+      isPrimary,
+      streamerName: isPrimary ? config.twitch.streamerName : name,
     });
-    await this.modules.dataCollector.init();
-
-    // Инициализация истории сессии (до координатора, чтобы он мог использовать)
-    this.modules.sessionHistory = new SessionHistory({});
-    await this.modules.sessionHistory.init();
-
-    // Инициализация координатора
-    this.coordinator = new Coordinator({
-      ...config.coordinator,
-      twitch: config.twitch, // Передаем конфигурацию Twitch для доступа к имени бота
-    }, this.modules);
-
-    // Инициализация Twitch клиента (передаем dataCollector и brainTrainer)
-    this.twitchClient = new TwitchClient(
-      this.coordinator, 
-      this.modules.dataCollector,
-      this.modules.brainTrainer // Передаем модуль обучения
-    );
-
-    console.log('✅ Все модули инициализированы\n');
+
+    if (!this.activeChannel) {
+      this.activeChannel = name;
+    }
+    return runtime;
   }
 
   async start() {
@@ -165,96 +130,35 @@ class TwitchNeuroBot {
     try {
       await this.init();
 
-      // Подключаемся к Twitch чату
-      console.log('🔌 Подключение к Twitch чату...');
-      await this.twitchClient.connect();
-
-      // Инициализируем браузер
-      console.log('🌐 Запуск виртуального браузера...');
-      await this.modules.browser.init();
-
-      // Запускаем цикл скриншотов
-      console.log('📸 Запуск цикла анализа стрима...\n');
-      this.isRunning = true;
-
-      // Запускаем два независимых цикла:
-      // 1. Цикл обработки изображений (каждые 5 секунд)
-      // 2. Цикл генерации сообщений (использует уже обработанные данные)
-
-      // ЦИКЛ 1: Обработка скриншотов (каждые 5 секунд)
-      // Ждем немного, чтобы браузер полностью инициализировался
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // Цикл обработки скриншотов запущен
-      await this.modules.browser.startScreenshotLoop(async (screenshot) => {
-        if (!this.isRunning) return;
-
-        // Обрабатываем только изображение (параллельно, не блокируя)
-        this.coordinator.processImageOnly(screenshot).catch(error => {
-          console.error('[Main] Ошибка обработки изображения:', error);
-        });
-
-        // Сбор данных для обучения (асинхронно)
-        this.collectDataForTraining(screenshot).catch(error => {
-          console.error('[Main] Ошибка сбора данных:', error);
-        });
-      });
-
-      // ЦИКЛ 2: Обработка голоса/аудио (каждые 3 секунды для ускорения)
-      // Цикл обработки голоса запущен
-      this.audioCaptureInterval = await this.modules.browser.startAudioCaptureLoop(async (audioBuffer) => {
-        if (!this.isRunning) return;
-
-        // Обрабатываем голос (параллельно, не блокируя)
-        this.coordinator.processAudioOnly(audioBuffer).catch(error => {
-          console.error('[Main] Ошибка обработки голоса:', error);
-        });
-      }, 3000);
-
-      // Ждем 15 секунд после подключения к стриму и захвата аудио, чтобы процессы успели запуститься
-      console.log('⏳ Ожидание 15 секунд для инициализации процессов...');
-      await new Promise(resolve => setTimeout(resolve, 15000));
-      console.log('✅ Процессы инициализированы, начинаем генерацию сообщений\n');
-
-      // ЦИКЛ 3: Генерация сообщений (использует уже обработанные данные)
-      // Цикл генерации сообщений запущен
-      this.messageGenerationInterval = setInterval(async () => {
-        if (!this.isRunning) {
-          clearInterval(this.messageGenerationInterval);
-          return;
-        }
-
+      // Запускаем все каналы из конфигурации (ошибка одного канала не останавливает остальные)
+      for (const channel of config.twitch.channels) {
         try {
-          const message = await this.coordinator.generateMessageFromContext();
-          if (message) {
-            await this.twitchClient.sendMessage(message);
-            // Сохраняем сообщение в историю сессии
-            if (this.modules.sessionHistory) {
-              this.modules.sessionHistory.addBotMessage(message, Date.now()).catch(() => {});
-            }
-            // Обновляем время последнего сообщения в мозге
-            if (this.modules.brainCoordinator) {
-              this.modules.brainCoordinator.setLastMessageTime(Date.now());
-            }
-          }
+          await this.addChannel(channel);
         } catch (error) {
-          console.error('[Main] Ошибка генерации сообщения:', error);
+          console.error(`❌ Не удалось запустить канал ${channel}:`, error.message);
         }
-      }, 5000); // Проверяем каждые 5 секунд, можно ли сгенерировать сообщение
+      }
 
-      const currentMode = this.modules.brainCoordinator?.mode || 'normal';
+      if (this.registry.list().length === 0) {
+        throw new Error('Не удалось запустить ни один канал');
+      }
+
+      this.isRunning = true;
+
+      const currentMode = this.active?.modules.brainCoordinator?.mode || 'normal';
       console.log('✅ Бот запущен и работает!\n');
-      console.log(`🧠 Режим работы мозга: ${currentMode === 'training' ? 'ОБУЧЕНИЕ' : 'ОСНОВНОЙ'}\n`);
-      console.log('Команды для управления (только в терминале):');
-      console.log('  !bot silence - включить режим молчания');
-      console.log('  !bot unsilence - выключить режим молчания');
-      console.log('  !bot stats - показать статистику');
-      console.log('  !bot mode - переключить режим работы мозга');
-      console.log('  !bot training - включить режим обучения');
-      console.log('  !bot normal - включить основной режим');
-      console.log('  !bot memory - показать статистику памяти');
-      console.log('  !bot forget - очистить память');
-      console.log('  !bot screenshot - запросить скриншот от мозга\n');
+      console.log(`📺 Каналы: ${this.registry.list().join(', ')} (активный: ${this.activeChannel})`);
+      console.log(`🧠 Режим работы мозга: ${currentMode === 'training' ? 'ОБУЧЕНИЕ' : 'ОСНОВНОЙ'}`);
+      if (config.lifecycle.enabled) {
+        console.log(`📡 Режим демона: каналы запускаются, когда выходят в эфир, и останавливаются через ${Math.round(config.lifecycle.offlineGrace / 60000)} мин после конца эфира`);
+      }
+      console.log('');
+      console.log('Команды для управления (только в терминале, применяются к активному каналу):');
+      this.active?.commandRouter.getHelp().forEach(line => console.log(line));
+      console.log('  !bot channels - список каналов');
+      console.log('  !bot channel add <канал> - подключить канал');
+      console.log('  !bot channel remove <канал> - отключить канал');
+      console.log('  !bot use <канал> - сделать канал активным\n');
       
       // Запускаем обработчик команд из терминала
       this.setupTerminalCommands();
@@ -270,6 +174,12 @@ class TwitchNeuroBot {
    * Настройка обработки команд из терминала
    */
   setupTerminalCommands() {
+    // Демон под systemd/pm2 запускается без терминала: закрытый stdin не должен останавливать бота
+    if (config.lifecycle.enabled && !process.stdin.isTTY) {
+      console.log('💡 Терминал недоступен - бот работает без команд из консоли (остановка: SIGINT/SIGTERM)');
+      return;
+    }
+
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
@@ -309,135 +219,75 @@ class TwitchNeuroBot {
    * Обработка команды из терминала
    */
   async handleTerminalCommand(command) {
-    const parts = command.split(' ');
+    const parts = command.split(/\s+/);
     const cmd = parts[1];
 
     try {
+      // Команды управления каналами не требуют активного канала
       switch (cmd) {
-        case 'silence':
-          this.coordinator.setSilenceMode(true);
-          console.log('✅ Режим молчания включен');
-          break;
-        case 'unsilence':
-          this.coordinator.setSilenceMode(false);
-          console.log('✅ Режим молчания выключен');
-          break;
-        case 'stats':
-          const stats = this.coordinator.getStats();
-          console.log('\n📊 СТАТИСТИКА БОТА:');
-          console.log(`  Всего сообщений: ${stats.totalMessages}`);
-          console.log(`  Пропущено: ${stats.skippedMessages}`);
-          console.log(`  Режим молчания: ${stats.silenceMode ? 'ВКЛ' : 'ВЫКЛ'}`);
-          console.log(`  Размер контекста:`);
-          console.log(`    - Анализы изображений: ${stats.contextBufferSize?.imageAnalysis || 0}`);
-          console.log(`    - Распознанная речь: ${stats.contextBufferSize?.speechText || 0}`);
-          console.log(`    - История чата: ${stats.contextBufferSize?.chatHistory || 0}`);
-          break;
-        case 'mode':
-          const currentMode = this.modules.brainCoordinator?.mode || 'normal';
-          console.log(`🧠 Текущий режим: ${currentMode === 'training' ? 'ОБУЧЕНИЕ' : 'ОСНОВНОЙ'}`);
-          break;
-        case 'training':
-          if (this.modules.brainCoordinator) {
-            this.modules.brainCoordinator.setMode('training');
-            console.log('✅ Режим обучения включен');
-          }
-          break;
-        case 'normal':
-          if (this.modules.brainCoordinator) {
-            this.modules.brainCoordinator.setMode('normal');
-            console.log('✅ Основной режим включен');
-          }
-          break;
-        case 'memory':
-          if (this.modules.brainCoordinator && this.modules.brainCoordinator.memory) {
-            const memoryStats = this.modules.brainCoordinator.memory.getStats();
-            console.log('\n💾 СТАТИСТИКА ПАМЯТИ:');
-            console.log(`  Всего записей: ${memoryStats.totalEntries}`);
-            console.log(`  Важных записей: ${memoryStats.importantEntries}`);
-            console.log(`  Категорий: ${memoryStats.categories.length}`);
-            if (memoryStats.categories.length > 0) {
-              console.log(`  Категории: ${memoryStats.categories.join(', ')}`);
-            }
-          } else {
-            console.log('⚠️ Память не инициализирована');
-          }
-          break;
-        case 'forget':
-          if (this.modules.brainCoordinator && this.modules.brainCoordinator.memory) {
-            this.modules.brainCoordinator.memory.clear();
-            console.log('✅ Память очищена');
-          } else {
-            console.log('⚠️ Память не инициализирована');
-          }
-          break;
-        case 'screenshot':
-          if (this.modules.brainCoordinator) {
-            const context = {
-              recentImageAnalysis: this.coordinator.contextBuffer.recentImageAnalysis,
-              speechText: this.coordinator.contextBuffer.recentSpeechText[this.coordinator.contextBuffer.recentSpeechText.length - 1],
-              chatHistory: this.coordinator.contextBuffer.chatHistory,
-              time: Date.now(),
-            };
-            const result = await this.modules.brainCoordinator.requestScreenshot(context);
-            if (result) {
-              console.log(`✅ Скриншот получен и проанализирован: ${result.description?.substring(0, 100)}...`);
-            } else {
-              console.log('⏳ Запрос скриншота отклонен (слишком частый или не нужен)');
-            }
+        case 'channels':
+          const channels = this.registry.list();
+          console.log(`📺 Каналы (${channels.length}):`);
+          channels.forEach(name => {
+            console.log(`  ${name === this.activeChannel ? '▶' : ' '} ${name}`);
+          });
+          return;
+        case 'channel':
+          await this.handleChannelCommand(parts[2], parts[3]);
+          return;
+        case 'use':
+          if (!parts[2] || !this.registry.has(parts[2])) {
+            console.log(`⚠️ Канал не найден: ${parts[2] || '(не указан)'}`);
+            return;
           }
-          break;
-        default:
-          console.log(`❓ Неизвестная команда: ${cmd}`);
-          console.log('Доступные команды: silence, unsilence, stats, mode, training, normal, memory, forget, screenshot');
+          this.activeChannel = ChannelRegistry.normalize(parts[2]);
+          console.log(`✅ Активный канал: ${this.activeChannel}`);
+          return;
+      }
+
+      const runtime = this.active;
+      if (!runtime) {
+        console.log('⚠️ Нет активного канала. Используйте !bot channel add <канал>');
+        return;
       }
+
+      // Остальные команды - общие с чатом (маршрутизатор команд канала)
+      const result = await runtime.commandRouter.execute(command, { source: 'terminal' });
+      result.lines.forEach(line => console.log(line));
     } catch (error) {
       console.error('❌ Ошибка выполнения команды:', error.message);
     }
   }
 
   /**
-   * Сбор данных для обучения (параллельно с обработкой, не блокируя)
+   * Подключение и отключение каналов: !bot channel add|remove <канал>
    */
-  async collectDataForTraining(screenshot) {
-    if (!this.modules.dataCollector || !this.modules.dataCollector.enabled) {
+  async handleChannelCommand(action, channel) {
+    if (!channel) {
+      console.log('💡 Использование: !bot channel add <канал> | !bot channel remove <канал>');
       return;
     }
 
-    // Запускаем сбор данных асинхронно, не блокируя основной цикл
-    // Используем setTimeout для полной асинхронности
-    setImmediate(async () => {
-      try {
-        // Ждем немного, чтобы анализ изображения успел завершиться
-        await new Promise(resolve => setTimeout(resolve, 1000));
-
-        // Получаем текущий контекст
-        const imageAnalysis = this.coordinator.contextBuffer.recentImageAnalysis[
-          this.coordinator.contextBuffer.recentImageAnalysis.length - 1
-        ] || null;
-
-        const speechText = this.coordinator.contextBuffer.recentSpeechText[
-          this.coordinator.contextBuffer.recentSpeechText.length - 1
-        ] || null;
-
-        const chatMessages = this.coordinator.contextBuffer.chatHistory.slice(-10) || [];
-
-        // Сохраняем данные (не блокируя основной цикл)
-        await this.modules.dataCollector.saveScreenshot(
-          screenshot,
-          imageAnalysis,
-          speechText,
-          chatMessages
-        );
-
-        // Сохраняем речь если есть
-        if (speechText) {
-          await this.modules.dataCollector.saveSpeech(speechText);
+    const name = ChannelRegistry.normalize(channel);
+    switch (action) {
+      case 'add':
+        console.log(`🔌 Подключение канала ${name}...`);
+        await this.addChannel(name);
+        console.log(`✅ Канал ${name} подключен`);
+        break;
+      case 'remove':
+        if (!(await this.registry.remove(name))) {
+          console.log(`⚠️ Канал не найден: ${name}`);
+          break;
         }
-      } catch (error) {
-        console.error('[Main] Ошибка сбора данных:', error);
-      }
-    });
+        if (this.activeChannel === name) {
+          this.activeChannel = this.registry.list()[0] || null;
+        }
+        console.log(`✅ Канал ${name} отключен${this.activeChannel ? ` (активный: ${this.activeChannel})` : ''}`);
+        break;
+      default:
+        console.log(`❓ Неизвестное действие: ${action}. Доступно: add, remove`);
+    }
   }
 
   async stop() {
@@ -448,31 +298,13 @@ class TwitchNeuroBot {
     }
     console.log('\n🛑 Остановка бота...');
     this.isRunning = false;
-    
-    // Останавливаем цикл генерации сообщений
-    if (this.messageGenerationInterval) {
-      clearInterval(this.messageGenerationInterval);
-      this.messageGenerationInterval = null;
-    }
-    
-    // Сохраняем данные перед остановкой
-    if (this.modules.dataCollector && this.modules.dataCollector.enabled) {
-      console.log('[DataCollector] Сохранение сессии...');
-      await this.modules.dataCollector.endSession();
-    }
-
-    // Сохраняем историю сессии перед остановкой
-    if (this.modules.sessionHistory) {
-      await this.modules.sessionHistory.save();
-      console.log('[SessionHistory] 💾 История сессии сохранена');
-    }
 
-    if (this.modules.browser) {
-      await this.modules.browser.stop();
+    if (this.registry) {
+      await this.registry.stopAll();
     }
 
-    if (this.twitchClient) {
-      await this.twitchClient.disconnect();
+    if (this.usageLedger) {
+      await this.usageLedger.flush();
     }
 
     console.log('✅ Бот остановлен');
@@ -0,0 +1,200 @@
+import { EventEmitter } from 'events';
+import { realClock } from './clock.js';
+
+// Обращения к зрителям
+const CHAT_WORDS = ['чат', 'чатик', 'чатек', 'чатня', 'ребят', 'ребята', 'народ', 'пацаны', 'зрители'];
+
+// Вопросительные слова в начале фразы (ASR не всегда ставит знак вопроса)
+const QUESTION_WORDS = ['как', 'что', 'кто', 'где', 'когда', 'почему', 'зачем', 'сколько', 'какой', 'какая', 'какое', 'какие', 'чей', 'куда', 'откуда'];
+
+// Просьбы высказать мнение - обращены ко всем зрителям и без слова "чат"
+const OPINION_PHRASES = [
+  'как думаете', 'как вы думаете', 'как считаете', 'как вы считаете', 'что думаете', 'что вы думаете',
+  'что скажете', 'ваше мнение', 'вы согласны', 'согласны или нет', 'кто за', 'кто против',
+  'пишите в чат', 'напишите в чат', 'пишите плюс', 'плюсаните', 'что посоветуете', 'подскажите',
+];
+
+// Латиница ника -> как ее запишет распознавание речи
+const TRANSLIT = [
+  ['sch', 'щ'], ['sh', 'ш'], ['ch', 'ч'], ['zh', 'ж'], ['kh', 'х'], ['ts', 'ц'], ['ya', 'я'], ['yu', 'ю'], ['yo', 'е'],
+  ['ei', 'ей'], ['ey', 'ей'], ['ai', 'ай'], ['oi', 'ой'], ['ee', 'и'], ['oo', 'у'], ['ph', 'ф'], ['th', 'т'],
+  ['a', 'а'], ['b', 'б'], ['c', 'к'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'], ['h', 'х'], ['i', 'и'], ['j', 'дж'],
+  ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'], ['o', 'о'], ['p', 'п'], ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'],
+  ['u', 'у'], ['v', 'в'], ['w', 'в'], ['x', 'кс'], ['y', 'и'], ['z', 'з'],
+];
+
+/**
+ * Обращения стримера к чату и к боту в распознанной речи
+ * Находит вопросы чату, просьбы высказать мнение и имя бота (с ошибками распознавания)
+ *
+ * События:
+ *   'address' - { type: 'name'|'question'|'opinion', text, match, timestamp, capturedAt } - стример обратился к чату или к боту
+ */
+export class AddressDetector extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false;
+    this.cooldown = config.cooldown ?? 30000; // Не чаще одного обращения за столько мс
+    this.botNames = AddressDetector.buildAliases([...(config.botNames || []), config.botUsername].filter(Boolean));
+    this.lastAddressAt = 0;
+    this.stats = { checked: 0, detected: 0, byType: {} };
+  }
+
+  static normalize(text) {
+    return (text || '').toLowerCase().replace(/ё/g, 'е').replace(/[^\p{L}\p{N}?\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  static transliterate(word) {
+    let result = '';
+    for (let i = 0; i < word.length;) {
+      const pair = TRANSLIT.find(([latin]) => word.startsWith(latin, i));
+      result += pair ? pair[1] : word[i];
+      i += pair ? pair[0].length : 1;
+    }
+    return result;
+  }
+
+  /**
+   * Варианты имени бота: ник целиком, его части (без цифр и подчеркиваний) от 4 букв и их запись кириллицей
+   * Части ника часто обычные слова ("медвед12sensei" -> "медвед"), поэтому засчитываются только точным совпадением,
+   * ошибки распознавания допускаются для ника целиком
+   * @returns {Array<Object>} [{ alias, exact }]
+   */
+  static buildAliases(names) {
+    const aliases = new Map(); // alias -> только точное совпадение
+    const add = (alias, exact) => {
+      aliases.set(alias, aliases.has(alias) ? aliases.get(alias) && exact : exact);
+    };
+    for (const name of names) {
+      const normalized = AddressDetector.normalize(name.replace(/^@/, ''));
+      const whole = normalized.replace(/[\d_\s]/g, '');
+      const parts = [...normalized.split(/[\s\d_]+/), ...normalized.split(/(?<=\p{Script=Cyrillic})(?=[a-z])|(?<=[a-z])(?=\p{Script=Cyrillic})/u)];
+      for (const [part, exact] of [[whole, false], ...parts.map(part => [part.replace(/[\d_\s]/g, ''), true])]) {
+        if (part.length >= 4) {
+          add(part, exact);
+          if (/[a-z]/.test(part)) {
+            add(AddressDetector.transliterate(part), exact);
+          }
+        }
+      }
+    }
+    return [...aliases].map(([alias, exact]) => ({ alias, exact }));
+  }
+
+  /**
+   * Расстояние Левенштейна
+   */
+  static distance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Похоже ли слово на имя бота: короткие имена и части ника - точно, длинные - с 1-2 ошибками распознавания
+   */
+  matchesName(word) {
+    return this.botNames.some(({ alias, exact }) => {
+      const allowed = exact || alias.length <= 4 ? 0 : alias.length <= 7 ? 1 : 2;
+      return Math.abs(alias.length - word.length) <= allowed && AddressDetector.distance(word, alias) <= allowed;
+    });
+  }
+
+  /**
+   * Поиск обращения во фразе
+   * @returns {Object|null} { type, match } или null
+   */
+  detect(text) {
+    const normalized = AddressDetector.normalize(text);
+    if (!normalized) {
+      return null;
+    }
+    const words = normalized.replace(/\?/g, ' ').split(' ').filter(Boolean);
+
+    // Имя бота - одно слово или два соседних (распознавание может разбить ник)
+    for (let i = 0; i < words.length; i++) {
+      for (const candidate of [words[i], words[i] + (words[i + 1] || '')]) {
+        if (candidate.length >= 3 && this.matchesName(candidate)) {
+          return { type: 'name', match: candidate };
+        }
+      }
+    }
+
+    const padded = ` ${normalized.replace(/\?/g, ' ')} `;
+    const opinion = OPINION_PHRASES.find(phrase => padded.includes(` ${phrase} `));
+    if (opinion) {
+      return { type: 'opinion', match: opinion };
+    }
+
+    // Вопрос чату - во фразе с обращением и в форме вопроса
+    for (const phrase of AddressDetector.splitPhrases(text)) {
+      const chatWord = phrase.words.find(word => CHAT_WORDS.includes(word));
+      if (chatWord && AddressDetector.isQuestion(phrase)) {
+        return { type: 'question', match: chatWord };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Фразы распознанного текста: { words, asked } (asked - фраза закончилась знаком вопроса)
+   */
+  static splitPhrases(text) {
+    return (text || '').replace(/(\p{L})-(то|нибудь|либо)(?!\p{L})/giu, '$1$2') // "как-то" - не вопрос
+      .split(/(?<=[.!?…;])/)
+      .map(part => ({ words: AddressDetector.normalize(part).replace(/\?/g, ' ').split(' ').filter(Boolean), asked: /\?\s*$/.test(part) }))
+      .filter(phrase => phrase.words.length > 0);
+  }
+
+  /**
+   * Форма вопроса: знак вопроса в конце фразы или вопросительное слово в ее начале
+   * (после обращения: "чат, как вам?"), "ли" - вторым словом ("видели ли")
+   */
+  static isQuestion({ words, asked }) {
+    if (asked) {
+      return true;
+    }
+    const start = words.findIndex(word => !CHAT_WORDS.includes(word));
+    return start !== -1 && (QUESTION_WORDS.includes(words[start]) || words[start + 1] === 'ли');
+  }
+
+  /**
+   * Проверка фразы стримера: при обращении - событие 'address'
+   * @param {Object} speech - { text, timestamp, capturedAt }
+   * @returns {Object|null} Обращение или null
+   */
+  check(speech) {
+    if (!this.enabled || !speech?.text) {
+      return null;
+    }
+    this.stats.checked++;
+
+    const found = this.detect(speech.text);
+    if (!found) {
+      return null;
+    }
+    const now = this.clock.now();
+    if (now - this.lastAddressAt < this.cooldown) {
+      return null;
+    }
+    this.lastAddressAt = now;
+    this.stats.detected++;
+    this.stats.byType[found.type] = (this.stats.byType[found.type] || 0) + 1;
+
+    const address = { ...found, text: speech.text.trim(), timestamp: speech.timestamp || now, capturedAt: speech.capturedAt || null };
+    console.log(`[Address] 🎙️ Стример обращается (${found.type}: "${found.match}"): "${address.text.substring(0, 80)}"`);
+    this.emit('address', address);
+    return address;
+  }
+
+  getStats() {
+    return { ...this.stats, enabled: this.enabled, botNames: this.botNames.map(({ alias }) => alias) };
+  }
+}
@@ -1,5 +1,7 @@
 // Локальный LLM удален - используем только Gemini через ProxyAPI
 import { BrainMemory } from './brainMemory.js';
+import { CadencePolicy } from './cadencePolicy.js';
+import { realClock } from './clock.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -14,25 +16,40 @@ const __dirname = path.dirname(__filename);
 export class BrainCoordinator {
   constructor(config = {}) {
     this.config = config;
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
     // Локальный LLM удален - используем только Gemini через ProxyAPI
     this.memory = null; // Память мозга
     
     // Инициализируем память мозга
     this.memory = new BrainMemory({
       maxEntries: config.maxMemoryEntries || 1000,
+      clock: this.clock,
+      memoryDir: config.memoryDir, // Память канала (по умолчанию resources/)
     });
     
+    // Каталог данных канала (streamer_info.json)
+    this.dataDir = config.dataDir || path.join(__dirname, '../../data');
+    
     // Кэш оптимизированных промптов
     this.promptCache = new Map();
     
     // Режим работы: 'normal' (основной) или 'training' (обучение)
     this.mode = config.mode || 'normal';
     
+    // Смайлики канала (латинские смайлики чата не считаются английскими словами)
+    this.emoteRegistry = null;
+
+    // Защита промптов: сообщения чата вставляются как данные, а не инструкции
+    this.promptGuard = null;
+
+    // Политика частоты сообщений (runtime подставляет политику канала)
+    this.cadence = new CadencePolicy({ clock: this.clock });
+    
     // Внутреннее состояние мозга
     this.state = {
       lastMessageTime: 0,
       // messageCooldown убран - мозг сам решает когда отправлять сообщения
-      currentTime: Date.now(),
+      currentTime: this.clock.now(),
       lastScreenshotRequest: 0, // Время последнего запроса скриншота
       screenshotRequestCount: 0, // Счетчик запросов скриншотов (для контроля частоты)
       screenshotRequestWindow: 0, // Окно времени для подсчета запросов
@@ -62,7 +79,7 @@ export class BrainCoordinator {
    */
   async loadStreamerInfo() {
     try {
-      const streamerInfoPath = path.join(__dirname, '../../data/streamer_info.json');
+      const streamerInfoPath = path.join(this.dataDir, 'streamer_info.json');
       const data = await fs.readFile(streamerInfoPath, 'utf-8');
       this.streamerInfo = JSON.parse(data);
     } catch (error) {
@@ -258,7 +275,8 @@ export class BrainCoordinator {
         // Ищем релевантные записи
         const relevantMemories = await this.memory.recall({
           minImportance: 6,
-          afterTimestamp: Date.now() - 7 * 24 * 60 * 60 * 1000, // Последние 7 дней
+          afterTimestamp: this.clock.now() - 7 * 24 * 60 * 60 * 1000, // Последние 7 дней
+          excludeCategories: ['message_feedback'], // Оценки сообщений бота идут в промпт как подсказка стиля
         }, 5);
 
         if (relevantMemories.length > 0) {
@@ -284,7 +302,7 @@ export class BrainCoordinator {
     const recentFragments = context.recentSpeechFragments || this.state.recentSpeechFragments || [];
     const recentStreamerFragments = recentFragments
       .filter(f => {
-        const timeAgo = Date.now() - (f.timestamp || 0);
+        const timeAgo = this.clock.now() - (f.timestamp || 0);
         return timeAgo < 30000; // Только последние 30 секунд
       })
       .slice(-5); // Последние 5 фрагментов
@@ -292,7 +310,7 @@ export class BrainCoordinator {
     if (recentStreamerFragments.length > 0) {
       memoryContext += '\n\n=== ПОСЛЕДНИЕ ФРАГМЕНТЫ РЕЧИ (ПОСЛЕДНИЕ 30 СЕКУНД) ===\n';
       recentStreamerFragments.forEach((fragment) => {
-        const timeAgo = Math.round((Date.now() - (fragment.timestamp || Date.now())) / 1000);
+        const timeAgo = Math.round((this.clock.now() - (fragment.timestamp || this.clock.now())) / 1000);
         memoryContext += `[${timeAgo}с назад] ${fragment.text || ''}\n`;
       });
       
@@ -301,7 +319,7 @@ export class BrainCoordinator {
       if (fragments.length > 0) {
         memoryContext += '\n=== ПОСЛЕДНИЕ ФРАГМЕНТЫ ===\n';
         fragments.forEach(fragment => {
-          const timeAgo = Math.round((Date.now() - fragment.timestamp) / 1000);
+          const timeAgo = Math.round((this.clock.now() - fragment.timestamp) / 1000);
           memoryContext += `[${timeAgo}с назад] ${fragment.text}\n`;
         });
       }
@@ -343,8 +361,16 @@ export class BrainCoordinator {
     }
     
     if (context.chatHistory && context.chatHistory.length > 0) {
-      const recentChat = context.chatHistory.slice(-3).map(m => `${m.username}: ${m.message}`).join('\n');
-      additionalDetails += `- Последние сообщения в чате:\n${recentChat}\n`;
+      // Чат - недоверенные данные: через защиту промптов (метки, очистка, без попыток командовать ботом)
+      if (this.promptGuard) {
+        const chatBlock = this.promptGuard.formatChat(context.chatHistory.slice(-3), '- Последние сообщения в чате');
+        if (chatBlock) {
+          additionalDetails += `${chatBlock}${this.promptGuard.getPromptRule()}\n`;
+        }
+      } else {
+        const recentChat = context.chatHistory.slice(-3).map(m => `${m.username}: ${m.message}`).join('\n');
+        additionalDetails += `- Последние сообщения в чате:\n${recentChat}\n`;
+      }
     }
     
     if (context.time) {
@@ -527,21 +553,22 @@ export class BrainCoordinator {
       }
     }
     
-    // Проверка на русский язык
+    // Проверка на русский язык (смайлики чата не учитываем - KEKW не английское слово)
+    const languageText = this.emoteRegistry ? this.emoteRegistry.stripEmotes(message) : message;
     const chineseChars = /[\u4e00-\u9fff]/g;
     const japaneseChars = /[\u3040-\u309F\u30A0-\u30FF]/g;
     const koreanChars = /[\uAC00-\uD7AF]/g;
     const arabicChars = /[\u0600-\u06FF]/g;
     const cyrillicChars = /[а-яёА-ЯЁ]/g;
     
-    const totalChars = message.length;
-    const chineseCount = (message.match(chineseChars) || []).length;
-    const japaneseCount = (message.match(japaneseChars) || []).length;
-    const koreanCount = (message.match(koreanChars) || []).length;
-    const arabicCount = (message.match(arabicChars) || []).length;
-    const cyrillicCount = (message.match(cyrillicChars) || []).length;
+    const totalChars = languageText.length || 1;
+    const chineseCount = (languageText.match(chineseChars) || []).length;
+    const japaneseCount = (languageText.match(japaneseChars) || []).length;
+    const koreanCount = (languageText.match(koreanChars) || []).length;
+    const arabicCount = (languageText.match(arabicChars) || []).length;
+    const cyrillicCount = (languageText.match(cyrillicChars) || []).length;
     const englishWords = /\b[a-zA-Z]{4,}\b/g;
-    const englishWordCount = (message.match(englishWords) || []).length;
+    const englishWordCount = (languageText.match(englishWords) || []).length;
     
     if (chineseCount > 0 || japaneseCount > 0 || koreanCount > 0 || arabicCount > 0) {
       return null;
@@ -581,7 +608,8 @@ export class BrainCoordinator {
     message = message.replace(/_([^_]+)_/g, '$1');
     message = message.replace(/##+\s*/g, '');
     message = message.replace(/^#+\s*/g, '');
-    message = message.replace(/\b[a-zA-Z]{4,}\b/g, '').trim();
+    // Латинские слова удаляем, но смайлики чата оставляем
+    message = message.replace(/\b[a-zA-Z]{4,}\b/g, word => (this.emoteRegistry?.isEmote(word) ? word : '')).replace(/\s+/g, ' ').trim();
     
     // Удаляем фразы-префиксы
     const reactionPhrases = [
@@ -793,7 +821,7 @@ export class BrainCoordinator {
    * @returns {Object} - решение о необходимости ожидания
    */
   updateTime(currentTime, context = {}) {
-    const now = currentTime || Date.now();
+    const now = currentTime || this.clock.now();
     
     // Если это первое сообщение при запуске - разрешаем сразу
     if (context.isFirstMessage) {
@@ -813,23 +841,11 @@ export class BrainCoordinator {
       this.updateRealtimeText();
     }
     
-    // Минимальная пауза между сообщениями - 2 секунды (уменьшено для большей активности)
-    const minPause = 2000;
-    
-    if (timeSinceLastMessage < minPause) {
-      return {
-        shouldWait: true,
-        reason: 'Минимальная пауза между сообщениями',
-        timeRemaining: minPause - timeSinceLastMessage,
-      };
-    }
-    
-    // Если нет интересных событий - увеличиваем паузу до 5 секунд (уменьшено для большей активности)
     // Учитываем последние фрагменты речи (не весь накопительный текст)
     const recentFragments = context.recentSpeechFragments || [];
     const hasRecentSpeech = recentFragments.length > 0 && 
       recentFragments.some(f => {
-        const timeAgo = Date.now() - (f.timestamp || 0);
+        const timeAgo = this.clock.now() - (f.timestamp || 0);
         return timeAgo < 60000; // Есть фрагменты за последние 60 секунд (увеличено окно)
       });
     
@@ -840,18 +856,12 @@ export class BrainCoordinator {
       hasRecentSpeech || // Есть недавние фрагменты речи
       (context.chatHistory && context.chatHistory.length > 0); // Есть сообщения в чате
     
-    if (!hasInterestingEvents && timeSinceLastMessage < 5000) {
-      return {
-        shouldWait: true,
-        reason: 'Нет интересных событий, увеличиваем паузу',
-        timeRemaining: 5000 - timeSinceLastMessage,
-      };
-    }
-    
+    // Паузы (минимальная и без интересных событий) задает политика частоты канала
+    const decision = this.cadence.checkPause(timeSinceLastMessage, hasInterestingEvents);
     return {
-      shouldWait: false,
-      reason: 'Можно генерировать сообщение',
-      timeRemaining: 0,
+      shouldWait: !decision.allowed,
+      reason: decision.reason,
+      timeRemaining: decision.waitMs,
     };
   }
   
@@ -872,7 +882,7 @@ export class BrainCoordinator {
       // Обновляем состояние мозга
       this.state.lastRealtimeText = currentText;
       this.state.recentSpeechFragments = recentFragments;
-      this.state.lastRealtimeTextUpdate = Date.now();
+      this.state.lastRealtimeTextUpdate = this.clock.now();
       
       // Сохраняем важные фрагменты в память (если есть новые)
       if (recentFragments.length > 0 && this.memory) {
@@ -949,7 +959,7 @@ export class BrainCoordinator {
    * Установка времени последнего сообщения
    */
   setLastMessageTime(timestamp) {
-    this.state.lastMessageTime = timestamp || Date.now();
+    this.state.lastMessageTime = timestamp || this.clock.now();
   }
 
 
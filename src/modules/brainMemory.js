@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { realClock } from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,7 +12,8 @@ const __dirname = path.dirname(__filename);
  */
 export class BrainMemory {
   constructor(config = {}) {
-    this.memoryDir = path.join(__dirname, '../../resources');
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.memoryDir = config.memoryDir || path.join(__dirname, '../../resources'); // Свой каталог у каждого канала
     this.memoryFile = path.join(this.memoryDir, 'brain_memory.json');
     
     // Структура памяти
@@ -19,8 +21,8 @@ export class BrainMemory {
       entries: [], // Массив записей
       metadata: {
         version: '1.0',
-        createdAt: Date.now(),
-        lastUpdated: Date.now(),
+        createdAt: this.clock.now(),
+        lastUpdated: this.clock.now(),
         totalEntries: 0,
       },
     };
@@ -62,7 +64,7 @@ export class BrainMemory {
       // Убеждаемся, что директория создана
       await fs.mkdir(this.memoryDir, { recursive: true });
       
-      this.memory.metadata.lastUpdated = Date.now();
+      this.memory.metadata.lastUpdated = this.clock.now();
       this.memory.metadata.totalEntries = this.memory.entries.length;
       
       await fs.writeFile(
@@ -90,9 +92,9 @@ export class BrainMemory {
     }
     
     const entry = {
-      id: `mem_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: Date.now(),
-      timeString: new Date().toLocaleString('ru-RU'),
+      id: `mem_${this.clock.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      timestamp: this.clock.now(),
+      timeString: new Date(this.clock.now()).toLocaleString('ru-RU'),
       content: content,
       category: category,
       importance: Math.max(1, Math.min(10, importance)), // Ограничиваем 1-10
@@ -137,6 +139,9 @@ export class BrainMemory {
     if (filters.category) {
       results = results.filter(entry => entry.category === filters.category);
     }
+    if (filters.excludeCategories) {
+      results = results.filter(entry => !filters.excludeCategories.includes(entry.category));
+    }
 
     // Фильтр по тегам
     if (filters.tags && filters.tags.length > 0) {
@@ -65,7 +65,8 @@ export class BrainTrainer {
       
       const __filename = fileURLToPath(import.meta.url);
       const __dirname = path.dirname(__filename);
-      const dataPath = path.join(__dirname, '../../data/chat_messages.json');
+      const dataDir = this.config.dataDir || path.join(__dirname, '../../data');
+      const dataPath = path.join(dataDir, 'chat_messages.json');
       
       // Читаем существующие данные
       let data = [];
@@ -5,7 +5,9 @@ import path from 'path';
 import os from 'os';
 import { fileURLToPath } from 'url';
 import { spawn } from 'child_process';
+import axios from 'axios';
 import { VoiceActivityDetector } from './vad.js';
+import { realClock } from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,16 +15,23 @@ const __dirname = path.dirname(__filename);
 export class VirtualBrowser {
   constructor(config) {
     this.config = config;
+    // Циклы скриншотов и захвата аудио идут по этим часам (таймауты внешних процессов - по реальным)
+    this.clock = config.clock || realClock;
     this.browser = null;
     this.page = null;
     this.isRunning = false;
-    this.screenshotsDir = path.join(__dirname, '../../screenshots');
+    this.screenshotsDir = config.screenshotsDir || path.join(__dirname, '../../screenshots');
     this.streamUrl = null; // Кэшируем URL стрима для непрерывного захвата
     this.ytdlpCommand = null; // Кэшируем команду yt-dlp
     this.streamUrlTimestamp = 0; // Время получения URL (для обновления при необходимости)
     this.vad = null; // Voice Activity Detector для умного захвата
     this.isCapturingSpeech = false; // Флаг активного захвата речи
     this.lastSpeechTime = 0; // Время последней обнаруженной речи
+    this.lastAudioCapture = null; // Последний захват аудио { startedAt, finishedAt, durationMs, streamLag, meanVolume, ad }
+    this.streamLag = null; // Отставание края HLS от эфира по последнему замеру плейлиста (мс)
+    this.streamLagMeasuredAt = 0;
+    this.streamLagInterval = config.streamLagInterval || 30000; // Как часто замерять плейлист
+    this.playlistAd = false; // В плейлисте HLS (и значит в захвате звука) идет реклама
   }
 
   /**
@@ -32,7 +41,7 @@ export class VirtualBrowser {
     try {
       const files = await fs.readdir(this.screenshotsDir).catch(() => []);
       
-      const now = Date.now();
+      const now = this.clock.now();
       // Максимальный возраст скриншотов (по умолчанию 60 минут = 1 час, можно настроить через SCREENSHOT_MAX_AGE в минутах)
       const maxAgeMinutes = parseInt(process.env.SCREENSHOT_MAX_AGE || '60', 10);
       const maxAge = maxAgeMinutes * 60 * 1000;
@@ -74,7 +83,7 @@ export class VirtualBrowser {
       const tempDir = path.join(os.tmpdir(), 'twitch_bot_audio');
       const files = await fs.readdir(tempDir).catch(() => []);
       
-      const now = Date.now();
+      const now = this.clock.now();
       const maxAge = 5 * 60 * 1000; // 5 минут
       let cleanedCount = 0;
       
@@ -165,7 +174,7 @@ export class VirtualBrowser {
           
           // Устанавливаем максимальное качество видео (БЕЗ разворачивания на весь экран)
           // Оставляем обычный режим, чтобы в скриншотах было видно интерфейс Twitch (чат, данные стрима)
-          setTimeout(async () => {
+          this.clock.setTimeout(async () => {
             await this.setMaxVideoQuality();
             // ОТКЛЮЧЕНО: await this.expandVideoToFullscreen(); // Не разворачиваем на весь экран, чтобы видеть интерфейс
           }, 5000); // 5 секунд после появления видео элемента
@@ -182,7 +191,7 @@ export class VirtualBrowser {
       
       // Получаем URL стрима один раз при инициализации (после загрузки)
       // Ждем немного, чтобы стрим точно загрузился
-      setTimeout(async () => {
+      this.clock.setTimeout(async () => {
         try {
           await this.ensureStreamUrl();
         } catch (error) {
@@ -476,7 +485,7 @@ export class VirtualBrowser {
     }
 
     try {
-      const timestamp = Date.now();
+      const timestamp = this.clock.now();
       const screenshotPath = path.join(this.screenshotsDir, `screenshot_${timestamp}.png`);
       
       // Делаем скриншот с максимальным качеством
@@ -496,10 +505,16 @@ export class VirtualBrowser {
         })
         .toBuffer();
 
+      // Признаки для определения рекламы и заставок - без запросов к модели
+      const player = await this.getPlayerState().catch(() => null);
+      const frame = await this.getFrameStats(screenshot, player?.rect).catch(() => null);
+
       return {
         buffer: optimizedBuffer,
         path: screenshotPath,
         timestamp,
+        frame,
+        player,
       };
     } catch (error) {
       // Проверяем, не закрыт ли браузер
@@ -522,6 +537,69 @@ export class VirtualBrowser {
     }
   }
 
+  /**
+   * Состояние плеера Twitch на странице: плашка рекламы, играет ли видео, где видео на странице
+   * @returns {Promise<Object|null>} { ad, adText, playing, rect }
+   */
+  async getPlayerState() {
+    if (!this.page || this.page.isClosed()) {
+      return null;
+    }
+    return this.page.evaluate(() => {
+      const adElement = document.querySelector('[data-a-target="video-ad-label"]') ||
+                        document.querySelector('[data-a-target="video-ad-countdown"]') ||
+                        document.querySelector('[data-test-selector="ad-banner-default-text"]');
+      const video = document.querySelector('video');
+      const rect = video ? video.getBoundingClientRect() : null;
+      return {
+        ad: !!adElement,
+        adText: adElement ? (adElement.textContent || '').trim().substring(0, 50) : null,
+        playing: video ? !video.paused && !video.ended && video.readyState >= 3 : false,
+        rect: rect && rect.width > 0 && rect.height > 0
+          ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height }
+          : null,
+      };
+    });
+  }
+
+  /**
+   * Статистика кадра видео через sharp: уменьшенная копия в оттенках серого для сравнения кадров, яркость и контраст
+   * Вырезается только видео (чат и интерфейс страницы меняются сами по себе)
+   * @param {Buffer} screenshot - Скриншот страницы
+   * @param {Object|null} rect - Положение видео на странице (CSS пиксели)
+   * @returns {Promise<Object>} { thumbnail, width, height, brightness, contrast }
+   */
+  async getFrameStats(screenshot, rect = null) {
+    const width = 64;
+    const height = 36;
+    let image = sharp(screenshot);
+    if (rect) {
+      const metadata = await image.metadata();
+      const scale = metadata.width / (this.page.viewportSize()?.width || metadata.width);
+      const left = Math.max(0, Math.round(rect.x * scale));
+      const top = Math.max(0, Math.round(rect.y * scale));
+      const region = {
+        left,
+        top,
+        width: Math.min(metadata.width - left, Math.round(rect.width * scale)),
+        height: Math.min(metadata.height - top, Math.round(rect.height * scale)),
+      };
+      if (region.width > 0 && region.height > 0) {
+        image = sharp(screenshot).extract(region);
+      }
+    }
+
+    const thumbnail = await image.resize(width, height, { fit: 'fill' }).greyscale().raw().toBuffer();
+    const { channels } = await sharp(thumbnail, { raw: { width, height, channels: 1 } }).stats();
+    return {
+      thumbnail,
+      width,
+      height,
+      brightness: channels[0].mean,
+      contrast: channels[0].stdev,
+    };
+  }
+
   async startScreenshotLoop(callback) {
     if (!this.isRunning) {
       await this.init();
@@ -575,7 +653,7 @@ export class VirtualBrowser {
           console.warn('[Browser] ⚠️ Браузер закрыт, пытаемся переподключиться в следующем цикле...');
           this.isRunning = false;
           // Попробуем переподключиться в следующем цикле
-          setTimeout(async () => {
+          this.clock.setTimeout(async () => {
             try {
               await this.init();
             } catch (reconnectError) {
@@ -594,9 +672,9 @@ export class VirtualBrowser {
     takeScreenshotAsync();
 
     // Затем по интервалу
-    const interval = setInterval(() => {
+    const interval = this.clock.setInterval(() => {
       if (!this.isRunning) {
-        clearInterval(interval);
+        this.clock.clearInterval(interval);
         return;
       }
       takeScreenshotAsync();
@@ -609,6 +687,7 @@ export class VirtualBrowser {
 
   async stop() {
     this.isRunning = false;
+    this.streamUrl = null; // URL потока действует только в этом эфире
     if (this.browser) {
       await this.browser.close();
       console.log('[Browser] Браузер закрыт');
@@ -642,11 +721,31 @@ export class VirtualBrowser {
       // Создаем временный файл
       const tempDir = path.join(os.tmpdir(), 'twitch_bot_audio');
       await fs.mkdir(tempDir, { recursive: true });
-      const timestamp = Date.now();
+      const timestamp = this.clock.now();
       const outputPath = path.join(tempDir, `audio_${timestamp}.mp3`);
 
+      // Отставание стрима замеряется по плейлисту изредка и параллельно с захватом
+      if (timestamp - this.streamLagMeasuredAt >= this.streamLagInterval) {
+        this.streamLagMeasuredAt = timestamp;
+        this.measureStreamLag(streamUrl)
+          .then((lag) => {
+            if (lag !== null) {
+              this.streamLag = lag;
+            }
+          })
+          .catch(() => {});
+      }
+
       // Захватываем через ffmpeg
       const result = await this.captureAudioWithFfmpeg(streamUrl, outputPath, durationSeconds);
+      this.lastAudioCapture = {
+        startedAt: timestamp,
+        finishedAt: this.clock.now(),
+        durationMs: durationSeconds * 1000,
+        streamLag: this.streamLag,
+        meanVolume: result?.audio ? await this.measureVolume(result.audio) : null,
+        ad: this.playlistAd,
+      };
       return result?.audio || null;
     } catch (error) {
       console.error('[Browser] Ошибка захвата аудио:', error.message);
@@ -811,7 +910,7 @@ export class VirtualBrowser {
       const tempDir = path.join(os.tmpdir(), 'twitch_bot_audio');
       const files = await fs.readdir(tempDir).catch(() => []);
       
-      const now = Date.now();
+      const now = this.clock.now();
       const maxAge = 5 * 60 * 1000; // 5 минут
       let cleanedCount = 0;
       
@@ -839,13 +938,90 @@ export class VirtualBrowser {
     }
   }
 
+  /**
+   * Отставание края HLS от эфира: время конца последнего сегмента плейлиста (#EXT-X-PROGRAM-DATE-TIME) против текущего
+   * @returns {Promise<number|null>} Отставание в мс или null, если в плейлисте нет меток времени
+   */
+  async measureStreamLag(streamUrl) {
+    const fetchPlaylist = async (url) => (await axios.get(url, { timeout: 5000, responseType: 'text' })).data;
+    let playlistUrl = streamUrl;
+    let playlist = await fetchPlaylist(playlistUrl);
+
+    // Мастер-плейлист - берем первый вариант качества
+    if (playlist.includes('#EXT-X-STREAM-INF')) {
+      const variant = playlist.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('#'));
+      if (!variant) {
+        return null;
+      }
+      playlistUrl = new URL(variant, playlistUrl).href;
+      playlist = await fetchPlaylist(playlistUrl);
+    }
+
+    // Рекламу Twitch вшивает в сам поток - заодно отмечаем ее для определения сцены
+    this.playlistAd = /stitched-ad|X-TV-TWITCH-AD/i.test(playlist);
+
+    let segmentStart = null;
+    let segmentDuration = 0;
+    let edge = null;
+    for (const line of playlist.split('\n').map(line => line.trim())) {
+      if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+        segmentStart = Date.parse(line.substring('#EXT-X-PROGRAM-DATE-TIME:'.length));
+      } else if (line.startsWith('#EXTINF:')) {
+        segmentDuration = (parseFloat(line.substring('#EXTINF:'.length)) || 0) * 1000;
+      } else if (line && !line.startsWith('#') && Number.isFinite(segmentStart)) {
+        edge = segmentStart + segmentDuration;
+        segmentStart = edge; // Следующий сегмент без своей метки идет сразу за этим
+      }
+    }
+    if (edge === null) {
+      return null;
+    }
+    // Метки плейлиста - настоящее время, поэтому и сравниваем с настоящим, а не с часами модуля
+    return Math.max(0, Date.now() - edge);
+  }
+
+  /**
+   * Средняя громкость фрагмента звука через ffmpeg volumedetect
+   * @returns {Promise<number|null>} Громкость в дБ (тишина около -91) или null
+   */
+  async measureVolume(audioBuffer) {
+    return new Promise((resolve) => {
+      let output = '';
+      let ffmpeg;
+      try {
+        ffmpeg = spawn('ffmpeg', ['-hide_banner', '-i', 'pipe:0', '-af', 'volumedetect', '-f', 'null', '-'], { stdio: 'pipe' });
+      } catch {
+        resolve(null);
+        return;
+      }
+      const timeoutId = setTimeout(() => {
+        ffmpeg.kill();
+        resolve(null);
+      }, 5000);
+      ffmpeg.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+      ffmpeg.on('error', () => {
+        clearTimeout(timeoutId);
+        resolve(null);
+      });
+      ffmpeg.on('close', () => {
+        clearTimeout(timeoutId);
+        const match = output.match(/mean_volume:\s*(-?\d+(?:\.\d+)?)\s*dB/);
+        resolve(match ? parseFloat(match[1]) : null);
+      });
+      ffmpeg.stdin.on('error', () => {}); // ffmpeg может закрыть вход раньше
+      ffmpeg.stdin.end(audioBuffer);
+    });
+  }
+
   /**
    * Убедиться, что у нас есть URL стрима (получить или использовать кэшированный)
    */
   async ensureStreamUrl() {
     // Если URL уже есть и не слишком старый (менее 5 минут), используем его
     const urlMaxAge = 5 * 60 * 1000; // 5 минут
-    if (this.streamUrl && (Date.now() - this.streamUrlTimestamp) < urlMaxAge) {
+    if (this.streamUrl && (this.clock.now() - this.streamUrlTimestamp) < urlMaxAge) {
       return this.streamUrl;
     }
     
@@ -864,7 +1040,7 @@ export class VirtualBrowser {
     
     if (streamUrl) {
       this.streamUrl = streamUrl;
-      this.streamUrlTimestamp = Date.now();
+      this.streamUrlTimestamp = this.clock.now();
       // URL стрима сохранен
       return streamUrl;
     }
@@ -885,7 +1061,7 @@ export class VirtualBrowser {
         await this.cleanupTempFiles();
       }
       
-      const timestamp = Date.now();
+      const timestamp = this.clock.now();
       const outputPath = path.join(tempDir, `audio_${timestamp}.mp3`);
       
       console.log(`[Browser] 🎤 Захват фрагмента аудио (${durationSeconds} секунд)...`);
@@ -1352,7 +1528,7 @@ export class VirtualBrowser {
     let currentChunk = [];
     let chunkIndex = 0;
     const chunkDuration = 0.5;
-    this.lastSpeechTime = Date.now();
+    this.lastSpeechTime = this.clock.now();
 
     const captureLoop = async () => {
       if (!this.isRunning) return;
@@ -1360,7 +1536,7 @@ export class VirtualBrowser {
       try {
         const chunk = await this.captureAudioChunk(this.streamUrl, chunkDuration, chunkIndex * chunkDuration);
         if (!chunk) {
-          setTimeout(captureLoop, 1000);
+          this.clock.setTimeout(captureLoop, 1000);
           return;
         }
 
@@ -1374,10 +1550,10 @@ export class VirtualBrowser {
             this.vad?.emit('speechStart');
           }
           currentChunk.push(chunk);
-          this.lastSpeechTime = Date.now();
+          this.lastSpeechTime = this.clock.now();
         } else {
           if (this.isCapturingSpeech) {
-            const silenceDuration = (Date.now() - this.lastSpeechTime) / 1000;
+            const silenceDuration = (this.clock.now() - this.lastSpeechTime) / 1000;
             if (silenceDuration >= 1.0 && currentChunk.length > 0) {
               const fullAudio = Buffer.concat(currentChunk);
               const duration = (currentChunk.length * chunkDuration);
@@ -1386,7 +1562,7 @@ export class VirtualBrowser {
               this.isCapturingSpeech = false;
               
               this.vad?.emit('speechEnd', {
-                timestamp: Date.now(),
+                timestamp: this.clock.now(),
                 duration: duration,
                 audioBuffer: fullAudio,
               });
@@ -1397,10 +1573,10 @@ export class VirtualBrowser {
         }
 
         chunkIndex++;
-        setTimeout(captureLoop, 100);
+        this.clock.setTimeout(captureLoop, 100);
       } catch (error) {
         console.error('[Browser] Ошибка в цикле захвата:', error.message);
-        setTimeout(captureLoop, 1000);
+        this.clock.setTimeout(captureLoop, 1000);
       }
     };
 
@@ -1481,6 +1657,7 @@ export class VirtualBrowser {
   /**
    * Запуск цикла захвата и обработки аудио
    * Обычный периодический захват без VAD
+   * @param {Function} callback - (audioBuffer, capture) - capture: { startedAt, finishedAt, durationMs, streamLag, meanVolume, ad }
    */
   async startAudioCaptureLoop(callback, intervalMs = 3000) {
     if (!this.isRunning) {
@@ -1490,9 +1667,9 @@ export class VirtualBrowser {
     // Захват аудио запущен
     
     // Обычный периодический захват без VAD
-    const captureInterval = setInterval(async () => {
+    const captureInterval = this.clock.setInterval(async () => {
       if (!this.isRunning) {
-        clearInterval(captureInterval);
+        this.clock.clearInterval(captureInterval);
         return;
       }
 
@@ -1501,8 +1678,8 @@ export class VirtualBrowser {
         const audioBuffer = await this.captureAudio(intervalMs / 1000);
         
         if (audioBuffer && audioBuffer.length > 0) {
-          // Аудио захвачено
-          await callback(audioBuffer);
+          // Аудио захвачено - вместе с таймингом захвата (по нему оценивается задержка речи)
+          await callback(audioBuffer, this.lastAudioCapture);
         } else {
           // Аудио не захвачено
         }
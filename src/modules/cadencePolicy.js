@@ -0,0 +1,306 @@
+import { EventEmitter } from 'events';
+import { realClock } from './clock.js';
+
+/**
+ * Уровни активности бота
+ *   tickInterval       - как часто цикл генерации проверяет, можно ли написать
+ *   minPause           - минимальная пауза между фоновыми сообщениями
+ *   idlePause          - пауза, когда на стриме ничего интересного не происходит
+ *   relaxAfter         - после такой паузы требования к данным снижаются
+ *   forceAfter         - после такой паузы бот пишет в любом случае
+ *   generationCooldown - между запросами генерации к модели
+ *   hypeCooldown       - между запросами генерации во время всплеска в чате
+ *   maxPer10Min, maxPerHour - лимиты сообщений (фоновые + реактивные)
+ *   burst              - сообщений подряд за burstWindow (всплески не могут превысить)
+ * normal - поведение бота до появления уровней: те же паузы и кулдауны, лимитов нет (Infinity)
+ */
+export const CADENCE_LEVELS = {
+  lurk: {
+    tickInterval: 15000, minPause: 60000, idlePause: 180000, relaxAfter: 180000, forceAfter: 600000,
+    generationCooldown: 60000, hypeCooldown: 30000, maxPer10Min: 3, maxPerHour: 10, burst: 1,
+  },
+  quiet: {
+    tickInterval: 10000, minPause: 20000, idlePause: 60000, relaxAfter: 45000, forceAfter: 120000,
+    generationCooldown: 30000, hypeCooldown: 15000, maxPer10Min: 8, maxPerHour: 30, burst: 2,
+  },
+  normal: {
+    tickInterval: 5000, minPause: 2000, idlePause: 5000, relaxAfter: 8000, forceAfter: 15000,
+    generationCooldown: 15000, hypeCooldown: 5000, maxPer10Min: Infinity, maxPerHour: Infinity, burst: Infinity,
+  },
+  chatty: {
+    tickInterval: 3000, minPause: 2000, idlePause: 4000, relaxAfter: 6000, forceAfter: 10000,
+    generationCooldown: 8000, hypeCooldown: 3000, maxPer10Min: 60, maxPerHour: 300, burst: 4,
+  },
+};
+
+// Источник сообщения (TwitchClient.sendMessage options.source) -> бюджет
+const SOURCE_KINDS = { generation: 'ambient', reply: 'reactive', event: 'reactive' };
+
+/**
+ * Политика частоты сообщений канала
+ * Все решения "писать или ждать" (паузы, кулдауны, лимиты, тихие часы, всплески) принимаются здесь
+ * и записываются в один журнал решений
+ *
+ * Бюджеты: фоновые сообщения (ambient) могут занять только ambientShare от каждого лимита
+ * (за час, за 10 минут и подряд), остаток бережется для реактивных (ответы зрителям, реакции на события)
+ *
+ * События:
+ *   'change' - { level, previous } - уровень сменился (вручную или из-за тихих часов)
+ */
+export class CadencePolicy extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.level = CADENCE_LEVELS[config.level] ? config.level : 'normal';
+    if (config.level && !CADENCE_LEVELS[config.level]) {
+      console.warn(`[Cadence] ⚠️ Неизвестный уровень активности "${config.level}", используется normal`);
+    }
+    this.overrides = Object.fromEntries(
+      Object.entries(config.overrides || {}).filter(([, value]) => value !== null && value !== undefined && !Number.isNaN(value))
+    );
+    this.quietHours = CadencePolicy.parseQuietHours(config.quietHours);
+    // Уровень в тихие часы ('off' - не писать совсем)
+    this.quietLevel = CADENCE_LEVELS[config.quietLevel] || config.quietLevel === 'off' ? config.quietLevel : 'lurk';
+    this.ambientShare = config.ambientShare ?? 0.7; // Доля лимитов для фоновых сообщений
+    this.burstWindow = config.burstWindow ?? 60000;
+
+    this.sent = []; // { kind, timestamp } за последний час
+    this.decisions = []; // Журнал последних решений
+    this.maxDecisions = config.maxDecisions || 50;
+    this.lastReported = new Map(); // kind -> gate:reason последнего отказа (чтобы не спамить в консоль)
+    this.stats = { allowed: 0, denied: 0, byGate: {} };
+    this.lastEffectiveLevel = this.getLevel();
+  }
+
+  /**
+   * Тихие часы: "01:00-08:00" или "1-8" (через полночь тоже можно: "23-7")
+   */
+  static parseQuietHours(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) {
+      return null;
+    }
+    const start = parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10);
+    const end = parseInt(match[3], 10) * 60 + parseInt(match[4] || '0', 10);
+    return start === end ? null : { start, end, label: value.trim() };
+  }
+
+  /**
+   * Лимит для вывода в терминал (у normal лимитов нет)
+   */
+  static formatLimit(value) {
+    return Number.isFinite(value) ? value : '∞';
+  }
+
+  isQuietHours(now = this.clock.now()) {
+    if (!this.quietHours) {
+      return false;
+    }
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const { start, end } = this.quietHours;
+    return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Действующий уровень (в тихие часы - quietLevel)
+   */
+  getLevel(now = this.clock.now()) {
+    return this.isQuietHours(now) ? this.quietLevel : this.level;
+  }
+
+  /**
+   * Смена уровня из терминала
+   */
+  setLevel(level) {
+    if (!CADENCE_LEVELS[level]) {
+      return false;
+    }
+    const previous = this.level;
+    this.level = level;
+    console.log(`[Cadence] 🎚️ Уровень активности: ${previous} → ${level}`);
+    this.checkLevelChange();
+    return true;
+  }
+
+  checkLevelChange(now = this.clock.now()) {
+    const effective = this.getLevel(now);
+    if (effective !== this.lastEffectiveLevel) {
+      const previous = this.lastEffectiveLevel;
+      this.lastEffectiveLevel = effective;
+      this.emit('change', { level: effective, previous });
+    }
+  }
+
+  /**
+   * Настройки действующего уровня с переопределениями из конфига
+   */
+  getSettings(now = this.clock.now()) {
+    const level = this.getLevel(now);
+    const base = CADENCE_LEVELS[level] || CADENCE_LEVELS.lurk;
+    return { ...base, ...this.overrides };
+  }
+
+  getTickInterval() {
+    return this.getSettings().tickInterval;
+  }
+
+  /**
+   * Запись решения в журнал; отказы выводятся в консоль, если причина сменилась
+   * @returns {Object} { allowed, kind, gate, reason, waitMs, timestamp }
+   */
+  report(kind, gate, allowed, reason, waitMs = 0) {
+    const decision = { allowed, kind, gate, reason, waitMs: Math.max(0, Math.round(waitMs)), timestamp: this.clock.now() };
+    this.decisions.push(decision);
+    if (this.decisions.length > this.maxDecisions) {
+      this.decisions.shift();
+    }
+
+    if (allowed) {
+      this.stats.allowed++;
+    } else {
+      this.stats.denied++;
+      this.stats.byGate[gate] = (this.stats.byGate[gate] || 0) + 1;
+      const key = `${gate}:${reason}`;
+      if (this.lastReported.get(kind) !== key) {
+        this.lastReported.set(kind, key);
+        const wait = decision.waitMs > 0 ? ` (еще ${Math.ceil(decision.waitMs / 1000)} сек)` : '';
+        console.log(`[Cadence] ⏱️ ${kind}: ${reason}${wait}`);
+      }
+    }
+    return decision;
+  }
+
+  /**
+   * Лимиты: тихие часы, сообщений за 10 минут и за час, всплеск подряд
+   * @param {string} kind - 'ambient' (фоновые) или 'reactive' (ответы, реакции на события)
+   */
+  checkBudget(kind, now = this.clock.now()) {
+    this.checkLevelChange(now);
+    if (this.getLevel(now) === 'off') {
+      return this.report(kind, 'quiet_hours', false, `тихие часы ${this.quietHours.label}`);
+    }
+
+    const settings = this.getSettings(now);
+    this.prune(now);
+    const share = kind === 'ambient' ? this.ambientShare : 1;
+
+    const limit = value => (Number.isFinite(value) ? Math.max(1, Math.floor(value * share)) : Infinity);
+
+    const lastHour = this.sent;
+    const hourLimit = limit(settings.maxPerHour);
+    if (lastHour.length >= hourLimit) {
+      return this.report(kind, 'hour_budget', false, `лимит ${hourLimit} сообщений в час`, lastHour[lastHour.length - hourLimit].timestamp + 3600000 - now);
+    }
+
+    const last10 = lastHour.filter(entry => now - entry.timestamp < 600000);
+    const tenLimit = limit(settings.maxPer10Min);
+    if (last10.length >= tenLimit) {
+      return this.report(kind, 'ten_min_budget', false, `лимит ${tenLimit} сообщений за 10 минут`, last10[last10.length - tenLimit].timestamp + 600000 - now);
+    }
+
+    const burst = lastHour.filter(entry => now - entry.timestamp < this.burstWindow);
+    const burstLimit = limit(settings.burst);
+    if (burst.length >= burstLimit) {
+      return this.report(kind, 'burst', false, `не больше ${burstLimit} сообщений подряд`, burst[burst.length - burstLimit].timestamp + this.burstWindow - now);
+    }
+
+    return this.report(kind, 'budget', true, 'лимиты не превышены');
+  }
+
+  /**
+   * Пауза между фоновыми сообщениями (раньше - BrainCoordinator.updateTime)
+   */
+  checkPause(timeSinceLastMessage, hasInterestingEvents = true) {
+    const settings = this.getSettings();
+    if (timeSinceLastMessage < settings.minPause) {
+      return this.report('ambient', 'min_pause', false, 'минимальная пауза между сообщениями', settings.minPause - timeSinceLastMessage);
+    }
+    if (!hasInterestingEvents && timeSinceLastMessage < settings.idlePause) {
+      return this.report('ambient', 'idle_pause', false, 'нет интересных событий, пауза длиннее', settings.idlePause - timeSinceLastMessage);
+    }
+    return this.report('ambient', 'pause', true, 'можно генерировать сообщение');
+  }
+
+  /**
+   * Кулдаун запросов генерации к модели
+   */
+  checkGenerationCooldown(timeSinceLastRequest, { hype = false, isFirstMessage = false } = {}) {
+    const settings = this.getSettings();
+    const cooldown = hype ? settings.hypeCooldown : settings.generationCooldown;
+    if (!isFirstMessage && timeSinceLastRequest < cooldown) {
+      return this.report('ambient', 'generation_cooldown', false, `кулдаун генерации${hype ? ' (всплеск)' : ''}`, cooldown - timeSinceLastRequest);
+    }
+    return this.report('ambient', 'generation_cooldown', true, 'кулдаун генерации прошел');
+  }
+
+  /**
+   * Пауза настолько длинная, что бот пишет в любом случае
+   */
+  shouldForce(timeSinceLastMessage) {
+    return timeSinceLastMessage > this.getSettings().forceAfter;
+  }
+
+  /**
+   * Пауза настолько длинная, что можно писать и без хороших данных
+   */
+  isRelaxed(timeSinceLastMessage) {
+    return timeSinceLastMessage > this.getSettings().relaxAfter;
+  }
+
+  /**
+   * Порог уверенности данных: чем дольше бот молчит, тем ниже требования
+   */
+  getConfidenceThreshold(timeSinceLastMessage, baseConfidence = 0.4) {
+    if (this.shouldForce(timeSinceLastMessage)) {
+      return 0.2;
+    }
+    if (this.isRelaxed(timeSinceLastMessage)) {
+      return 0.3;
+    }
+    return baseConfidence;
+  }
+
+  /**
+   * Учет отправленного сообщения
+   * @param {string} source - generation | reply | event (команды не учитываются)
+   */
+  recordMessage(source, now = this.clock.now()) {
+    const kind = SOURCE_KINDS[source];
+    if (!kind) {
+      return;
+    }
+    this.sent.push({ kind, timestamp: now });
+    this.prune(now);
+    this.lastReported.delete(kind); // После сообщения причины ожидания снова выводятся в консоль
+  }
+
+  prune(now = this.clock.now()) {
+    while (this.sent.length > 0 && now - this.sent[0].timestamp >= 3600000) {
+      this.sent.shift();
+    }
+  }
+
+  getRecentDecisions(limit = 10) {
+    return this.decisions.slice(-limit);
+  }
+
+  getStats(now = this.clock.now()) {
+    this.prune(now);
+    const count = (kind, window) => this.sent.filter(entry => (!kind || entry.kind === kind) && now - entry.timestamp < window).length;
+    const settings = this.getSettings(now);
+    return {
+      level: this.level,
+      effectiveLevel: this.getLevel(now),
+      quietHours: this.quietHours?.label || null,
+      isQuietHours: this.isQuietHours(now),
+      last10Min: count(null, 600000),
+      lastHour: count(null, 3600000),
+      ambientLastHour: count('ambient', 3600000),
+      reactiveLastHour: count('reactive', 3600000),
+      maxPer10Min: settings.maxPer10Min,
+      maxPerHour: settings.maxPerHour,
+      ...this.stats,
+    };
+  }
+}
@@ -0,0 +1,133 @@
+// Вопросительные начала - модель и так задает вопросы слишком часто
+const QUESTION_START = /^(?:а\s+)?(?:как|что|чего|почему|зачем|кто|где|когда|сколько|какой|какая|какие|ты|вы)\s/i;
+
+/**
+ * Выбор лучшего из нескольких вариантов сообщения
+ * Каждый вариант оценивается по новизне (непохожесть на недавние и сохраненные сообщения бота),
+ * связи с последней фразой стримера и соблюдению стиля, варианты с повторами и запрещенным содержимым отбрасываются
+ * Причина отказа записывается в вариант (candidate.rejected): 'empty' | 'same' | 'duplicate' | 'safety: <категория>'
+ */
+export class CandidateRanker {
+  constructor(config = {}) {
+    this.count = Math.max(1, config.count ?? 3); // Сколько вариантов запрашивать у модели
+    this.topUp = config.topUp !== false; // Добирать варианты отдельными запросами, если модель вернула меньше
+    this.weights = {
+      novelty: config.weights?.novelty ?? 0.4,
+      relevance: config.weights?.relevance ?? 0.3,
+      style: config.weights?.style ?? 0.3,
+    };
+    this.duplicateThreshold = config.duplicateThreshold ?? 0.7; // Как у проверки повторов координатора
+    this.minLength = config.minLength ?? 5;
+    this.maxLength = config.maxLength ?? 50;
+    this.similarity = config.similarity || CandidateRanker.similarity;
+    this.contentSafety = config.contentSafety || null;
+    this.emoteRegistry = config.emoteRegistry || null;
+  }
+
+  /**
+   * Доля общих слов (коэффициент Жаккара)
+   */
+  static similarity(a, b) {
+    const words1 = new Set(a.toLowerCase().split(/\s+/).filter(Boolean));
+    const words2 = new Set(b.toLowerCase().split(/\s+/).filter(Boolean));
+    const union = new Set([...words1, ...words2]);
+    if (union.size === 0) {
+      return 0;
+    }
+    return [...words1].filter(word => words2.has(word)).length / union.size;
+  }
+
+  /**
+   * Основы слов для сравнения с речью (первые 5 букв слов от 4 букв)
+   */
+  static stems(text) {
+    return new Set((text || '').toLowerCase().replace(/ё/g, 'е')
+      .split(/[^\p{L}]+/u)
+      .filter(word => word.length >= 4)
+      .map(word => word.substring(0, 5)));
+  }
+
+  /**
+   * Оценка и сортировка вариантов
+   * @param {Array} candidates - [{ text, rawText, steps }] - text null, если модель промолчала или ответ отфильтрован
+   * @param {Object} context - { recentMessages, speech } - недавние сообщения бота и последняя фраза стримера
+   * @returns {Array} Варианты с { score, scores, rejected }: сначала подходящие по убыванию оценки, потом отброшенные
+   */
+  rank(candidates, { recentMessages = [], speech = '' } = {}) {
+    const speechStems = CandidateRanker.stems(speech);
+    const seen = new Set();
+
+    const ranked = candidates.map((candidate, index) => {
+      const result = { ...candidate, index, score: 0, scores: null, rejected: null };
+      const text = candidate.text?.trim();
+      if (!text) {
+        result.rejected = 'empty';
+        return result;
+      }
+
+      const normalized = text.toLowerCase().replace(/\s+/g, ' ');
+      const maxSimilarity = recentMessages.reduce((max, message) => Math.max(max, this.similarity(normalized, message.toLowerCase().trim())), 0);
+      result.scores = {
+        novelty: round(1 - maxSimilarity),
+        relevance: round(this.scoreRelevance(text, speechStems)),
+        style: round(this.scoreStyle(candidate)),
+      };
+      result.score = round(Object.entries(this.weights).reduce((sum, [key, weight]) => sum + weight * result.scores[key], 0));
+
+      const verdict = this.contentSafety?.matchRules(text, { source: 'generation' });
+      if (seen.has(normalized)) {
+        result.rejected = 'same';
+      } else if (maxSimilarity > this.duplicateThreshold) {
+        result.rejected = 'duplicate';
+      } else if (verdict) {
+        result.rejected = `safety: ${verdict.category}`;
+      }
+      seen.add(normalized);
+      return result;
+    });
+
+    return ranked.sort((a, b) => (!!a.rejected - !!b.rejected) || (b.score - a.score) || (a.index - b.index));
+  }
+
+  /**
+   * Связь с последней фразой стримера: без речи - нейтрально
+   */
+  scoreRelevance(text, speechStems) {
+    if (speechStems.size === 0) {
+      return 0.5;
+    }
+    const stems = CandidateRanker.stems(text);
+    const matches = [...stems].filter(stem => speechStems.has(stem)).length;
+    return matches > 0 ? Math.min(1, 0.5 + matches * 0.25) : 0.2;
+  }
+
+  /**
+   * Соблюдение стиля промпта: длина, русский язык, без постоянных вопросов, без обрезки
+   */
+  scoreStyle({ text, rawText = '', steps = [] }) {
+    let score = 1;
+    if (text.length < this.minLength || text.length > this.maxLength) {
+      score -= 0.3;
+    }
+
+    // Латинские слова, которые не смайлики чата - скорее всего английский
+    const words = text.split(/\s+/).filter(Boolean);
+    const latin = words.filter(word => /^[a-z]+$/i.test(word) && !this.emoteRegistry?.isEmote(word));
+    score -= (latin.length / Math.max(1, words.length)) * 0.5;
+
+    if ((rawText || '').includes('?') || QUESTION_START.test(text)) {
+      score -= 0.15;
+    }
+    if (steps.includes('truncated')) {
+      score -= 0.2; // Мысль оборвана на полуслове
+    }
+    if (steps.includes('multiline') || steps.includes('unicode_emoji')) {
+      score -= 0.1;
+    }
+    return Math.max(0, score);
+  }
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
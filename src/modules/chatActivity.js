@@ -0,0 +1,276 @@
+import { EventEmitter } from 'events';
+import { realClock } from './clock.js';
+
+/**
+ * Анализ активности чата: скорость сообщений, уникальные зрители, волны смайликов и копипаст, всплески
+ * Получает те же сообщения, что попадают в contextBuffer.chatHistory, но хранит их дольше (для базовой скорости)
+ *
+ * События:
+ *   'hype' - { type: 'spike'|'flood'|'emote_wave'|'copypasta', messagesPerMinute, uniqueChatters, baseline, emote?, text?, untrusted?, timestamp }
+ *            untrusted - в копипасте были спам, !команды или попытки командовать ботом (текст не попадает в промпт)
+ *   'calm' - флуд закончился
+ */
+export class ChatActivityAnalyzer extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.enabled = config.enabled !== false;
+    this.emoteRegistry = config.emoteRegistry || null; // Для распознавания смайликов в волнах
+    this.promptGuard = config.promptGuard || null; // Текст копипасты попадает в промпт как данные чата
+
+    this.historyWindow = config.historyWindow || 10 * 60 * 1000; // Окно базовой скорости чата (10 минут)
+    this.burstWindow = config.burstWindow || 20000; // Окно всплеска и волны
+    this.spikeFactor = config.spikeFactor ?? 2.5; // Во сколько раз всплеск быстрее обычной скорости
+    this.minSpikeMessages = config.minSpikeMessages ?? 6; // Минимум сообщений во всплеске
+    this.floodThreshold = config.floodThreshold ?? 90; // Сообщений в минуту - флуд, бот молчит
+    this.waveMinMessages = config.waveMinMessages ?? 4; // Сообщений с одним смайликом/текстом для волны
+    this.waveMinUsers = config.waveMinUsers ?? 3; // Разных зрителей в волне
+    this.hypeCooldown = config.hypeCooldown ?? 60000; // Одно и то же событие не чаще раза в минуту
+    this.hypeTtl = config.hypeTtl ?? 30000; // Сколько событие считается свежим
+
+    this.messages = []; // { timestamp, username, normalized, tokens }
+    this.lastEmitted = new Map(); // type:key -> время
+    this.lastHype = null;
+    this.isFlooding = false;
+    this.firstMessageAt = 0;
+  }
+
+  /**
+   * Учет нового сообщения из чата
+   * @param {Object} message - Сообщение чата ({ username, message, timestamp })
+   */
+  addMessage(message) {
+    if (!this.enabled || !message?.message) {
+      return;
+    }
+
+    const now = message.timestamp || this.clock.now();
+    const text = message.message.trim();
+    this.messages.push({
+      timestamp: now,
+      username: (message.username || '').toLowerCase(),
+      normalized: text.toLowerCase().replace(/\s+/g, ' '),
+      tokens: Array.from(new Set(text.split(/\s+/).filter(Boolean))),
+      // Спам, !команды и подозрительные сообщения считаются в скорости чата, но их текст не должен дойти до модели
+      untrusted: !!message.filtered || message.trust === 'suspicious' || message.trust === 'dropped',
+    });
+    if (!this.firstMessageAt) {
+      this.firstMessageAt = now;
+    }
+    this.prune(now);
+    this.detect(now);
+  }
+
+  prune(now = this.clock.now()) {
+    const cutoff = now - this.historyWindow;
+    while (this.messages.length > 0 && this.messages[0].timestamp < cutoff) {
+      this.messages.shift();
+    }
+  }
+
+  messagesSince(since) {
+    const result = [];
+    for (let i = this.messages.length - 1; i >= 0 && this.messages[i].timestamp >= since; i--) {
+      result.push(this.messages[i]);
+    }
+    return result.reverse();
+  }
+
+  /**
+   * Обычная скорость чата (сообщений в минуту) без учета текущего всплеска
+   * null - пока мало данных для сравнения
+   */
+  getBaseline(now = this.clock.now()) {
+    const burstStart = now - this.burstWindow;
+    const span = Math.min(this.historyWindow, now - this.firstMessageAt) - this.burstWindow;
+    if (!this.firstMessageAt || span < 60000) {
+      return null;
+    }
+    const count = this.messages.filter(message => message.timestamp < burstStart).length;
+    return count / (span / 60000);
+  }
+
+  /**
+   * Текущая скорость чата
+   * @returns {Object} { messagesPerMinute, uniqueChatters, baseline, burstRate, level }
+   */
+  getVelocity(now = this.clock.now()) {
+    const lastMinute = this.messagesSince(now - 60000);
+    const burst = this.messagesSince(now - this.burstWindow);
+    const baseline = this.getBaseline(now);
+    const burstRate = burst.length * (60000 / this.burstWindow);
+
+    let level = 'quiet';
+    if (lastMinute.length >= this.floodThreshold) {
+      level = 'flood';
+    } else if (this.isSpike(burst.length, burstRate, baseline)) {
+      level = 'hype';
+    } else if (lastMinute.length > 0) {
+      level = 'normal';
+    }
+
+    return {
+      messagesPerMinute: lastMinute.length,
+      uniqueChatters: new Set(lastMinute.map(message => message.username)).size,
+      baseline: baseline === null ? null : Math.round(baseline * 10) / 10,
+      burstRate: Math.round(burstRate),
+      level,
+    };
+  }
+
+  isSpike(burstCount, burstRate, baseline) {
+    return burstCount >= this.minSpikeMessages && burstRate >= (baseline || 0) * this.spikeFactor;
+  }
+
+  /**
+   * Поиск всплесков, флуда и волн после каждого сообщения
+   */
+  detect(now) {
+    const velocity = this.getVelocity(now);
+    const base = {
+      messagesPerMinute: velocity.messagesPerMinute,
+      uniqueChatters: velocity.uniqueChatters,
+      baseline: velocity.baseline,
+      timestamp: now,
+    };
+
+    // Флуд - одно событие на вход и 'calm' на выход
+    if (velocity.level === 'flood' && !this.isFlooding) {
+      this.isFlooding = true;
+      this.emitHype({ ...base, type: 'flood' }, 'flood', now, true);
+    } else if (velocity.level !== 'flood' && this.isFlooding) {
+      this.isFlooding = false;
+      console.log(`[ChatActivity] 😌 Флуд закончился (${velocity.messagesPerMinute} сообщ/мин)`);
+      this.emit('calm', base);
+    }
+
+    // Волна на кулдауне не должна скрывать всплеск
+    const wave = this.findWave(now);
+    const waveEmitted = wave && this.emitHype({ ...base, ...wave }, `${wave.type}:${wave.emote || wave.text}`, now);
+    if (!waveEmitted && velocity.level === 'hype') {
+      this.emitHype({ ...base, type: 'spike' }, 'spike', now);
+    }
+  }
+
+  /**
+   * Волна: один смайлик или одна копипаста от нескольких зрителей подряд
+   */
+  findWave(now) {
+    const burst = this.messagesSince(now - this.burstWindow);
+    if (burst.length < this.waveMinMessages) {
+      return null;
+    }
+
+    const emoteUsers = new Map(); // emote -> { messages, users }
+    const textUsers = new Map(); // normalized -> { messages, users }
+    const track = (map, key, message) => {
+      const entry = map.get(key) || { messages: 0, users: new Set(), untrusted: false };
+      entry.messages++;
+      entry.users.add(message.username);
+      entry.untrusted = entry.untrusted || message.untrusted;
+      map.set(key, entry);
+    };
+
+    for (const message of burst) {
+      message.tokens.filter(token => this.isEmoteToken(token)).forEach(token => track(emoteUsers, token, message));
+      if (message.normalized.length >= 15) {
+        track(textUsers, message.normalized, message);
+      }
+    }
+
+    const isWave = entry => entry.messages >= this.waveMinMessages && entry.users.size >= this.waveMinUsers;
+    const strongest = map => Array.from(map.entries())
+      .filter(([, entry]) => isWave(entry))
+      .sort((a, b) => b[1].messages - a[1].messages)[0] || null;
+
+    const copypasta = strongest(textUsers);
+    if (copypasta) {
+      return { type: 'copypasta', text: copypasta[0], count: copypasta[1].messages, untrusted: copypasta[1].untrusted };
+    }
+    const emote = strongest(emoteUsers);
+    if (emote) {
+      return { type: 'emote_wave', emote: emote[0], count: emote[1].messages };
+    }
+    return null;
+  }
+
+  isEmoteToken(token) {
+    if (this.emoteRegistry) {
+      return this.emoteRegistry.isEmote(token);
+    }
+    // Без реестра - слово латиницей с заглавной (KEKW, Pog)
+    return /^[A-Za-z0-9_]{2,}$/.test(token) && /[A-Z]/.test(token);
+  }
+
+  emitHype(event, key, now, force = false) {
+    const lastTime = this.lastEmitted.get(key) || 0;
+    if (!force && now - lastTime < this.hypeCooldown) {
+      return false;
+    }
+    this.lastEmitted.set(key, now);
+    this.lastHype = event;
+
+    const detail = event.emote || (event.text ? `"${event.text.substring(0, 30)}"` : '');
+    console.log(`[ChatActivity] 🔥 ${event.type}${detail ? ` ${detail}` : ''} (${event.messagesPerMinute} сообщ/мин, зрителей: ${event.uniqueChatters})`);
+    this.emit('hype', event);
+    return true;
+  }
+
+  /**
+   * Последнее событие активности, если оно еще свежее
+   */
+  getCurrentHype(now = this.clock.now()) {
+    if (!this.lastHype || now - this.lastHype.timestamp > this.hypeTtl) {
+      return null;
+    }
+    return this.lastHype;
+  }
+
+  /**
+   * Чат флудит - фоновые сообщения бота потеряются
+   */
+  isFloodingNow(now = this.clock.now()) {
+    return this.enabled && this.messagesSince(now - 60000).length >= this.floodThreshold;
+  }
+
+  /**
+   * Описание активности чата для промпта
+   */
+  getPromptContext(now = this.clock.now()) {
+    const hype = this.getCurrentHype(now);
+    if (!hype) {
+      return '';
+    }
+    if (hype.type === 'copypasta') {
+      return this.getCopypastaContext(hype);
+    }
+    const descriptions = {
+      spike: `чат резко оживился (${hype.messagesPerMinute} сообщений в минуту) - отреагируй на то, что происходит`,
+      flood: 'в чате флуд',
+      emote_wave: `чат спамит смайлик ${hype.emote} - можно подхватить`,
+    };
+    return `\nАКТИВНОСТЬ ЧАТА: ${descriptions[hype.type] || hype.type}\n`;
+  }
+
+  /**
+   * Копипаста для промпта: текст - через защиту промптов (блок данных чата),
+   * копипаста со спамом или попыткой командовать ботом - без текста
+   */
+  getCopypastaContext(hype) {
+    if (hype.untrusted) {
+      return '\nАКТИВНОСТЬ ЧАТА: чат повторяет одну и ту же копипасту\n';
+    }
+    const text = (hype.text || '').substring(0, 60);
+    if (this.promptGuard) {
+      return `\nАКТИВНОСТЬ ЧАТА: чат повторяет копипасту${this.promptGuard.formatChat([{ username: 'чат', message: text }], 'КОПИПАСТА')}`;
+    }
+    return `\nАКТИВНОСТЬ ЧАТА: чат повторяет копипасту "${text}"\n`;
+  }
+
+  getStats(now = this.clock.now()) {
+    return {
+      ...this.getVelocity(now),
+      lastHype: this.lastHype ? { type: this.lastHype.type, timestamp: this.lastHype.timestamp } : null,
+    };
+  }
+}
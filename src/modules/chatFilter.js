@@ -0,0 +1,177 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { realClock } from './clock.js';
+
+// Известные чат-боты Twitch - их сообщения не похожи на живой чат
+const KNOWN_BOTS = [
+  'nightbot', 'streamelements', 'moobot', 'fossabot', 'wizebot', 'streamlabs', 'sery_bot', 'botisimo',
+  'coebot', 'deepbot', 'phantombot', 'ankhbot', 'commanderroot', 'soundalerts', 'kofistreambot',
+  'pokemoncommunitygame', 'streamholics', 'own3d', 'blerp', 'lolrankbot', 'dinu', 'songlistbot', 'tangiabot',
+];
+
+const LINK_PATTERN = /(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|ru|net|org|tv|gg|io|me|ly|xyz|su|рф)(?:\/\S*)?/gi;
+
+/**
+ * Фильтр входящего чата: боты, игнорируемые зрители, спам и !команды
+ * Отфильтрованные сообщения не попадают в контекст генерации и в данные для обучения
+ * Причина записывается в сообщение (chatMessage.filtered): 'bot' | 'ignored' | 'command' | 'repeat' | 'links' | 'long'
+ */
+export class ChatFilter {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.enabled = config.enabled !== false;
+    this.dataDir = config.dataDir || null;
+    this.stateFile = this.dataDir ? path.join(this.dataDir, 'chat_filter.json') : null;
+
+    this.ignoreKnownBots = config.ignoreKnownBots !== false;
+    this.botAccounts = new Set((config.botAccounts || []).map(ChatFilter.normalize)); // Свои твинки и другие боты
+    this.configIgnored = new Set((config.ignoredUsers || []).map(ChatFilter.normalize));
+    this.ignoredUsers = new Set(); // Добавленные командой (сохраняются в файл канала)
+    this.ignoreCommands = config.ignoreCommands !== false; // !команды другим ботам
+
+    this.repeatWindow = config.repeatWindow ?? 60000; // Окно поиска повторов
+    this.repeatLimit = config.repeatLimit ?? 3; // Одно и то же сообщение столько раз за окно - спам
+    this.maxLinks = config.maxLinks ?? 2; // Ссылок в одном сообщении
+    this.linkFloodLimit = config.linkFloodLimit ?? 3; // Сообщений со ссылками от зрителя за окно
+    this.maxLength = config.maxLength ?? 300; // Длиннее - копипаста-простыня
+
+    this.recent = new Map(); // login -> [{ text, timestamp, hasLink }]
+    this.stats = { checked: 0, filtered: 0, byReason: {} };
+  }
+
+  static normalize(username) {
+    return (username || '').trim().replace(/^@/, '').toLowerCase();
+  }
+
+  /**
+   * Загрузка списка игнорируемых зрителей канала
+   */
+  async init() {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      const data = JSON.parse(await fs.readFile(this.stateFile, 'utf-8'));
+      (data.ignoredUsers || []).forEach(login => this.ignoredUsers.add(login));
+      console.log(`[ChatFilter] ✅ Игнорируемых зрителей: ${this.ignoredUsers.size}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[ChatFilter] ⚠️ Не удалось прочитать список игнорируемых:', error.message);
+      }
+    }
+  }
+
+  async save() {
+    if (!this.stateFile) {
+      return;
+    }
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const data = { ignoredUsers: Array.from(this.ignoredUsers) };
+      await fs.writeFile(this.stateFile, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('[ChatFilter] Ошибка сохранения списка игнорируемых:', error.message);
+    }
+  }
+
+  isBot(username) {
+    const login = ChatFilter.normalize(username);
+    return this.botAccounts.has(login) || (this.ignoreKnownBots && KNOWN_BOTS.includes(login));
+  }
+
+  isIgnored(username) {
+    const login = ChatFilter.normalize(username);
+    return this.configIgnored.has(login) || this.ignoredUsers.has(login);
+  }
+
+  ignore(username) {
+    this.ignoredUsers.add(ChatFilter.normalize(username));
+    this.save().catch(() => {});
+  }
+
+  unignore(username) {
+    const deleted = this.ignoredUsers.delete(ChatFilter.normalize(username));
+    if (deleted) {
+      this.save().catch(() => {});
+    }
+    return deleted;
+  }
+
+  /**
+   * Проверка сообщения из чата
+   * @param {Object} chatMessage - { username, message, timestamp }
+   * @returns {string|null} Причина фильтрации или null если сообщение нормальное
+   */
+  check(chatMessage) {
+    if (!this.enabled || !chatMessage?.message) {
+      return null;
+    }
+    this.stats.checked++;
+
+    const reason = this.getReason(chatMessage);
+    if (reason) {
+      chatMessage.filtered = reason;
+      this.stats.filtered++;
+      this.stats.byReason[reason] = (this.stats.byReason[reason] || 0) + 1;
+    }
+    return reason;
+  }
+
+  getReason(chatMessage) {
+    if (this.isBot(chatMessage.username)) {
+      return 'bot';
+    }
+    if (this.isIgnored(chatMessage.username)) {
+      return 'ignored';
+    }
+
+    const text = chatMessage.message.trim();
+    if (this.ignoreCommands && /^![\wа-яё]/i.test(text)) {
+      return 'command';
+    }
+
+    const now = chatMessage.timestamp || this.clock.now();
+    const links = text.match(LINK_PATTERN) || [];
+    const history = this.remember(chatMessage.username, text.toLowerCase().replace(/\s+/g, ' '), links.length > 0, now);
+
+    if (text.length > this.maxLength) {
+      return 'long';
+    }
+    if (links.length >= this.maxLinks || (links.length > 0 && history.filter(entry => entry.hasLink).length >= this.linkFloodLimit)) {
+      return 'links';
+    }
+    const normalized = history[history.length - 1].text;
+    if (history.filter(entry => entry.text === normalized).length >= this.repeatLimit) {
+      return 'repeat';
+    }
+    return null;
+  }
+
+  /**
+   * Последние сообщения зрителя за окно повторов (включая текущее)
+   */
+  remember(username, text, hasLink, now) {
+    const login = ChatFilter.normalize(username);
+    const history = (this.recent.get(login) || []).filter(entry => now - entry.timestamp < this.repeatWindow);
+    history.push({ text, timestamp: now, hasLink });
+    this.recent.set(login, history.slice(-20));
+
+    // Не копим зрителей, которые давно молчат
+    if (this.recent.size > 2000) {
+      for (const [key, entries] of this.recent) {
+        if (now - entries[entries.length - 1].timestamp >= this.repeatWindow) {
+          this.recent.delete(key);
+        }
+      }
+    }
+    return history;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      ignoredUsers: this.configIgnored.size + this.ignoredUsers.size,
+      botAccounts: this.botAccounts.size,
+    };
+  }
+}
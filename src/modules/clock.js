@@ -0,0 +1,134 @@
+/**
+ * Часы и таймеры модулей
+ * Модули берут время и таймеры из clock (config.clock), а не напрямую из Date.now и setTimeout,
+ * чтобы кулдауны и циклы можно было проверять и проигрывать на виртуальном времени
+ */
+export class RealClock {
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, ms) {
+    return setTimeout(callback, ms);
+  }
+
+  clearTimeout(timer) {
+    clearTimeout(timer);
+  }
+
+  setInterval(callback, ms) {
+    return setInterval(callback, ms);
+  }
+
+  clearInterval(timer) {
+    clearInterval(timer);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+}
+
+// Часы по умолчанию для всех модулей
+export const realClock = new RealClock();
+
+/**
+ * Виртуальные часы: время стоит, пока его не переведут через advance/advanceTo
+ * Таймеры срабатывают при переводе по порядку, каждый - в свое время
+ */
+export class VirtualClock {
+  constructor(start = 0) {
+    this.current = start;
+    this.timers = new Map(); // id -> { at, interval, callback }
+    this.nextId = 1;
+  }
+
+  now() {
+    return this.current;
+  }
+
+  setTimeout(callback, ms = 0) {
+    return this.schedule(callback, ms, null);
+  }
+
+  clearTimeout(timer) {
+    this.timers.delete(timer);
+  }
+
+  setInterval(callback, ms = 0) {
+    return this.schedule(callback, ms, Math.max(1, ms)); // Нулевой интервал зациклил бы перевод часов
+  }
+
+  clearInterval(timer) {
+    this.timers.delete(timer);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  schedule(callback, ms, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { at: this.current + Math.max(0, ms || 0), interval, callback });
+    return id;
+  }
+
+  /**
+   * Перевод часов на ms вперед
+   */
+  async advance(ms) {
+    await this.advanceTo(this.current + ms);
+  }
+
+  /**
+   * Перевод часов до timestamp со срабатыванием всех таймеров до этого времени
+   * После каждого таймера выполняются ожидающие промисы - асинхронный код успевает продолжиться
+   * (таймеры, которые он поставит на это же окно, тоже сработают)
+   */
+  async advanceTo(timestamp) {
+    for (;;) {
+      const [id, timer] = this.nextDue(timestamp) || [];
+      if (!timer) {
+        break;
+      }
+      this.current = Math.max(this.current, timer.at);
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.timers.delete(id);
+      }
+      try {
+        timer.callback();
+      } catch (error) {
+        console.error('[Clock] Ошибка в таймере:', error);
+      }
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    this.current = Math.max(this.current, timestamp);
+  }
+
+  /**
+   * Ближайший таймер не позже limit (при равном времени - поставленный раньше)
+   */
+  nextDue(limit) {
+    let due = null;
+    for (const entry of this.timers) {
+      if (entry[1].at <= limit && (!due || entry[1].at < due[1].at)) {
+        due = entry;
+      }
+    }
+    return due;
+  }
+
+  /**
+   * Время ближайшего таймера (null если таймеров нет)
+   */
+  nextTimerAt() {
+    const due = this.nextDue(Infinity);
+    return due ? due[1].at : null;
+  }
+
+  get pendingTimers() {
+    return this.timers.size;
+  }
+}
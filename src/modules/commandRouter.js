@@ -0,0 +1,162 @@
+import { realClock } from './clock.js';
+
+// Уровни доступа к командам (по возрастанию прав)
+const PERMISSION_LEVELS = {
+  everyone: 0,
+  vip: 1,
+  moderator: 2,
+  broadcaster: 3,
+};
+
+/**
+ * Маршрутизатор команд !bot
+ * Одни и те же команды доступны из терминала (без ограничений) и из чата Twitch
+ * (с проверкой прав по бейджам и кулдауном на команду)
+ */
+export class CommandRouter {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.enabled = config.enabled !== false; // Команды из чата (терминал работает всегда)
+    this.prefix = '!bot'; // Как в терминале
+    this.cooldown = config.cooldown ?? 5000; // Кулдаун команды в чате по умолчанию
+    this.acl = config.acl || {}; // Переопределение уровней доступа: { command: 'moderator' }
+
+    this.commands = new Map(); // name -> { level, cooldown, description, handler }
+    this.lastUsed = new Map(); // name -> время последнего вызова из чата
+  }
+
+  /**
+   * Регистрация команды
+   * @param {string} name - Имя команды (после префикса)
+   * @param {Object} options - { level, cooldown, description, terminalOnly, handler }
+   *   terminalOnly: команда доступна только из терминала (для чата ее как будто нет)
+   *   handler: async (args, context) => string[] - строки ответа
+   */
+  register(name, options = {}) {
+    const level = this.acl[name] || options.level || 'moderator';
+    if (PERMISSION_LEVELS[level] === undefined) {
+      throw new Error(`Неизвестный уровень доступа "${level}" для команды ${name}`);
+    }
+
+    this.commands.set(name, {
+      level,
+      cooldown: options.cooldown ?? this.cooldown,
+      description: options.description || '',
+      terminalOnly: options.terminalOnly === true,
+      handler: options.handler,
+    });
+  }
+
+  /**
+   * Является ли текст командой бота
+   */
+  isCommand(text) {
+    const normalized = (text || '').trim().toLowerCase();
+    return normalized === this.prefix || normalized.startsWith(`${this.prefix} `);
+  }
+
+  /**
+   * Уровень доступа зрителя по тегам сообщения
+   */
+  static getPermissionLevel(tags = {}) {
+    const badges = tags.badges || {};
+    if (badges.broadcaster) {
+      return 'broadcaster';
+    }
+    if (tags.mod === true || badges.moderator) {
+      return 'moderator';
+    }
+    if (badges.vip || tags.vip === true) {
+      return 'vip';
+    }
+    return 'everyone';
+  }
+
+  /**
+   * Выполнение команды
+   * @param {string} text - Текст команды (например, "!bot stats")
+   * @param {Object} context - { source: 'terminal'|'chat', tags, username }
+   * @returns {Promise<Object>} { handled, lines } - lines пустой, если отвечать не нужно
+   */
+  async execute(text, context = {}) {
+    if (!this.isCommand(text)) {
+      return { handled: false, lines: [] };
+    }
+
+    const source = context.source || 'terminal';
+    if (source === 'chat' && !this.enabled) {
+      return { handled: false, lines: [] };
+    }
+
+    const [, name = '', ...args] = text.trim().split(/\s+/);
+    const commandName = name.toLowerCase();
+    const userLevel = source === 'terminal' ? 'broadcaster' : CommandRouter.getPermissionLevel(context.tags);
+    const command = this.getCommand(commandName, source);
+
+    if (!command) {
+      // Зрителям без прав не отвечаем, чтобы не засорять чат
+      if (source === 'chat' && PERMISSION_LEVELS[userLevel] < PERMISSION_LEVELS.moderator) {
+        return { handled: true, lines: [] };
+      }
+      return {
+        handled: true,
+        lines: [
+          commandName ? `❓ Неизвестная команда: ${commandName}` : '💡 Укажите команду',
+          `Доступные команды: ${this.getAvailableCommands(userLevel, source).join(', ')}`,
+        ],
+      };
+    }
+
+    if (source === 'chat') {
+      if (PERMISSION_LEVELS[userLevel] < PERMISSION_LEVELS[command.level]) {
+        console.log(`[Commands] ⛔ ${context.username}: нет прав на "${commandName}" (нужно ${command.level}, есть ${userLevel})`);
+        return { handled: true, lines: [] };
+      }
+
+      const lastUsed = this.lastUsed.get(commandName) || 0;
+      if (this.clock.now() - lastUsed < command.cooldown) {
+        console.log(`[Commands] ⏱️ ${context.username}: кулдаун команды "${commandName}"`);
+        return { handled: true, lines: [] };
+      }
+      this.lastUsed.set(commandName, this.clock.now());
+      console.log(`[Commands] ▶️ ${context.username}: ${text.trim()}`);
+    }
+
+    try {
+      const lines = await command.handler(args, { ...context, source, userLevel });
+      return { handled: true, lines: lines || [] };
+    } catch (error) {
+      console.error(`[Commands] Ошибка выполнения команды "${commandName}":`, error);
+      return { handled: true, lines: [`❌ Ошибка выполнения команды: ${error.message}`] };
+    }
+  }
+
+  /**
+   * Команда с учетом источника (команды только для терминала в чате не видны)
+   */
+  getCommand(name, source = 'terminal') {
+    const command = this.commands.get(name);
+    if (!command || (command.terminalOnly && source !== 'terminal')) {
+      return null;
+    }
+    return command;
+  }
+
+  /**
+   * Команды, доступные на указанном уровне
+   */
+  getAvailableCommands(level = 'broadcaster', source = 'terminal') {
+    return Array.from(this.commands.entries())
+      .filter(([name]) => this.getCommand(name, source))
+      .filter(([, command]) => PERMISSION_LEVELS[level] >= PERMISSION_LEVELS[command.level])
+      .map(([name]) => name);
+  }
+
+  /**
+   * Описание команд для справки
+   */
+  getHelp() {
+    return Array.from(this.commands.entries())
+      .map(([name, command]) => `  ${this.prefix} ${name} - ${command.description} (${command.terminalOnly ? 'терминал' : command.level})`);
+  }
+}
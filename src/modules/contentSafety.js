@@ -0,0 +1,406 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { realClock } from './clock.js';
+
+// Латинские буквы и цифры, похожие на кириллицу (обход фильтра: "пuдоp", "3дравствуй")
+const TO_CYRILLIC = {
+  a: 'а', b: 'в', c: 'с', e: 'е', h: 'н', k: 'к', m: 'м', o: 'о', p: 'р', t: 'т', x: 'х', y: 'у', u: 'и', i: 'и',
+  '0': 'о', '1': 'и', '3': 'з', '4': 'ч', '6': 'б', '@': 'а',
+};
+
+// Транслит латиницей (обход фильтра: "pidor", "churka"): сначала сочетания букв, потом одиночные
+const TRANSLIT_PAIRS = [['sch', 'щ'], ['zh', 'ж'], ['ch', 'ч'], ['sh', 'ш'], ['kh', 'х'], ['ts', 'ц'], ['ya', 'я'], ['yu', 'ю'], ['yo', 'е']];
+const TRANSLIT = {
+  a: 'а', b: 'б', c: 'ц', d: 'д', e: 'е', f: 'ф', g: 'г', h: 'х', i: 'и', j: 'й', k: 'к', l: 'л', m: 'м',
+  n: 'н', o: 'о', p: 'п', q: 'к', r: 'р', s: 'с', t: 'т', u: 'у', v: 'в', w: 'в', x: 'кс', y: 'ы', z: 'з',
+  '0': 'о', '1': 'и', '3': 'з', '4': 'ч', '6': 'б', '@': 'а',
+};
+
+// Кириллица и цифры, похожие на латиницу (обход фильтра: "n1gg3r", "kуs")
+const TO_LATIN = {
+  а: 'a', в: 'b', е: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c', т: 't', у: 'y', х: 'x',
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i',
+};
+
+/**
+ * Встроенные категории после нормализации текста:
+ *   stems - основы (совпадение с начала слова), words - слова целиком (короткие и многозначные основы),
+ *   exceptions - обычные слова, которые начинаются с основы, patterns - регулярки по тексту
+ */
+const CATEGORY_RULES = {
+  slurs: {
+    stems: ['nigg', 'fagg', 'retard', 'tranny', 'ниггер', 'нигер', 'пидор', 'пидар', 'пидр', 'педик', 'чурк', 'москал'],
+    words: ['kike', 'жид', 'жиды', 'жидов', 'хач', 'хачи', 'хачей', 'хохол', 'хохлы', 'хохлов', 'хохлам', 'даун'],
+    exceptions: { педик: ['педикюр', 'педикур', 'педикул'] },
+  },
+  politics: {
+    stems: [
+      'путин', 'зеленск', 'навальн', 'лукашенк', 'кремл', 'байден', 'госдум',
+      'оппозици', 'санкци', 'мобилизац', 'спецоперац', 'майдан',
+    ],
+    words: ['трамп', 'трампа', 'трампу', 'выборы', 'выборов', 'митинг', 'митинги', 'всу', 'сво', 'нато'],
+  },
+  self_harm: {
+    stems: ['суицид', 'самоубий', 'выпились', 'выпилиться', 'вскройся', 'повесься', 'убейся'],
+    words: ['kys'],
+    patterns: [/(?:убей|убить|убью)\s+себя/i, /kill\s+(?:your|ur)self/i, /покончи\s+с\s+собой/i],
+  },
+  personal_data: {
+    patterns: [
+      /(?:\+7|\b8)[\s(-]*\d{3}[\s)-]*\d{3}[\s-]*\d{2}[\s-]*\d{2}\b/, // Телефон
+      /[\w.+-]+@[\w-]+\.[\w.]{2,}/, // Email
+      /\b(?:\d{4}[\s-]?){3}\d{4}\b/, // Номер карты
+      // IP адрес: настоящие октеты и слово рядом ("1.21.4.2 патч" - это версия, а не адрес)
+      /(?:^|[^\p{L}])(?:ip|айпи\p{L}*|адрес\p{L}*)[\s:-]*(?:(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(?![\d.])/iu,
+      /(?:паспорт|снилс|инн)\s*:?\s*\d/i,
+    ],
+  },
+  links: {
+    patterns: [
+      /https?:\/\/\S+/i,
+      /\bwww\.\S+/i,
+      /\b[a-z0-9-]+\.(?:ru|com|net|org|tv|gg|io|me|xyz|su|рф|info|biz|site|online|link|ly)\b/i,
+    ],
+  },
+};
+
+// Оскорбления проверяются всегда: их не отключают ни SAFETY_CATEGORIES, ни SAFETY_ENABLED, ни отсутствие фильтра
+const FLOOR_CATEGORY = 'slurs';
+let floor = null;
+
+/**
+ * Фильтр исходящих сообщений - несколько уровней проверки перед отправкой в чат:
+ * 1. Блоклисты канала из файлов (слова, основы слов, регулярки)
+ * 2. Встроенные категории: оскорбления, политика, селфхарм, личные данные, ссылки
+ * 3. Необязательный локальный классификатор (HTTP или функция)
+ * Текст нормализуется от обходов фильтра (латиница вместо кириллицы, цифры, точки между буквами),
+ * каждое отклоненное сообщение записывается в журнал с правилом, которое сработало
+ */
+export class ContentSafety {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.enabled = config.enabled !== false;
+    this.categories = Array.from(new Set([FLOOR_CATEGORY, ...(config.categories || Object.keys(CATEGORY_RULES))]));
+    this.blocklistFiles = config.blocklistFiles || []; // Общие и канальные файлы блоклистов
+    this.allowedDomains = (config.allowedDomains || []).map(domain => domain.toLowerCase());
+    this.dataDir = config.dataDir || null;
+    this.logFile = this.dataDir ? path.join(this.dataDir, 'rejected_messages.json') : null;
+    this.logLimit = config.logLimit || 500; // Сколько отклоненных сообщений хранить
+
+    // Локальный классификатор: функция async (text, context) => { blocked, category, reason } или HTTP адрес
+    this.classifier = config.classifier || null;
+    this.classifierUrl = config.classifierUrl || null;
+    this.classifierTimeout = config.classifierTimeout || 2000;
+
+    this.rules = []; // { name, category, test(forms) => match|null }
+    this.customRules = []; // Правила, добавленные через addRule (сохраняются при перезагрузке блоклистов)
+    this.rejected = []; // Журнал отклоненных сообщений
+    this.stats = { checked: 0, blocked: 0, byRule: {} };
+  }
+
+  async init() {
+    await this.loadRejectedLog();
+    await this.reload();
+  }
+
+  /**
+   * Перезагрузка правил: встроенные категории и блоклисты из файлов
+   */
+  async reload() {
+    const rules = [];
+
+    for (const category of this.categories) {
+      if (!CATEGORY_RULES[category]) {
+        console.warn(`[Safety] ⚠️ Неизвестная категория фильтра: ${category}`);
+        continue;
+      }
+      rules.push(...this.createCategoryRules(category));
+    }
+
+    let blocklistEntries = 0;
+    for (const file of this.blocklistFiles) {
+      const entries = await this.readBlocklist(file);
+      entries.forEach(entry => rules.push(entry));
+      blocklistEntries += entries.length;
+    }
+
+    this.rules = [...rules, ...this.customRules];
+    console.log(`[Safety] ✅ Фильтр сообщений: ${this.rules.length} правил (блоклисты: ${blocklistEntries})`);
+  }
+
+  createCategoryRules(category) {
+    const definition = CATEGORY_RULES[category];
+    const rules = [];
+    (definition.stems || []).forEach(stem => {
+      rules.push(this.createStemRule(stem, category, `${category}:${stem}`, false, definition.exceptions?.[stem]));
+    });
+    (definition.words || []).forEach(word => rules.push(this.createStemRule(word, category, `${category}:${word}`, true)));
+    (definition.patterns || []).forEach((pattern, index) => {
+      rules.push(this.createPatternRule(pattern, category, `${category}:pattern${index + 1}`));
+    });
+    return rules;
+  }
+
+  /**
+   * Неотключаемая проверка оскорблений - и при выключенном фильтре, и без него (twitchClient, координатор)
+   * @returns {Object|null} { rule, category, match, stage: 'floor' } или null
+   */
+  static matchFloor(text) {
+    if (!text) {
+      return null;
+    }
+    if (!floor) {
+      floor = new ContentSafety({ categories: [] });
+      floor.rules = floor.createCategoryRules(FLOOR_CATEGORY);
+    }
+    const verdict = floor.matchRules(text);
+    return verdict ? { ...verdict, stage: 'floor' } : null;
+  }
+
+  /**
+   * Чтение файла блоклиста
+   * Формат: одна запись в строке, # - комментарий
+   *   слово       - слово и его формы (совпадение с начала слова)
+   *   =слово      - только слово целиком
+   *   /регулярка/i - регулярное выражение по нормализованному тексту
+   */
+  async readBlocklist(file) {
+    let content;
+    try {
+      content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[Safety] ⚠️ Не удалось прочитать блоклист ${file}:`, error.message);
+      }
+      return [];
+    }
+
+    const source = path.basename(file);
+    const rules = [];
+    for (const rawLine of content.split('\n')) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) {
+        continue;
+      }
+      const regexMatch = line.match(/^\/(.+)\/([a-z]*)$/);
+      if (regexMatch) {
+        try {
+          rules.push(this.createPatternRule(new RegExp(regexMatch[1], regexMatch[2]), 'blocklist', `${source}:${line}`, true));
+        } catch (error) {
+          console.warn(`[Safety] ⚠️ Неверная регулярка в ${source}: ${line}`);
+        }
+        continue;
+      }
+      const wholeWord = line.startsWith('=');
+      rules.push(this.createStemRule(wholeWord ? line.slice(1).trim() : line, 'blocklist', `${source}:${line}`, wholeWord));
+    }
+    return rules;
+  }
+
+  /**
+   * Нормализация текста против обходов фильтра
+   * @returns {Object} { base, cyrillic, translit, latin } - варианты текста для проверки
+   */
+  static normalize(text) {
+    let base = (text || '').toLowerCase().replace(/ё/g, 'е');
+    // Символы внутри слова: "пи*дор", "n.i.g" -> склеиваем
+    base = base.replace(/(\p{L})[*._\-|]+(?=\p{L})/gu, '$1');
+    // Буквы через пробел: "п и д о р" -> "пидор"
+    base = base.replace(/(^|[^\p{L}\d])((?:[\p{L}\d][\s]+){2,}[\p{L}\d])(?=[^\p{L}\d]|$)/gu, (match, prefix, letters) => prefix + letters.replace(/\s+/g, ''));
+    // Растянутые буквы: "сууука" -> "сука" (цифры не трогаем - "999" в телефонах и адресах)
+    base = base.replace(/(\p{L})\1{2,}/gu, '$1');
+
+    const mapChars = (value, map) => Array.from(value).map(char => map[char] || char).join('');
+    const translit = TRANSLIT_PAIRS.reduce((value, [from, to]) => value.split(from).join(to), base);
+    return {
+      base,
+      cyrillic: mapChars(base, TO_CYRILLIC),
+      translit: mapChars(translit, TRANSLIT),
+      latin: mapChars(base, TO_LATIN),
+    };
+  }
+
+  /**
+   * Правило по основе слова: кириллические основы проверяются по кириллическому варианту текста и транслиту,
+   * латинские - по латинскому
+   * @param {boolean} wholeWord - совпадение только со словом целиком
+   * @param {string[]} exceptions - слова, которые начинаются с основы, но не совпадают с ней ("педикюр")
+   */
+  createStemRule(stem, category, name, wholeWord = false, exceptions = []) {
+    const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const normalized = ContentSafety.normalize(stem).base;
+    const isCyrillic = /[а-я]/.test(normalized);
+    const endings = exceptions
+      .map(word => ContentSafety.normalize(word).base)
+      .filter(word => word.startsWith(normalized) && word.length > normalized.length)
+      .map(word => escape(word.slice(normalized.length)));
+    const notException = endings.length > 0 ? `(?!${endings.join('|')})` : '';
+    const regex = new RegExp(`(^|[^\\p{L}])${escape(normalized)}${wholeWord ? '(?=[^\\p{L}]|$)' : notException}`, 'u');
+    return {
+      name,
+      category,
+      test: (forms) => {
+        const targets = isCyrillic ? [forms.cyrillic, forms.translit] : [forms.latin];
+        return targets.some(target => regex.test(target)) || regex.test(forms.base) ? normalized : null;
+      },
+    };
+  }
+
+  createPatternRule(pattern, category, name, normalizedOnly = false) {
+    return {
+      name,
+      category,
+      test: (forms, text) => {
+        const match = (normalizedOnly ? null : text.match(pattern)) || forms.base.match(pattern);
+        if (!match) {
+          return null;
+        }
+        if (category === 'links' && this.isAllowedLink(match[0])) {
+          return null;
+        }
+        return match[0];
+      },
+    };
+  }
+
+  isAllowedLink(link) {
+    const host = link.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+    return this.allowedDomains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Подключить свое правило
+   * @param {Object} rule - { name, category, test(forms, text, context) => совпадение|null }
+   */
+  addRule(rule) {
+    this.customRules.push(rule);
+    this.rules.push(rule);
+  }
+
+  /**
+   * Проверка исходящего сообщения
+   * @param {string} text - Текст сообщения
+   * @param {Object} context - { source } - откуда сообщение (generation, reply, event, command)
+   * @returns {Promise<Object>} { allowed, rule, category, match, stage }
+   */
+  async check(text, context = {}) {
+    if (!this.enabled) {
+      const floorVerdict = ContentSafety.matchFloor(text);
+      return floorVerdict ? this.reject(text, floorVerdict, context) : { allowed: true };
+    }
+    this.stats.checked++;
+
+    const ruleVerdict = this.matchRules(text, context);
+    if (ruleVerdict) {
+      return this.reject(text, ruleVerdict, context);
+    }
+
+    const verdict = await this.runClassifier(text, context);
+    if (verdict?.blocked) {
+      return this.reject(text, {
+        rule: `classifier:${verdict.category || 'unknown'}`,
+        category: verdict.category || 'classifier',
+        match: verdict.reason || null,
+        stage: 'classifier',
+      }, context);
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Проверка только правилами - без классификатора, журнала и статистики (для оценки вариантов до отправки)
+   * @returns {Object|null} { rule, category, match, stage } или null если правила не сработали
+   */
+  matchRules(text, context = {}) {
+    if (!this.enabled) {
+      return ContentSafety.matchFloor(text);
+    }
+    if (!text) {
+      return null;
+    }
+    const forms = ContentSafety.normalize(text);
+    for (const rule of this.rules) {
+      const match = rule.test(forms, text, context);
+      if (match) {
+        return { rule: rule.name, category: rule.category, match, stage: 'rules' };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Локальный классификатор (необязательный)
+   * Ошибка классификатора не блокирует сообщение - правила уже проверены
+   */
+  async runClassifier(text, context) {
+    try {
+      if (this.classifier) {
+        return await this.classifier(text, context);
+      }
+      if (this.classifierUrl) {
+        const response = await axios.post(this.classifierUrl, { text, source: context.source || null }, {
+          timeout: this.classifierTimeout,
+        });
+        return response.data;
+      }
+    } catch (error) {
+      console.warn('[Safety] ⚠️ Классификатор недоступен, пропускаем проверку:', error.message);
+    }
+    return null;
+  }
+
+  reject(text, verdict, context) {
+    this.stats.blocked++;
+    this.stats.byRule[verdict.rule] = (this.stats.byRule[verdict.rule] || 0) + 1;
+
+    this.rejected.push({
+      timestamp: this.clock.now(),
+      text,
+      source: context.source || null,
+      ...verdict,
+    });
+    if (this.rejected.length > this.logLimit) {
+      this.rejected.splice(0, this.rejected.length - this.logLimit);
+    }
+    this.saveRejectedLog().catch(() => {});
+
+    console.log(`[Safety] 🚫 Сообщение заблокировано (${verdict.rule}): "${text.substring(0, 60)}"`);
+    return { allowed: false, ...verdict };
+  }
+
+  async loadRejectedLog() {
+    if (!this.logFile) {
+      return;
+    }
+    try {
+      this.rejected = JSON.parse(await fs.readFile(this.logFile, 'utf-8'));
+    } catch {
+      this.rejected = [];
+    }
+  }
+
+  async saveRejectedLog() {
+    if (!this.logFile) {
+      return;
+    }
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      await fs.writeFile(this.logFile, JSON.stringify(this.rejected, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('[Safety] Ошибка сохранения журнала отклоненных сообщений:', error.message);
+    }
+  }
+
+  /**
+   * Последние отклоненные сообщения (новые первыми)
+   */
+  getRejected(limit = 10) {
+    return this.rejected.slice(-limit).reverse();
+  }
+
+  getStats() {
+    return { ...this.stats, rules: this.rules.length, logged: this.rejected.length };
+  }
+}
@@ -1,16 +1,31 @@
+import { ChatActivityAnalyzer } from './chatActivity.js';
+import { VoteMute } from './voteMute.js';
+import { CadencePolicy } from './cadencePolicy.js';
+import { TickTrace } from './decisionTrace.js';
+import { CandidateRanker } from './candidateRanker.js';
+import { AddressDetector } from './addressDetector.js';
+import { FeedbackTracker } from './feedbackTracker.js';
+import { SceneDetector } from './sceneDetector.js';
+import { ContentSafety } from './contentSafety.js';
+import { realClock } from './clock.js';
+
 export class Coordinator {
   constructor(config, modules) {
     this.config = config;
     this.modules = modules;
+    this.clock = modules.clock || realClock; // Часы и таймеры канала (виртуальные при проигрывании)
     this.sessionHistory = modules.sessionHistory; // История сессии
     this.state = {
       isActive: true,
       silenceMode: false,
       lastMessageTime: 0,
-      lastGeminiRequestTime: 0, // Время последнего запроса к Gemini
-      geminiCooldown: 15000, // Минимальный интервал между запросами к Gemini (15 секунд)
+      lastGeminiRequestTime: 0, // Время последнего запроса к Gemini (кулдаун задает политика частоты)
       // messageCooldown убран - мозг сам решает через brainCoordinator.updateTime()
       totalMessages: 0,
+      totalReplies: 0, // Ответы на обращения зрителей
+      totalEventReactions: 0, // Реакции на подписки, рейды, гифты и битсы
+      totalStreamerReplies: 0, // Ответы на обращения стримера к чату и к боту
+      totalWaveJoins: 0, // Подхваченные волны смайликов
       skippedMessages: 0,
       recentMessages: [], // История последних сообщений для проверки на повторения
       duplicateCount: 0, // Счетчик повторяющихся сообщений для уведомления ИИ
@@ -29,13 +44,151 @@ export class Coordinator {
     
     // Последний скриншот для генерации сообщений через Gemini
     this.latestScreenshot = null;
+    this.imageAnalysisCount = 0;
+    this.framesSinceAnalysis = 0; // Кадров после последнего анализа (бюджет API: анализируется каждый N-й кадр)
+    this.budgetSkips = { frames: 0, audio: 0, ambient: 0 }; // Пропущено из-за бюджета API
+
+    // Ответы на обращения зрителей: ограничение частоты на каждого зрителя
+    this.replyConfig = {
+      enabled: config.replies?.enabled !== false,
+      userCooldown: config.replies?.userCooldown ?? 60000, // Не чаще раза в минуту одному зрителю
+      maxPerUser: config.replies?.maxPerUser ?? 3, // Не больше N ответов одному зрителю за окно
+      userWindow: config.replies?.userWindow ?? 600000, // Окно подсчета ответов (10 минут)
+    };
+    this.replyHistory = new Map(); // username -> [timestamps ответов]
+
+    // Реакции на события стрима: включение и кулдаун по типу события
+    this.streamEventsConfig = config.streamEvents || {};
+    this.lastEventReactions = new Map(); // type -> время последней реакции
+
+    // Активность чата: всплески и волны - повод написать сразу, флуд - повод промолчать
+    this.chatActivityConfig = {
+      joinWaves: config.chatActivity?.joinWaves !== false,
+    };
+    this.chatActivity = new ChatActivityAnalyzer({
+      ...config.chatActivity,
+      emoteRegistry: modules.emoteRegistry,
+      promptGuard: modules.promptGuard,
+      clock: this.clock,
+    });
+    this.pendingHype = null; // Всплеск или копипаста, на которые еще не отреагировали
+    this.pendingWave = null; // Волна смайликов, которую можно подхватить
+    this.chatActivity.on('hype', (event) => this.onChatHype(event));
+
+    // Политика частоты сообщений: паузы, кулдауны, лимиты и тихие часы канала
+    this.cadence = modules.cadencePolicy || new CadencePolicy({ ...config.cadence, clock: this.clock });
+
+    // Обращения стримера к чату и к боту: фразы сразу идут в контекст, ответ не ждет фоновых кулдаунов
+    this.addressDetector = new AddressDetector({
+      ...config.streamerAddress,
+      botUsername: config.twitch?.username,
+      clock: this.clock,
+    });
+
+    // Отклик на сообщения бота: оценки пишутся в память мозга, удачные и неудачные примеры подсказывают стиль
+    this.feedbackTracker = new FeedbackTracker({
+      ...config.feedback,
+      memory: modules.brainCoordinator?.memory,
+      emoteRegistry: modules.emoteRegistry,
+      botUsername: config.twitch?.username,
+      matchesName: word => this.addressDetector.matchesName(word),
+      clock: this.clock,
+    });
+    this.feedbackTracker.init().catch((error) => {
+      console.warn('[Coordinator] Не удалось загрузить оценки сообщений из памяти:', error.message);
+    });
+    this.addressTtl = config.streamerAddress?.ttl ?? 20000; // Обращение, на которое не успели ответить, устаревает
+    this.pendingAddress = null;
+    this.addressDetector.on('address', (address) => this.onStreamerAddress(address));
+
+    // Реклама и заставки ("отошел", "скоро начнем"): скриншоты не уходят в модель, фоновых сообщений нет
+    this.sceneDetector = new SceneDetector({
+      ...config.scene,
+      clock: this.clock,
+    });
+
+    // Несколько вариантов сообщения за один запрос: отправляется лучший по новизне, связи с речью и стилю
+    this.candidateRanker = new CandidateRanker({
+      ...config.candidates,
+      similarity: (a, b) => this.calculateSimilarity(a, b),
+      contentSafety: modules.contentSafety,
+      emoteRegistry: modules.emoteRegistry,
+    });
+
+    // Голосование чата за тишину бота: "реже" или полное молчание на время
+    this.voteMute = new VoteMute({ ...config.voteMute, clock: this.clock });
+    this.voteMuted = false; // Режим молчания включило голосование (снимется само)
+    this.voteMute.on('vote', (vote) => this.onMuteVote(vote));
+    this.voteMute.on('mute', (event) => this.onVoteMute(event));
+    this.voteMute.on('expire', () => this.onVoteMuteEnd('время вышло'));
+    this.voteMute.on('cancel', (event) => this.onVoteMuteEnd(`снял ${event.by}`));
+  }
+
+  /**
+   * Голос зрителя за тишину бота - каждый голос пишется в историю сессии
+   */
+  onMuteVote(vote) {
+    console.log(`[Coordinator] 🗳️ ${vote.username} голосует за тишину бота (${vote.votes}/${vote.needed})`);
+    this.logVoteMute(`${vote.username} голосует за тишину бота (${vote.votes}/${vote.needed})`);
+  }
+
+  onVoteMute(event) {
+    const minutes = Math.round((event.until - this.clock.now()) / 60000);
+    if (event.level === 'mute') {
+      // Если бот уже молчит по команде - голосование его не снимет
+      if (!this.state.silenceMode) {
+        this.setSilenceMode(true);
+        this.voteMuted = true;
+      }
+      this.logVoteMute(`Чат проголосовал за тишину бота (${event.voters.length} зрителей), бот молчит ${minutes} мин`);
+    } else {
+      this.logVoteMute(`Чат попросил бота писать реже (${event.voters.length} зрителей) на ${minutes} мин`);
+    }
+  }
+
+  onVoteMuteEnd(reason) {
+    if (this.voteMuted) {
+      this.setSilenceMode(false);
+    }
+    this.logVoteMute(`Тишина бота по голосованию закончилась (${reason})`);
+  }
+
+  logVoteMute(description) {
+    if (this.sessionHistory) {
+      this.sessionHistory.addStreamEvent(description).catch(() => {});
+    }
+  }
+
+  /**
+   * Событие активности чата - запоминаем, реагирует следующий цикл генерации
+   */
+  onChatHype(event) {
+    if (event.type === 'flood') {
+      console.log(`[Coordinator] 🌊 Флуд в чате (${event.messagesPerMinute} сообщ/мин) - фоновые сообщения на паузе`);
+      this.pendingHype = null;
+      this.pendingWave = null;
+      return;
+    }
+
+    if (event.type === 'emote_wave') {
+      const emoteRegistry = this.modules.emoteRegistry;
+      const usable = emoteRegistry ? emoteRegistry.canUseEmote(event.emote) : true;
+      if (this.chatActivityConfig.joinWaves && usable) {
+        this.pendingWave = event;
+      }
+      return;
+    }
+
+    // Всплеск или копипаста - реагируем на происходящее через Gemini
+    this.pendingHype = event;
   }
 
   /**
    * Обработка только голоса/аудио (независимо от обработки изображений)
    * Вызывается каждые 5 секунд для постоянного распознавания речи
+   * @param {Object} capture - Тайминг захвата аудио { startedAt, durationMs } (для времени отправки ответа)
    */
-  async processAudioOnly(audioBuffer) {
+  async processAudioOnly(audioBuffer, capture = null) {
     if (!this.state.isActive) {
       return;
     }
@@ -44,19 +197,36 @@ export class Coordinator {
       return;
     }
 
+    // Громкость и реклама в захваченном звуке - для определения сцены
+    this.sceneDetector.observeAudio(capture);
+    if (this.sceneDetector.skipsAudio()) {
+      return;
+    }
+
     try {
-      // Распознавание речи
-      let speechText = await this.modules.speechRecognizer.recognizeFromStream(audioBuffer);
+      // Распознавание речи (бюджет API исчерпан - только локальным Whisper)
+      const budget = this.getUsageBudget();
+      let speechText = await this.modules.speechRecognizer.recognizeFromStream(audioBuffer, {
+        durationMs: capture?.durationMs,
+        localOnly: !!budget?.localAsr,
+      });
+      if (speechText?.skipped) {
+        this.budgetSkips.audio++;
+        return;
+      }
       
       // Если речь не распознана - создаем объект "молчание" и продолжаем обработку
       if (!speechText || !speechText.text) {
         speechText = {
           text: 'молчание',
           confidence: 0.1,
-          timestamp: Date.now(),
+          timestamp: this.clock.now(),
           isSilence: true,
         };
       }
+      if (capture) {
+        speechText.capturedAt = capture.startedAt + (capture.durationMs || 0) / 2; // Середина фрагмента по часам бота
+      }
       
       // Идентификация говорящего (пропускаем для молчания)
       let voiceIdentification = null;
@@ -117,7 +287,7 @@ export class Coordinator {
         // Накопление фраз в буфере вместо немедленной передачи в ИИ
         this.speechBuffer.push({
           ...speechText,
-          receivedAt: Date.now(),
+          receivedAt: this.clock.now(),
         });
         
         // Ограничиваем размер буфера (последние 10 фраз)
@@ -126,30 +296,16 @@ export class Coordinator {
         }
         
         // Обновляем контекст только периодически (не после каждой фразы)
-        const timeSinceLastAnalysis = Date.now() - this.lastSpeechAnalysisTime;
+        const timeSinceLastAnalysis = this.clock.now() - this.lastSpeechAnalysisTime;
         if (timeSinceLastAnalysis >= this.speechAnalysisCooldown) {
-          // Переносим накопленные фразы в контекст для анализа
-          const speechRecognizer = this.modules.speechRecognizer;
-          const hasUpdateMethod = speechRecognizer && typeof speechRecognizer.updateRealtimeTextBuffer === 'function';
-          
-          for (const bufferedSpeech of this.speechBuffer) {
-            this.contextBuffer.recentSpeechText.push(bufferedSpeech);
-            if (this.contextBuffer.recentSpeechText.length > 5) {
-              this.contextBuffer.recentSpeechText.shift();
-            }
-            
-            // Обновляем накопительный буфер текста в speechRecognizer
-            if (hasUpdateMethod) {
-              const fragmentText = bufferedSpeech.isStreamer 
-                ? `[СТРИМЕР] ${bufferedSpeech.text}`
-                : `[ГОСТЬ] ${bufferedSpeech.text}`;
-              speechRecognizer.updateRealtimeTextBuffer(fragmentText, bufferedSpeech.timestamp);
-            }
-          }
-          
-          // Очищаем буфер после переноса
-          this.speechBuffer = [];
-          this.lastSpeechAnalysisTime = Date.now();
+          this.flushSpeechBuffer();
+        }
+
+        // Стример обращается к чату или к боту - буфер переносится сразу (в onStreamerAddress)
+        if (speechText.isStreamer) {
+          this.addressDetector.check(speechText);
+          this.feedbackTracker.observeSpeech(speechText);
+          this.sceneDetector.observeSpeech(speechText);
         }
         
         // Сохраняем речь для обучения (всегда, независимо от анализа)
@@ -162,6 +318,118 @@ export class Coordinator {
     }
   }
 
+  /**
+   * Перенос накопленных фраз в контекст для анализа
+   */
+  flushSpeechBuffer() {
+    const speechRecognizer = this.modules.speechRecognizer;
+    const hasUpdateMethod = speechRecognizer && typeof speechRecognizer.updateRealtimeTextBuffer === 'function';
+    
+    for (const bufferedSpeech of this.speechBuffer) {
+      this.contextBuffer.recentSpeechText.push(bufferedSpeech);
+      if (this.contextBuffer.recentSpeechText.length > 5) {
+        this.contextBuffer.recentSpeechText.shift();
+      }
+      
+      // Обновляем накопительный буфер текста в speechRecognizer
+      if (hasUpdateMethod) {
+        const fragmentText = bufferedSpeech.isStreamer 
+          ? `[СТРИМЕР] ${bufferedSpeech.text}`
+          : `[ГОСТЬ] ${bufferedSpeech.text}`;
+        speechRecognizer.updateRealtimeTextBuffer(fragmentText, bufferedSpeech.timestamp);
+      }
+    }
+    
+    // Очищаем буфер после переноса
+    this.speechBuffer = [];
+    this.lastSpeechAnalysisTime = this.clock.now();
+  }
+
+  /**
+   * Стример обратился к чату или к боту: фразы сразу в контекст, обращение ждет ответа (generateStreamerReply)
+   */
+  onStreamerAddress(address) {
+    this.flushSpeechBuffer();
+    this.pendingAddress = address;
+  }
+
+  /**
+   * Ответ на обращение стримера - без фоновых пауз и кулдаунов генерации, по лимитам ответов
+   * @param {TickTrace} trace - Запись в журнал решений
+   * @returns {Promise<string|null>} Ответ или null
+   */
+  async generateStreamerReply(trace = new TickTrace('address', 0, null, this.clock)) {
+    const address = this.pendingAddress;
+    this.pendingAddress = null;
+
+    if (trace.blocks('address', !address || this.clock.now() - address.timestamp > this.addressTtl, 'нет свежего обращения')) {
+      return null;
+    }
+    trace.input({
+      address: address.type,
+      addressText: address.text,
+      moment: { kind: 'speech', at: address.capturedAt || address.timestamp },
+    });
+    if (trace.blocks('active', !this.state.isActive, 'бот выключен')) {
+      return null;
+    }
+    if (trace.blocks('silence', this.state.silenceMode, this.voteMuted ? 'тишина по голосованию чата' : 'режим молчания')) {
+      return null;
+    }
+    const isTraining = this.modules.brainCoordinator && this.modules.brainCoordinator.mode === 'training';
+    if (trace.blocks('training', isTraining, 'режим обучения')) {
+      return null;
+    }
+    const budget = this.cadence.checkBudget('reactive');
+    if (trace.blocks(budget.gate, !budget.allowed, budget.reason)) {
+      return null;
+    }
+    const imageAnalyzer = this.modules.imageAnalyzer;
+    if (trace.blocks('generator', !imageAnalyzer?.useProxyAPI || typeof imageAnalyzer.generateReplyToStreamer !== 'function', 'ProxyAPI выключен')) {
+      return null;
+    }
+
+    try {
+      console.log(`[Coordinator] 🎙️ Отвечаем стримеру: "${address.text.substring(0, 60)}"`);
+      const recentSpeechFragments = this.getRecentSpeechFragments(5);
+      trace.input({ speechFragments: recentSpeechFragments.length, chatSize: this.contextBuffer.chatHistory.length });
+      const replyResult = await imageAnalyzer.generateReplyToStreamer(this.getGenerationScreenshot(), {
+        address,
+        recentSpeechFragments,
+        chatHistory: this.contextBuffer.chatHistory,
+        botUsername: this.config.twitch?.username || 'бот',
+        sessionHistory: this.sessionHistory,
+        styleGuidance: this.feedbackTracker.getStyleGuidance('streamer'),
+      });
+      if (replyResult) {
+        trace.generation(replyResult);
+      }
+      if (!replyResult || !replyResult.text) {
+        console.log('[Coordinator] 💭 Gemini решил не отвечать стримеру');
+        trace.finish('silent', replyResult ? 'модель вернула null или ответ отфильтрован' : 'нет ответа модели');
+        return null;
+      }
+
+      const messageResult = {
+        message: replyResult.text,
+        confidence: replyResult.confidence || 0.9,
+        timestamp: replyResult.timestamp || this.clock.now(),
+        source: replyResult.source,
+      };
+      if (trace.blocks('final_check', !this.shouldSendMessage(messageResult), 'слишком короткое или низкая уверенность', { outcome: 'rejected', message: messageResult.message })) {
+        this.state.skippedMessages++;
+        return null;
+      }
+
+      this.state.totalStreamerReplies++;
+      return messageResult.message;
+    } catch (error) {
+      console.error('[Coordinator] Ошибка ответа стримеру:', error);
+      trace.finish('error', error.message);
+      return null;
+    }
+  }
+
   /**
    * Обработка только изображения (независимо от генерации сообщений)
    * Вызывается каждые 5 секунд для постоянного анализа скриншотов
@@ -171,6 +439,20 @@ export class Coordinator {
       return;
     }
 
+    // Реклама или заставка - кадр не анализируется моделью
+    if (this.sceneDetector.observeFrame(screenshot).paused) {
+      return;
+    }
+
+    // Бюджет API: кадры анализируются реже (генерация видит последний кадр) или совсем не анализируются
+    const budget = this.getUsageBudget();
+    if (budget && (budget.skipVision || ++this.framesSinceAnalysis < budget.intervalFactor)) {
+      this.latestScreenshot = screenshot;
+      this.budgetSkips.frames++;
+      return;
+    }
+    this.framesSinceAnalysis = 0;
+
     try {
       // Анализ изображения (параллельно, не блокируя генерацию сообщений)
       const imageAnalysis = await this.modules.imageAnalyzer.analyzeScreenshot(
@@ -178,6 +460,7 @@ export class Coordinator {
       );
 
       if (imageAnalysis.description) {
+        imageAnalysis.id = ++this.imageAnalysisCount; // Номер анализа для журнала решений
         this.contextBuffer.recentImageAnalysis.push(imageAnalysis);
         if (this.contextBuffer.recentImageAnalysis.length > 5) {
           this.contextBuffer.recentImageAnalysis.shift();
@@ -189,14 +472,14 @@ export class Coordinator {
 
       // Распознавание речи (если есть аудио)
       if (audioData) {
-        let speechText = await this.modules.speechRecognizer.recognizeFromStream(audioData);
+        let speechText = await this.modules.speechRecognizer.recognizeFromStream(audioData, { localOnly: !!budget?.localAsr });
         
         // Если речь не распознана - создаем объект "молчание" и продолжаем обработку
         if (!speechText || !speechText.text) {
           speechText = {
             text: 'молчание',
             confidence: 0.1,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
             isSilence: true,
           };
         }
@@ -292,34 +575,75 @@ export class Coordinator {
    * Генерация сообщения на основе уже обработанных данных
    * Вызывается независимо от обработки изображений
    */
-  async generateMessageFromContext() {
-    if (!this.state.isActive) {
+  async generateMessageFromContext(trace = new TickTrace('timer', 0, null, this.clock)) {
+    if (trace.blocks('active', !this.state.isActive, 'бот выключен')) {
       return null;
     }
 
-    if (this.state.silenceMode) {
+    if (trace.blocks('silence', this.state.silenceMode, this.voteMuted ? 'тишина по голосованию чата' : 'режим молчания')) {
+      return null;
+    }
+
+    // Чат проголосовал за тишину - в режиме "реже" пишем не чаще интервала
+    const sinceLastMessage = this.state.lastMessageTime > 0 ? this.clock.now() - this.state.lastMessageTime : Infinity;
+    if (trace.blocks('vote_mute', !this.voteMute.allowsMessage(sinceLastMessage), 'чат попросил писать реже')) {
+      return null;
+    }
+
+    if (trace.blocks('scene', this.sceneDetector.paused, this.sceneDetector.describe())) {
       return null;
     }
 
     // В режиме обучения мозг не генерирует сообщения, только обучается
-    if (this.modules.brainCoordinator && this.modules.brainCoordinator.mode === 'training') {
+    const isTraining = this.modules.brainCoordinator && this.modules.brainCoordinator.mode === 'training';
+    if (trace.blocks('training', isTraining, 'режим обучения')) {
       return null; // Не генерируем сообщения в режиме обучения
     }
 
+    // Во время флуда сообщение бота потеряется - молчим
+    if (trace.blocks('flood', this.chatActivity.isFloodingNow(), 'флуд в чате')) {
+      return null;
+    }
+
+    // Лимиты фоновых сообщений и тихие часы
+    const budget = this.cadence.checkBudget('ambient');
+    if (trace.blocks(budget.gate, !budget.allowed, budget.reason)) {
+      return null;
+    }
+
+    // Бюджет API почти исчерпан - скриншоты в модель не отправляются, а фоновое сообщение без кадра не генерируется
+    const usageBudget = this.getUsageBudget();
+    if (trace.blocks('usage_budget', !!usageBudget?.skipVision, usageBudget?.reason)) {
+      this.budgetSkips.ambient++;
+      return null;
+    }
+
+    // Чат спамит смайлик - подхватываем волну без запроса к модели
+    const waveMessage = this.takeWaveMessage();
+    if (waveMessage) {
+      trace.step('wave_join');
+      return waveMessage;
+    }
+
     // Вычисляем время с последнего сообщения (для всех случаев)
     const timeSinceLastMessage = this.state.lastMessageTime > 0 
-      ? Date.now() - this.state.lastMessageTime 
+      ? this.clock.now() - this.state.lastMessageTime 
       : Infinity;
 
-    // Для первого сообщения - принудительно генерируем (не проверяем время)
-    if (!this.state.isFirstMessage) {
+    // Всплеск активности в чате - реагируем быстрее обычного
+    const hype = this.pendingHype && this.clock.now() - this.pendingHype.timestamp <= this.chatActivity.hypeTtl
+      ? this.pendingHype
+      : null;
+
+    // Для первого сообщения и всплеска в чате - принудительно генерируем (не проверяем время)
+    if (!this.state.isFirstMessage && !hype) {
       // Мозг сам решает через updateTime() - проверяем его решение
       // НО: если прошло много времени - игнорируем решение мозга
       
-      // Если прошло больше 15 секунд - игнорируем решение мозга о задержке (уменьшено для большей активности)
-      if (timeSinceLastMessage < 15000 && this.modules.brainCoordinator) {
-        const timeCheck = this.modules.brainCoordinator.updateTime(Date.now(), {});
-        if (timeCheck.shouldWait) {
+      // Если пауза дольше forceAfter уровня - игнорируем решение мозга о задержке
+      if (!this.cadence.shouldForce(timeSinceLastMessage) && this.modules.brainCoordinator) {
+        const timeCheck = this.modules.brainCoordinator.updateTime(this.clock.now(), {});
+        if (trace.blocks('pause', timeCheck.shouldWait, timeCheck.reason)) {
           // Мозг решил подождать
           return null;
         }
@@ -334,16 +658,27 @@ export class Coordinator {
       // Смягчаем условия: разрешаем генерацию даже без данных, если прошло много времени
       // (переменная timeSinceLastMessage уже объявлена в начале метода)
       
-      // Если прошло больше 15 секунд - генерируем сообщение в любом случае (уменьшено для большей активности)
-      const shouldForceGenerate = timeSinceLastMessage > 15000;
+      // Если пауза дольше forceAfter уровня - генерируем сообщение в любом случае
+      const shouldForceGenerate = this.cadence.shouldForce(timeSinceLastMessage) || !!hype;
+      trace.input({
+        imageAnalysisId: latestImageAnalysis?.id ?? null,
+        imageConfidence: latestImageAnalysis?.confidence ?? null,
+        speechConfidence: latestSpeechText?.confidence ?? null,
+        speechIsStreamer: latestSpeechText?.isStreamer ?? null,
+        chatSize: this.contextBuffer.chatHistory.length,
+        hype: hype?.type || null,
+        sinceLastMessage: Number.isFinite(timeSinceLastMessage) ? timeSinceLastMessage : null,
+        forced: shouldForceGenerate,
+        moment: this.getLatestMoment(),
+      });
       
-      if (!shouldForceGenerate && !latestImageAnalysis && !latestSpeechText) {
+      if (trace.blocks('context', !shouldForceGenerate && !latestImageAnalysis && !latestSpeechText, 'нет данных со стрима')) {
         return null;
       }
 
       const shouldGenerate = shouldForceGenerate || this.shouldGenerateMessage(latestImageAnalysis, latestSpeechText);
       
-      if (!shouldGenerate) {
+      if (trace.blocks('data_quality', !shouldGenerate, 'данные недостаточно уверенные или мозг ждет')) {
         this.state.skippedMessages++;
         return null;
       }
@@ -361,6 +696,7 @@ export class Coordinator {
       // Получаем только последние фрагменты речи (последние 30 секунд)
       // НЕ передаем весь накопительный текст - только последние фрагменты
       const recentSpeechFragments = this.getRecentSpeechFragments(10);
+      trace.input({ speechFragments: recentSpeechFragments.length });
       
       // Определяем сложность задачи
       const context = {
@@ -371,10 +707,13 @@ export class Coordinator {
           recentSpeakers: recentSpeakers,
         },
         botUsername: this.config.twitch?.username || 'бот', // Имя бота для понимания обращений
-        time: Date.now(), // Передаем время мозгу
+        time: this.clock.now(), // Передаем время мозгу
         // Только последние фрагменты речи (последние 30 секунд), не весь накопительный текст
         recentSpeechFragments: recentSpeechFragments, // Последние фрагменты с временными метками
         isFirstMessage: this.state.isFirstMessage, // Флаг первого сообщения при запуске
+        chatActivityContext: this.chatActivity.getPromptContext(), // Всплески и волны в чате
+        profilesContext: this.getProfilesContext(this.getActiveRegulars()), // Постоянные зрители в чате
+        styleGuidance: this.feedbackTracker.getStyleGuidance('generation'), // Что из прошлых сообщений зашло чату
       };
       
       // Обновляем время в мозге с контекстом
@@ -399,54 +738,69 @@ export class Coordinator {
       
       // ИМБА: Используем Gemini для генерации сообщений напрямую, если есть скриншот и ProxyAPI включен
       // Проверяем кулдаун перед запросом к Gemini
-      const timeSinceLastGeminiRequest = Date.now() - this.state.lastGeminiRequestTime;
-      const canRequestGemini = timeSinceLastGeminiRequest >= this.state.geminiCooldown || this.state.isFirstMessage;
-      
-      if (this.latestScreenshot && 
+      const timeSinceLastGeminiRequest = this.clock.now() - this.state.lastGeminiRequestTime;
+      const cooldown = this.cadence.checkGenerationCooldown(timeSinceLastGeminiRequest, {
+        hype: !!hype,
+        isFirstMessage: this.state.isFirstMessage,
+      });
+      const canUseGemini = !!(this.latestScreenshot && 
           this.modules.imageAnalyzer && 
           this.modules.imageAnalyzer.useProxyAPI &&
-          this.modules.imageAnalyzer.generateChatMessageFromScreenshot &&
-          canRequestGemini) {
-        try {
-          console.log(`[Coordinator] 🚀 Используем Gemini для генерации сообщения (видит стрим напрямую!)`);
-          // Обновляем время последнего запроса
-          this.state.lastGeminiRequestTime = Date.now();
-          
-          // Добавляем историю сессии и информацию о повторениях в контекст
-          const contextWithHistory = {
-            ...context,
-            sessionHistory: this.sessionHistory,
-            duplicateCount: this.state.duplicateCount, // Передаем счетчик повторений для уведомления ИИ
-            recentMessages: this.state.recentMessages.slice(-3), // Последние 3 сообщения для контекста
+          this.modules.imageAnalyzer.generateChatMessageFromScreenshot);
+
+      // Если Gemini не используется - молчим
+      if (trace.blocks('generator', !canUseGemini, 'нет скриншота или ProxyAPI выключен')) {
+        return null;
+      }
+      if (trace.blocks(cooldown.gate, !cooldown.allowed, cooldown.reason)) {
+        return null;
+      }
+
+      try {
+        console.log(`[Coordinator] 🚀 Используем Gemini для генерации сообщения (видит стрим напрямую!)`);
+        // Обновляем время последнего запроса
+        this.state.lastGeminiRequestTime = this.clock.now();
+        if (hype) {
+          console.log(`[Coordinator] 🔥 Реагируем на активность чата: ${hype.type}`);
+          this.pendingHype = null;
+        }
+        
+        // Добавляем историю сессии и информацию о повторениях в контекст
+        const contextWithHistory = {
+          ...context,
+          sessionHistory: this.sessionHistory,
+          duplicateCount: this.state.duplicateCount, // Передаем счетчик повторений для уведомления ИИ
+          recentMessages: this.state.recentMessages.slice(-3), // Последние 3 сообщения для контекста
+          candidates: { count: this.candidateRanker.count, topUp: this.candidateRanker.topUp },
+        };
+        const geminiResult = await this.modules.imageAnalyzer.generateChatMessageFromScreenshot(
+          this.latestScreenshot.buffer,
+          contextWithHistory
+        );
+        const candidate = geminiResult ? this.pickCandidate(geminiResult, recentSpeechFragments, trace) : null;
+        if (trace.outcome) {
+          return null; // Все варианты отброшены
+        }
+        
+        if (candidate) {
+          // Лучший из вариантов Gemini - модель уже решила молчать или писать
+          messageResult = {
+            message: candidate.text,
+            confidence: geminiResult.confidence || 0.9,
+            timestamp: geminiResult.timestamp || this.clock.now(),
+            source: 'gemini_direct',
           };
-          const geminiResult = await this.modules.imageAnalyzer.generateChatMessageFromScreenshot(
-            this.latestScreenshot.buffer,
-            contextWithHistory
-          );
-          
-          if (geminiResult && geminiResult.text) {
-            // Просто используем результат от Gemini - он уже решил молчать или писать
-            messageResult = {
-              message: geminiResult.text,
-              confidence: geminiResult.confidence || 0.9,
-              timestamp: geminiResult.timestamp || Date.now(),
-              source: 'gemini_direct',
-            };
-            console.log(`[Coordinator] ✅ Gemini сгенерировал сообщение: "${geminiResult.text}"`);
-          } else {
-            console.log(`[Coordinator] 💭 Gemini решил молчать (null)`);
-          }
-        } catch (error) {
-          console.warn(`[Coordinator] ⚠️ Ошибка генерации через Gemini, используем обычный метод:`, error.message);
-          // Продолжаем с обычным методом
+          console.log(`[Coordinator] ✅ Gemini сгенерировал сообщение: "${candidate.text}"`);
+        } else {
+          console.log(`[Coordinator] 💭 Gemini решил молчать (null)`);
+          trace.finish('silent', geminiResult ? 'модель вернула null или ответ отфильтрован' : 'нет ответа модели');
         }
-      } else if (!canRequestGemini) {
-        // Кулдаун еще не прошел
-        const remainingCooldown = Math.ceil((this.state.geminiCooldown - timeSinceLastGeminiRequest) / 1000);
-        console.log(`[Coordinator] ⏱️ Кулдаун Gemini: осталось ${remainingCooldown} сек`);
+      } catch (error) {
+        console.warn(`[Coordinator] ⚠️ Ошибка генерации через Gemini, используем обычный метод:`, error.message);
+        trace.finish('error', error.message);
       }
       
-      // Если Gemini не использовался или не вернул результат - молчим
+      // Если Gemini не вернул результат - молчим
       if (!messageResult) {
         return null;
       }
@@ -454,13 +808,14 @@ export class Coordinator {
       if (!messageResult || !messageResult.message) {
         console.log('[Coordinator] ⚠️ Мозг не вернул сообщение (messageResult пустой)');
         this.state.skippedMessages++;
+        trace.finish('silent', 'пустое сообщение');
         return null;
       }
 
       // Финальная проверка
       const shouldSend = this.shouldSendMessage(messageResult);
       
-      if (!shouldSend) {
+      if (trace.blocks('final_check', !shouldSend, 'слишком короткое или низкая уверенность', { outcome: 'rejected', message: messageResult.message })) {
         console.log(`[Coordinator] ⚠️ Сообщение не прошло финальную проверку: "${messageResult.message.substring(0, 50)}..."`);
         this.state.skippedMessages++;
         return null;
@@ -473,7 +828,7 @@ export class Coordinator {
         return similarity > 0.7; // Если сообщения похожи более чем на 70% - это повторение
       });
 
-      if (isDuplicate) {
+      if (trace.blocks('duplicate', isDuplicate, 'похоже на недавние сообщения', { outcome: 'rejected', message: messageResult.message })) {
         this.state.duplicateCount++;
         console.log(`[Coordinator] ⚠️ Сообщение слишком похоже на предыдущие, отбрасываем: "${messageResult.message.substring(0, 50)}..."`);
         console.log(`[Coordinator] 📊 Повторяющихся сообщений подряд: ${this.state.duplicateCount}`);
@@ -493,29 +848,394 @@ export class Coordinator {
         this.state.duplicateCount = 0;
       }
 
-      // Сохраняем сообщение в историю (храним последние 5 сообщений)
-      this.state.recentMessages.push(messageText);
-      if (this.state.recentMessages.length > 5) {
-        this.state.recentMessages.shift();
+      // История, время последнего сообщения и счетчики обновляются после отправки (recordSentMessage)
+      return messageResult.message;
+    } catch (error) {
+      console.error('[Coordinator] Ошибка генерации сообщения:', error);
+      trace.finish('error', error.message);
+      return null;
+    }
+  }
+
+
+  /**
+   * Выбор лучшего из вариантов модели
+   * Новизна считается по недавним сообщениям и сохраненной истории сессии, оценки всех вариантов пишутся в журнал решений
+   * @returns {Object|null} Выбранный вариант или null если модель промолчала (если все варианты отброшены - цикл завершается)
+   */
+  pickCandidate(result, speechFragments, trace) {
+    const candidates = result.candidates || [{ text: result.text, rawText: result.rawText, steps: result.steps }];
+    const savedMessages = (this.sessionHistory?.history?.botMessages || []).slice(-20).map(entry => entry.message);
+    const lastSpeech = (speechFragments[speechFragments.length - 1]?.text || '').replace(/^\[(?:СТРИМЕР|ГОСТЬ)\]\s*/, '');
+
+    const ranked = this.candidateRanker.rank(candidates, {
+      recentMessages: [...savedMessages, ...this.state.recentMessages],
+      speech: lastSpeech,
+    });
+    const best = ranked.find(candidate => !candidate.rejected) || null;
+    const shown = best || ranked.find(candidate => candidate.rejected !== 'empty') || ranked[0];
+    trace.generation({ promptHash: result.promptHash, rawText: shown.rawText, steps: shown.steps });
+    if (ranked.length > 1) {
+      trace.ranking(ranked, best);
+    }
+
+    if (best) {
+      if (ranked.length > 1) {
+        console.log(`[Coordinator] 🏆 Выбран вариант ${best.score} из ${ranked.length}: "${best.text}"`);
       }
-      
-      if (this.state.isFirstMessage) {
-        // Первое сообщение - сбрасываем флаг
-        this.state.isFirstMessage = false;
-        console.log(`[Coordinator] 🎉 Первое сообщение при запуске!`);
+      return best;
+    }
+    if (shown.rejected === 'empty') {
+      return null; // Модель промолчала во всех вариантах
+    }
+
+    // Все варианты повторяют недавние сообщения - как при отброшенном повторе, ИИ узнает об этом в следующем промпте
+    if (ranked.some(candidate => candidate.rejected === 'duplicate' || candidate.rejected === 'same')) {
+      this.state.duplicateCount++;
+    }
+    this.state.skippedMessages++;
+    const reasons = [...new Set(ranked.map(candidate => candidate.rejected))].join(', ');
+    console.log(`[Coordinator] ⚠️ Все варианты отброшены (${reasons})`);
+    trace.blocks('candidates', true, `все варианты отброшены: ${reasons}`, { outcome: 'rejected', message: shown.text });
+    return null;
+  }
+
+  /**
+   * Сообщение для волны смайликов: сам смайлик, как у остальных зрителей
+   * @returns {string|null} Смайлик или null, если волну подхватывать не нужно
+   */
+  takeWaveMessage() {
+    const wave = this.pendingWave;
+    this.pendingWave = null;
+    if (!wave || this.clock.now() - wave.timestamp > this.chatActivity.hypeTtl) {
+      return null;
+    }
+
+    // Не повторяем смайлик, если только что его писали
+    if (this.state.recentMessages.slice(-2).includes(wave.emote.toLowerCase())) {
+      return null;
+    }
+
+    console.log(`[Coordinator] 🌊 Подхватываем волну смайликов: ${wave.emote}`);
+    return wave.emote;
+  }
+
+  /**
+   * Фоновое сообщение ушло в чат: история для проверки повторов, время последнего сообщения и счетчики
+   * Вызывается после отправки - отмененное или заблокированное сообщение отправленным не считается
+   * @param {boolean} waveJoin - сообщение подхватило волну смайликов
+   */
+  recordSentMessage(message, { waveJoin = false } = {}) {
+    // Храним последние 5 сообщений
+    this.state.recentMessages.push(message.toLowerCase().trim());
+    if (this.state.recentMessages.length > 5) {
+      this.state.recentMessages.shift();
+    }
+
+    if (this.state.isFirstMessage) {
+      this.state.isFirstMessage = false;
+      console.log(`[Coordinator] 🎉 Первое сообщение при запуске!`);
+    }
+
+    this.state.lastMessageTime = this.clock.now();
+    this.state.totalMessages++;
+    if (waveJoin) {
+      this.state.totalWaveJoins++;
+    }
+  }
+
+  /**
+   * Генерация ответа зрителю, который упомянул бота или ответил на его сообщение
+   * Сообщение зрителя - главный контекст, лимит ответов считается на каждого зрителя
+   * @param {Object} chatMessage - Сообщение из чата ({ username, displayName, message, id, ... })
+   * @returns {Promise<string|null>} Текст ответа или null
+   */
+  async generateReply(chatMessage) {
+    if (!this.state.isActive || this.state.silenceMode || !this.replyConfig.enabled) {
+      return null;
+    }
+
+    // В режиме обучения мозг не отвечает зрителям
+    if (this.modules.brainCoordinator && this.modules.brainCoordinator.mode === 'training') {
+      return null;
+    }
+
+    if (!chatMessage || !chatMessage.username || !chatMessage.message) {
+      return null;
+    }
+
+    // Голос за тишину - не повод отвечать
+    if (chatMessage.muteVote) {
+      return null;
+    }
+
+    // Не отвечаем на попытки командовать ботом
+    if (this.modules.promptGuard && (chatMessage.trust === 'dropped' || chatMessage.trust === 'suspicious')) {
+      console.log(`[Coordinator] 🛑 Обращение ${chatMessage.username} похоже на попытку командовать ботом, не отвечаем`);
+      return null;
+    }
+
+    if (!this.canReplyTo(chatMessage.username)) {
+      console.log(`[Coordinator] ⏱️ Лимит ответов для ${chatMessage.username}, пропускаем обращение`);
+      return null;
+    }
+
+    if (!this.cadence.checkBudget('reactive').allowed) {
+      return null;
+    }
+
+    if (!this.modules.imageAnalyzer || typeof this.modules.imageAnalyzer.generateReplyToChatter !== 'function') {
+      return null;
+    }
+
+    // Резервируем ответ сразу, чтобы несколько обращений подряд не получили параллельные ответы
+    this.recordReply(chatMessage.username);
+
+    try {
+      console.log(`[Coordinator] 💬 Генерация ответа для ${chatMessage.username}: "${chatMessage.message.substring(0, 50)}"`);
+      const replyResult = await this.modules.imageAnalyzer.generateReplyToChatter(
+        this.getGenerationScreenshot(),
+        {
+          chatMessage,
+          chatHistory: this.contextBuffer.chatHistory,
+          recentSpeechFragments: this.getRecentSpeechFragments(5),
+          botUsername: this.config.twitch?.username || 'бот',
+          sessionHistory: this.sessionHistory,
+          profilesContext: this.getProfilesContext([chatMessage.username, chatMessage.replyParentUser]),
+          styleGuidance: this.feedbackTracker.getStyleGuidance('reply'),
+        }
+      );
+
+      if (!replyResult || !replyResult.text) {
+        console.log(`[Coordinator] 💭 Gemini решил не отвечать ${chatMessage.username}`);
+        return null;
       }
 
-      this.state.lastMessageTime = Date.now();
-      this.state.totalMessages++;
-      console.log(`💬 "${messageResult.message}"`);
+      const messageResult = {
+        message: replyResult.text,
+        confidence: replyResult.confidence || 0.9,
+        timestamp: replyResult.timestamp || this.clock.now(),
+        source: replyResult.source,
+      };
 
+      if (!this.shouldSendMessage(messageResult)) {
+        console.log(`[Coordinator] ⚠️ Ответ не прошел финальную проверку: "${messageResult.message.substring(0, 50)}..."`);
+        this.state.skippedMessages++;
+        return null;
+      }
+
+      this.state.totalReplies++;
       return messageResult.message;
     } catch (error) {
-      console.error('[Coordinator] Ошибка генерации сообщения:', error);
+      console.error('[Coordinator] Ошибка генерации ответа:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Что бот знает о зрителях (для промптов ответов и реакций)
+   * @param {Array<string>} usernames - Логины зрителей (пустые значения пропускаются)
+   */
+  getProfilesContext(usernames) {
+    const chatterProfiles = this.modules.chatterProfiles;
+    if (!chatterProfiles) {
+      return '';
+    }
+    const botLogin = (this.config.twitch?.username || '').toLowerCase();
+    return chatterProfiles.getPromptContext(
+      usernames.filter(username => username && username.toLowerCase() !== botLogin)
+    );
+  }
+
+  /**
+   * Постоянные зрители, которые сейчас пишут в чат
+   */
+  getActiveRegulars(limit = 3) {
+    if (!this.modules.chatterProfiles) {
+      return [];
+    }
+    const usernames = this.contextBuffer.chatHistory.map(message => message.username);
+    return this.modules.chatterProfiles.getRegulars(usernames, limit);
+  }
+
+  /**
+   * Можно ли ответить зрителю (кулдаун и лимит за окно)
+   */
+  canReplyTo(username) {
+    const now = this.clock.now();
+    const key = username.toLowerCase();
+    const timestamps = (this.replyHistory.get(key) || [])
+      .filter(timestamp => now - timestamp < this.replyConfig.userWindow);
+    this.replyHistory.set(key, timestamps);
+
+    if (timestamps.length >= this.replyConfig.maxPerUser) {
+      return false;
+    }
+
+    const lastReply = timestamps[timestamps.length - 1];
+    return !lastReply || now - lastReply >= this.replyConfig.userCooldown;
+  }
+
+  /**
+   * Запомнить ответ зрителю для лимита частоты
+   */
+  recordReply(username) {
+    const key = username.toLowerCase();
+    const timestamps = this.replyHistory.get(key) || [];
+    timestamps.push(this.clock.now());
+    this.replyHistory.set(key, timestamps);
+  }
+
+  /**
+   * Записать событие стрима (подписка, рейд, гифт, битсы) в историю сессии
+   * @param {Object} event - { type, displayName, amount, months, recipient, message, timestamp }
+   */
+  async recordStreamEvent(event) {
+    const description = this.describeStreamEvent(event);
+    if (!description) {
+      return;
+    }
+
+    console.log(`[Coordinator] 🎉 ${description}`);
+    if (this.modules.chatterProfiles) {
+      this.modules.chatterProfiles.recordEvent(event);
+    }
+    if (this.sessionHistory) {
+      await this.sessionHistory.addStreamEvent(description, event.timestamp || this.clock.now());
+    }
+  }
+
+  /**
+   * Текстовое описание события стрима для истории и промптов
+   */
+  describeStreamEvent(event) {
+    const name = event.displayName || event.username || 'аноним';
+    switch (event.type) {
+      case 'sub':
+        return `${name} подписался на канал${event.prime ? ' (Prime)' : ''}`;
+      case 'resub':
+        return `${name} продлил подписку${event.months ? ` (${event.months} мес.)` : ''}`;
+      case 'subgift':
+        return `${name} подарил подписку ${event.recipient || 'зрителю'}`;
+      case 'submysterygift':
+        return `${name} подарил ${event.amount} подписок чату`;
+      case 'raid':
+        return `Рейд от ${name}: ${event.amount} зрителей`;
+      case 'return': {
+        const minutes = Math.max(1, Math.round((event.duration || 0) / 60000));
+        return event.pause === 'starting'
+          ? `Стрим начался после заставки "скоро начнем" (${minutes} мин)`
+          : `Стример вернулся после перерыва (${minutes} мин)`;
+      }
+      case 'cheer': {
+        // Текст к битсам пишет зритель - попытки командовать ботом в промпт не пускаем
+        const guard = this.modules.promptGuard;
+        const cheerText = guard && event.message
+          ? (guard.analyze(event.message).score >= guard.suspectScore ? '' : guard.sanitize(event.message))
+          : event.message;
+        return `${name} отправил ${event.amount} битс${cheerText ? `: ${cheerText}` : ''}`;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Генерация реакции на событие стрима (поприветствовать рейд, поблагодарить за битсы)
+   * Включение, порог и кулдаун задаются для каждого типа события
+   * @param {Object} event - Событие стрима
+   * @returns {Promise<string|null>} Текст реакции или null
+   */
+  async generateEventReaction(event) {
+    if (!this.state.isActive || this.state.silenceMode) {
+      return null;
+    }
+
+    // В режиме обучения мозг не пишет в чат
+    if (this.modules.brainCoordinator && this.modules.brainCoordinator.mode === 'training') {
+      return null;
+    }
+
+    if (!this.canReactToEvent(event)) {
+      return null;
+    }
+
+    if (!this.cadence.checkBudget('reactive').allowed) {
+      return null;
+    }
+
+    if (!this.modules.imageAnalyzer || typeof this.modules.imageAnalyzer.generateEventReaction !== 'function') {
+      return null;
+    }
+
+    // Резервируем кулдаун сразу, чтобы серия событий не дала параллельных реакций
+    this.lastEventReactions.set(event.type, this.clock.now());
+
+    try {
+      const reactionResult = await this.modules.imageAnalyzer.generateEventReaction(
+        this.getGenerationScreenshot(),
+        {
+          event,
+          eventDescription: this.describeStreamEvent(event),
+          chatHistory: this.contextBuffer.chatHistory,
+          recentSpeechFragments: this.getRecentSpeechFragments(5),
+          botUsername: this.config.twitch?.username || 'бот',
+          sessionHistory: this.sessionHistory,
+          profilesContext: this.getProfilesContext([event.username, event.recipient]),
+          styleGuidance: this.feedbackTracker.getStyleGuidance('event'),
+        }
+      );
+
+      if (!reactionResult || !reactionResult.text) {
+        return null;
+      }
+
+      const messageResult = {
+        message: reactionResult.text,
+        confidence: reactionResult.confidence || 0.9,
+        timestamp: reactionResult.timestamp || this.clock.now(),
+        source: reactionResult.source,
+      };
+
+      if (!this.shouldSendMessage(messageResult)) {
+        console.log(`[Coordinator] ⚠️ Реакция на событие не прошла финальную проверку: "${messageResult.message.substring(0, 50)}..."`);
+        this.state.skippedMessages++;
+        return null;
+      }
+
+      this.state.totalEventReactions++;
+      return messageResult.message;
+    } catch (error) {
+      console.error('[Coordinator] Ошибка генерации реакции на событие:', error);
       return null;
     }
   }
 
+  /**
+   * Можно ли реагировать на событие (включено, прошло порог и кулдаун)
+   */
+  canReactToEvent(event) {
+    if (!event || this.streamEventsConfig.enabled === false) {
+      return false;
+    }
+
+    const typeConfig = this.streamEventsConfig[event.type];
+    if (!typeConfig || typeConfig.enabled === false) {
+      return false;
+    }
+
+    if (typeConfig.minAmount && (event.amount || 0) < typeConfig.minAmount) {
+      return false;
+    }
+
+    const lastReaction = this.lastEventReactions.get(event.type) || 0;
+    if (this.clock.now() - lastReaction < (typeConfig.cooldown || 0)) {
+      console.log(`[Coordinator] ⏱️ Кулдаун реакции на ${event.type}, пропускаем событие`);
+      return false;
+    }
+
+    return true;
+  }
 
   shouldGenerateMessage(imageAnalysis, speechText) {
     // Проверка режима молчания
@@ -526,12 +1246,12 @@ export class Coordinator {
     // Мозг сам решает через updateTime() - проверяем его решение
     // НО: если прошло много времени - игнорируем решение мозга
     const timeSinceLastMessage = this.state.lastMessageTime > 0 
-      ? Date.now() - this.state.lastMessageTime 
+      ? this.clock.now() - this.state.lastMessageTime 
       : Infinity;
     
-    // Если прошло больше 15 секунд - игнорируем решение мозга о задержке (уменьшено для большей активности)
-    if (timeSinceLastMessage < 15000 && this.modules.brainCoordinator) {
-      const timeCheck = this.modules.brainCoordinator.updateTime(Date.now(), {
+    // Если пауза дольше forceAfter уровня - игнорируем решение мозга о задержке
+    if (!this.cadence.shouldForce(timeSinceLastMessage) && this.modules.brainCoordinator) {
+      const timeCheck = this.modules.brainCoordinator.updateTime(this.clock.now(), {
         imageAnalysis,
         speechText,
       });
@@ -544,11 +1264,8 @@ export class Coordinator {
     let hasGoodData = false;
 
     // Динамический порог уверенности: чем больше времени прошло, тем ниже требования
-    const dynamicConfidence = timeSinceLastMessage > 15000 
-      ? 0.2  // Если прошло больше 15 секунд - очень низкий порог (уменьшено)
-      : timeSinceLastMessage > 8000 
-      ? 0.3  // Если прошло больше 8 секунд - низкий порог (уменьшено)
-      : this.config.minConfidence || 0.4; // Иначе используем стандартный порог или 0.4
+    // (границы пауз relaxAfter и forceAfter задает уровень активности канала)
+    const dynamicConfidence = this.cadence.getConfidenceThreshold(timeSinceLastMessage, this.config.minConfidence || 0.4);
 
     // ГЛАВНЫЙ ПРИОРИТЕТ: Речь стримера
     if (speechText && speechText.isStreamer && speechText.confidence >= dynamicConfidence) {
@@ -566,7 +1283,7 @@ export class Coordinator {
     }
     
     // Если есть хотя бы какие-то данные (даже с низкой уверенностью) и прошло много времени - используем их
-    if (!hasGoodData && timeSinceLastMessage > 15000) {
+    if (!hasGoodData && this.cadence.shouldForce(timeSinceLastMessage)) {
       if (speechText && speechText.confidence > 0.1) {
         hasGoodData = true;
       }
@@ -575,11 +1292,15 @@ export class Coordinator {
       }
     }
     
-    // ЧАТ НЕ ЯВЛЯЕТСЯ ИСТОЧНИКОМ для генерации - только для обучения стилю
+    // Чат сам по себе не источник для генерации (только для обучения стилю),
+    // но всплеск активности или копипаста - повод отреагировать
+    if (this.chatActivity.getCurrentHype()) {
+      hasGoodData = true;
+    }
 
     // Если данных недостаточно, но прошло много времени - можно попробовать
     // (переменная timeSinceLastMessage уже объявлена в начале метода)
-    if (!hasGoodData && timeSinceLastMessage > 8000) {
+    if (!hasGoodData && this.cadence.isRelaxed(timeSinceLastMessage)) {
       hasGoodData = true;
     }
 
@@ -648,20 +1369,11 @@ export class Coordinator {
       return false;
     }
 
-    // ПРОВЕРКА ТОЛЬКО НА БАНВОРДЫ TWITCH
-    // Генератор сообщений ограничен ТОЛЬКО банвордами Twitch
-    // Мозг сам ограничивает себя на запрещенные темы и политику
-    
-    // Банворды Twitch (основные)
-    const twitchBannedWords = [
-      /nigg/i, /fagg/i, /kike/i, // Расовые/дискриминационные оскорбления
-    ];
-    
-    // Проверяем ТОЛЬКО на банворды Twitch
-    for (const pattern of twitchBannedWords) {
-      if (pattern.test(message)) {
-        return false;
-      }
+    // Банворды, политика, ссылки и личные данные проверяются фильтром исходящих сообщений
+    // (ContentSafety) прямо перед отправкой - он видит все сообщения бота, а не только сгенерированные.
+    // Оскорбления отсекаем и здесь: эту проверку не отключает никакая настройка
+    if (ContentSafety.matchFloor(message)) {
+      return false;
     }
 
     // Проверка уверенности (оставляем для качества)
@@ -675,6 +1387,7 @@ export class Coordinator {
   // Методы управления координатором
   setSilenceMode(enabled) {
     this.state.silenceMode = enabled;
+    this.voteMuted = false; // Ручное включение или выключение важнее голосования
     console.log(`[Coordinator] Режим молчания: ${enabled ? 'ВКЛ' : 'ВЫКЛ'}`);
   }
 
@@ -682,6 +1395,46 @@ export class Coordinator {
     this.state.isActive = active;
     console.log(`[Coordinator] Активность: ${active ? 'ВКЛ' : 'ВЫКЛ'}`);
   }
+
+  /**
+   * Сброс контекста прошлого эфира (режим демона: новый стрим начинается без старых скриншотов, речи и чата)
+   * История сессии и память мозга остаются
+   */
+  resetStreamContext() {
+    this.contextBuffer.recentImageAnalysis = [];
+    this.contextBuffer.recentSpeechText = [];
+    this.contextBuffer.chatHistory = [];
+    this.speechBuffer = [];
+    this.latestScreenshot = null;
+    this.pendingHype = null;
+    this.pendingWave = null;
+    this.state.isFirstMessage = true;
+    this.sceneDetector.reset();
+    // Тишина по голосованию прошлого эфира не переносится (таймер истечения остановлен вместе со стримом)
+    this.voteMute.cancel('новый эфир');
+    if (this.voteMuted) {
+      this.setSilenceMode(false);
+    }
+    this.framesSinceAnalysis = 0;
+    this.budgetSkips = { frames: 0, audio: 0, ambient: 0 };
+  }
+
+  /**
+   * Режим экономии канала по бюджетам API (null - учет расходов не подключен)
+   */
+  getUsageBudget() {
+    return this.modules.usageLedger ? this.modules.usageLedger.getBudget(this.config.twitch?.channel) : null;
+  }
+
+  /**
+   * Кадр для ответов стримеру, зрителям и на события (null - бюджет API не позволяет отправлять скриншоты)
+   */
+  getGenerationScreenshot() {
+    if (this.getUsageBudget()?.skipVision) {
+      return null;
+    }
+    return this.latestScreenshot?.buffer || null;
+  }
   
   /**
    * Получить текущий накопительный текст речи (для мозга)
@@ -695,6 +1448,20 @@ export class Coordinator {
     return '';
   }
   
+  /**
+   * Момент стрима, на который реагирует фоновое сообщение: последний скриншот или последняя фраза - что новее
+   * @returns {Object|null} { kind: 'screen'|'speech', at }
+   */
+  getLatestMoment() {
+    const speech = [...this.contextBuffer.recentSpeechText, ...this.speechBuffer].filter(item => !item.isSilence).pop();
+    const speechAt = speech ? (speech.capturedAt || speech.timestamp || 0) : 0;
+    const screenAt = this.latestScreenshot?.timestamp || 0;
+    if (!speechAt && !screenAt) {
+      return null;
+    }
+    return speechAt > screenAt ? { kind: 'speech', at: speechAt } : { kind: 'screen', at: screenAt };
+  }
+
   /**
    * Получить последние фрагменты речи
    * @param {number} count - Количество фрагментов
@@ -712,7 +1479,7 @@ export class Coordinator {
         text: bufferedSpeech.isStreamer 
           ? `[СТРИМЕР] ${bufferedSpeech.text}`
           : `[ГОСТЬ] ${bufferedSpeech.text}`,
-        timestamp: bufferedSpeech.timestamp || bufferedSpeech.receivedAt || Date.now(),
+        timestamp: bufferedSpeech.timestamp || bufferedSpeech.receivedAt || this.clock.now(),
         isStreamer: bufferedSpeech.isStreamer,
       }))
       .filter(f => f.text && f.text.trim().length > 0);
@@ -764,16 +1531,60 @@ export class Coordinator {
   }
 
   updateChatHistory(message) {
+    // Голос за тишину бота учитывается в скорости чата, но не в контексте генерации
+    if (this.voteMute.addMessage(message)) {
+      message.muteVote = true;
+      this.chatActivity.addMessage(message);
+      return;
+    }
+
+    // Спам и !команды учитываются в скорости чата, но не попадают в контекст генерации
+    if (message.filtered) {
+      this.chatActivity.addMessage(message);
+      return;
+    }
+
+    // Попытки командовать ботом и сообщения игнорируемых зрителей не попадают в контекст
+    if (this.modules.promptGuard && this.modules.promptGuard.inspect(message) === 'dropped') {
+      return;
+    }
+    this.feedbackTracker.observeChat(message);
     this.contextBuffer.chatHistory.push(message);
+    this.chatActivity.addMessage(message);
     // Храним только последние 20 сообщений
     if (this.contextBuffer.chatHistory.length > 20) {
       this.contextBuffer.chatHistory.shift();
     }
   }
 
+  /**
+   * Удалить сообщения из истории чата (модерация: удаление сообщения, таймаут, бан, очистка чата)
+   * Удаленные модераторами сообщения не должны попадать в промпты
+   * @param {Function} predicate - (message) => true для сообщений, которые нужно убрать
+   * @returns {Array} Удаленные сообщения
+   */
+  purgeChatMessages(predicate) {
+    const removed = this.contextBuffer.chatHistory.filter(predicate);
+    if (removed.length > 0) {
+      // Меняем массив на месте - на него ссылаются контексты режима обучения
+      const kept = this.contextBuffer.chatHistory.filter(message => !predicate(message));
+      this.contextBuffer.chatHistory.splice(0, this.contextBuffer.chatHistory.length, ...kept);
+    }
+    return removed;
+  }
+
   getStats() {
     return {
       ...this.state,
+      chatActivity: this.chatActivity.getStats(), // Скорость чата и последнее событие активности
+      voteMute: this.voteMute.getStats(), // Голосование чата за тишину
+      cadence: this.cadence.getStats(), // Частота сообщений и лимиты
+      streamerAddress: this.addressDetector.getStats(), // Обращения стримера к чату и к боту
+      feedback: this.feedbackTracker.getStats(), // Отклик чата и стримера на сообщения бота
+      scene: this.sceneDetector.getStats(), // Реклама и заставки
+      usage: this.modules.usageLedger
+        ? { ...this.modules.usageLedger.getStats(this.config.twitch?.channel), skipped: this.budgetSkips } // Расходы на API и бюджеты
+        : null,
       contextBufferSize: {
         imageAnalysis: this.contextBuffer.recentImageAnalysis.length,
         speechText: this.contextBuffer.recentSpeechText.length,
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { realClock } from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,8 +12,9 @@ const __dirname = path.dirname(__filename);
  */
 export class DataCollector {
   constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
     this.enabled = config.enabled !== false; // По умолчанию включен
-    this.dataDir = path.join(__dirname, '../../training_data');
+    this.dataDir = config.dataDir || path.join(__dirname, '../../training_data');
     this.screenshotsDir = path.join(this.dataDir, 'screenshots');
     this.metadataDir = path.join(this.dataDir, 'metadata');
     this.currentSession = null;
@@ -31,16 +33,7 @@ export class DataCollector {
       await fs.mkdir(this.screenshotsDir, { recursive: true });
       await fs.mkdir(this.metadataDir, { recursive: true });
 
-      // Создаем новую сессию
-      this.currentSession = {
-        id: `session_${Date.now()}`,
-        startTime: Date.now(),
-        screenshots: [],
-        chatMessages: [],
-        speechSegments: [],
-      };
-
-      console.log(`[DataCollector] ✅ Инициализирован. Сессия: ${this.currentSession.id}`);
+      console.log('[DataCollector] ✅ Инициализирован');
       console.log(`[DataCollector] 📁 Данные сохраняются в: ${this.dataDir}`);
     } catch (error) {
       console.error('[DataCollector] Ошибка инициализации:', error);
@@ -48,6 +41,27 @@ export class DataCollector {
     }
   }
 
+  /**
+   * Начать новую сессию (при запуске обработки стрима - в режиме демона на каждый эфир своя сессия)
+   * Незавершенная предыдущая сессия сначала сохраняется
+   */
+  async startSession() {
+    if (!this.enabled) return;
+
+    if (this.currentSession) {
+      await this.endSession();
+    }
+
+    this.currentSession = {
+      id: `session_${this.clock.now()}`,
+      startTime: this.clock.now(),
+      screenshots: [],
+      chatMessages: [],
+      speechSegments: [],
+    };
+    console.log(`[DataCollector] 🆕 Новая сессия: ${this.currentSession.id}`);
+  }
+
   /**
    * Сохранить скриншот с метаданными
    */
@@ -55,7 +69,7 @@ export class DataCollector {
     if (!this.enabled || !this.currentSession) return;
 
     try {
-      const timestamp = Date.now();
+      const timestamp = this.clock.now();
       const screenshotId = `screenshot_${timestamp}`;
       const screenshotPath = path.join(this.screenshotsDir, `${screenshotId}.png`);
 
@@ -113,7 +127,7 @@ export class DataCollector {
   /**
    * Сохранить сообщение из чата
    */
-  async saveChatMessage(username, message, timestamp = Date.now()) {
+  async saveChatMessage(username, message, timestamp = this.clock.now()) {
     if (!this.enabled || !this.currentSession) return;
 
     try {
@@ -147,7 +161,7 @@ export class DataCollector {
         speaker: speechText.speakerName || speechText.speaker,
         isStreamer: speechText.isStreamer,
         confidence: speechText.confidence,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
       };
 
       this.currentSession.speechSegments.push(speechSegment);
@@ -171,8 +185,8 @@ export class DataCollector {
       const sessionPath = path.join(this.dataDir, `${this.currentSession.id}.json`);
       const sessionData = {
         ...this.currentSession,
-        endTime: Date.now(),
-        duration: Date.now() - this.currentSession.startTime,
+        endTime: this.clock.now(),
+        duration: this.clock.now() - this.currentSession.startTime,
         stats: {
           screenshotsCount: this.currentSession.screenshots.length,
           chatMessagesCount: this.currentSession.chatMessages.length,
@@ -212,7 +226,7 @@ export class DataCollector {
       screenshots: this.currentSession.screenshots.length,
       chatMessages: this.currentSession.chatMessages.length,
       speechSegments: this.currentSession.speechSegments.length,
-      duration: Date.now() - this.currentSession.startTime,
+      duration: this.clock.now() - this.currentSession.startTime,
     };
   }
 }
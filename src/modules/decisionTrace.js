@@ -0,0 +1,256 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { realClock } from './clock.js';
+
+// Итоги цикла генерации для вывода в терминал
+const OUTCOME_LABELS = {
+  sent: '✅ отправлено',
+  generated: '📝 сгенерировано',
+  not_sent: '🚫 не отправлено',
+  silent: '💭 модель промолчала',
+  rejected: '🗑️ отброшено',
+  cancelled: '⌛ момент прошел',
+  skipped: '⏸️ пропуск',
+  error: '❌ ошибка',
+};
+
+/**
+ * Запись одного цикла генерации: что бот видел, какие проверки прошел, что ответила модель и чем все кончилось
+ * Каждая проверка записывается как { gate, passed, reason }
+ */
+export class TickTrace {
+  constructor(trigger = 'timer', id = 0, onFinish = null, clock = realClock) {
+    this.clock = clock;
+    this.id = id;
+    this.trigger = trigger; // timer | hype | address
+    this.startedAt = this.clock.now();
+    this.inputs = {};
+    this.gates = [];
+    this.promptHash = null;
+    this.rawOutput = null;
+    this.steps = []; // Обработка ответа модели (очистка, обрезка, фильтры)
+    this.candidates = []; // Варианты ответа модели с оценками (если их было несколько)
+    this.outcome = null;
+    this.reason = null;
+    this.message = null;
+    this.onFinish = onFinish;
+  }
+
+  /**
+   * Входные данные цикла (анализ изображения, речь, размер чата)
+   */
+  input(data) {
+    Object.assign(this.inputs, data);
+  }
+
+  /**
+   * Проверка, которая может остановить цикл
+   * Если condition истинно - цикл завершается с этой причиной
+   * @param {Object} options - { outcome, message } - итог (по умолчанию skipped) и отброшенное сообщение
+   * @returns {boolean} condition
+   */
+  blocks(gate, condition, reason = '', { outcome = 'skipped', message = null } = {}) {
+    this.gates.push({ gate, passed: !condition, reason: condition ? reason : undefined });
+    if (condition) {
+      this.finish(outcome, `${gate}: ${reason}`, message);
+    }
+    return !!condition;
+  }
+
+  /**
+   * Результат запроса к модели: хэш промпта, сырой ответ и шаги очистки
+   */
+  generation({ promptHash = null, rawText = null, steps = [] } = {}) {
+    this.promptHash = promptHash;
+    this.rawOutput = rawText;
+    this.steps.push(...steps);
+  }
+
+  step(name) {
+    this.steps.push(name);
+  }
+
+  /**
+   * Оценки вариантов ответа: выбранный и отброшенные с причиной
+   */
+  ranking(candidates, chosen = null) {
+    this.candidates = candidates.map(candidate => ({
+      text: candidate.text,
+      score: candidate.score,
+      scores: candidate.scores,
+      rejected: candidate.rejected,
+      chosen: candidate === chosen,
+    }));
+  }
+
+  /**
+   * Итог цикла (повторный вызов ничего не меняет - первый итог главный)
+   * @param {string} outcome - sent | generated | not_sent | silent | rejected | cancelled | skipped | error
+   */
+  finish(outcome, reason = null, message = null) {
+    if (this.outcome) {
+      return;
+    }
+    this.outcome = outcome;
+    this.reason = reason;
+    this.message = message;
+    this.durationMs = this.clock.now() - this.startedAt;
+    if (this.onFinish) {
+      this.onFinish(this.toJSON());
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      trigger: this.trigger,
+      timestamp: this.startedAt,
+      durationMs: this.durationMs ?? null,
+      inputs: this.inputs,
+      gates: this.gates,
+      promptHash: this.promptHash,
+      rawOutput: this.rawOutput,
+      steps: this.steps,
+      candidates: this.candidates,
+      outcome: this.outcome,
+      reason: this.reason,
+      message: this.message,
+    };
+  }
+}
+
+/**
+ * Журнал решений цикла генерации
+ * Последние записи хранятся в памяти (для !bot why), все записи пишутся в JSONL файл канала с ротацией
+ */
+export class DecisionTrace {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false; // Запись в файл (в памяти журнал ведется всегда)
+    this.dataDir = config.dataDir || null;
+    this.traceFile = this.dataDir ? path.join(this.dataDir, 'traces', 'decisions.jsonl') : null;
+    this.maxFileSize = config.maxFileSize ?? 5 * 1024 * 1024; // Размер файла до ротации
+    this.maxFiles = config.maxFiles ?? 3; // Сколько старых файлов хранить (decisions.1.jsonl, ...)
+    this.keep = config.keep ?? 200; // Записей в памяти
+
+    this.recent = [];
+    this.nextId = 1;
+    this.writeChain = Promise.resolve(); // Записи пишутся строго по очереди
+  }
+
+  /**
+   * Начало цикла генерации
+   * @param {string} trigger - timer | hype | address
+   */
+  begin(trigger = 'timer') {
+    return new TickTrace(trigger, this.nextId++, (record) => this.record(record), this.clock);
+  }
+
+  record(record) {
+    this.recent.push(record);
+    if (this.recent.length > this.keep) {
+      this.recent.shift();
+    }
+    if (this.enabled && this.traceFile) {
+      this.writeChain = this.writeChain
+        .then(() => this.append(record))
+        .catch(error => console.error('[DecisionTrace] Ошибка записи журнала решений:', error.message));
+    }
+  }
+
+  async append(record) {
+    const line = `${JSON.stringify(record)}\n`;
+    await fs.mkdir(path.dirname(this.traceFile), { recursive: true });
+    const size = await fs.stat(this.traceFile).then(stats => stats.size, () => 0);
+    if (size > 0 && size + Buffer.byteLength(line) > this.maxFileSize) {
+      await this.rotate();
+    }
+    await fs.appendFile(this.traceFile, line, 'utf-8');
+  }
+
+  /**
+   * decisions.jsonl -> decisions.1.jsonl -> decisions.2.jsonl ..., самый старый удаляется
+   */
+  async rotate() {
+    const rotated = (index) => this.traceFile.replace(/\.jsonl$/, `.${index}.jsonl`);
+    await fs.rm(rotated(this.maxFiles), { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      await fs.rename(rotated(index), rotated(index + 1)).catch(() => {});
+    }
+    if (this.maxFiles > 0) {
+      await fs.rename(this.traceFile, rotated(1));
+    } else {
+      await fs.rm(this.traceFile, { force: true });
+    }
+  }
+
+  /**
+   * Дождаться записи журнала (перед остановкой)
+   */
+  async flush() {
+    await this.writeChain;
+  }
+
+  getRecent(limit = 10) {
+    return this.recent.slice(-limit);
+  }
+
+  /**
+   * Объяснение последних решений: одинаковые пропуски подряд схлопываются в одну строку
+   * @param {number} limit - Сколько строк вывести
+   * @param {Object} options - { details } - входные данные, хэш промпта, сырой ответ и шаги очистки
+   */
+  explain(limit = 10, { details = false } = {}) {
+    const groups = [];
+    for (const record of this.recent) {
+      const last = groups[groups.length - 1];
+      if (last && record.outcome === 'skipped' && last.record.outcome === 'skipped' && last.record.reason === record.reason) {
+        last.count++;
+        last.record = record;
+      } else {
+        groups.push({ record, count: 1 });
+      }
+    }
+
+    return groups.slice(-limit).map(({ record, count }) => {
+      const time = new Date(record.timestamp).toLocaleTimeString('ru-RU');
+      const label = OUTCOME_LABELS[record.outcome] || record.outcome;
+      const trigger = record.trigger === 'timer' ? '' : ` [${record.trigger}]`;
+      const repeats = count > 1 ? ` (×${count})` : '';
+      let line = `${time}${trigger} ${label}${record.reason ? ` - ${record.reason}` : ''}` +
+        `${record.message ? `: "${record.message}"` : ''}${repeats}`;
+
+      if (details && record.outcome !== 'skipped') {
+        const inputs = record.inputs || {};
+        const seen = [
+          inputs.imageAnalysisId ? `изображение #${inputs.imageAnalysisId} (${inputs.imageConfidence})` : 'изображения нет',
+          `речь: ${inputs.speechFragments ?? 0} фрагм.`,
+          `чат: ${inputs.chatSize ?? 0}`,
+        ];
+        line += `\n      видел: ${seen.join(', ')}`;
+        if (record.promptHash) {
+          line += `\n      промпт ${record.promptHash}, ответ модели: "${(record.rawOutput || '').substring(0, 80)}"`;
+        }
+        if (record.steps.length > 0) {
+          line += `\n      обработка: ${record.steps.join(', ')}`;
+        }
+        if (inputs.sendDelay !== undefined) {
+          line += `\n      отправка: ожидание ${(inputs.sendDelay / 1000).toFixed(1)} с, задержка зрителей ${(inputs.viewerLatency / 1000).toFixed(1)} с`;
+        }
+        for (const candidate of record.candidates || []) {
+          const verdict = candidate.rejected ? `отброшен (${candidate.rejected})` : `${candidate.score}${candidate.chosen ? ' - выбран' : ''}`;
+          line += `\n      вариант "${candidate.text || 'null'}": ${verdict}`;
+        }
+      }
+      return line;
+    });
+  }
+
+  getStats() {
+    const byOutcome = {};
+    for (const record of this.recent) {
+      byOutcome[record.outcome] = (byOutcome[record.outcome] || 0) + 1;
+    }
+    return { recorded: this.nextId - 1, byOutcome };
+  }
+}
@@ -0,0 +1,359 @@
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { realClock } from './clock.js';
+import { AddressDetector } from './addressDetector.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Глобальные смайлики Twitch, доступные любому аккаунту (бот может их использовать)
+const TWITCH_GLOBAL_EMOTES = [
+  'Kappa', 'LUL', 'PogChamp', 'Kreygasm', 'BibleThump', 'ResidentSleeper', 'NotLikeThis',
+  'SeemsGood', 'HeyGuys', 'VoHiYo', 'DansGame', 'WutFace', '4Head', 'CoolStoryBob', 'SMOrc',
+];
+
+// Похоже на смайлик: латиница/цифры без пробелов и хотя бы одна заглавная (KEKW, Pepega, monkaS)
+const EMOTE_LIKE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_]{2,}$/;
+
+/**
+ * Реестр смайликов канала (7TV, BTTV, FFZ и Twitch)
+ * Загружает глобальные и канальные наборы, запоминает смайлики Twitch из тегов сообщений,
+ * считает популярность в чате и хранит кэш на диске для работы без сети
+ */
+export class EmoteRegistry {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.channel = (config.channel || '').toLowerCase();
+    this.dataDir = config.dataDir || path.join(__dirname, '../../data');
+    this.cacheFile = path.join(this.dataDir, 'emotes.json');
+    this.providers = config.providers || ['7tv', 'bttv', 'ffz'];
+    this.refreshInterval = config.refreshInterval || 6 * 60 * 60 * 1000; // Обновляем наборы раз в 6 часов
+    this.promptLimit = config.promptLimit || 30; // Сколько смайликов показывать в промпте
+    this.requestTimeout = config.requestTimeout || 10000;
+
+    this.channelId = null; // Twitch ID канала (приходит в ROOMSTATE)
+    this.emotes = new Map(); // name -> { source, scope }
+    this.usage = new Map(); // name -> сколько раз использован в чате
+    this.updatedAt = 0;
+    this.isRefreshing = false;
+    this.saveTimer = null;
+  }
+
+  /**
+   * Инициализация - загрузка кэша с диска и обновление глобальных наборов
+   */
+  async init() {
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    TWITCH_GLOBAL_EMOTES.forEach(name => this.addEmote(name, 'twitch', 'global'));
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.cacheFile, 'utf-8'));
+      this.channelId = data.channelId || null;
+      this.updatedAt = data.updatedAt || 0;
+      Object.entries(data.emotes || {}).forEach(([name, info]) => this.addEmote(name, info.source, info.scope));
+      Object.entries(data.usage || {}).forEach(([name, count]) => this.usage.set(name, count));
+      console.log(`[EmoteRegistry] ✅ Загружен кэш смайликов: ${this.emotes.size} шт.`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[EmoteRegistry] ⚠️ Не удалось прочитать кэш смайликов:', error.message);
+      }
+    }
+
+    // Обновление из сети не блокирует запуск - пока работаем с кэшем
+    if (this.clock.now() - this.updatedAt > this.refreshInterval) {
+      this.refresh().catch(() => {});
+    }
+  }
+
+  addEmote(name, source, scope) {
+    if (!name || name.includes(' ')) {
+      return;
+    }
+    const existing = this.emotes.get(name);
+    // Канальный смайлик важнее глобального с тем же именем
+    if (!existing || (existing.scope === 'global' && scope === 'channel')) {
+      this.emotes.set(name, { source, scope });
+    }
+  }
+
+  /**
+   * Twitch ID канала (из тега room-id) - нужен для канальных наборов 7TV/BTTV/FFZ
+   */
+  setChannelId(channelId) {
+    if (!channelId || channelId === this.channelId) {
+      return;
+    }
+    this.channelId = String(channelId);
+    this.refresh().catch(() => {});
+  }
+
+  /**
+   * Загрузка наборов смайликов из 7TV, BTTV и FFZ
+   * Ошибка одного провайдера не мешает остальным, при недоступности сети остается кэш
+   */
+  async refresh() {
+    if (this.isRefreshing) {
+      return;
+    }
+    this.isRefreshing = true;
+
+    try {
+      const loaders = {
+        '7tv': () => this.load7TV(),
+        bttv: () => this.loadBTTV(),
+        ffz: () => this.loadFFZ(),
+      };
+
+      const results = await Promise.allSettled(
+        this.providers.filter(provider => loaders[provider]).map(provider => loaders[provider]())
+      );
+
+      const failed = results.filter(result => result.status === 'rejected');
+      failed.forEach(result => {
+        console.warn(`[EmoteRegistry] ⚠️ Не удалось загрузить смайлики: ${result.reason?.message || result.reason}`);
+      });
+
+      if (failed.length < results.length) {
+        this.updatedAt = this.clock.now();
+        await this.save();
+        console.log(`[EmoteRegistry] ✅ Смайлики обновлены: ${this.emotes.size} шт.`);
+      }
+    } finally {
+      this.isRefreshing = false;
+    }
+  }
+
+  async fetchJson(url) {
+    const response = await axios.get(url, { timeout: this.requestTimeout });
+    return response.data;
+  }
+
+  async load7TV() {
+    const global = await this.fetchJson('https://7tv.io/v3/emote-sets/global');
+    (global?.emotes || []).forEach(emote => this.addEmote(emote.name, '7tv', 'global'));
+
+    if (this.channelId) {
+      const user = await this.fetchJson(`https://7tv.io/v3/users/twitch/${this.channelId}`);
+      (user?.emote_set?.emotes || []).forEach(emote => this.addEmote(emote.name, '7tv', 'channel'));
+    }
+  }
+
+  async loadBTTV() {
+    const global = await this.fetchJson('https://api.betterttv.net/3/cached/emotes/global');
+    (global || []).forEach(emote => this.addEmote(emote.code, 'bttv', 'global'));
+
+    if (this.channelId) {
+      const user = await this.fetchJson(`https://api.betterttv.net/3/cached/users/twitch/${this.channelId}`);
+      [...(user?.channelEmotes || []), ...(user?.sharedEmotes || [])]
+        .forEach(emote => this.addEmote(emote.code, 'bttv', 'channel'));
+    }
+  }
+
+  async loadFFZ() {
+    const global = await this.fetchJson('https://api.frankerfacez.com/v1/set/global');
+    (global?.default_sets || []).forEach(setId => {
+      (global.sets?.[setId]?.emoticons || []).forEach(emote => this.addEmote(emote.name, 'ffz', 'global'));
+    });
+
+    const roomUrl = this.channelId
+      ? `https://api.frankerfacez.com/v1/room/id/${this.channelId}`
+      : `https://api.frankerfacez.com/v1/room/${this.channel}`;
+    const room = await this.fetchJson(roomUrl);
+    Object.values(room?.sets || {}).forEach(set => {
+      (set.emoticons || []).forEach(emote => this.addEmote(emote.name, 'ffz', 'channel'));
+    });
+  }
+
+  /**
+   * Учет сообщения из чата: смайлики Twitch из тегов и популярность известных смайликов
+   * @param {string} message - Текст сообщения
+   * @param {Object|null} twitchEmotes - tags.emotes ({ id: ['start-end', ...] })
+   */
+  observeMessage(message, twitchEmotes = null) {
+    if (!message) {
+      return;
+    }
+
+    // Позиции в tags.emotes считаются по символам (code points), а не по UTF-16
+    if (twitchEmotes) {
+      const chars = Array.from(message);
+      Object.values(twitchEmotes).forEach(ranges => {
+        const [start, end] = String(ranges[0] || '').split('-').map(Number);
+        if (Number.isInteger(start) && Number.isInteger(end)) {
+          this.addEmote(chars.slice(start, end + 1).join(''), 'twitch', 'chat');
+        }
+      });
+    }
+
+    let changed = false;
+    for (const token of message.split(/\s+/)) {
+      if (this.emotes.has(token)) {
+        this.usage.set(token, (this.usage.get(token) || 0) + 1);
+        changed = true;
+      }
+    }
+
+    if (changed) {
+      this.scheduleSave();
+    }
+  }
+
+  isEmote(token) {
+    return this.emotes.has(token);
+  }
+
+  /**
+   * Может ли бот сам написать этот смайлик (сабовые смайлики Twitch из чата ему недоступны)
+   */
+  canUseEmote(token) {
+    const info = this.emotes.get(token);
+    return !!info && info.scope !== 'chat';
+  }
+
+  /**
+   * Похоже ли слово на смайлик (латиница без пробелов с заглавной буквой)
+   */
+  static looksLikeEmote(token) {
+    return EMOTE_LIKE_PATTERN.test(token) && /[A-Z]/.test(token);
+  }
+
+  /**
+   * Загружены ли канальные наборы 7TV/BTTV/FFZ (без них реестр не знает смайликов чата)
+   */
+  hasChannelSets() {
+    for (const info of this.emotes.values()) {
+      if (info.scope === 'channel') {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Искаженный известный смайлик: другой регистр или одна опечатка в длинном имени (KEKw, Pepego)
+   * Обычные слова и названия (GTA, YouTube, Minecraft) на смайлики не похожи и остаются
+   */
+  isMisspelledEmote(token) {
+    if (token.length < 4 || !EmoteRegistry.looksLikeEmote(token)) {
+      return false;
+    }
+    const lower = token.toLowerCase();
+    for (const name of this.emotes.keys()) {
+      if (Math.abs(name.length - token.length) > 1 || name.length < 4) {
+        continue;
+      }
+      if (name.toLowerCase() === lower || (name.length >= 5 && AddressDetector.distance(token, name) <= 1)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Убрать смайлики, которые бот написать не может: сабовые из чата и искаженные известные
+   * Искаженные ищем только когда загружены канальные наборы - иначе реестр просто не знает смайликов чата
+   */
+  stripUnknownEmotes(text) {
+    const checkMisspelled = this.hasChannelSets();
+    return (text || '')
+      .split(/\s+/)
+      .filter(token => {
+        if (!token) {
+          return true;
+        }
+        if (this.isEmote(token)) {
+          return this.canUseEmote(token);
+        }
+        return !(checkMisspelled && this.isMisspelledEmote(token));
+      })
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Убрать все известные смайлики (для проверок языка сообщения)
+   */
+  stripEmotes(text) {
+    return (text || '')
+      .split(/\s+/)
+      .filter(token => !this.isEmote(token))
+      .join(' ')
+      .trim();
+  }
+
+  /**
+   * Смайлики для промпта: сначала популярные в этом чате, потом канальные, потом глобальные
+   * Смайлики Twitch из чата (могут быть сабовыми) бот не предлагает - только распознает
+   * @returns {Array} [{ name, count }]
+   */
+  getPromptEmotes(limit = this.promptLimit) {
+    const scopeOrder = { channel: 0, global: 1 };
+    return Array.from(this.emotes.entries())
+      .filter(([, info]) => info.scope !== 'chat')
+      .map(([name, info]) => ({ name, count: this.usage.get(name) || 0, scope: info.scope }))
+      .sort((a, b) => (b.count - a.count) || (scopeOrder[a.scope] - scopeOrder[b.scope]))
+      .slice(0, limit)
+      .map(({ name, count }) => ({ name, count }));
+  }
+
+  /**
+   * Блок промпта со смайликами чата
+   */
+  getPromptContext(limit = this.promptLimit) {
+    const emotes = this.getPromptEmotes(limit);
+    if (emotes.length === 0) {
+      return '';
+    }
+    const list = emotes.map(({ name, count }) => (count > 0 ? `${name} (${count})` : name)).join(', ');
+    return `\nСМАЙЛИКИ ЭТОГО ЧАТА (в скобках - сколько раз их использовали, популярные первыми):\n${list}\n`;
+  }
+
+  /**
+   * Отложенное сохранение (счетчики меняются на каждое сообщение)
+   */
+  scheduleSave() {
+    if (this.saveTimer) {
+      return;
+    }
+    this.saveTimer = this.clock.setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(() => {});
+    }, 60000);
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      this.clock.clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+      const data = {
+        channel: this.channel,
+        channelId: this.channelId,
+        updatedAt: this.updatedAt,
+        emotes: Object.fromEntries(this.emotes),
+        usage: Object.fromEntries(this.usage),
+      };
+      await fs.writeFile(this.cacheFile, JSON.stringify(data, null, 2), 'utf-8');
+    } catch (error) {
+      console.error('[EmoteRegistry] Ошибка сохранения кэша смайликов:', error.message);
+    }
+  }
+
+  getStats() {
+    const bySource = {};
+    this.emotes.forEach(info => {
+      bySource[info.source] = (bySource[info.source] || 0) + 1;
+    });
+    return {
+      total: this.emotes.size,
+      bySource,
+      channelId: this.channelId,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
@@ -0,0 +1,356 @@
+import { realClock } from './clock.js';
+import { CandidateRanker } from './candidateRanker.js';
+
+// Вес каждого отклика на сообщение бота
+const DEFAULT_WEIGHTS = {
+  reply: 3, // Ответ в ветке или @упоминание бота
+  quote: 2, // Зритель процитировал сообщение
+  read: 3, // Стример прочитал сообщение вслух
+  answer: 2, // Стример ответил боту
+  emote: 1, // Смайлики сразу после сообщения (не больше maxEmoteReactions зрителей)
+  negative: -2, // Ответ вида "кринж", "бред"
+  negative_emote: -1, // WeirdChamp, Cringe и т.д.
+  deleted: -5, // Модератор удалил сообщение
+  moderated: -5, // Бот получил таймаут или бан после сообщения
+};
+
+// Подписи откликов для промпта и статистики
+const SIGNAL_LABELS = {
+  reply: 'ответили',
+  quote: 'процитировали',
+  read: 'стример прочитал',
+  answer: 'стример ответил',
+  emote: 'смайлики',
+  negative: 'ответили негативно',
+  negative_emote: 'кринж-смайлики',
+  deleted: 'удалил модератор',
+  moderated: 'таймаут бота',
+};
+
+const NEGATIVE_WORDS = ['кринж', 'кринжа', 'кринге', 'бред', 'тупой', 'тупо', 'душнила', 'душно', 'заткнись', 'несмешно', 'мимо', 'позор', 'фу'];
+const NEGATIVE_EMOTES = ['weirdchamp', 'cringe', 'dansgame', 'residentsleeper', 'wutface', 'weirddude'];
+
+/**
+ * Отклик чата и стримера на сообщения бота
+ * После каждого сообщения бот некоторое время следит за чатом и речью стримера: ответы и @упоминания, цитаты,
+ * стример читает или отвечает, смайлики, удаление модератором. По окну ожидания сообщение получает оценку,
+ * которая записывается в память мозга, а лучшие и худшие примеры каждой роли подсказывают стиль в промпте
+ *
+ * Роль (persona) - в каком качестве бот писал: generation (фоновый комментарий), reply (ответ зрителю),
+ * streamer (ответ стримеру), event (реакция на событие стрима) - у каждой роли свой промпт и свои примеры
+ */
+export class FeedbackTracker {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false;
+    this.memory = config.memory || null; // BrainMemory канала
+    this.emoteRegistry = config.emoteRegistry || null;
+    this.botLogin = (config.botUsername || '').toLowerCase();
+    this.matchesName = config.matchesName || (() => false); // Имя бота в речи (с ошибками распознавания)
+    this.window = config.window ?? 90000; // Сколько мс после сообщения собираются отклики
+    this.emoteWindow = config.emoteWindow ?? 20000; // Смайлики засчитываются только сразу после сообщения
+    this.maxEmoteReactions = config.maxEmoteReactions ?? 3;
+    this.guidanceSize = config.guidanceSize ?? 3; // Сколько лучших примеров роли попадает в промпт
+    this.minBestScore = config.minBestScore ?? 2; // С какой оценки сообщение считается удачным
+    this.weights = { ...DEFAULT_WEIGHTS, ...config.weights };
+
+    this.pending = []; // Сообщения, которые еще собирают отклики (новые в конце)
+    this.examples = {}; // persona -> [{ text, score, signals, timestamp }] - оцененные сообщения из памяти
+    this.maxExamples = config.maxExamples ?? 50;
+    this.memoryImportance = config.memoryImportance ?? 6; // Важнее фрагментов речи (5) - иначе речь вытеснит оценки из памяти
+    this.maxStored = config.maxStored ?? 200; // Сколько сообщений с откликом держать в памяти мозга
+    this.nextId = 1;
+    this.stats = { tracked: 0, scored: 0, engaged: 0, totalScore: 0 };
+  }
+
+  /**
+   * Загрузка оценок прошлых сообщений из памяти мозга
+   */
+  async init() {
+    if (!this.memory) {
+      return;
+    }
+    const entries = await this.memory.recall({ category: 'message_feedback' }, this.memory.maxEntries);
+    for (const entry of entries.sort((a, b) => a.timestamp - b.timestamp)) {
+      this.addExample(entry.metadata?.persona || 'generation', {
+        text: entry.content,
+        score: entry.metadata?.score ?? 0,
+        signals: entry.metadata?.signals || {},
+        timestamp: entry.timestamp,
+      });
+    }
+  }
+
+  /**
+   * Сообщение бота отправлено - начинаем собирать отклики
+   * @param {string} text - Отправленное сообщение
+   * @param {string} persona - generation | reply | streamer | event
+   */
+  track(text, persona = 'generation') {
+    if (!this.enabled || !text) {
+      return;
+    }
+    const entry = {
+      id: this.nextId++,
+      text,
+      normalized: normalize(text),
+      stems: CandidateRanker.stems(text),
+      persona,
+      sentAt: this.clock.now(),
+      signals: [], // [{ type, by }]
+      timer: null,
+    };
+    entry.timer = this.clock.setTimeout(() => this.finalize(entry), this.window);
+    this.pending.push(entry);
+    this.stats.tracked++;
+  }
+
+  /**
+   * Сообщение чата: ответ боту, цитата или смайлики
+   * @param {Object} chatMessage - { username, message, replyParentUser, replyParentBody }
+   */
+  observeChat(chatMessage) {
+    const login = (chatMessage.username || '').toLowerCase();
+    if (this.pending.length === 0 || !chatMessage.message || login === this.botLogin) {
+      return;
+    }
+    const text = chatMessage.message;
+
+    // Ответ в ветке на сообщение бота или @упоминание
+    const isReply = !!this.botLogin && (chatMessage.replyParentUser || '').toLowerCase() === this.botLogin;
+    const isMention = !!this.botLogin && normalize(text).split(' ').includes(`@${this.botLogin}`);
+    if (isReply || isMention) {
+      const target = (isReply && this.findByText(chatMessage.replyParentBody)) || this.latest();
+      this.addSignal(target, isNegative(text) ? 'negative' : 'reply', login);
+      return;
+    }
+
+    const quoted = this.pending.find(entry => isQuote(text, entry.normalized));
+    if (quoted) {
+      this.addSignal(quoted, 'quote', login);
+      return;
+    }
+
+    // Сообщение только из смайликов - реакция на последнее сообщение бота
+    const words = text.split(/\s+/).filter(Boolean);
+    const target = this.latest();
+    if (this.emoteRegistry && target && words.length > 0 && this.clock.now() - target.sentAt <= this.emoteWindow &&
+        words.every(word => this.emoteRegistry.isEmote(word))) {
+      const negative = words.some(word => NEGATIVE_EMOTES.includes(word.toLowerCase()));
+      this.addSignal(target, negative ? 'negative_emote' : 'emote', login);
+    }
+  }
+
+  /**
+   * Речь стримера: прочитал сообщение бота вслух или ответил на него
+   * @param {Object} speech - { text, timestamp, capturedAt }
+   */
+  observeSpeech(speech) {
+    if (this.pending.length === 0 || !speech?.text) {
+      return;
+    }
+    // Фраза сказана до сообщения бота - это не отклик на него
+    const spokenAt = speech.capturedAt || speech.timestamp || this.clock.now();
+    const candidates = this.pending.filter(entry => entry.sentAt < spokenAt);
+    if (candidates.length === 0) {
+      return;
+    }
+    const speechStems = CandidateRanker.stems(speech.text);
+    const mentionsBot = normalize(speech.text).split(' ').some(word => word.length >= 3 && this.matchesName(word));
+
+    let best = null;
+    let bestShared = 0;
+    for (const entry of candidates) {
+      const shared = [...entry.stems].filter(stem => speechStems.has(stem)).length;
+      if (shared > bestShared) {
+        best = entry;
+        bestShared = shared;
+      }
+    }
+
+    if (best && best.stems.size >= 2 && bestShared / best.stems.size >= 0.6) {
+      this.addSignal(best, 'read', 'streamer');
+    } else if (best && bestShared >= 2 && bestShared / best.stems.size >= 0.3) {
+      this.addSignal(best, 'answer', 'streamer');
+    } else if (mentionsBot) {
+      this.addSignal(candidates[candidates.length - 1], 'answer', 'streamer');
+    }
+  }
+
+  /**
+   * Модератор удалил сообщение бота
+   */
+  onMessageDeleted(text) {
+    this.addSignal(this.findByText(text), 'deleted', 'moderator');
+  }
+
+  /**
+   * Бот получил таймаут или бан - виновато, скорее всего, последнее сообщение
+   */
+  onBotModerated() {
+    this.addSignal(this.latest(), 'moderated', 'moderator');
+  }
+
+  latest() {
+    return this.pending[this.pending.length - 1] || null;
+  }
+
+  findByText(text) {
+    const normalized = normalize(text);
+    return normalized ? this.pending.find(entry => entry.normalized === normalized) || null : null;
+  }
+
+  /**
+   * Отклик засчитывается один раз на зрителя и тип
+   */
+  addSignal(entry, type, by) {
+    if (!entry || entry.signals.some(signal => signal.type === type && signal.by === by)) {
+      return;
+    }
+    if (type === 'emote' && entry.signals.filter(signal => signal.type === 'emote').length >= this.maxEmoteReactions) {
+      return;
+    }
+    entry.signals.push({ type, by });
+  }
+
+  /**
+   * Окно ожидания закончилось - оценка сообщения и запись в память
+   */
+  finalize(entry) {
+    const index = this.pending.indexOf(entry);
+    if (index === -1) {
+      return null;
+    }
+    this.pending.splice(index, 1);
+    this.clock.clearTimeout(entry.timer);
+
+    const signals = {};
+    for (const { type } of entry.signals) {
+      signals[type] = (signals[type] || 0) + 1;
+    }
+    const score = Object.entries(signals).reduce((sum, [type, count]) => sum + (this.weights[type] || 0) * count, 0);
+
+    this.stats.scored++;
+    this.stats.totalScore += score;
+    if (entry.signals.length > 0) {
+      this.stats.engaged++;
+      console.log(`[Feedback] 📈 Отклик на "${entry.text.substring(0, 50)}": ${score} (${formatSignals(signals)})`);
+    }
+    this.addExample(entry.persona, { text: entry.text, score, signals, timestamp: entry.sentAt });
+
+    if (!this.memory) {
+      return null;
+    }
+    // В контекст памяти оценки не попадают (мозг их пропускает) - в промпт только через getStyleGuidance
+    return this.memory.remember(
+      entry.text,
+      'message_feedback',
+      { persona: entry.persona, score, signals },
+      score === 0 ? 4 : this.memoryImportance,
+      ['feedback', entry.persona]
+    ).then(() => score !== 0 && this.pruneStored()).catch((error) => {
+      console.warn('[Feedback] Ошибка записи оценки в память:', error.message);
+    });
+  }
+
+  /**
+   * Сообщения с откликом важнее речи и не вытесняются ею - поэтому их число в памяти ограничено отдельно
+   */
+  async pruneStored() {
+    const stored = await this.memory.recall({ category: 'message_feedback', minImportance: this.memoryImportance }, Infinity);
+    for (const entry of stored.slice(this.maxStored)) {
+      await this.memory.forget(entry.id);
+    }
+  }
+
+  /**
+   * Оценить все сообщения, не дожидаясь конца окна (остановка канала)
+   */
+  async flush() {
+    await Promise.all([...this.pending].map(entry => this.finalize(entry)));
+  }
+
+  addExample(persona, example) {
+    const examples = this.examples[persona] || (this.examples[persona] = []);
+    examples.push(example);
+    if (examples.length > this.maxExamples) {
+      examples.shift();
+    }
+  }
+
+  /**
+   * Подсказка стиля для промпта роли: что чату зашло и что нет
+   * @param {string} persona - generation | reply | streamer | event
+   * @returns {string} Блок для промпта или пустая строка
+   */
+  getStyleGuidance(persona) {
+    if (!this.enabled) {
+      return '';
+    }
+    const examples = this.examples[persona] || [];
+    const best = examples
+      .filter(example => example.score >= this.minBestScore)
+      .sort((a, b) => (b.score - a.score) || (b.timestamp - a.timestamp))
+      .slice(0, this.guidanceSize);
+    const worst = examples
+      .filter(example => example.score < 0)
+      .sort((a, b) => (a.score - b.score) || (b.timestamp - a.timestamp))
+      .slice(0, Math.max(1, Math.floor(this.guidanceSize / 2)));
+    if (best.length === 0 && worst.length === 0) {
+      return '';
+    }
+
+    let context = '\n\n=== КАК ЧАТ ПРИНЯЛ ТВОИ ПРОШЛЫЕ СООБЩЕНИЯ ===\n';
+    if (best.length > 0) {
+      context += 'Зашло (пиши в таком же духе, но НЕ повторяй эти сообщения):\n';
+      context += best.map(example => `- "${example.text}" (${formatSignals(example.signals)})`).join('\n') + '\n';
+    }
+    if (worst.length > 0) {
+      context += 'Не зашло (так НЕ пиши):\n';
+      context += worst.map(example => `- "${example.text}" (${formatSignals(example.signals)})`).join('\n') + '\n';
+    }
+    return context;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      pending: this.pending.length,
+      averageScore: this.stats.scored > 0 ? Math.round((this.stats.totalScore / this.stats.scored) * 100) / 100 : 0,
+    };
+  }
+}
+
+function normalize(text) {
+  return (text || '').toLowerCase().replace(/ё/g, 'е').replace(/[^\p{L}\p{N}@_\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function isNegative(text) {
+  const words = normalize(text).split(' ');
+  return words.some(word => NEGATIVE_WORDS.includes(word) || NEGATIVE_EMOTES.includes(word));
+}
+
+/**
+ * Цитата: сообщение бота целиком или большая часть его слов (от трех)
+ */
+function isQuote(text, botText) {
+  const normalized = normalize(text);
+  if (!botText || !normalized) {
+    return false;
+  }
+  if (botText.length >= 10 && normalized.includes(botText)) {
+    return true;
+  }
+  const botWords = new Set(botText.split(' ').filter(word => word.length >= 3));
+  if (botWords.size < 3) {
+    return false;
+  }
+  const words = new Set(normalized.split(' '));
+  return [...botWords].filter(word => words.has(word)).length / botWords.size >= 0.6;
+}
+
+function formatSignals(signals) {
+  const parts = Object.entries(signals).map(([type, count]) => `${SIGNAL_LABELS[type] || type}${count > 1 ? ` ×${count}` : ''}`);
+  return parts.length > 0 ? parts.join(', ') : 'без отклика';
+}
@@ -0,0 +1,246 @@
+import { EventEmitter } from 'events';
+import { spawn } from 'child_process';
+import axios from 'axios';
+import { realClock } from './clock.js';
+
+// Страница канала Twitch во время эфира содержит разметку трансляции с этим флагом
+const LIVE_MARKER = /"isLiveBroadcast"\s*:\s*true/;
+
+// yt-dlp так сообщает, что канал не в эфире (остальные ошибки - статус неизвестен)
+const YTDLP_OFFLINE = /not currently live|is offline|does not exist/i;
+
+/**
+ * Ожидание эфира канала (режим демона)
+ * Статус трансляции опрашивается дешево - страницей канала Twitch или пробой yt-dlp, без браузера и захвата.
+ * Начало эфира сообщается сразу, конец - только когда канал не в эфире дольше offlineGrace
+ * (обрыв стрима на пару минут не завершает сессию). Ошибка проверки статус не меняет
+ *
+ * События:
+ *   'online' - { channel, since, method } - канал вышел в эфир
+ *   'offline' - { channel, since, liveSince, duration } - канал не в эфире дольше offlineGrace (since - когда пропал)
+ */
+export class LiveWatcher extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock;
+    this.channel = config.channel;
+    this.method = config.method || 'auto'; // page | ytdlp | auto (страница, при ошибке - yt-dlp)
+    this.pollInterval = config.pollInterval ?? 60000; // Как часто проверять, пока канал не в эфире
+    this.livePollInterval = config.livePollInterval ?? 60000; // Как часто проверять во время эфира
+    this.offlineGrace = config.offlineGrace ?? 300000; // Сколько ждать возвращения эфира перед остановкой
+    this.requestTimeout = config.requestTimeout ?? 10000;
+    this.findYtDlpCommand = config.findYtDlpCommand || null; // Поиск команды yt-dlp (общий с браузером канала)
+    this.probe = config.probe || null; // Своя проверка статуса: () => Promise<true|false|null>
+
+    this.live = false;
+    this.liveSince = null;
+    this.offlineSince = null; // Эфир пропал, ждем offlineGrace
+    this.ytdlpCommand = null;
+    this.timer = null;
+    this.isRunning = false;
+    this.isChecking = false;
+    this.stats = { checks: 0, failures: 0, streams: 0, lastCheckAt: null, lastMethod: null, lastError: null };
+  }
+
+  /**
+   * Запуск опроса (первая проверка - сразу)
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+    this.isRunning = true;
+    console.log(`[LiveWatcher] 📡 Ожидание эфира #${this.channel} (проверка: ${this.method}, каждые ${Math.round(this.pollInterval / 1000)} с)`);
+    this.poll();
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Забыть, что канал в эфире: следующая проверка снова сообщит 'online' (например, после неудачного запуска)
+   */
+  reset() {
+    this.live = false;
+    this.liveSince = null;
+    this.offlineSince = null;
+  }
+
+  async poll() {
+    if (!this.isRunning || this.isChecking) {
+      return;
+    }
+    this.isChecking = true;
+    try {
+      this.update(await this.check());
+    } catch (error) {
+      console.error('[LiveWatcher] Ошибка проверки эфира:', error.message);
+    } finally {
+      this.isChecking = false;
+      if (this.isRunning) {
+        this.timer = this.clock.setTimeout(() => this.poll(), this.live ? this.livePollInterval : this.pollInterval);
+      }
+    }
+  }
+
+  /**
+   * Одна проверка статуса
+   * @returns {Promise<boolean|null>} true - в эфире, false - нет, null - узнать не удалось
+   */
+  async check() {
+    this.stats.checks++;
+    this.stats.lastCheckAt = this.clock.now();
+
+    let live = null;
+    if (this.probe) {
+      live = await this.probe();
+      this.stats.lastMethod = 'probe';
+    } else {
+      if (this.method !== 'ytdlp') {
+        live = await this.checkPage();
+        this.stats.lastMethod = 'page';
+      }
+      if (live === null && this.method !== 'page') {
+        live = await this.checkYtDlp();
+        this.stats.lastMethod = 'ytdlp';
+      }
+    }
+    if (live === null) {
+      this.stats.failures++;
+    }
+    return live;
+  }
+
+  /**
+   * Проверка по странице канала (один HTTP запрос)
+   */
+  async checkPage() {
+    try {
+      const response = await axios.get(`https://www.twitch.tv/${this.channel}`, {
+        timeout: this.requestTimeout,
+        responseType: 'text',
+        headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36' },
+      });
+      return LIVE_MARKER.test(String(response.data || ''));
+    } catch (error) {
+      this.stats.lastError = `page: ${error.message}`;
+      return null;
+    }
+  }
+
+  /**
+   * Проверка пробой yt-dlp (без загрузки потока)
+   */
+  async checkYtDlp() {
+    if (!this.ytdlpCommand && this.findYtDlpCommand) {
+      this.ytdlpCommand = await this.findYtDlpCommand();
+    }
+    if (!this.ytdlpCommand) {
+      this.stats.lastError = 'ytdlp: yt-dlp не найден';
+      return null;
+    }
+
+    const { cmd, args } = this.ytdlpCommand;
+    return new Promise((resolve) => {
+      let output = '';
+      let finished = false;
+      let timeoutId = null;
+      const finish = (live, error = null) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        clearTimeout(timeoutId);
+        if (error) {
+          this.stats.lastError = `ytdlp: ${error}`;
+        }
+        resolve(live);
+      };
+
+      let probe;
+      try {
+        probe = spawn(cmd, [...args, `https://www.twitch.tv/${this.channel}`, '--skip-download', '--no-warnings', '--print', 'is_live'], { stdio: 'pipe' });
+      } catch (error) {
+        finish(null, error.message);
+        return;
+      }
+
+      // Таймаут внешнего процесса - по реальным часам
+      timeoutId = setTimeout(() => {
+        probe.kill();
+        finish(null, 'таймаут');
+      }, this.requestTimeout * 3);
+
+      probe.stdout.on('data', (data) => {
+        output += data.toString();
+      });
+      probe.stderr.on('data', (data) => {
+        output += data.toString();
+      });
+      probe.on('error', (error) => finish(null, error.message));
+      probe.on('close', (code) => {
+        if (code === 0) {
+          finish(/true/i.test(output));
+        } else if (YTDLP_OFFLINE.test(output)) {
+          finish(false);
+        } else {
+          finish(null, `код ${code}: ${output.trim().split('\n').pop()?.substring(0, 150) || ''}`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Учет результата проверки: начало эфира - сразу, конец - после offlineGrace без эфира
+   * @param {boolean|null} live
+   */
+  update(live, now = this.clock.now()) {
+    if (live === null) {
+      return;
+    }
+
+    if (live) {
+      if (this.offlineSince !== null) {
+        console.log(`[LiveWatcher] 📡 #${this.channel} снова в эфире (перерыв ${Math.round((now - this.offlineSince) / 1000)} с)`);
+        this.offlineSince = null;
+      }
+      if (!this.live) {
+        this.live = true;
+        this.liveSince = now;
+        this.stats.streams++;
+        console.log(`[LiveWatcher] 🔴 #${this.channel} в эфире`);
+        this.emit('online', { channel: this.channel, since: now, method: this.stats.lastMethod });
+      }
+      return;
+    }
+
+    if (!this.live) {
+      return;
+    }
+    if (this.offlineSince === null) {
+      this.offlineSince = now;
+      console.log(`[LiveWatcher] ⏸️ #${this.channel} не в эфире - ждем ${Math.round(this.offlineGrace / 60000)} мин перед остановкой`);
+    }
+    if (now - this.offlineSince >= this.offlineGrace) {
+      const event = { channel: this.channel, since: this.offlineSince, liveSince: this.liveSince, duration: this.offlineSince - this.liveSince };
+      this.reset();
+      console.log(`[LiveWatcher] ⚫ #${this.channel} закончил эфир (стрим шел ${Math.round(event.duration / 60000)} мин)`);
+      this.emit('offline', event);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      method: this.method,
+      live: this.live,
+      liveSince: this.liveSince,
+      offlineSince: this.offlineSince,
+    };
+  }
+}
@@ -14,7 +14,7 @@ export class LocalVoiceIdentifier {
     this.config = config;
     this.streamerName = config.streamerName || 'стример';
     this.voicesDatabase = new Map();
-    this.voicesFilePath = path.join(__dirname, '../../data/voices.json');
+    this.voicesFilePath = path.join(config.dataDir || path.join(__dirname, '../../data'), 'voices.json');
     
     // Паттерны для определения типа говорящего
     this.streamerPatterns = [
@@ -0,0 +1,355 @@
+import { realClock } from './clock.js';
+
+// Приоритеты сообщений: ответы на упоминания идут раньше фоновых комментариев
+const PRIORITIES = {
+  high: 2,
+  normal: 1,
+  low: 0,
+};
+
+/**
+ * Очередь исходящих сообщений с учетом лимитов Twitch
+ * Следит за лимитами аккаунта (обычный / модератор-VIP), повторяет отправку
+ * после rate limit и таймаутов и выбрасывает устаревшие сообщения
+ */
+export class MessageQueue {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.send = config.send; // async (item) => void, бросает ошибку при неудаче
+    this.isElevated = config.isElevated || (() => false); // Модератор/VIP/стример - расширенный лимит
+
+    // Лимиты Twitch: N сообщений за окно (30 секунд)
+    this.windowMs = config.windowMs || 30000;
+    this.limits = {
+      normal: {
+        maxMessages: config.normalLimit || 20,
+        minInterval: config.normalMinInterval ?? 1000, // Обычным аккаунтам не чаще 1 сообщения в секунду
+      },
+      elevated: {
+        maxMessages: config.elevatedLimit || 100,
+        minInterval: config.elevatedMinInterval ?? 0,
+      },
+    };
+
+    this.maxAge = config.maxAge || 20000; // Через 20 секунд сообщение уже не в контексте
+    this.maxRetries = config.maxRetries ?? 3;
+    this.retryDelay = config.retryDelay || 2000;
+    this.rateLimitBackoff = config.rateLimitBackoff || 5000;
+    this.noticeWindow = config.noticeWindow || 2000; // NOTICE о rate limit приходит не позже этого времени после отправки
+    this.maxSize = config.maxSize || 20;
+    this.slowModeInterval = 0; // Медленный режим чата (не действует на модераторов и VIP)
+
+    this.queue = [];
+    this.sentTimestamps = []; // Время отправленных сообщений в текущем окне
+    this.lastSent = null; // Последнее отправленное сообщение (для повтора по NOTICE)
+    this.unconfirmed = new Set(); // Отправлены, но NOTICE о rate limit еще может прийти
+    this.pausedUntil = 0; // Пауза после rate limit
+    this.timer = null;
+    this.isProcessing = false;
+    this.nextId = 1;
+
+    this.stats = {
+      sent: 0,
+      dropped: 0,
+      retried: 0,
+    };
+  }
+
+  /**
+   * Добавить сообщение в очередь
+   * @param {string} text - Текст сообщения
+   * @param {Object} options - { priority: 'high'|'normal'|'low', maxAge, replyTo }
+   * @returns {Promise<boolean>} true если сообщение отправлено и Twitch не отклонил его за noticeWindow, false если выброшено
+   */
+  enqueue(text, options = {}) {
+    return new Promise((resolve) => {
+      const now = this.clock.now();
+      const priority = PRIORITIES[options.priority] ?? PRIORITIES.normal;
+      const item = {
+        id: this.nextId++,
+        text,
+        priority,
+        replyTo: options.replyTo || null,
+        createdAt: now,
+        expiresAt: now + (options.maxAge || this.maxAge),
+        attempts: 0,
+        resolve,
+      };
+
+      this.queue.push(item);
+
+      // Переполнение - выбрасываем самое старое сообщение с наименьшим приоритетом
+      if (this.queue.length > this.maxSize) {
+        const victim = this.queue.reduce((worst, candidate) => (
+          candidate.priority < worst.priority ||
+          (candidate.priority === worst.priority && candidate.createdAt < worst.createdAt)
+            ? candidate
+            : worst
+        ));
+        this.drop(victim, 'очередь переполнена');
+      }
+
+      this.scheduleNext(0);
+    });
+  }
+
+  /**
+   * Запланировать следующую обработку очереди
+   */
+  scheduleNext(delay) {
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+    }
+    this.timer = this.clock.setTimeout(() => {
+      this.timer = null;
+      this.processQueue().catch(error => {
+        console.error('[MessageQueue] Ошибка обработки очереди:', error);
+      });
+    }, Math.max(0, delay));
+  }
+
+  /**
+   * Обработка очереди: выбрасываем устаревшие, ждем лимит, отправляем лучшее сообщение
+   */
+  async processQueue() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.dropExpired();
+    if (this.queue.length === 0) {
+      return;
+    }
+
+    const waitTime = this.getWaitTime();
+    if (waitTime > 0) {
+      this.scheduleNext(waitTime);
+      return;
+    }
+
+    const item = this.pickNext();
+    this.isProcessing = true;
+    item.attempts++;
+    // Отправляемое сообщение уже не в очереди: удаление устаревших и переполнение не должны его отбросить
+    this.queue = this.queue.filter(queued => queued !== item);
+
+    try {
+      await this.send(item);
+
+      const now = this.clock.now();
+      this.sentTimestamps.push(now);
+      this.lastSent = { item, sentAt: now };
+      this.stats.sent++;
+      this.confirmLater(item);
+    } catch (error) {
+      this.handleSendError(item, error);
+    } finally {
+      this.isProcessing = false;
+    }
+
+    if (this.queue.length > 0) {
+      this.scheduleNext(this.getWaitTime());
+    }
+  }
+
+  /**
+   * Сообщение считается доставленным, только если за noticeWindow не пришел NOTICE о rate limit -
+   * иначе вызывающий код записал бы его как отправленное, а очередь отправила бы его еще раз
+   */
+  confirmLater(item) {
+    this.unconfirmed.add(item);
+    item.confirmTimer = this.clock.setTimeout(() => {
+      this.unconfirmed.delete(item);
+      item.resolve(true);
+    }, this.noticeWindow);
+  }
+
+  /**
+   * Отменить подтверждение доставки (Twitch отклонил сообщение)
+   */
+  unconfirm(item) {
+    this.clock.clearTimeout(item.confirmTimer);
+    this.unconfirmed.delete(item);
+  }
+
+  /**
+   * Обработка ошибки отправки: повтор для rate limit и таймаутов, иначе выбрасываем
+   */
+  handleSendError(item, error) {
+    const reason = String(error?.message || error || '').toLowerCase();
+    const isRateLimit = reason.includes('rate limit') || reason.includes('ratelimit');
+    const isRetryable = isRateLimit || reason.includes('timeout') || reason.includes('not connected');
+
+    if (!isRetryable) {
+      console.error('[MessageQueue] ❌ Ошибка отправки сообщения:', error?.message || error);
+      this.drop(item, 'ошибка отправки');
+      return;
+    }
+
+    if (item.attempts > this.maxRetries) {
+      this.drop(item, `исчерпаны попытки (${this.maxRetries})`);
+      return;
+    }
+
+    this.stats.retried++;
+    this.queue.push(item); // Вернем в очередь - processQueue запланирует повтор после паузы
+    if (isRateLimit) {
+      this.pause(this.rateLimitBackoff * item.attempts);
+      console.warn(`[MessageQueue] ⚠️ Превышен лимит отправки, повтор через ${Math.round((this.rateLimitBackoff * item.attempts) / 1000)} сек`);
+    } else {
+      this.pause(this.retryDelay * item.attempts);
+      console.warn(`[MessageQueue] ⚠️ Таймаут при отправке, повтор #${item.attempts}`);
+    }
+  }
+
+  /**
+   * Сервер сообщил о rate limit (NOTICE msg_ratelimit) уже после отправки
+   * Возвращаем последнее сообщение в очередь, если оно еще актуально
+   */
+  handleRateLimitNotice() {
+    this.pause(this.rateLimitBackoff);
+
+    const lastSent = this.lastSent;
+    this.lastSent = null;
+    if (!lastSent || !this.unconfirmed.has(lastSent.item)) {
+      return;
+    }
+
+    // Сообщение не дошло - убираем его из счетчика окна и пробуем снова
+    this.sentTimestamps = this.sentTimestamps.filter(timestamp => timestamp !== lastSent.sentAt);
+    this.stats.sent = Math.max(0, this.stats.sent - 1);
+
+    const { item } = lastSent;
+    this.unconfirm(item);
+    if (item.attempts > this.maxRetries || this.clock.now() >= item.expiresAt) {
+      this.stats.dropped++;
+      console.log(`[MessageQueue] 🗑️ Сообщение отброшено после rate limit: "${item.text.substring(0, 50)}"`);
+      item.resolve(false);
+      return;
+    }
+
+    this.stats.retried++;
+    this.queue.push(item);
+    console.warn('[MessageQueue] ⚠️ Twitch отклонил сообщение (rate limit), повторим позже');
+    this.scheduleNext(this.getWaitTime());
+  }
+
+  /**
+   * Приостановить отправку на указанное время
+   */
+  pause(durationMs) {
+    this.pausedUntil = Math.max(this.pausedUntil, this.clock.now() + durationMs);
+  }
+
+  /**
+   * Медленный режим чата: минимальный интервал между сообщениями
+   * @param {number} intervalMs - 0 если медленный режим выключен
+   */
+  setSlowMode(intervalMs) {
+    this.slowModeInterval = Math.max(0, intervalMs || 0);
+    if (this.queue.length > 0) {
+      this.scheduleNext(this.getWaitTime());
+    }
+  }
+
+  /**
+   * Сколько нужно подождать до следующей отправки (с учетом паузы и лимитов)
+   */
+  getWaitTime() {
+    const now = this.clock.now();
+    const elevated = this.isElevated();
+    const limits = elevated ? this.limits.elevated : this.limits.normal;
+    const minInterval = elevated ? limits.minInterval : Math.max(limits.minInterval, this.slowModeInterval);
+
+    this.sentTimestamps = this.sentTimestamps.filter(timestamp => now - timestamp < this.windowMs);
+
+    let waitTime = Math.max(0, this.pausedUntil - now);
+
+    if (this.sentTimestamps.length >= limits.maxMessages) {
+      waitTime = Math.max(waitTime, this.sentTimestamps[0] + this.windowMs - now);
+    }
+
+    const lastTimestamp = this.sentTimestamps[this.sentTimestamps.length - 1];
+    if (lastTimestamp && minInterval > 0) {
+      waitTime = Math.max(waitTime, lastTimestamp + minInterval - now);
+    }
+
+    return waitTime;
+  }
+
+  /**
+   * Выбор следующего сообщения: сначала по приоритету, потом по времени добавления
+   */
+  pickNext() {
+    return this.queue.reduce((best, candidate) => (
+      candidate.priority > best.priority ||
+      (candidate.priority === best.priority && candidate.createdAt < best.createdAt)
+        ? candidate
+        : best
+    ));
+  }
+
+  /**
+   * Выбросить сообщения, которые устарели и уже не подходят к текущему контексту
+   */
+  dropExpired() {
+    const now = this.clock.now();
+    for (const item of [...this.queue]) {
+      if (now >= item.expiresAt) {
+        this.drop(item, 'устарело');
+      }
+    }
+  }
+
+  /**
+   * Удалить сообщение из очереди без отправки
+   */
+  drop(item, reason) {
+    this.queue = this.queue.filter(queued => queued !== item);
+    this.stats.dropped++;
+    console.log(`[MessageQueue] 🗑️ Сообщение отброшено (${reason}): "${item.text.substring(0, 50)}"`);
+    item.resolve(false);
+  }
+
+  /**
+   * Удалить из очереди сообщения, подходящие под условие (например, ответы на удаленные сообщения)
+   * @returns {number} Количество удаленных сообщений
+   */
+  dropWhere(predicate, reason) {
+    const victims = this.queue.filter(predicate);
+    victims.forEach(item => this.drop(item, reason));
+    return victims.length;
+  }
+
+  /**
+   * Очистить очередь (при отключении)
+   */
+  clear() {
+    if (this.timer) {
+      this.clock.clearTimeout(this.timer);
+      this.timer = null;
+    }
+    const pending = this.queue;
+    this.queue = [];
+    pending.forEach(item => item.resolve(false));
+
+    // Отправленные сообщения уже не отклонят - подтверждаем сразу
+    for (const item of this.unconfirmed) {
+      this.unconfirm(item);
+      item.resolve(true);
+    }
+    this.lastSent = null;
+  }
+
+  /**
+   * Получить статистику очереди
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.queue.length,
+      elevated: this.isElevated(),
+      pausedFor: Math.max(0, this.pausedUntil - this.clock.now()),
+    };
+  }
+}
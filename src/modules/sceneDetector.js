@@ -0,0 +1,229 @@
+import { EventEmitter } from 'events';
+import { realClock } from './clock.js';
+
+// Состояния сцены
+export const SCENE_LABELS = {
+  live: 'стрим',
+  ad: 'реклама',
+  brb: 'перерыв',
+  starting: 'скоро начнем',
+};
+
+/**
+ * Состояние сцены стрима: идет стрим, реклама или заставка ("отошел", "скоро начнем")
+ * Решает локально, без запросов к модели - по статистике кадра видео (уменьшенная копия, яркость и контраст
+ * считает браузер через sharp), признакам плеера со страницы Twitch (плашка рекламы, видео играет)
+ * и громкости захваченного звука. Пока стрим на паузе, координатор не отправляет скриншоты в модель
+ * и не генерирует фоновые сообщения
+ *
+ * Состояния:
+ *   live - идет стрим
+ *   ad - плеер показывает рекламу
+ *   brb - кадр не меняется дольше staticDuration (в тишине - quietStaticDuration), стример молчит
+ *   starting - то же, пока стрим в этом эфире еще ни разу не шел (заставка "скоро начнем")
+ *
+ * События:
+ *   'change' - { state, previous, since, duration, reason } - duration: сколько длилось предыдущее состояние
+ */
+export class SceneDetector extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false;
+    this.staticThreshold = config.staticThreshold ?? 3; // Средняя разница кадров (0-255), ниже которой кадр не изменился
+    this.changeThreshold = config.changeThreshold ?? 12; // Разница кадров, после которой заставка снята
+    this.blankContrast = config.blankContrast ?? 6; // Кадр почти одного цвета (черный экран) - тоже заставка
+    this.staticDuration = config.staticDuration ?? 45000; // Сколько кадр должен стоять, чтобы считать его заставкой
+    this.quietStaticDuration = config.quietStaticDuration ?? 20000; // То же, если в звуке тишина
+    this.silenceDb = config.silenceDb ?? -50; // Средняя громкость ниже - тишина
+    this.speechWindow = config.speechWindow ?? 30000; // Стример говорил недавно - это не перерыв
+    this.resumeSpeeches = config.resumeSpeeches ?? 2; // Фраз стримера за speechWindow, чтобы снять заставку
+
+    this.reset();
+    this.stats = { frames: 0, pausedFrames: 0, skippedAudio: 0, pauses: 0, byState: {} };
+  }
+
+  /**
+   * Сброс к началу эфира (режим демона: новый стрим начинается с "скоро начнем")
+   */
+  reset() {
+    this.state = 'live';
+    this.since = this.clock.now();
+    this.reason = null;
+    this.previousFrame = null; // Уменьшенная копия прошлого кадра
+    this.staticSince = null; // С какого кадра картинка не меняется
+    this.seenLive = false; // В этом эфире уже был живой стрим (иначе заставка - "скоро начнем")
+    this.volume = null; // Средняя громкость последнего фрагмента звука (дБ)
+    this.audioAd = false; // В захвате звука реклама (по плейлисту HLS)
+    this.speechTimes = []; // Когда стример говорил
+  }
+
+  get paused() {
+    return this.state !== 'live';
+  }
+
+  /**
+   * Кадр из браузера
+   * @param {Object} screenshot - { frame: { thumbnail, width, height, brightness, contrast }, player: { ad, adText, playing } }
+   * @returns {Object} { state, paused, since, reason }
+   */
+  observeFrame(screenshot) {
+    if (!this.enabled) {
+      return this.getState();
+    }
+    this.stats.frames++;
+    const now = this.clock.now();
+    const { frame = null, player = null } = screenshot || {};
+
+    if (player?.ad) {
+      this.previousFrame = null;
+      this.staticSince = null;
+      this.setState('ad', now, player.adText ? `плашка "${player.adText}"` : 'плашка рекламы');
+      return this.countPaused();
+    }
+    if (this.state === 'ad') {
+      this.setState('live', now, 'реклама закончилась');
+    }
+    if (!frame?.thumbnail) {
+      return this.getState();
+    }
+
+    const difference = this.previousFrame ? SceneDetector.difference(this.previousFrame, frame.thumbnail) : null;
+    this.previousFrame = frame.thumbnail;
+    if (difference === null) {
+      return this.countPaused();
+    }
+
+    // Плеер буферизует - кадр стоит не из-за заставки
+    const blank = frame.contrast < this.blankContrast;
+    if (player?.playing === false && !blank) {
+      this.staticSince = null;
+      return this.countPaused();
+    }
+
+    if (difference <= this.staticThreshold || blank) {
+      this.staticSince = this.staticSince ?? now;
+    } else {
+      this.staticSince = null;
+    }
+
+    if (this.paused) {
+      if (difference >= this.changeThreshold && !blank) {
+        this.seenLive = true;
+        this.setState('live', now, 'картинка сменилась');
+      }
+      return this.countPaused();
+    }
+
+    if (difference >= this.changeThreshold) {
+      this.seenLive = true;
+    }
+    if (this.staticSince !== null && !this.isStreamerTalking(now)) {
+      const quiet = this.volume !== null && this.volume < this.silenceDb;
+      const staticFor = now - this.staticSince;
+      if (staticFor >= (quiet ? this.quietStaticDuration : this.staticDuration)) {
+        const reason = `${blank ? 'пустой кадр' : 'кадр не меняется'} ${Math.round(staticFor / 1000)} с${quiet ? ', тишина' : ''}`;
+        this.setState(this.seenLive ? 'brb' : 'starting', now, reason);
+      }
+    }
+    return this.countPaused();
+  }
+
+  /**
+   * Захват звука
+   * @param {Object} capture - { meanVolume, ad } - средняя громкость (дБ) и реклама в плейлисте HLS
+   */
+  observeAudio(capture) {
+    if (!this.enabled || !capture) {
+      return;
+    }
+    if (Number.isFinite(capture.meanVolume)) {
+      this.volume = capture.meanVolume;
+    }
+    this.audioAd = !!capture.ad;
+  }
+
+  /**
+   * Во время рекламы в захвате звука распознавать нечего - речь стримера туда не попадает
+   */
+  skipsAudio() {
+    if (this.enabled && this.audioAd) {
+      this.stats.skippedAudio++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Фраза стримера: во время разговора заставку не ставим, несколько фраз подряд снимают заставку
+   */
+  observeSpeech(speech) {
+    if (!this.enabled || !speech?.text || speech.isSilence) {
+      return;
+    }
+    const now = this.clock.now();
+    this.speechTimes = this.speechTimes.filter(time => now - time <= this.speechWindow);
+    this.speechTimes.push(now);
+    if ((this.state === 'brb' || this.state === 'starting') && this.speechTimes.length >= this.resumeSpeeches) {
+      this.seenLive = true;
+      this.staticSince = null;
+      this.setState('live', now, 'стример заговорил');
+    }
+  }
+
+  isStreamerTalking(now = this.clock.now()) {
+    return this.speechTimes.some(time => now - time <= this.speechWindow);
+  }
+
+  setState(state, now, reason) {
+    if (state === this.state) {
+      return;
+    }
+    const change = { state, previous: this.state, since: now, duration: now - this.since, reason };
+    this.state = state;
+    this.since = now;
+    this.reason = reason;
+    if (state !== 'live') {
+      this.stats.pauses++;
+      this.stats.byState[state] = (this.stats.byState[state] || 0) + 1;
+    }
+    console.log(`[Scene] ${state === 'live' ? '▶️' : '⏸️'} ${SCENE_LABELS[change.previous]} → ${SCENE_LABELS[state]} (${reason}, длилось ${Math.round(change.duration / 1000)} с)`);
+    this.emit('change', change);
+  }
+
+  countPaused() {
+    if (this.paused) {
+      this.stats.pausedFrames++;
+    }
+    return this.getState();
+  }
+
+  /**
+   * Описание паузы для журнала решений
+   */
+  describe() {
+    return this.paused ? `${SCENE_LABELS[this.state]}: ${this.reason}` : SCENE_LABELS.live;
+  }
+
+  getState() {
+    return { state: this.state, paused: this.paused, since: this.since, reason: this.reason };
+  }
+
+  /**
+   * Средняя разница яркости двух уменьшенных кадров в оттенках серого (0-255)
+   */
+  static difference(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) {
+      return null;
+    }
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += Math.abs(a[i] - b[i]);
+    }
+    return sum / a.length;
+  }
+
+  getStats() {
+    return { ...this.stats, ...this.getState(), enabled: this.enabled, volume: this.volume, audioAd: this.audioAd };
+  }
+}
@@ -0,0 +1,192 @@
+import { realClock } from './clock.js';
+
+/**
+ * Время отправки сообщений как у живого зрителя
+ * Зрители смотрят стрим с задержкой HLS, а речь бот слышит через захват ffmpeg со своим отставанием.
+ * Планировщик оценивает обе задержки, переводит момент, на который реагирует сообщение, во время зрителей
+ * и отправляет сообщение чуть позже этого момента - через время, за которое человек успел бы его набрать.
+ * Сообщение о моменте, который зрители видели слишком давно, отменяется
+ *
+ * Момент - { kind: 'screen'|'speech'|'chat', at }:
+ *   screen - скриншот из плеера браузера (он сам отстает от эфира как плеер зрителя)
+ *   speech - середина захваченного фрагмента речи по часам бота
+ *   chat - событие чата (чат зрители видят без задержки)
+ */
+export class SendScheduler {
+  constructor(config = {}) {
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false;
+    this.viewerLatency = config.viewerLatency ?? null; // Задержка зрителей вручную (мс), null - по замерам HLS
+    this.playerBuffer = config.playerBuffer ?? 4000; // Насколько плеер зрителя держится позади края HLS
+    this.defaultStreamLag = config.defaultStreamLag ?? 3000; // Отставание края HLS от эфира, пока нет замеров
+    this.typing = {
+      baseDelay: config.typing?.baseDelay ?? 1200, // Заметить момент и начать печатать
+      perChar: config.typing?.perChar ?? 150, // Скорость набора (мс на символ)
+      jitter: config.typing?.jitter ?? 0.3, // Случайный разброс ±30%
+      maxDelay: config.typing?.maxDelay ?? 12000,
+    };
+    this.maxLateness = config.maxLateness ?? 15000; // Зрители видели момент дольше - сообщение отменяется
+    this.sampleSize = config.sampleSize ?? 10; // По скольким последним замерам считается медиана
+    this.random = config.random || Math.random;
+
+    this.streamLagSamples = []; // Отставание края HLS от эфира (по меткам времени плейлиста)
+    this.captureLagSamples = []; // Насколько захват ffmpeg дольше длины фрагмента
+    this.waiting = new Map(); // id -> { timer, resolve, plan } - сообщения, которые ждут своего времени
+    this.nextId = 1;
+    this.stats = { scheduled: 0, delayed: 0, cancelled: 0, totalDelay: 0 };
+  }
+
+  /**
+   * Замер захвата аудио браузером
+   * @param {Object} capture - { startedAt, finishedAt, durationMs, streamLag } - streamLag есть, если плейлист замерялся
+   */
+  recordCapture(capture) {
+    if (!capture) {
+      return;
+    }
+    if (Number.isFinite(capture.startedAt) && Number.isFinite(capture.finishedAt)) {
+      pushSample(this.captureLagSamples, Math.max(0, capture.finishedAt - capture.startedAt - (capture.durationMs || 0)), this.sampleSize);
+    }
+    if (Number.isFinite(capture.streamLag) && capture.streamLag >= 0) {
+      pushSample(this.streamLagSamples, capture.streamLag, this.sampleSize);
+    }
+  }
+
+  /**
+   * Текущая оценка задержек (мс)
+   * @returns {Object} { streamLag, captureLag, viewer, source } - source: config | hls | default (откуда задержка зрителей)
+   */
+  getLatency() {
+    const streamLag = median(this.streamLagSamples) ?? this.defaultStreamLag;
+    const captureLag = median(this.captureLagSamples) ?? 0;
+    return {
+      streamLag,
+      captureLag,
+      viewer: this.viewerLatency ?? streamLag + this.playerBuffer,
+      source: this.viewerLatency !== null ? 'config' : this.streamLagSamples.length > 0 ? 'hls' : 'default',
+    };
+  }
+
+  /**
+   * Когда момент дошел (дойдет) до зрителей, по часам бота
+   */
+  toViewerTime(moment) {
+    if (moment.kind !== 'speech') {
+      return moment.at;
+    }
+    // Речь из эфира пришла к боту через край HLS и захват, к зрителям - через край HLS и буфер плеера
+    const { streamLag, captureLag, viewer } = this.getLatency();
+    return moment.at - streamLag - captureLag + viewer;
+  }
+
+  /**
+   * Время набора сообщения: пропорционально длине, со случайным разбросом
+   */
+  getTypingDelay(text) {
+    const { baseDelay, perChar, jitter, maxDelay } = this.typing;
+    const delay = (baseDelay + (text || '').length * perChar) * (1 + (this.random() * 2 - 1) * jitter);
+    return Math.round(Math.min(maxDelay, Math.max(0, delay)));
+  }
+
+  /**
+   * Расчет времени отправки без ожидания
+   * @param {string} text - Сообщение
+   * @param {Object|null} moment - { kind, at } - момент, на который реагирует сообщение (null - сейчас)
+   * @returns {Object} { viewerAt, typingDelay, sendAt, delay, lateBy, maxAge, cancelled } - cancelled: причина отмены или null
+   */
+  plan(text, moment = null) {
+    const now = this.clock.now();
+    if (!this.enabled) {
+      return { viewerAt: now, typingDelay: 0, sendAt: now, delay: 0, lateBy: 0, maxAge: undefined, cancelled: null };
+    }
+
+    const viewerAt = this.toViewerTime(moment || { kind: 'chat', at: now });
+    const typingDelay = this.getTypingDelay(text);
+    const sendAt = Math.max(now, viewerAt + typingDelay);
+    const lateBy = now - viewerAt;
+    const cancelled = lateBy > this.maxLateness
+      ? `зрители видели момент ${Math.round(lateBy / 1000)} с назад`
+      : null;
+    return {
+      viewerAt,
+      typingDelay,
+      sendAt,
+      delay: sendAt - now,
+      lateBy,
+      // Очередь отправки тоже выбросит сообщение, если задержится дольше, чем момент остается актуальным
+      maxAge: Math.max(1000, viewerAt + this.maxLateness - sendAt),
+      cancelled,
+    };
+  }
+
+  /**
+   * Ожидание времени отправки
+   * @returns {Promise<Object>} План (plan) - cancelled заполнен, если момент прошел или ожидание отменили
+   */
+  async schedule(text, moment = null) {
+    const plan = this.plan(text, moment);
+    this.stats.scheduled++;
+    if (plan.cancelled) {
+      this.stats.cancelled++;
+      console.log(`[SendScheduler] ⌛ Сообщение отменено (${plan.cancelled}): "${text.substring(0, 50)}"`);
+      return plan;
+    }
+    if (plan.delay <= 0) {
+      return plan;
+    }
+
+    this.stats.delayed++;
+    this.stats.totalDelay += plan.delay;
+    console.log(`[SendScheduler] ⌨️ Отправка через ${(plan.delay / 1000).toFixed(1)} с: "${text.substring(0, 50)}"`);
+    await new Promise((resolve) => {
+      const id = this.nextId++;
+      const timer = this.clock.setTimeout(() => {
+        this.waiting.delete(id);
+        resolve();
+      }, plan.delay);
+      this.waiting.set(id, { timer, resolve, plan });
+    });
+    if (plan.cancelled) {
+      this.stats.cancelled++;
+    }
+    return plan;
+  }
+
+  /**
+   * Отмена всех ожидающих сообщений (остановка канала)
+   */
+  cancelAll(reason = 'отменено') {
+    for (const { timer, resolve, plan } of this.waiting.values()) {
+      this.clock.clearTimeout(timer);
+      plan.cancelled = reason;
+      resolve();
+    }
+    this.waiting.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.enabled,
+      waiting: this.waiting.size,
+      averageDelay: this.stats.delayed > 0 ? Math.round(this.stats.totalDelay / this.stats.delayed) : 0,
+      latency: this.getLatency(),
+    };
+  }
+}
+
+function pushSample(samples, value, size) {
+  samples.push(value);
+  if (samples.length > size) {
+    samples.shift();
+  }
+}
+
+function median(samples) {
+  if (samples.length === 0) {
+    return null;
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
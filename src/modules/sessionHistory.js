@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { realClock } from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,7 +12,8 @@ const __dirname = path.dirname(__filename);
  */
 export class SessionHistory {
   constructor(config = {}) {
-    this.dataDir = path.join(__dirname, '../../data');
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.dataDir = config.dataDir || path.join(__dirname, '../../data'); // Свой каталог у каждого канала
     this.historyFile = path.join(this.dataDir, 'session_history.json');
     
     // История событий
@@ -20,8 +22,8 @@ export class SessionHistory {
       streamEvents: [], // События на стриме (важные моменты)
       botMessages: [], // Отправленные сообщения бота
       metadata: {
-        sessionStart: Date.now(),
-        lastUpdated: Date.now(),
+        sessionStart: this.clock.now(),
+        lastUpdated: this.clock.now(),
         totalEvents: 0,
       },
     };
@@ -54,8 +56,8 @@ export class SessionHistory {
           botMessages: loaded.botMessages || [],
           metadata: {
             ...loaded.metadata,
-            sessionStart: loaded.metadata?.sessionStart || Date.now(),
-            lastUpdated: Date.now(),
+            sessionStart: loaded.metadata?.sessionStart || this.clock.now(),
+            lastUpdated: this.clock.now(),
           },
         };
         
@@ -65,7 +67,7 @@ export class SessionHistory {
         console.log(`[SessionHistory] ✅ Загружена история: ${this.history.streamerSpeech.length} речи, ${this.history.streamEvents.length} событий, ${this.history.botMessages.length} сообщений`);
       } catch (error) {
         // Файл не существует - создаем новую историю
-        this.history.metadata.sessionStart = Date.now();
+        this.history.metadata.sessionStart = this.clock.now();
         await this.save();
         console.log('[SessionHistory] ✅ Создана новая история сессии');
       }
@@ -85,7 +87,7 @@ export class SessionHistory {
       // Убеждаемся, что директория создана
       await fs.mkdir(this.dataDir, { recursive: true });
       
-      this.history.metadata.lastUpdated = Date.now();
+      this.history.metadata.lastUpdated = this.clock.now();
       this.history.metadata.totalEvents = 
         this.history.streamerSpeech.length + 
         this.history.streamEvents.length + 
@@ -104,7 +106,7 @@ export class SessionHistory {
   /**
    * Добавление речи стримера
    */
-  async addStreamerSpeech(text, timestamp = Date.now()) {
+  async addStreamerSpeech(text, timestamp = this.clock.now()) {
     if (!text || text.trim().length === 0) return;
     
     this.history.streamerSpeech.push({
@@ -126,7 +128,7 @@ export class SessionHistory {
   /**
    * Добавление события на стриме
    */
-  async addStreamEvent(description, timestamp = Date.now()) {
+  async addStreamEvent(description, timestamp = this.clock.now()) {
     if (!description || description.trim().length === 0) return;
     
     this.history.streamEvents.push({
@@ -145,7 +147,7 @@ export class SessionHistory {
   /**
    * Добавление отправленного сообщения бота
    */
-  async addBotMessage(message, timestamp = Date.now()) {
+  async addBotMessage(message, timestamp = this.clock.now()) {
     if (!message || message.trim().length === 0) return;
     
     this.history.botMessages.push({
@@ -216,8 +218,8 @@ export class SessionHistory {
       streamEvents: [],
       botMessages: [],
       metadata: {
-        sessionStart: Date.now(),
-        lastUpdated: Date.now(),
+        sessionStart: this.clock.now(),
+        lastUpdated: this.clock.now(),
         totalEvents: 0,
       },
     };
@@ -1,20 +1,28 @@
 import OpenAI from 'openai';
 import fs from 'fs/promises';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import os from 'os';
 import { LocalWhisper } from './localWhisper.js';
 import { ProxyAPI } from './proxyAPI.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { realClock } from './clock.js';
 
 export class SpeechRecognizer {
   constructor(config) {
     this.config = config;
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
     this.useLocal = config.useLocal || false;
     this.useProxyAPI = config.useProxyAPI || false;
+    this.usageLedger = config.usageLedger || null; // Учет расходов на API (общий для всех каналов)
+    this.channel = config.channel || null;
+    
+    // Общий бэкенд распознавания (несколько каналов используют одни и те же клиенты API)
+    this.sharedBackend = !!(config.localWhisper || config.openaiClient);
     
-    if (this.useLocal) {
+    if (this.sharedBackend) {
+      this.localWhisper = config.localWhisper || null;
+      this.openai = config.openaiClient || null;
+      this.useLocal = this.useLocal && !!this.localWhisper;
+    } else if (this.useLocal) {
       this.localWhisper = new LocalWhisper({
         modelPath: config.localWhisperModel || 'base',
         device: config.localWhisperDevice || 'cpu',
@@ -45,10 +53,15 @@ export class SpeechRecognizer {
     this.realtimeTextBuffer = [];
     this.maxBufferSize = 20; // Храним последние 20 распознанных фрагментов
     this.realtimeText = ''; // Текущий полный текст
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
   }
 
   async init() {
+    // Общий бэкенд уже инициализирован владельцем
+    if (this.sharedBackend) {
+      return;
+    }
+    
     if (this.useLocal && this.localWhisper) {
       const localWhisperAvailable = await this.localWhisper.init();
       // Если локальный Whisper недоступен (скрипт не найден), переключаемся на ProxyAPI
@@ -83,13 +96,15 @@ export class SpeechRecognizer {
    * Распознавание из буфера (потоковый режим)
    * Принимает аудио буфер и распознает речь
    * Обновляет накопительный буфер текста для режима реального времени
+   * @param {Object} options - { durationMs, localOnly } - длина фрагмента (для учета расходов)
+   *   и запрет платного распознавания (бюджет исчерпан) - без локального Whisper фрагмент пропускается
    */
-  async recognizeFromStream(audioBuffer) {
+  async recognizeFromStream(audioBuffer, options = {}) {
     if (!audioBuffer || audioBuffer.length === 0) {
       return {
         text: null,
         confidence: 0,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
       };
     }
 
@@ -115,6 +130,15 @@ export class SpeechRecognizer {
       
       // Используем ProxyAPI или OpenAI API если локальный Whisper не используется
       if (!this.useLocal || !this.localWhisper) {
+        if (options.localOnly) {
+          return {
+            text: null,
+            confidence: 0,
+            skipped: 'budget',
+            timestamp: this.clock.now(),
+          };
+        }
+
         // Используем OpenAI API через память (без постоянных файлов)
         // Используем временный файл в памяти через Blob/File API если доступен
         // Иначе используем временный файл, но удаляем сразу после использования
@@ -124,7 +148,8 @@ export class SpeechRecognizer {
         
         // OpenAI SDK требует File или путь к файлу
         // Используем временный файл, но удаляем сразу после использования
-        const tempPath = path.join(__dirname, '../../temp_audio.mp3');
+        // Уникальное имя - несколько каналов могут распознавать речь одновременно
+        const tempPath = path.join(os.tmpdir(), `twitch_bot_audio_${Date.now()}_${Math.random().toString(36).substr(2, 9)}.mp3`);
         await fs.writeFile(tempPath, audioBuffer);
         
         try {
@@ -135,6 +160,15 @@ export class SpeechRecognizer {
             response_format: 'verbose_json',
           });
 
+          if (this.usageLedger) {
+            this.usageLedger.record({
+              channel: this.channel,
+              kind: 'asr',
+              model: whisperModel,
+              audioSeconds: transcription.duration ?? (options.durationMs ? options.durationMs / 1000 : 0),
+            });
+          }
+
           result = {
             text: transcription.text,
             confidence: transcription.segments?.[0]?.no_speech_prob 
@@ -142,7 +176,7 @@ export class SpeechRecognizer {
               : 0.8,
             language: transcription.language,
             segments: transcription.segments,
-            timestamp: Date.now(),
+            timestamp: this.clock.now(),
           };
         } finally {
           // Удаляем файл сразу после использования
@@ -161,11 +195,22 @@ export class SpeechRecognizer {
         text: null,
         confidence: 0,
         error: error.message,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
       };
     }
   }
   
+  /**
+   * Клиенты API для переиспользования другими экземплярами (мультиканальный режим)
+   * @returns {Object} { localWhisper, openaiClient }
+   */
+  getSharedBackend() {
+    return {
+      localWhisper: this.useLocal ? this.localWhisper : null,
+      openaiClient: this.openai || null,
+    };
+  }
+  
   /**
    * Обновление накопительного буфера текста
    */
@@ -173,7 +218,7 @@ export class SpeechRecognizer {
     // Добавляем новый фрагмент
     this.realtimeTextBuffer.push({
       text: text.trim(),
-      timestamp: timestamp || Date.now(),
+      timestamp: timestamp || this.clock.now(),
     });
     
     // Ограничиваем размер буфера
@@ -187,7 +232,7 @@ export class SpeechRecognizer {
       .map(item => item.text)
       .join(' ');
     
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
   }
   
   /**
@@ -200,7 +245,7 @@ export class SpeechRecognizer {
       return this.realtimeText;
     }
     
-    const cutoffTime = Date.now() - (lastSeconds * 1000);
+    const cutoffTime = this.clock.now() - (lastSeconds * 1000);
     const recentFragments = this.realtimeTextBuffer.filter(
       item => item.timestamp >= cutoffTime
     );
@@ -223,6 +268,6 @@ export class SpeechRecognizer {
   clearTextBuffer() {
     this.realtimeTextBuffer = [];
     this.realtimeText = '';
-    this.lastUpdateTime = Date.now();
+    this.lastUpdateTime = this.clock.now();
   }
 }
@@ -0,0 +1,364 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { realClock } from './clock.js';
+
+// Режимы экономии по мере расхода бюджета (каждый следующий включает ограничения предыдущих)
+export const USAGE_LEVELS = {
+  normal: 'без ограничений',
+  slow: 'интервалы длиннее',
+  no_vision: 'без скриншотов и фоновых сообщений',
+  local_asr: 'только локальное распознавание речи',
+};
+const LEVEL_ORDER = Object.keys(USAGE_LEVELS);
+
+// Примерные цены ProxyAPI: токены - за 1 млн, аудио - за минуту (сверьте с тарифами и переопределите в .env)
+export const DEFAULT_PRICES = {
+  'gemini-2.5-flash-lite': { input: 25, output: 100 },
+  'gemini-2.5-flash': { input: 75, output: 630 },
+  'gemini-2.5-pro': { input: 315, output: 2520 },
+  'gpt-4o-transcribe': { audioMinute: 1.5 },
+  'gpt-4o-mini-transcribe': { audioMinute: 0.75 },
+  'whisper-1': { audioMinute: 1.5 },
+};
+
+const HOUR = 3600000;
+
+/**
+ * Учет расходов на API (ProxyAPI/OpenAI) и бюджеты
+ * Каждый запрос записывается с моделью, токенами, секундами аудио и оценкой стоимости по таблице цен
+ * в файл дня (data/usage/usage-YYYY-MM-DD.jsonl) - после перезапуска расход за день и час восстанавливается.
+ * Один журнал на процесс: бюджеты на час и день общие для всех каналов, бюджет на эфир - у каждого канала свой.
+ * Чем ближе расход к лимиту, тем экономнее режим канала: normal -> slow (реже генерация и анализ скриншотов)
+ * -> no_vision (скриншоты не анализируются и не отправляются в генерацию, фоновых сообщений нет)
+ * -> local_asr (лимит исчерпан: вдобавок речь только локальным Whisper)
+ *
+ * События:
+ *   'level' - { channel, level, previous, reason } - сменился режим экономии канала
+ */
+export class UsageLedger extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock;
+    this.enabled = config.enabled !== false; // Запись в файл (в памяти учет ведется всегда)
+    this.dir = config.dir || null;
+    this.keepDays = config.keepDays ?? 30; // Сколько дней хранить файлы расходов
+    this.currency = config.currency || '₽';
+    this.prices = { ...DEFAULT_PRICES, ...(config.prices || {}) };
+    this.budgets = {
+      hour: config.hourlyBudget ?? 0, // 0 - без лимита
+      stream: config.streamBudget ?? 0,
+      day: config.dailyBudget ?? 0,
+    };
+    this.slowAt = config.slowAt ?? 0.7; // Доля бюджета, после которой интервалы длиннее
+    this.noVisionAt = config.noVisionAt ?? 0.9; // Доля бюджета, после которой скриншоты не анализируются
+    this.slowFactor = config.slowFactor ?? 2; // Во сколько раз реже генерация и анализ скриншотов
+
+    this.recent = []; // Записи за последний час
+    this.day = { date: this.dateKey(), totals: emptyTotals() };
+    this.session = emptyTotals(); // С запуска процесса
+    this.streams = new Map(); // channel -> итоги текущего эфира
+    this.levels = new Map(); // channel -> текущий режим экономии
+    this.unpriced = new Set(); // Модели без цены (предупреждение один раз)
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Восстановление расхода за сегодня и последний час из файлов, удаление старых файлов
+   */
+  async init() {
+    if (!this.enabled || !this.dir) {
+      return;
+    }
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      const now = this.clock.now();
+      const files = new Set([this.fileFor(now - HOUR), this.fileFor(now)]);
+      for (const file of files) {
+        const content = await fs.readFile(file, 'utf-8').catch(() => '');
+        for (const line of content.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            this.restore(JSON.parse(line), now);
+          } catch (error) {
+            // Поврежденная строка (процесс убили во время записи) - пропускаем
+          }
+        }
+      }
+      await this.prune(now);
+      if (this.day.totals.calls > 0) {
+        console.log(`[UsageLedger] 💸 Расход за сегодня: ${this.format(this.day.totals.cost)} (запросов: ${this.day.totals.calls})`);
+      }
+    } catch (error) {
+      console.error('[UsageLedger] Ошибка загрузки журнала расходов:', error.message);
+    }
+  }
+
+  restore(entry, now) {
+    if (this.dateKey(entry.at) === this.day.date) {
+      addTo(this.day.totals, entry);
+    }
+    if (now - entry.at < HOUR) {
+      this.recent.push(entry);
+    }
+  }
+
+  /**
+   * Удаление файлов старше keepDays
+   */
+  async prune(now) {
+    const oldest = this.dateKey(now - this.keepDays * 24 * HOUR);
+    const names = await fs.readdir(this.dir).catch(() => []);
+    for (const name of names) {
+      const match = name.match(/^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/);
+      if (match && match[1] < oldest) {
+        await fs.rm(path.join(this.dir, name), { force: true });
+      }
+    }
+  }
+
+  /**
+   * Запрос к API
+   * @param {Object} usage - { channel, kind, model, inputTokens, outputTokens, audioSeconds, estimated }
+   *   kind: vision (анализ скриншота) | generation (генерация сообщения) | asr (распознавание речи)
+   * @returns {Object} Запись с оценкой стоимости
+   */
+  record(usage) {
+    const entry = {
+      at: this.clock.now(),
+      channel: usage.channel || null,
+      kind: usage.kind,
+      model: usage.model || null,
+      inputTokens: usage.inputTokens || 0,
+      outputTokens: usage.outputTokens || 0,
+      audioSeconds: usage.audioSeconds || 0,
+      estimated: !!usage.estimated, // Токены оценены по длине запроса (ответ без usageMetadata)
+    };
+    entry.cost = this.estimateCost(entry);
+
+    this.rollDay(entry.at);
+    addTo(this.day.totals, entry);
+    addTo(this.session, entry);
+    this.recent.push(entry);
+    const stream = entry.channel ? this.streams.get(entry.channel) : null;
+    if (stream) {
+      addTo(stream, entry);
+    }
+
+    if (this.enabled && this.dir) {
+      this.writeChain = this.writeChain
+        .then(() => fs.appendFile(this.fileFor(entry.at), `${JSON.stringify(entry)}\n`, 'utf-8'))
+        .catch(error => console.error('[UsageLedger] Ошибка записи журнала расходов:', error.message));
+    }
+
+    // Общие бюджеты касаются всех каналов
+    for (const channel of this.streams.keys()) {
+      this.getBudget(channel);
+    }
+    return entry;
+  }
+
+  /**
+   * Стоимость по таблице цен (модель ищется точно, потом по самому длинному префиксу)
+   */
+  estimateCost({ model, inputTokens = 0, outputTokens = 0, audioSeconds = 0 }) {
+    const price = this.getPrice(model);
+    if (!price) {
+      if (model && !this.unpriced.has(model)) {
+        this.unpriced.add(model);
+        console.warn(`[UsageLedger] ⚠️ Нет цены для модели ${model} - расход не учитывается в бюджете (USAGE_TOKEN_PRICES / USAGE_AUDIO_PRICES)`);
+      }
+      return 0;
+    }
+    return (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6 +
+      audioSeconds / 60 * (price.audioMinute || 0);
+  }
+
+  getPrice(model) {
+    if (!model) {
+      return null;
+    }
+    if (this.prices[model]) {
+      return this.prices[model];
+    }
+    const prefix = Object.keys(this.prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Начало эфира канала: расход эфира считается заново
+   */
+  startStream(channel) {
+    this.streams.set(channel, { ...emptyTotals(), startedAt: this.clock.now(), peakLevel: 'normal' });
+    this.levels.set(channel, 'normal');
+  }
+
+  /**
+   * Конец эфира канала
+   * @returns {Object|null} Итоги эфира { startedAt, endedAt, calls, cost, byKind, ..., peakLevel }
+   */
+  endStream(channel) {
+    const stream = this.streams.get(channel);
+    if (!stream) {
+      return null;
+    }
+    this.streams.delete(channel);
+    this.levels.delete(channel);
+    return { ...stream, endedAt: this.clock.now() };
+  }
+
+  /**
+   * Расход за последний час, эфир канала и сегодня
+   */
+  getSpend(channel = null) {
+    const now = this.clock.now();
+    this.rollDay(now);
+    while (this.recent.length > 0 && now - this.recent[0].at >= HOUR) {
+      this.recent.shift();
+    }
+    return {
+      hour: this.recent.reduce((sum, entry) => sum + entry.cost, 0),
+      stream: this.streams.get(channel)?.cost ?? 0,
+      day: this.day.totals.cost,
+    };
+  }
+
+  /**
+   * Режим экономии канала по самой израсходованной доле бюджетов (смена режима - событие 'level')
+   * @returns {Object} { level, share, limit, intervalFactor, skipVision, localAsr, reason }
+   *   limit - какой бюджет ближе всего к исчерпанию (hour | stream | day)
+   */
+  getBudget(channel = null) {
+    const spend = this.getSpend(channel);
+    let share = 0;
+    let limit = null;
+    for (const [name, budget] of Object.entries(this.budgets)) {
+      // Первый заданный бюджет берется даже без расхода - иначе причина будет 'лимиты не заданы'
+      if (budget > 0 && (limit === null || spend[name] / budget > share)) {
+        share = spend[name] / budget;
+        limit = name;
+      }
+    }
+
+    const level = share >= 1 ? 'local_asr' : share >= this.noVisionAt ? 'no_vision' : share >= this.slowAt ? 'slow' : 'normal';
+    const reason = limit
+      ? `${BUDGET_LABELS[limit]}: ${this.format(spend[limit])} из ${this.format(this.budgets[limit])} (${Math.round(share * 100)}%)`
+      : 'лимиты не заданы';
+    const rank = LEVEL_ORDER.indexOf(level);
+
+    if (channel && this.levels.has(channel)) {
+      const previous = this.levels.get(channel);
+      const stream = this.streams.get(channel);
+      if (stream && rank > LEVEL_ORDER.indexOf(stream.peakLevel)) {
+        stream.peakLevel = level;
+      }
+      if (previous !== level) {
+        this.levels.set(channel, level);
+        console.log(`[UsageLedger] 💸 #${channel}: ${USAGE_LEVELS[previous]} → ${USAGE_LEVELS[level]} (${reason})`);
+        this.emit('level', { channel, level, previous, reason });
+      }
+    }
+
+    return {
+      level,
+      share,
+      limit,
+      intervalFactor: rank >= 1 ? this.slowFactor : 1,
+      skipVision: rank >= 2,
+      localAsr: rank >= 3,
+      reason,
+    };
+  }
+
+  /**
+   * Сумма в валюте цен
+   */
+  format(cost) {
+    return `${cost < 10 ? cost.toFixed(2) : cost.toFixed(1)} ${this.currency}`;
+  }
+
+  /**
+   * Строки итогов по видам запросов (для !bot stats и итогов эфира)
+   */
+  describe(totals) {
+    return Object.entries(totals.byKind).map(([kind, part]) => {
+      const amount = kind !== 'asr'
+        ? `токенов ${part.inputTokens + part.outputTokens}`
+        : part.audioSeconds < 120 ? `аудио ${Math.round(part.audioSeconds)} с` : `аудио ${Math.round(part.audioSeconds / 60)} мин`;
+      return `${KIND_LABELS[kind] || kind}: запросов ${part.calls}, ${amount}, ${this.format(part.cost)}`;
+    });
+  }
+
+  rollDay(now) {
+    const date = this.dateKey(now);
+    if (date !== this.day.date) {
+      this.day = { date, totals: emptyTotals() };
+    }
+  }
+
+  /**
+   * Дата по времени сервера (YYYY-MM-DD)
+   */
+  dateKey(time = this.clock.now()) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  fileFor(time) {
+    return path.join(this.dir, `usage-${this.dateKey(time)}.jsonl`);
+  }
+
+  /**
+   * Дождаться записи журнала (перед остановкой)
+   */
+  async flush() {
+    await this.writeChain;
+  }
+
+  getStats(channel = null) {
+    const spend = this.getSpend(channel);
+    return {
+      spend,
+      budgets: { ...this.budgets },
+      budget: this.getBudget(channel),
+      day: this.day.totals,
+      session: this.session,
+      stream: this.streams.get(channel) || null,
+      currency: this.currency,
+    };
+  }
+}
+
+const BUDGET_LABELS = {
+  hour: 'за час',
+  stream: 'за эфир',
+  day: 'за день',
+};
+
+const KIND_LABELS = {
+  vision: 'Анализ скриншотов',
+  generation: 'Генерация',
+  asr: 'Распознавание речи',
+};
+
+function emptyPart() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0, audioSeconds: 0, cost: 0 };
+}
+
+function emptyTotals() {
+  return { ...emptyPart(), byKind: {} };
+}
+
+function addTo(totals, entry) {
+  totals.byKind[entry.kind] = totals.byKind[entry.kind] || emptyPart();
+  for (const target of [totals, totals.byKind[entry.kind]]) {
+    target.calls++;
+    target.inputTokens += entry.inputTokens || 0;
+    target.outputTokens += entry.outputTokens || 0;
+    target.audioSeconds += entry.audioSeconds || 0;
+    target.cost += entry.cost || 0;
+  }
+}
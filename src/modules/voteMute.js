@@ -0,0 +1,183 @@
+import { EventEmitter } from 'events';
+import { realClock } from './clock.js';
+
+// Уровни по возрастанию строгости
+const LEVELS = { quiet: 1, mute: 2 };
+
+/**
+ * Голосование чата за тишину бота
+ * Зрители пишут фразу (например "бот молчи"): quietVotes разных зрителей за окно - бот пишет реже,
+ * muteVotes - бот молчит. Режим снимается сам через duration или модератором
+ *
+ * События:
+ *   'vote'   - { username, votes, needed, level } - новый голос
+ *   'mute'   - { level: 'quiet'|'mute', voters, until } - чат проголосовал
+ *   'expire' - { level } - время тишины вышло
+ *   'cancel' - { level, by } - модератор снял режим
+ */
+export class VoteMute extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.clock = config.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
+    this.enabled = config.enabled !== false;
+    this.phrases = (config.phrases || ['бот молчи', 'бот замолчи']).map(VoteMute.normalize).filter(Boolean);
+    this.quietVotes = config.quietVotes ?? 3; // Голосов за "пиши реже" (0 - без этого уровня)
+    this.muteVotes = config.muteVotes ?? 5; // Голосов за полную тишину
+    this.window = config.window ?? 120000; // Голоса считаются за это окно
+    this.duration = config.duration ?? 15 * 60 * 1000; // Сколько длится тишина
+    this.quietInterval = config.quietInterval ?? 60000; // В режиме "реже" - не чаще раза в столько мс
+
+    this.votes = new Map(); // login -> время голоса
+    this.level = null;
+    this.until = 0;
+    this.voters = [];
+    this.expireTimer = null;
+  }
+
+  static normalize(text) {
+    // Знаки препинания не важны, кроме ! в начале (фраза может быть командой вида !mutebot)
+    return (text || '').trim().toLowerCase().replace(/ё/g, 'е').replace(/(?!^!)[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Является ли сообщение голосом за тишину
+   */
+  isVote(text) {
+    const normalized = VoteMute.normalize(text);
+    return this.phrases.some(phrase => normalized === phrase || normalized.startsWith(`${phrase} `));
+  }
+
+  /**
+   * Учет сообщения из чата
+   * @param {Object} message - { username, message, timestamp }
+   * @returns {boolean} true если сообщение - голос (в контекст генерации его не добавляем)
+   */
+  addMessage(message) {
+    if (!this.enabled || !message?.username || !this.isVote(message.message)) {
+      return false;
+    }
+
+    const now = message.timestamp || this.clock.now();
+    const login = message.username.toLowerCase();
+    for (const [voter, time] of this.votes) {
+      if (now - time > this.window) {
+        this.votes.delete(voter);
+      }
+    }
+    if (this.votes.has(login)) {
+      return true; // Один зритель - один голос за окно
+    }
+    this.votes.set(login, now);
+
+    const count = this.votes.size;
+    const current = this.getLevel(now);
+    // Сколько голосов нужно до следующего уровня
+    const needed = !current && this.getLevelForVotes(this.quietVotes) === 'quiet' && count < this.quietVotes
+      ? this.quietVotes
+      : this.muteVotes;
+    this.emit('vote', { username: message.username, votes: count, needed, level: current });
+
+    const level = this.getLevelForVotes(count);
+    if (level && (!current || LEVELS[level] > LEVELS[current])) {
+      this.activate(level, Array.from(this.votes.keys()), now);
+    }
+    return true;
+  }
+
+  getLevelForVotes(count) {
+    if (count >= this.muteVotes) {
+      return 'mute';
+    }
+    if (this.quietVotes > 0 && this.quietVotes < this.muteVotes && count >= this.quietVotes) {
+      return 'quiet';
+    }
+    return null;
+  }
+
+  activate(level, voters, now = this.clock.now()) {
+    this.level = level;
+    this.until = now + this.duration;
+    this.voters = voters;
+    if (level === 'mute') {
+      this.votes.clear(); // Дальше голосовать некуда
+    }
+
+    if (this.expireTimer) {
+      this.clock.clearTimeout(this.expireTimer);
+    }
+    this.expireTimer = this.clock.setTimeout(() => this.expire(), this.duration);
+
+    console.log(`[VoteMute] 🤫 Чат проголосовал: ${level === 'mute' ? 'бот молчит' : 'бот пишет реже'} до ${new Date(this.until).toLocaleTimeString('ru-RU')} (голосов: ${voters.length})`);
+    this.emit('mute', { level, voters, until: this.until });
+  }
+
+  expire() {
+    this.expireTimer = null;
+    const level = this.level;
+    this.reset();
+    if (level) {
+      console.log('[VoteMute] 🔊 Время тишины по голосованию вышло');
+      this.emit('expire', { level });
+    }
+  }
+
+  /**
+   * Модератор снимает режим (и сбрасывает голоса)
+   */
+  cancel(by = 'модератор') {
+    const level = this.getLevel();
+    this.reset();
+    if (level) {
+      console.log(`[VoteMute] 🔊 Режим тишины снят (${by})`);
+      this.emit('cancel', { level, by });
+    }
+    return !!level;
+  }
+
+  reset() {
+    if (this.expireTimer) {
+      this.clock.clearTimeout(this.expireTimer);
+      this.expireTimer = null;
+    }
+    this.level = null;
+    this.until = 0;
+    this.voters = [];
+    this.votes.clear();
+  }
+
+  /**
+   * Текущий уровень тишины: 'quiet' | 'mute' | null
+   */
+  getLevel(now = this.clock.now()) {
+    return this.level && now < this.until ? this.level : null;
+  }
+
+  /**
+   * Можно ли писать фоновое сообщение в режиме "реже"
+   */
+  allowsMessage(timeSinceLastMessage, now = this.clock.now()) {
+    const level = this.getLevel(now);
+    if (level === 'mute') {
+      return false;
+    }
+    return level !== 'quiet' || timeSinceLastMessage >= this.quietInterval;
+  }
+
+  stop() {
+    if (this.expireTimer) {
+      this.clock.clearTimeout(this.expireTimer);
+      this.expireTimer = null;
+    }
+  }
+
+  getStats(now = this.clock.now()) {
+    return {
+      enabled: this.enabled,
+      level: this.getLevel(now),
+      until: this.getLevel(now) ? this.until : null,
+      votes: Array.from(this.votes.values()).filter(time => now - time <= this.window).length,
+      quietVotes: this.quietVotes,
+      muteVotes: this.muteVotes,
+    };
+  }
+}
@@ -1,26 +1,81 @@
 import tmi from 'tmi.js';
 import { config } from './config.js';
+import { MessageQueue } from './modules/messageQueue.js';
+import { ContentSafety } from './modules/contentSafety.js';
+import { realClock } from './modules/clock.js';
 
 export class TwitchClient {
-  constructor(coordinator, dataCollector = null, brainTrainer = null) {
+  constructor(coordinator, dataCollector = null, brainTrainer = null, options = {}) {
+    this.clock = options.clock || realClock; // Часы и таймеры (виртуальные при проигрывании)
     this.coordinator = coordinator;
+    this.channel = options.channel || config.twitch.channel; // Канал этого клиента (мультиканальный режим)
+    this.commandRouter = options.commandRouter || null; // Команды !bot из чата
+    this.emoteRegistry = options.emoteRegistry || null; // Смайлики канала и их популярность в чате
+    this.chatterProfiles = options.chatterProfiles || null; // Профили зрителей
+    this.contentSafety = options.contentSafety || null; // Фильтр исходящих сообщений
+    this.chatFilter = options.chatFilter || null; // Фильтр входящего чата: боты, спам, !команды
+    this.cadencePolicy = options.cadencePolicy || null; // Учет отправленных сообщений в лимитах канала
     this.dataCollector = dataCollector;
     this.brainTrainer = brainTrainer; // Модуль обучения для режима обучения
     this.client = null;
+
+    // Очередь исходящих сообщений с учетом лимитов Twitch
+    this.messageQueue = new MessageQueue({
+      ...config.messageQueue,
+      send: (item) => this.deliverMessage(item),
+      isElevated: () => this.isElevatedSender(),
+      clock: this.clock,
+    });
+
+    // Режимы чата (ROOMSTATE)
+    this.roomState = {
+      slow: 0, // Медленный режим, секунд между сообщениями
+      followersOnly: false,
+      emoteOnly: false,
+      subsOnly: false,
+      rejectedBy: null, // Twitch отклонил сообщение из-за режима чата (msgid NOTICE)
+    };
+
+    // Модерация: удаленные сообщения и наказания бота
+    this.moderation = {
+      deletedMessageIds: new Set(), // Удаленные модераторами сообщения
+      purgedUsers: new Map(), // username -> время таймаута/бана (сообщения до него убраны)
+      chatClearedAt: 0, // Время последней очистки чата
+      botBanned: false,
+      botTimedOutUntil: 0,
+      autoSilenced: false, // Режим молчания включен из-за таймаута бота
+      timeoutTimer: null,
+    };
   }
 
   async connect() {
+    // Наказания и режимы чата прошлого подключения не действуют (ROOMSTATE придет заново при входе в канал)
+    this.resetModeration();
+
+    // Локальный заменитель Twitch (офлайн запуск) - без TLS и без запросов к API Twitch
+    const useFakeServer = !!config.twitch.ircServer;
+
     this.client = new tmi.Client({
-      options: { debug: false },
-      connection: {
-        reconnect: true,
-        secure: true,
+      options: {
+        debug: false,
+        skipUpdatingEmotesets: useFakeServer,
       },
+      connection: useFakeServer
+        ? {
+          reconnect: true,
+          secure: false,
+          server: config.twitch.ircServer,
+          port: config.twitch.ircPort,
+        }
+        : {
+          reconnect: true,
+          secure: true,
+        },
       identity: {
         username: config.twitch.username,
         password: config.twitch.oauthToken,
       },
-      channels: [config.twitch.channel],
+      channels: [this.channel],
     });
 
     // Обработчики событий
@@ -38,40 +93,133 @@ export class TwitchClient {
       if (self) return; // Игнорируем свои сообщения
 
       const chatMessage = {
+        id: tags.id || null,
         username: tags.username,
+        displayName: tags['display-name'] || tags.username,
         message: message,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
+        replyParentMsgId: tags['reply-parent-msg-id'] || null,
+        replyParentUser: tags['reply-parent-user-login'] || null,
+        replyParentBody: tags['reply-parent-msg-body'] || null,
       };
 
-      // Обновляем историю чата в координаторе
-      this.coordinator.updateChatHistory(chatMessage);
-
-      // В режиме обучения передаем сообщения напрямую в brainTrainer
-      if (this.brainTrainer) {
-        const context = {
-          imageAnalysis: this.coordinator.contextBuffer.recentImageAnalysis[this.coordinator.contextBuffer.recentImageAnalysis.length - 1],
-          speechText: this.coordinator.contextBuffer.recentSpeechText[this.coordinator.contextBuffer.recentSpeechText.length - 1],
-          chatHistory: this.coordinator.contextBuffer.chatHistory,
-          time: Date.now(),
-        };
-        
-        this.brainTrainer.processChatMessage(chatMessage, context).catch(error => {
-          console.error('[TwitchClient] Ошибка обработки сообщения в режиме обучения:', error);
+      // Команда !bot от стримера или модератора - выполняем и не добавляем в контекст
+      if (this.commandRouter && tags['message-type'] !== 'whisper' && this.commandRouter.isCommand(message)) {
+        this.handleChatCommand(chatMessage, tags).catch(error => {
+          console.error('[TwitchClient] Ошибка выполнения команды из чата:', error);
         });
+        return;
       }
 
-      // Сохраняем сообщение для обучения (асинхронно, не блокируя)
-      if (this.dataCollector && this.dataCollector.enabled) {
-        this.dataCollector.saveChatMessage(
-          chatMessage.username,
-          chatMessage.message,
-          chatMessage.timestamp
-        ).catch(error => {
-          console.error('[TwitchClient] Ошибка сохранения сообщения:', error);
-        });
+      this.handleChatMessage(chatMessage, tags);
+    });
+
+    // Twitch сообщает о rate limit через NOTICE уже после отправки сообщения
+    this.client.on('notice', (channel, msgid, message) => {
+      this.handleNotice(msgid, message);
+    });
+
+    // Модерация: удаленные сообщения, таймауты, баны и очистка чата
+    this.client.on('messagedeleted', (channel, username, deletedMessage, tags) => {
+      this.handleMessageDeleted(tags['target-msg-id'], username, deletedMessage);
+    });
+
+    this.client.on('timeout', (channel, username, reason, duration) => {
+      this.handleUserPurged(username, duration);
+    });
+
+    this.client.on('ban', (channel, username) => {
+      this.handleUserPurged(username, null);
+    });
+
+    this.client.on('clearchat', () => {
+      this.handleChatCleared();
+    });
+
+    // События стрима (USERNOTICE): подписки, гифты, рейды и битсы
+    this.client.on('subscription', (channel, username, methods, message, tags) => {
+      this.handleStreamEvent({
+        type: 'sub',
+        username: tags.login || username,
+        displayName: username,
+        prime: !!methods?.prime,
+        message: message || null,
+      });
+    });
+
+    this.client.on('resub', (channel, username, streakMonths, message, tags, methods) => {
+      this.handleStreamEvent({
+        type: 'resub',
+        username: tags.login || username,
+        displayName: username,
+        months: parseInt(tags['msg-param-cumulative-months'], 10) || streakMonths || 0,
+        prime: !!methods?.prime,
+        message: message || null,
+      });
+    });
+
+    this.client.on('subgift', (channel, username, streakMonths, recipient, methods, tags) => {
+      // Подарки из массового гифта уже учтены событием submysterygift
+      if (tags['msg-param-community-gift-id']) {
+        return;
       }
+      this.handleStreamEvent({
+        type: 'subgift',
+        username: tags.login || username,
+        displayName: username,
+        recipient,
+        amount: 1,
+      });
+    });
 
-      // Команды управления ботом отключены в чате - используйте терминал
+    this.client.on('submysterygift', (channel, username, giftSubCount, methods, tags) => {
+      this.handleStreamEvent({
+        type: 'submysterygift',
+        username: tags.login || username,
+        displayName: username,
+        amount: giftSubCount || 1,
+      });
+    });
+
+    this.client.on('raided', (channel, username, viewers, tags) => {
+      this.handleStreamEvent({
+        type: 'raid',
+        username: tags?.['msg-param-login'] || username,
+        displayName: username,
+        amount: viewers || 0,
+      });
+    });
+
+    // Сообщения с битсами tmi.js присылает событием cheer вместо message
+    this.client.on('cheer', (channel, tags, message) => {
+      const text = (message || '').replace(/(^|\s)[a-z]+\d+(?=\s|$)/gi, ' ').replace(/\s+/g, ' ').trim();
+      // Текст без cheer-смайликов проходит тот же путь, что и обычные сообщения;
+      // отдельного ответа на обращение нет - бот и так реагирует на битсы
+      if (text) {
+        this.handleChatMessage({
+          id: tags.id || null,
+          username: tags.username,
+          displayName: tags['display-name'] || tags.username,
+          message: text,
+          timestamp: this.clock.now(),
+        }, tags, { rawMessage: message, reply: false });
+      }
+      this.handleStreamEvent({
+        type: 'cheer',
+        username: tags.username,
+        displayName: tags['display-name'] || tags.username,
+        amount: parseInt(tags.bits, 10) || 0,
+        message: text ? text.substring(0, 100) : null,
+      });
+    });
+
+    // Режимы чата: при входе приходят все настройки, при изменении - только измененная
+    this.client.on('roomstate', (channel, state) => {
+      this.handleRoomState(state);
+      // ID канала нужен для загрузки канальных смайликов 7TV/BTTV/FFZ
+      if (this.emoteRegistry && state['room-id']) {
+        this.emoteRegistry.setChannelId(state['room-id']);
+      }
     });
 
     this.client.on('disconnected', (reason) => {
@@ -81,7 +229,190 @@ export class TwitchClient {
     await this.client.connect();
   }
 
-  async sendMessage(message) {
+  /**
+   * Сообщение зрителя: фильтр, смайлики, профиль, история чата, ответ на обращение и данные для обучения
+   * Общий путь для обычных сообщений и сообщений с битсами
+   * @param {Object} chatMessage - { id, username, displayName, message, timestamp, ... }
+   * @param {Object} tags - теги tmi.js
+   * @param {Object} options - { rawMessage (исходный текст, по нему считаются позиции tags.emotes), reply }
+   */
+  handleChatMessage(chatMessage, tags, { rawMessage = chatMessage.message, reply = true } = {}) {
+    // Боты и игнорируемые зрители не учитываются вообще, спам и !команды - только в скорости чата и профиле
+    const filterReason = this.chatFilter && tags['message-type'] !== 'whisper' ? this.chatFilter.check(chatMessage) : null;
+    if (filterReason === 'bot' || filterReason === 'ignored') {
+      return;
+    }
+
+    // Запоминаем смайлики Twitch из тегов и считаем популярность смайликов чата
+    if (this.emoteRegistry && tags['message-type'] !== 'whisper' && !filterReason) {
+      this.emoteRegistry.observeMessage(rawMessage, tags.emotes);
+    }
+
+    // Обновляем профиль зрителя: бейджи, подписка, первое сообщение, темы
+    if (this.chatterProfiles && tags['message-type'] !== 'whisper') {
+      this.chatterProfiles.observeMessage(chatMessage, tags);
+    }
+
+    // Обновляем историю чата в координаторе
+    this.coordinator.updateChatHistory(chatMessage);
+
+    // Спам и !команды не получают ответа и не попадают в данные для обучения
+    if (filterReason) {
+      return;
+    }
+
+    // Зритель обратился к боту - отвечаем в ветке (асинхронно, не блокируя)
+    if (reply && tags['message-type'] !== 'whisper' && this.isBotMentioned(tags, chatMessage.message)) {
+      this.handleMention(chatMessage).catch(error => {
+        console.error('[TwitchClient] Ошибка ответа на обращение:', error);
+      });
+    }
+
+    // В режиме обучения передаем сообщения напрямую в brainTrainer
+    if (this.brainTrainer) {
+      const context = {
+        imageAnalysis: this.coordinator.contextBuffer.recentImageAnalysis[this.coordinator.contextBuffer.recentImageAnalysis.length - 1],
+        speechText: this.coordinator.contextBuffer.recentSpeechText[this.coordinator.contextBuffer.recentSpeechText.length - 1],
+        chatHistory: this.coordinator.contextBuffer.chatHistory,
+        time: this.clock.now(),
+      };
+      
+      this.brainTrainer.processChatMessage(chatMessage, context).catch(error => {
+        console.error('[TwitchClient] Ошибка обработки сообщения в режиме обучения:', error);
+      });
+    }
+
+    // Сохраняем сообщение для обучения (асинхронно, не блокируя)
+    if (this.dataCollector && this.dataCollector.enabled) {
+      this.dataCollector.saveChatMessage(
+        chatMessage.username,
+        chatMessage.message,
+        chatMessage.timestamp
+      ).catch(error => {
+        console.error('[TwitchClient] Ошибка сохранения сообщения:', error);
+      });
+    }
+  }
+
+  /**
+   * Проверка, обращается ли зритель к боту
+   * Ответ на сообщение бота (reply-parent), @упоминание логина или отображаемого имени бота
+   */
+  isBotMentioned(tags, message) {
+    const botLogin = this.getBotLogin();
+    if (!botLogin) {
+      return false;
+    }
+
+    // Ответ в ветке на сообщение бота
+    if ((tags['reply-parent-user-login'] || '').toLowerCase() === botLogin) {
+      return true;
+    }
+
+    const text = (message || '').toLowerCase();
+    const botDisplayName = (this.client?.globaluserstate?.['display-name'] || '').toLowerCase();
+    const names = [botLogin, botDisplayName].filter(Boolean);
+
+    return names.some(name => {
+      // @упоминание или имя отдельным словом (имя может быть на кириллице, поэтому без \b)
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(^|[^a-zа-яё0-9_])@?${escaped}($|[^a-zа-яё0-9_])`, 'i');
+      return pattern.test(text);
+    });
+  }
+
+  /**
+   * Ответ зрителю, который обратился к боту
+   * Ответ генерируется координатором и уходит в чат веткой (reply) с высоким приоритетом
+   */
+  async handleMention(chatMessage) {
+    const reply = await this.coordinator.generateReply(chatMessage);
+    // Пока генерировался ответ, модератор мог удалить сообщение или наказать зрителя
+    if (!reply || this.isMessagePurged(chatMessage)) {
+      return;
+    }
+
+    const sent = await this.sendMessage(reply, {
+      priority: 'high',
+      replyTo: chatMessage.id,
+      source: 'reply',
+    });
+
+    if (sent && this.coordinator.sessionHistory) {
+      this.coordinator.sessionHistory.addBotMessage(reply, this.clock.now()).catch(() => {});
+    }
+  }
+
+  /**
+   * Команда !bot из чата: права проверяет маршрутизатор команд, ответ - веткой в чат или шепотом
+   */
+  async handleChatCommand(chatMessage, tags) {
+    const result = await this.commandRouter.execute(chatMessage.message, {
+      source: 'chat',
+      tags,
+      username: chatMessage.username,
+    });
+
+    const response = result.lines
+      .map(line => line.trim())
+      .filter(Boolean)
+      .join(' | ');
+    if (!response) {
+      return;
+    }
+
+    if (config.chatCommands.replyMode === 'whisper') {
+      if (!(await this.isMessageAllowed(response, 'command'))) {
+        return;
+      }
+      try {
+        await this.client.whisper(chatMessage.username, response.substring(0, 500));
+        return;
+      } catch (error) {
+        // Twitch ограничивает шепот для ботов - отвечаем в чат
+        console.warn(`[Twitch] ⚠️ Не удалось отправить шепот ${chatMessage.username}: ${error?.message || error}`);
+      }
+    }
+
+    await this.sendMessage(response, { priority: 'high', replyTo: chatMessage.id, source: 'command' });
+  }
+
+  /**
+   * Событие стрима: записываем в историю сессии и, если координатор решит, реагируем в чате
+   * Реакция на событие идет с высоким приоритетом (рейдеры и донатеры ждут ответа сразу)
+   */
+  handleStreamEvent(event) {
+    const streamEvent = { ...event, timestamp: this.clock.now() };
+
+    this.coordinator.recordStreamEvent(streamEvent).catch(error => {
+      console.error('[TwitchClient] Ошибка записи события стрима:', error);
+    });
+
+    this.coordinator.generateEventReaction(streamEvent)
+      .then(async (reaction) => {
+        if (!reaction) {
+          return;
+        }
+        const sent = await this.sendMessage(reaction, { priority: 'high', source: 'event' });
+        if (sent && this.coordinator.sessionHistory) {
+          this.coordinator.sessionHistory.addBotMessage(reaction, this.clock.now()).catch(() => {});
+        }
+      })
+      .catch(error => {
+        console.error('[TwitchClient] Ошибка реакции на событие стрима:', error);
+      });
+  }
+
+  /**
+   * Отправка сообщения в чат через очередь
+   * @param {string} message - Текст сообщения
+   * @param {Object} options - { priority: 'high'|'normal'|'low', maxAge, replyTo, source, persona, trace } - ответы на упоминания идут с 'high'
+   *   source - откуда сообщение (generation, reply, event, command), пишется в журнал фильтра
+   *   persona - роль для оценки отклика, если отличается от source (streamer - ответ стримеру)
+   *   trace - запись цикла генерации (TickTrace), в нее пишутся проверки перед отправкой
+   * @returns {Promise<boolean>} true если сообщение отправлено
+   */
+  async sendMessage(message, options = {}) {
     // Валидация сообщения
     if (!message || typeof message !== 'string') {
       console.warn('[Twitch] ⚠️ Попытка отправить пустое или невалидное сообщение');
@@ -96,56 +427,413 @@ export class TwitchClient {
       return false;
     }
 
+    // Фильтр исходящих сообщений - до консольного режима, чтобы его можно было проверить без чата
+    if (!(await this.isMessageAllowed(cleanedMessage, options.source, options.trace))) {
+      return false;
+    }
+
     // Режим только консоли - выводим в консоль вместо отправки в чат
     if (config.debug.consoleOnly) {
       console.log(`\n💬 [БОТ ХОЧЕТ ОТПРАВИТЬ]: ${cleanedMessage}\n`);
+      this.cadencePolicy?.recordMessage(options.source);
+      this.trackFeedback(cleanedMessage, options);
       return true;
     }
 
+    // Режим чата или наказание бота не позволяют писать - не копим сообщения в очереди
+    const blockReason = this.getSendBlockReason();
+    options.trace?.blocks('chat_mode', !!blockReason, blockReason, { outcome: 'not_sent', message: cleanedMessage });
+    if (blockReason) {
+      console.log(`[Twitch] ⏸️ Сообщение не отправлено: ${blockReason}`);
+      return false;
+    }
+
+    // Ставим сообщение в очередь - она соблюдает лимиты и повторяет отправку при ошибках
+    const sent = await this.messageQueue.enqueue(cleanedMessage, options);
+    if (sent) {
+      this.cadencePolicy?.recordMessage(options.source);
+      this.trackFeedback(cleanedMessage, options);
+    }
+    return sent;
+  }
+
+  /**
+   * Отправленное сообщение - следим за откликом чата и стримера (ответы на команды не оцениваются)
+   * Роль - options.persona или источник сообщения (generation, reply, event)
+   */
+  trackFeedback(message, options) {
+    if (options.source === 'command') {
+      return;
+    }
+    this.coordinator.feedbackTracker?.track(message, options.persona || options.source || 'generation');
+  }
+
+  /**
+   * Проверка сообщения фильтром (блоклисты, категории, классификатор)
+   * Без фильтра оскорбления все равно не отправляются
+   */
+  async isMessageAllowed(message, source = null, trace = null) {
+    const verdict = this.contentSafety
+      ? await this.contentSafety.check(message, { source })
+      : { allowed: true, ...ContentSafety.matchFloor(message) };
+    if (!this.contentSafety && verdict.rule) {
+      verdict.allowed = false;
+      console.log(`[Twitch] 🚫 Сообщение заблокировано (${verdict.rule})`);
+    }
+    // В журнал решений - только категория: имя правила может содержать запрещенное слово
+    trace?.blocks('content_safety', !verdict.allowed, `${verdict.category} (${verdict.stage})`, { outcome: 'not_sent', message });
+    return verdict.allowed;
+  }
+
+  /**
+   * Непосредственная отправка сообщения из очереди
+   * Бросает ошибку, если сообщение не отправлено (очередь решает, повторять ли)
+   */
+  async deliverMessage(item) {
     // Проверка подключения к Twitch
     if (!this.client) {
       console.warn('[Twitch] ⚠️ Клиент не инициализирован');
-      return false;
+      throw new Error('Not connected: клиент не инициализирован');
     }
 
     const readyState = this.client.readyState();
     if (readyState !== 'OPEN') {
       console.warn(`[Twitch] ⚠️ Клиент не подключен (состояние: ${readyState})`);
-      return false;
+      throw new Error(`Not connected: ${readyState}`);
     }
 
     // Проверка канала
-    if (!config.twitch.channel) {
+    if (!this.channel) {
       console.error('[Twitch] ❌ Канал не указан в конфигурации');
-      return false;
+      throw new Error('Канал не указан в конфигурации');
+    }
+
+    // Режим чата мог измениться, пока сообщение ждало в очереди
+    const blockReason = this.getSendBlockReason();
+    if (blockReason) {
+      throw new Error(`Отправка запрещена: ${blockReason}`);
     }
 
     try {
-      // Отправка сообщения в чат
-      await this.client.say(config.twitch.channel, cleanedMessage);
-      console.log(`💬 "${cleanedMessage}"`);
-      return true;
+      if (item.replyTo) {
+        // Ответ веткой на сообщение зрителя
+        await this.replyToMessage(item.replyTo, item.text);
+        console.log(`💬 ↪ "${item.text}"`);
+      } else {
+        // Отправка сообщения в чат
+        await this.client.say(this.channel, item.text);
+        console.log(`💬 "${item.text}"`);
+      }
     } catch (error) {
-      // Обработка различных типов ошибок
-      if (error.message?.includes('rate limit') || error.message?.includes('ratelimit')) {
-        console.warn('[Twitch] ⚠️ Превышен лимит отправки сообщений, ждем...');
-        // Можно добавить задержку и повторную попытку
-        return false;
-      } else if (error.message?.includes('timeout')) {
-        console.warn('[Twitch] ⚠️ Таймаут при отправке сообщения');
-        return false;
-      } else if (error.message?.includes('banned') || error.message?.includes('ban')) {
+      const reason = String(error?.message || error);
+      if (reason.includes('banned') || reason.includes('ban')) {
         console.error('[Twitch] ❌ Бот забанен в чате');
-        return false;
-      } else {
-        console.error('[Twitch] ❌ Ошибка отправки сообщения:', error.message || error);
-        return false;
       }
+      throw error instanceof Error ? error : new Error(reason);
+    }
+  }
+
+  /**
+   * Отправка ответа веткой (reply) на сообщение зрителя
+   * В tmi.js 1.8 нет client.reply - отправляем PRIVMSG с тегом reply-parent-msg-id напрямую
+   */
+  async replyToMessage(parentMsgId, text) {
+    if (typeof this.client.reply === 'function') {
+      return this.client.reply(this.channel, text, parentMsgId);
+    }
+
+    const channel = `#${this.channel.toLowerCase().replace(/^#/, '')}`;
+    return this.client.raw(`@reply-parent-msg-id=${parentMsgId} PRIVMSG ${channel} :${text}`);
+  }
+
+  /**
+   * Есть ли у бота расширенный лимит сообщений (модератор, VIP или стример)
+   */
+  isElevatedSender() {
+    const channel = `#${(this.channel || '').toLowerCase().replace(/^#/, '')}`;
+    const userstate = this.client?.userstate?.[channel];
+    if (!userstate) {
+      return false;
     }
+
+    const badges = userstate.badges || {};
+    return userstate.mod === true ||
+      userstate['user-type'] === 'mod' ||
+      !!badges.moderator ||
+      !!badges.vip ||
+      !!badges.broadcaster;
+  }
+
+  /**
+   * Логин бота в нижнем регистре
+   */
+  getBotLogin() {
+    return (this.client?.getUsername?.() || config.twitch.username || '').toLowerCase();
   }
 
+  /**
+   * Есть ли у бота права модератора (модератор или стример)
+   */
+  isModeratorSender() {
+    const channel = `#${(this.channel || '').toLowerCase().replace(/^#/, '')}`;
+    const userstate = this.client?.userstate?.[channel];
+    if (!userstate) {
+      return false;
+    }
+
+    const badges = userstate.badges || {};
+    return userstate.mod === true || userstate['user-type'] === 'mod' || !!badges.moderator || !!badges.broadcaster;
+  }
+
+  /**
+   * Почему бот сейчас не может писать в чат
+   * @returns {string|null} Причина или null, если писать можно
+   */
+  getSendBlockReason() {
+    if (this.moderation.botBanned) {
+      return 'бот забанен в чате';
+    }
+    if (this.moderation.botTimedOutUntil > this.clock.now()) {
+      return `бот в таймауте еще ${Math.ceil((this.moderation.botTimedOutUntil - this.clock.now()) / 1000)} сек`;
+    }
+    if (this.roomState.emoteOnly && !this.isModeratorSender()) {
+      return 'чат в режиме только смайликов';
+    }
+
+    const channel = `#${(this.channel || '').toLowerCase().replace(/^#/, '')}`;
+    const badges = this.client?.userstate?.[channel]?.badges || {};
+    if (this.roomState.subsOnly && !this.isElevatedSender() && !badges.subscriber && !badges.founder) {
+      return 'чат только для подписчиков';
+    }
+    if (this.roomState.rejectedBy) {
+      return `Twitch отклонил сообщение (${this.roomState.rejectedBy})`;
+    }
+    return null;
+  }
+
+  /**
+   * Обработка NOTICE: rate limit, медленный режим, ограничения чата и наказания бота
+   */
+  handleNotice(msgid, message) {
+    switch (msgid) {
+      case 'msg_ratelimit':
+      case 'msg_slowmode':
+        // Сообщение не дошло - очередь повторит его позже
+        this.messageQueue.handleRateLimitNotice();
+        break;
+      case 'msg_timedout': {
+        // "You are timed out for N more seconds."
+        const seconds = parseInt(String(message).match(/(\d+)/)?.[1] || '0', 10);
+        this.handleBotModerated(seconds || 60);
+        break;
+      }
+      case 'msg_banned':
+        this.handleBotModerated(null);
+        break;
+      case 'msg_emoteonly':
+      case 'msg_subsonly':
+      case 'msg_followersonly':
+      case 'msg_followersonly_followed':
+      case 'msg_followersonly_zero':
+        // Режим чата не пускает бота - не пишем до следующего изменения режима
+        this.roomState.rejectedBy = msgid;
+        this.messageQueue.clear();
+        console.warn(`[Twitch] ⚠️ Режим чата не позволяет боту писать (${msgid})`);
+        break;
+    }
+  }
+
+  /**
+   * Модератор удалил сообщение - убираем его из контекста и отменяем ответ на него
+   */
+  handleMessageDeleted(messageId, username, text = null) {
+    if (!messageId) {
+      return;
+    }
+
+    // Удалили сообщение бота - худший отклик на него
+    if ((username || '').toLowerCase() === this.getBotLogin()) {
+      this.coordinator.feedbackTracker?.onMessageDeleted(text);
+      console.log(`[Twitch] 🗑️ Модератор удалил сообщение бота: "${(text || '').substring(0, 50)}"`);
+    }
+
+    this.rememberDeletedMessage(messageId);
+    const removed = this.coordinator.purgeChatMessages(message => message.id === messageId);
+    this.messageQueue.dropWhere(item => item.replyTo === messageId, 'сообщение зрителя удалено');
+
+    if (removed.length > 0) {
+      console.log(`[Twitch] 🧹 Удалено сообщение ${username} из контекста`);
+    }
+  }
+
+  /**
+   * Таймаут или бан зрителя - убираем все его сообщения из контекста
+   * @param {string} username - Логин зрителя
+   * @param {number|null} duration - Длительность таймаута в секундах, null для бана
+   */
+  handleUserPurged(username, duration) {
+    const login = (username || '').toLowerCase();
+    if (!login) {
+      return;
+    }
+
+    if (login === this.getBotLogin()) {
+      this.handleBotModerated(duration);
+      return;
+    }
+
+    const now = this.clock.now();
+    this.moderation.purgedUsers.set(login, now);
+    // Ограничиваем размер - храним только последние 200 наказаний
+    if (this.moderation.purgedUsers.size > 200) {
+      this.moderation.purgedUsers.delete(this.moderation.purgedUsers.keys().next().value);
+    }
+
+    const removed = this.coordinator.purgeChatMessages(message => (message.username || '').toLowerCase() === login);
+    const removedIds = new Set(removed.map(message => message.id).filter(Boolean));
+    this.messageQueue.dropWhere(item => removedIds.has(item.replyTo), 'зритель наказан модератором');
+
+    const action = duration === null ? 'бан' : `таймаут ${duration} сек`;
+    console.log(`[Twitch] 🧹 ${username}: ${action}, убрано сообщений из контекста: ${removed.length}`);
+  }
+
+  /**
+   * Модератор очистил чат - очищаем историю чата и отменяем ответы
+   */
+  handleChatCleared() {
+    this.moderation.chatClearedAt = this.clock.now();
+    const removed = this.coordinator.purgeChatMessages(() => true);
+    this.messageQueue.dropWhere(item => item.replyTo !== null, 'чат очищен');
+    console.log(`[Twitch] 🧹 Чат очищен модератором, убрано сообщений из контекста: ${removed.length}`);
+  }
+
+  /**
+   * Бот получил таймаут или бан - включаем режим молчания
+   * После таймаута режим молчания выключается автоматически, после бана - только вручную
+   * @param {number|null} duration - Длительность таймаута в секундах, null для бана
+   */
+  handleBotModerated(duration) {
+    this.messageQueue.clear();
+    this.coordinator.feedbackTracker?.onBotModerated();
+
+    if (!this.coordinator.state.silenceMode) {
+      this.coordinator.setSilenceMode(true);
+      this.moderation.autoSilenced = true;
+    }
+
+    if (duration === null) {
+      this.moderation.botBanned = true;
+      console.error('[Twitch] ⛔ Бот забанен в чате, режим молчания включен (после разбана переподключите канал)');
+      return;
+    }
+
+    this.moderation.botTimedOutUntil = Math.max(this.moderation.botTimedOutUntil, this.clock.now() + duration * 1000);
+    console.warn(`[Twitch] ⛔ Бот получил таймаут на ${duration} сек, режим молчания включен`);
+
+    if (this.moderation.timeoutTimer) {
+      this.clock.clearTimeout(this.moderation.timeoutTimer);
+    }
+    this.moderation.timeoutTimer = this.clock.setTimeout(() => {
+      this.moderation.timeoutTimer = null;
+      if (this.moderation.autoSilenced && !this.moderation.botBanned) {
+        this.moderation.autoSilenced = false;
+        this.coordinator.setSilenceMode(false);
+        console.log('[Twitch] ✅ Таймаут бота закончился, режим молчания выключен');
+      }
+    }, this.moderation.botTimedOutUntil - this.clock.now());
+  }
+
+  /**
+   * Обновление режимов чата (ROOMSTATE)
+   */
+  handleRoomState(state) {
+    const changes = [];
+
+    if ('slow' in state) {
+      this.roomState.slow = state.slow === false ? 0 : (parseInt(state.slow, 10) || 0);
+      this.messageQueue.setSlowMode(this.roomState.slow * 1000);
+      changes.push(this.roomState.slow > 0 ? `медленный режим ${this.roomState.slow} сек` : 'медленный режим выкл');
+    }
+    if ('followers-only' in state) {
+      // '-1' - режим выключен, иначе минимальный срок фолловинга в минутах
+      this.roomState.followersOnly = String(state['followers-only']) !== '-1';
+      changes.push(`только фолловеры ${this.roomState.followersOnly ? 'вкл' : 'выкл'}`);
+    }
+    if ('emote-only' in state) {
+      this.roomState.emoteOnly = state['emote-only'] === true;
+      changes.push(`только смайлики ${this.roomState.emoteOnly ? 'вкл' : 'выкл'}`);
+    }
+    if ('subs-only' in state) {
+      this.roomState.subsOnly = state['subs-only'] === true;
+      changes.push(`только подписчики ${this.roomState.subsOnly ? 'вкл' : 'выкл'}`);
+    }
+
+    if (changes.length > 0) {
+      // Режим изменился - снова пробуем писать
+      this.roomState.rejectedBy = null;
+      console.log(`[Twitch] 🏠 Режим чата: ${changes.join(', ')}`);
+    }
+  }
+
+  /**
+   * Запомнить удаленное сообщение (ограниченный набор последних id)
+   */
+  rememberDeletedMessage(messageId) {
+    this.moderation.deletedMessageIds.add(messageId);
+    if (this.moderation.deletedMessageIds.size > 200) {
+      this.moderation.deletedMessageIds.delete(this.moderation.deletedMessageIds.values().next().value);
+    }
+  }
+
+  /**
+   * Было ли сообщение убрано модерацией (удалено, автор наказан или чат очищен)
+   */
+  isMessagePurged(chatMessage) {
+    if (chatMessage.id && this.moderation.deletedMessageIds.has(chatMessage.id)) {
+      return true;
+    }
+    if (chatMessage.timestamp <= this.moderation.chatClearedAt) {
+      return true;
+    }
+    const purgedAt = this.moderation.purgedUsers.get((chatMessage.username || '').toLowerCase());
+    return purgedAt !== undefined && chatMessage.timestamp <= purgedAt;
+  }
+
+  /**
+   * Статистика очереди исходящих сообщений
+   */
+  getQueueStats() {
+    return this.messageQueue.getStats();
+  }
+
+  /**
+   * Сброс наказаний бота и режимов чата (при отключении): следующий эфир в режиме демона начинается без них,
+   * режим молчания, включенный из-за таймаута или бана, снимается
+   */
+  resetModeration() {
+    if (this.moderation.timeoutTimer) {
+      this.clock.clearTimeout(this.moderation.timeoutTimer);
+      this.moderation.timeoutTimer = null;
+    }
+    if (this.moderation.autoSilenced) {
+      this.coordinator.setSilenceMode(false);
+    }
+    this.moderation.botBanned = false;
+    this.moderation.botTimedOutUntil = 0;
+    this.moderation.autoSilenced = false;
+    this.roomState = {
+      slow: 0,
+      followersOnly: false,
+      emoteOnly: false,
+      subsOnly: false,
+      rejectedBy: null,
+    };
+    this.messageQueue.setSlowMode(0);
+  }
 
   async disconnect() {
+    this.messageQueue.clear();
+    this.resetModeration();
     if (this.client) {
       await this.client.disconnect();
       console.log('[Twitch] Отключен от чата');
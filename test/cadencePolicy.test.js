@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CadencePolicy } from '../src/modules/cadencePolicy.js';
+import { VirtualClock } from '../src/modules/clock.js';
+
+const MINUTE = 60000;
+
+/**
+ * Отправлять фоновые сообщения, пока политика разрешает
+ */
+function fillBudget(policy, kind = 'ambient', source = 'generation') {
+  let count = 0;
+  while (policy.checkBudget(kind).allowed) {
+    policy.recordMessage(source);
+    count++;
+  }
+  return count;
+}
+
+test('normal не ограничивает число сообщений', async () => {
+  const clock = new VirtualClock(0);
+  const policy = new CadencePolicy({ clock });
+
+  for (let i = 0; i < 300; i++) {
+    assert.equal(policy.checkBudget('ambient').allowed, true);
+    policy.recordMessage('generation');
+    await clock.advance(1000);
+  }
+});
+
+test('доля фоновых сообщений действует и на всплеск', () => {
+  const clock = new VirtualClock(0);
+  const policy = new CadencePolicy({ clock, level: 'quiet', ambientShare: 0.5 });
+
+  assert.equal(fillBudget(policy), 1); // burst 2 * 0.5
+  const decision = policy.checkBudget('ambient');
+  assert.equal(decision.gate, 'burst');
+  assert.equal(decision.waitMs, MINUTE);
+
+  // Реактивным сообщениям остается весь предел
+  assert.equal(fillBudget(policy, 'reactive', 'reply'), 1);
+  assert.equal(policy.checkBudget('reactive').gate, 'burst');
+});
+
+test('лимит за 10 минут освобождается со временем', async () => {
+  const clock = new VirtualClock(0);
+  const policy = new CadencePolicy({ clock, level: 'quiet', ambientShare: 1 });
+
+  let sent = 0;
+  for (let minute = 0; minute < 10; minute++) {
+    sent += fillBudget(policy);
+    await clock.advance(MINUTE);
+  }
+  assert.equal(sent, 8);
+
+  const decision = policy.checkBudget('ambient');
+  assert.equal(decision.allowed, true); // Первые сообщения вышли из окна 10 минут
+});
+
+test('паузы и кулдаун генерации берутся из уровня', () => {
+  const policy = new CadencePolicy({ clock: new VirtualClock(0), level: 'lurk' });
+
+  assert.equal(policy.checkPause(30000).allowed, false);
+  assert.equal(policy.checkPause(90000, false).gate, 'idle_pause');
+  assert.equal(policy.checkPause(200000, false).allowed, true);
+  assert.equal(policy.checkGenerationCooldown(20000).allowed, false);
+  assert.equal(policy.checkGenerationCooldown(20000, { isFirstMessage: true }).allowed, true);
+  assert.equal(policy.shouldForce(600001), true);
+});
+
+test('тихие часы переключают уровень и сообщают о смене', async () => {
+  const start = new Date(2026, 0, 1, 0, 30).getTime();
+  const clock = new VirtualClock(start);
+  const policy = new CadencePolicy({ clock, quietHours: '01:00-08:00', quietLevel: 'off' });
+  const changes = [];
+  policy.on('change', change => changes.push(change));
+
+  assert.equal(policy.checkBudget('ambient').allowed, true);
+  await clock.advance(60 * MINUTE);
+
+  const decision = policy.checkBudget('reactive');
+  assert.equal(decision.allowed, false);
+  assert.equal(decision.gate, 'quiet_hours');
+  assert.deepEqual(changes, [{ level: 'off', previous: 'normal' }]);
+});
@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MessageQueue } from '../src/modules/messageQueue.js';
+import { VirtualClock } from '../src/modules/clock.js';
+
+const START = 1000000;
+
+// Дать асинхронной отправке продолжиться до перевода часов
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Очередь на виртуальных часах: send записывает время отправки
+ */
+function createQueue(config = {}) {
+  const clock = new VirtualClock(START);
+  const sent = [];
+  const queue = new MessageQueue({
+    clock,
+    windowMs: 30000,
+    normalLimit: 2,
+    normalMinInterval: 1000,
+    noticeWindow: 2000,
+    ...config,
+    send: async (item) => {
+      sent.push({ text: item.text, at: clock.now() });
+    },
+  });
+  return { clock, queue, sent };
+}
+
+test('соблюдает минимальный интервал и лимит сообщений за окно', async () => {
+  const { clock, queue, sent } = createQueue();
+  const results = ['раз', 'два', 'три'].map(text => queue.enqueue(text, { maxAge: 60000 }));
+
+  await clock.advance(40000);
+
+  assert.deepEqual(sent, [
+    { text: 'раз', at: START },
+    { text: 'два', at: START + 1000 },
+    { text: 'три', at: START + 30000 }, // Окно освободилось только через 30 секунд после первого
+  ]);
+  assert.deepEqual(await Promise.all(results), [true, true, true]);
+});
+
+test('сначала отправляет сообщения с высоким приоритетом', async () => {
+  const { clock, queue, sent } = createQueue({ normalLimit: 20 });
+  queue.enqueue('фон', { priority: 'low' });
+  queue.enqueue('обычное');
+  queue.enqueue('ответ', { priority: 'high' });
+
+  await clock.advance(5000);
+
+  assert.deepEqual(sent.map(message => message.text), ['ответ', 'обычное', 'фон']);
+});
+
+test('выбрасывает сообщения, которые устарели в очереди', async () => {
+  const { clock, queue, sent } = createQueue({ normalLimit: 1 });
+  const first = queue.enqueue('первое');
+  const stale = queue.enqueue('устаревшее', { maxAge: 5000 });
+
+  await clock.advance(40000);
+
+  assert.equal(await first, true);
+  assert.equal(await stale, false);
+  assert.deepEqual(sent.map(message => message.text), ['первое']);
+  assert.equal(queue.getStats().dropped, 1);
+});
+
+test('повторяет отправку после таймаута', async () => {
+  const clock = new VirtualClock(START);
+  const attempts = [];
+  const queue = new MessageQueue({
+    clock,
+    retryDelay: 2000,
+    send: async () => {
+      attempts.push(clock.now());
+      if (attempts.length === 1) {
+        throw new Error('Timeout');
+      }
+    },
+  });
+
+  const result = queue.enqueue('привет');
+  await clock.advance(10000);
+
+  assert.equal(await result, true);
+  assert.deepEqual(attempts, [START, START + 2000]);
+  assert.equal(queue.getStats().retried, 1);
+});
+
+test('NOTICE о rate limit возвращает неподтвержденное сообщение в очередь', async () => {
+  const { clock, queue, sent } = createQueue({ normalLimit: 20, rateLimitBackoff: 5000 });
+  let settled = false;
+  const result = queue.enqueue('привет').then(value => {
+    settled = true;
+    return value;
+  });
+
+  await clock.advance(500);
+  assert.equal(sent.length, 1);
+  queue.handleRateLimitNotice();
+
+  await clock.advance(3000);
+  assert.equal(settled, false); // Первая отправка не подтверждена
+  await clock.advance(10000);
+
+  assert.equal(await result, true);
+  assert.deepEqual(sent.map(message => message.at), [START, START + 5500]);
+});
+
+test('сообщение в процессе отправки нельзя выбросить из очереди', async () => {
+  const clock = new VirtualClock(START);
+  let finishSend;
+  const queue = new MessageQueue({
+    clock,
+    send: () => new Promise(resolve => {
+      finishSend = resolve;
+    }),
+  });
+
+  const result = queue.enqueue('в пути', { replyTo: 'msg-1' });
+  await clock.advance(0);
+  assert.ok(finishSend, 'отправка началась');
+
+  assert.equal(queue.dropWhere(item => item.replyTo === 'msg-1', 'сообщение удалено'), 0);
+  finishSend();
+  await flush();
+  await clock.advance(5000);
+
+  assert.equal(await result, true);
+  assert.equal(queue.getStats().dropped, 0);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SendScheduler } from '../src/modules/sendScheduler.js';
+import { VirtualClock } from '../src/modules/clock.js';
+
+/**
+ * Планировщик без случайного разброса: набор занимает baseDelay + perChar * длина
+ */
+function createScheduler(config = {}) {
+  const clock = new VirtualClock(100000);
+  const scheduler = new SendScheduler({
+    clock,
+    random: () => 0.5,
+    typing: { baseDelay: 1000, perChar: 100, jitter: 0.3, maxDelay: 12000 },
+    ...config,
+  });
+  return { clock, scheduler };
+}
+
+test('сообщение о событии чата ждет время набора', async () => {
+  const { clock, scheduler } = createScheduler();
+  let sentAt = null;
+  const waiting = scheduler.schedule('привет').then(plan => {
+    sentAt = clock.now();
+    return plan;
+  });
+
+  await clock.advance(1599);
+  assert.equal(sentAt, null);
+  await clock.advance(1);
+
+  const plan = await waiting;
+  assert.equal(sentAt, 101600); // 1000 + 6 * 100
+  assert.equal(plan.cancelled, null);
+});
+
+test('речь переводится во время зрителей по замерам задержки', () => {
+  const { scheduler } = createScheduler({ playerBuffer: 4000 });
+  scheduler.recordCapture({ startedAt: 0, finishedAt: 5500, durationMs: 5000, streamLag: 2000 });
+
+  // Бот услышал фразу через край HLS (2 с) и захват (0.5 с), зрители увидят ее через 2 + 4 с после эфира
+  assert.deepEqual(scheduler.getLatency(), { streamLag: 2000, captureLag: 500, viewer: 6000, source: 'hls' });
+  assert.equal(scheduler.toViewerTime({ kind: 'speech', at: 100000 }), 103500);
+  assert.equal(scheduler.toViewerTime({ kind: 'screen', at: 100000 }), 100000);
+});
+
+test('сообщение о давнем моменте отменяется без ожидания', async () => {
+  const { clock, scheduler } = createScheduler({ maxLateness: 15000 });
+
+  const plan = await scheduler.schedule('поздно', { kind: 'screen', at: clock.now() - 20000 });
+
+  assert.match(plan.cancelled, /20 с назад/);
+  assert.equal(scheduler.getStats().cancelled, 1);
+  assert.equal(clock.pendingTimers, 0);
+});
+
+test('cancelAll отменяет ожидающие сообщения', async () => {
+  const { clock, scheduler } = createScheduler();
+  const waiting = scheduler.schedule('длинное сообщение');
+
+  await clock.advance(500);
+  scheduler.cancelAll('канал остановлен');
+
+  const plan = await waiting;
+  assert.equal(plan.cancelled, 'канал остановлен');
+  assert.equal(scheduler.getStats().waiting, 0);
+  assert.equal(clock.pendingTimers, 0);
+});
+
+test('выключенный планировщик отправляет сразу', async () => {
+  const { scheduler } = createScheduler({ enabled: false });
+  const plan = await scheduler.schedule('сразу', { kind: 'screen', at: 0 });
+  assert.equal(plan.delay, 0);
+  assert.equal(plan.cancelled, null);
+});
@@ -0,0 +1,57 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SessionReplay, StubGenerator, RecordedGenerator } from '../src/dev/sessionReplay.js';
+
+const START = 1760000000000;
+
+let sessionDir;
+let sessionPath;
+
+/**
+ * Короткая сессия в формате DataCollector: скриншоты с записанным анализом, речью и чатом
+ */
+before(async () => {
+  sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'replay-test-'));
+  await fs.mkdir(path.join(sessionDir, 'metadata'));
+  const screenshots = [];
+  for (let i = 0; i < 8; i++) {
+    const timestamp = START + i * 10000;
+    await fs.writeFile(path.join(sessionDir, 'metadata', `shot${i}.json`), JSON.stringify({
+      timestamp,
+      imageAnalysis: { description: 'игрок бежит по лесу', confidence: 0.8 },
+      speech: { text: `фраза ${i} про игру`, isStreamer: true },
+      chatContext: [{ username: `viewer${i}`, message: 'го дальше', timestamp: timestamp + 500 }],
+    }));
+    screenshots.push({ id: `shot${i}` });
+  }
+  sessionPath = path.join(sessionDir, 'session_test.json');
+  await fs.writeFile(sessionPath, JSON.stringify({ id: 'session_test', screenshots, chatMessages: [], speechSegments: [] }));
+});
+
+after(async () => {
+  await fs.rm(sessionDir, { recursive: true, force: true });
+});
+
+async function replay(generator) {
+  const result = await new SessionReplay({ sessionPath, channel: 'replaytest', generator }).run();
+  return result.messages.map(({ offset, message, trigger }) => ({ offset, message, trigger }));
+}
+
+test('проигрывание с генератором-заглушкой не обращается к модели и повторяется одинаково', async () => {
+  const first = await replay(new StubGenerator());
+  const second = await replay(new StubGenerator());
+
+  assert.ok(first.length > 0);
+  assert.equal(first[0].message, 'тестовое сообщение 1');
+  assert.deepEqual(second, first);
+});
+
+test('генератор по записи повторяет сообщения прошлого проигрывания', async () => {
+  const recorded = await replay(new StubGenerator('запись'));
+  const replayed = await replay(new RecordedGenerator(recorded));
+
+  assert.deepEqual(replayed, recorded);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { config } from '../src/config.js';
+import { TwitchClient } from '../src/twitchClient.js';
+import { FakeTwitchServer } from '../src/dev/fakeTwitchServer.js';
+
+/**
+ * Бот подключается к локальному заменителю Twitch через tmi.js, проверки - по PRIVMSG, которые получил сервер
+ */
+const CHANNEL = 'testchannel';
+
+let server;
+let client;
+const chatHistory = [];
+
+async function waitFor(condition, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Условие не выполнилось за ${timeout} мс`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+before(async () => {
+  server = new FakeTwitchServer({ channel: CHANNEL });
+  const port = await server.start();
+
+  Object.assign(config.twitch, { ircServer: '127.0.0.1', ircPort: port, username: 'testbot', oauthToken: 'oauth:test' });
+  config.debug.consoleOnly = false;
+  config.messageQueue.noticeWindow = 100; // Не ждать NOTICE о rate limit по 2 секунды
+
+  const coordinator = { updateChatHistory: message => chatHistory.push(message) };
+  client = new TwitchClient(coordinator, null, null, { channel: CHANNEL });
+  const joined = once(server, 'join');
+  await client.connect();
+  await joined;
+});
+
+after(async () => {
+  await client?.disconnect();
+  await server?.stop();
+});
+
+test('сообщение бота приходит на сервер как PRIVMSG в канал', async () => {
+  const since = Date.now();
+  const sent = await client.sendMessage('  всем\nпривет  ', { source: 'generation' });
+
+  assert.equal(sent, true);
+  const message = await server.waitForBotMessage('всем привет', { since, timeout: 5000 });
+  assert.equal(message.type, 'message');
+  assert.equal(message.channel, `#${CHANNEL}`);
+  assert.equal(message.login, 'testbot');
+  assert.equal(message.text, 'всем привет');
+});
+
+test('ответ зрителю уходит веткой на его сообщение', async () => {
+  const parentId = server.chat('viewer', 'бот, как дела?');
+  await waitFor(() => chatHistory.some(message => message.id === parentId));
+
+  const sent = await client.sendMessage('отлично, смотрю стрим', { source: 'reply', replyTo: parentId });
+
+  assert.equal(sent, true);
+  const reply = await server.waitForBotMessage({ replyParentMsgId: parentId }, { timeout: 5000 });
+  assert.equal(reply.text, 'отлично, смотрю стрим');
+});
+
+test('оскорбления не отправляются даже без фильтра сообщений', async () => {
+  const sent = await client.sendMessage('ты пидор', { source: 'generation' });
+
+  assert.equal(sent, false);
+  server.assertNoBotMessage(/пидор/);
+});
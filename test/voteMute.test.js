@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { VoteMute } from '../src/modules/voteMute.js';
+import { VirtualClock } from '../src/modules/clock.js';
+
+const MINUTE = 60000;
+
+function vote(voteMute, username, message = 'бот молчи') {
+  return voteMute.addMessage({ username, message });
+}
+
+test('голоса разных зрителей включают режим "реже", потом тишину', () => {
+  const clock = new VirtualClock(0);
+  const voteMute = new VoteMute({ clock, quietVotes: 2, muteVotes: 3 });
+  const events = [];
+  voteMute.on('mute', ({ level }) => events.push(level));
+
+  assert.equal(vote(voteMute, 'alice'), true);
+  assert.equal(vote(voteMute, 'Alice', 'Бот, молчи!'), true); // Повторный голос не считается
+  assert.equal(voteMute.getLevel(), null);
+
+  vote(voteMute, 'bob');
+  assert.equal(voteMute.getLevel(), 'quiet');
+  assert.equal(voteMute.allowsMessage(30000), false);
+  assert.equal(voteMute.allowsMessage(MINUTE), true);
+
+  vote(voteMute, 'carol');
+  assert.equal(voteMute.getLevel(), 'mute');
+  assert.equal(voteMute.allowsMessage(Infinity), false);
+  assert.deepEqual(events, ['quiet', 'mute']);
+});
+
+test('обычные сообщения не считаются голосом', () => {
+  const voteMute = new VoteMute({ clock: new VirtualClock(0) });
+  assert.equal(vote(voteMute, 'alice', 'бот молчит уже час'), false);
+  assert.equal(vote(voteMute, 'alice', 'бот молчи пожалуйста'), true);
+});
+
+test('голоса старше окна не учитываются', async () => {
+  const clock = new VirtualClock(0);
+  const voteMute = new VoteMute({ clock, quietVotes: 0, muteVotes: 2, window: 2 * MINUTE });
+
+  vote(voteMute, 'alice');
+  await clock.advance(3 * MINUTE);
+  vote(voteMute, 'bob');
+
+  assert.equal(voteMute.getLevel(), null);
+  assert.equal(voteMute.getStats().votes, 1);
+});
+
+test('тишина снимается сама через duration', async () => {
+  const clock = new VirtualClock(0);
+  const voteMute = new VoteMute({ clock, quietVotes: 0, muteVotes: 1, duration: 15 * MINUTE });
+  const expired = [];
+  voteMute.on('expire', ({ level }) => expired.push(level));
+
+  vote(voteMute, 'alice');
+  await clock.advance(14 * MINUTE);
+  assert.equal(voteMute.getLevel(), 'mute');
+
+  await clock.advance(MINUTE);
+  assert.equal(voteMute.getLevel(), null);
+  assert.deepEqual(expired, ['mute']);
+  assert.equal(clock.pendingTimers, 0);
+});
+
+test('модератор снимает режим', () => {
+  const clock = new VirtualClock(0);
+  const voteMute = new VoteMute({ clock, quietVotes: 0, muteVotes: 1 });
+
+  vote(voteMute, 'alice');
+  assert.equal(voteMute.cancel('moderator'), true);
+  assert.equal(voteMute.getLevel(), null);
+  assert.equal(voteMute.cancel('moderator'), false);
+  assert.equal(clock.pendingTimers, 0);
+});